@@ -6,50 +6,214 @@
 const VeniceClient = require("./venice-client");
 const PubMedClient = require("./pubmed-client");
 const OutputGenerator = require("./output-generator");
+const ResponseCache = require("./response-cache");
+const { groundText } = require("./citation-grounding");
+const { writePaper } = require("./paper-writer");
+const SystematicReviewStore = require("./systematic-review");
+const { applyFilters, buildQuery, countHits, parseRef, QueryStore } = require("./query-builder");
+const { planDeck } = require("./slide-deck");
+const { extractEvidence, toSummaryMarkdown } = require("./evidence-extraction");
+const { gradeArticles, filterByEvidence } = require("./evidence-grading");
+const { loadRules, checkText, annotateText } = require("./compliance-checker");
+const ReviewStore = require("./review-workflow");
+const AuditLog = require("./audit-log");
+const log = require("./logger");
+const { loadConfig, llmSettings, pubmedSettings, researchDefaults } = require("./config");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Copy of options with undefined keys taken from defaults
+ */
+function fillDefaults(options, defaults) {
+  var filled = Object.assign({}, options);
+  Object.keys(defaults).forEach(function(key) {
+    if (filled[key] === undefined) filled[key] = defaults[key];
+  });
+  return filled;
+}
+
+/**
+ * Options as recorded in the audit log (callbacks such as confirmQuery left out)
+ */
+function auditedOptions(options) {
+  var recorded = {};
+  Object.keys(options).forEach(function(key) {
+    if (typeof options[key] !== "function") recorded[key] = options[key];
+  });
+  return recorded;
+}
 
 class MAResearchAgent {
+  /**
+   * options.config: a resolved configuration (see config.js); without one the
+   * defaults, ma-research.config.json (options.profile) and the environment
+   * are used. Explicit options below override the configuration.
+   */
   constructor(options) {
-    this.venice = new VeniceClient(options.veniceApiKey);
-    this.pubmed = new PubMedClient();
-    this.output = new OutputGenerator(options.outputDir || "./output");
-    this.options = options || {};
+    options = options || {};
+    var config = options.config || loadConfig({ profile: options.profile });
+    var outputDir = options.outputDir || config.output.dir;
+    this.config = config;
+
+    this.cache = new ResponseCache({
+      dir: options.cacheDir || config.cache.dir,
+      enabled: options.cache !== undefined ? options.cache !== false : config.cache.enabled,
+      refresh: options.refreshCache
+    });
+    // Every run leaves a hash-chained audit log of queries, prompts, responses and files
+    this.audit = new AuditLog({
+      dir: options.auditDir || config.audit.dir || path.join(outputDir, "audit"),
+      operator: options.operator || config.audit.operator,
+      enabled: options.audit !== undefined ? options.audit !== false : config.audit.enabled
+    });
+    // options.provider: an LLM provider instance to share; options.llm: provider config
+    this.venice = new VeniceClient(options.veniceApiKey || config.llm.apiKey, {
+      provider: options.provider,
+      llm: llmSettings(config, options.llm),
+      generation: config.generation,
+      cache: this.cache,
+      contextWindow: options.contextWindow || config.llm.contextWindow,
+      audit: this.audit
+    });
+    this.pubmed = new PubMedClient(Object.assign(pubmedSettings(config), { cache: this.cache, audit: this.audit }));
+    this.output = new OutputGenerator(outputDir, {
+      audit: this.audit,
+      docx: config.output.docx,
+      html: config.output.html,
+      pdf: config.output.pdf,
+      pptx: config.output.pptx,
+      citationStyle: config.citations.style,
+      referenceExports: config.citations.export
+    });
+    // Generated materials go through MLR review before they can be exported
+    this.reviews = new ReviewStore(options.reviewDir || path.join(outputDir, "reviews"), {
+      requiredRoles: options.reviewRoles || config.review.roles || undefined
+    });
+    // Systematic reviews keep their protocol, screening decisions and PRISMA flow here
+    this.systematicReviews = new SystematicReviewStore(options.systematicReviewDir || path.join(outputDir, "systematic-reviews"));
+    // Saved, versioned PubMed queries (query-builder.js)
+    this.queries = new QueryStore(options.queryDir || path.join(outputDir, "queries"));
+    this.options = options;
   }
 
   /**
-   * Main research workflow
+   * Main research workflow.
+   * The query is sent as given, or: options.buildQuery expands it into a MeSH
+   * query (see buildSearchQuery), options.savedQuery ("name" or "name@version")
+   * runs a saved query - the topic then defaults to its question. Either way
+   * the final query and its hit count are logged; a built query also goes to
+   * options.confirmQuery(info), when given, and a false answer stops the run.
    */
   async research(query, taskType, options) {
-    options = options || {};
+    options = fillDefaults(options || {}, researchDefaults(this.config, taskType));
     var startTime = Date.now();
+    var saved = null;
+    if (options.savedQuery) {
+      try {
+        saved = this.queries.get(options.savedQuery);
+      } catch (error) {
+        log.error("Error:", error.message);
+        return { success: false, error: error.message };
+      }
+      query = query || saved.question || parseRef(options.savedQuery).name;
+    }
     
-    console.log("\n===========================================");
-    console.log("Medical Affairs Research Assistant");
-    console.log("===========================================");
-    console.log("Query: " + query);
-    console.log("Task: " + taskType);
-    console.log("===========================================\n");
+    log.info("\n===========================================");
+    log.info("Medical Affairs Research Assistant");
+    log.info("===========================================");
+    log.info("Query: " + query);
+    log.info("Task: " + taskType);
+    log.info("===========================================\n");
+
+    var runId = this.audit.start({ command: "research", query: query, taskType: taskType, options: auditedOptions(options) });
 
     try {
       // Step 1: Search PubMed
-      console.log("[1/4] Searching PubMed...");
+      log.info("[1/4] Searching PubMed...");
       var articles;
-      if (options.clinicalOnly) {
-        articles = await this.pubmed.searchClinicalTrials(query, options.phase);
-      } else if (options.recentYears) {
-        articles = await this.pubmed.searchRecent(query, options.recentYears);
-      } else {
-        articles = await this.pubmed.searchFull(query, options.maxResults || 15);
+      var search = null;
+      var searchOptions = {
+        cap: options.cap,
+        onSearch: function(info) { search = info; }
+      };
+      var built = null;
+      if (options.buildQuery) {
+        built = await this.buildSearchQuery(query, options.queryFilters, { save: options.saveQuery });
       }
-      console.log("Found " + articles.length + " articles\n");
+      // Filters compose with each other and with any query; a built query already carries its own
+      var searchQuery = applyFilters(built ? built.query : saved ? saved.query : query, Object.assign(
+        {}, built ? {} : options.queryFilters,
+        { clinicalOnly: options.clinicalOnly, phase: options.phase, recentYears: options.recentYears }
+      ));
+      if (built || saved) {
+        var count = await countHits(this.pubmed, searchQuery);
+        log.info("PubMed query: " + searchQuery);
+        log.info("Hits: " + count.hits);
+        this.audit.record("pubmed.query", {
+          question: query,
+          query: searchQuery,
+          hits: count.hits,
+          saved: saved ? options.savedQuery : built.saved ? built.saved.name + "@" + built.saved.version : null
+        });
+        if (built && options.confirmQuery && !(await options.confirmQuery({ query: searchQuery, hits: count.hits, built: built }))) {
+          throw new Error("Query not confirmed; nothing was searched");
+        }
+      }
+      articles = await this.pubmed.searchFull(searchQuery, options.maxResults, searchOptions);
+      log.info("Found " + articles.length + " articles");
 
       if (articles.length === 0) {
         throw new Error("No articles found for query");
       }
 
+      // Grade by study design and order by evidence level so the strongest evidence leads
+      articles = gradeArticles(articles);
+      var levels = {};
+      articles.forEach(function(a) { levels[a.grade.level] = (levels[a.grade.level] || 0) + 1; });
+      var retracted = articles.filter(function(a) { return a.grade.retracted; }).length;
+      log.info("Evidence levels: " + Object.keys(levels).map(function(level) {
+        return "L" + level + " " + levels[level];
+      }).join(", ") + (retracted > 0 ? " (" + retracted + " retracted)" : ""));
+      if (options.minEvidence) {
+        var graded = articles.length;
+        articles = filterByEvidence(articles, options.minEvidence);
+        log.info("Kept " + articles.length + " of " + graded + " articles at evidence level " + options.minEvidence + " or higher");
+        if (articles.length === 0) {
+          throw new Error("No articles at evidence level " + options.minEvidence + " or higher (" + graded + " found)");
+        }
+      }
+      log.info("");
+
       // Step 2: Synthesize with Venice AI
-      console.log("[2/4] Analyzing with Venice AI...");
+      log.info("[2/4] Analyzing with Venice AI...");
       var summary;
-      if (taskType === "summary") {
+      var paper = null;
+      var evidence = null;
+      if (taskType === "evidence-table" || options.evidenceTable) {
+        log.info("  Extracting PICO and outcome data...");
+        evidence = await extractEvidence(this.venice, articles);
+      }
+      if (taskType === "paper") {
+        // Search facts for the Methods section (fallback for clients that don't report them)
+        search = search || {
+          query: query,
+          date: new Date().toISOString().substring(0, 10),
+          total: articles.length,
+          retrieved: articles.length
+        };
+        paper = await writePaper(this.venice, query, articles, Object.assign({
+          filters: Object.assign({}, options.queryFilters, {
+            clinicalOnly: options.clinicalOnly,
+            phase: options.phase,
+            recentYears: options.recentYears,
+            maxResults: options.maxResults
+          })
+        }, search), { citationMode: options.citationMode });
+        summary = paper.abstract;
+      } else if (taskType === "evidence-table") {
+        summary = toSummaryMarkdown(evidence);
+      } else if (taskType === "summary") {
         summary = await this.venice.summarizeFindings(articles, options.focusAreas);
       } else if (taskType === "abstract") {
         summary = await this.venice.generateAbstract(articles, query);
@@ -62,28 +226,102 @@ class MAResearchAgent {
       } else {
         summary = await this.venice.summarizeFindings(articles);
       }
-      console.log("Analysis complete\n");
+
+      // Verify every cited PMID is in the retrieved set and mark uncited claims
+      // (the paper writer grounds each section itself; evidence rows are traced
+      // to their abstract sentences instead)
+      var sourceArticles = taskType === "medical-info" ? articles.slice(0, 5) : articles;
+      var citationReport = null;
+      if (paper) {
+        citationReport = paper.citationReport;
+      } else if (taskType !== "evidence-table") {
+        var grounding = groundText(summary, sourceArticles, { mode: options.citationMode });
+        summary = grounding.text;
+        citationReport = grounding.report;
+      }
+      if (citationReport) {
+        log.info("Analysis complete (citation coverage " + Math.round(citationReport.coverage * 100) + "%" +
+          (citationReport.invalidPmids.length > 0 ? ", " + citationReport.invalidPmids.length + " unverified PMIDs" : "") + ")");
+      } else {
+        log.info("Extraction complete (" + evidence.filter(function(row) { return row.unverified.length === 0; }).length +
+          " of " + evidence.length + " studies fully traced to their abstracts)");
+      }
+
+      // Screen for promotional, comparative and off-label claims (papers, slides and
+      // evidence tables are out of scope)
+      var complianceReport = null;
+      if (options.compliance !== false && ["paper", "slides", "evidence-table"].indexOf(taskType) === -1) {
+        complianceReport = checkText(summary, loadRules(options.complianceRules || this.options.complianceRules), {
+          products: options.products
+        });
+        summary = annotateText(summary, complianceReport);
+        this.audit.record("compliance.check", {
+          rules: complianceReport.rulesSource,
+          passed: complianceReport.passed,
+          counts: complianceReport.counts,
+          findings: complianceReport.findings.map(function(f) {
+            return { ruleId: f.ruleId, severity: f.severity, match: f.match, line: f.line };
+          })
+        });
+        var c = complianceReport.counts;
+        log.info("Compliance: " + (complianceReport.passed ? "passed" : "REQUIRES REVISION") + " (" +
+          c.critical + " critical, " + c.high + " high, " + c.medium + " medium, " + c.low + " low)");
+      }
+      log.info("");
 
       // Step 3: Generate output
-      console.log("[3/4] Generating output...");
+      log.info("[3/4] Generating output...");
       var outputPath;
       if (taskType === "paper") {
-        outputPath = await this.output.generatePaper(query, articles, summary);
+        outputPath = await this.output.generatePaper(query, paper.references, paper, { format: options.format });
+      } else if (taskType === "evidence-table") {
+        outputPath = await this.output.generateEvidenceTable(query, articles, evidence, { format: options.format });
       } else if (taskType === "slides") {
-        outputPath = await this.output.generateSlides(query, articles, summary);
+        log.info("  Planning slide storyline...");
+        var storyline = await planDeck(this.venice, query, articles, summary);
+        if (options.format === "txt") {
+          outputPath = await this.output.generateSlidesText(query, articles, storyline, { evidence: evidence });
+        } else if (options.format === "html" || options.format === "pdf") {
+          outputPath = await this.output.generateSlidesDocument(query, articles, storyline,
+            { format: options.format, evidence: evidence });
+        } else {
+          outputPath = await this.output.generateSlides(query, articles, storyline, { evidence: evidence });
+        }
+      } else if (taskType === "kol-briefing") {
+        outputPath = await this.output.generateKOLBriefing(query, articles, summary, citationReport, complianceReport,
+          { format: options.format });
+      } else if (taskType === "medical-info") {
+        outputPath = await this.output.generateMedicalInfoResponse(query, sourceArticles, summary, citationReport, complianceReport,
+          { format: options.format });
       } else {
-        outputPath = await this.output.generateReport(query, articles, summary, taskType);
+        outputPath = await this.output.generateReport(query, articles, summary, taskType, citationReport, complianceReport,
+          { format: options.format, evidence: evidence });
+      }
+      log.info("Output saved to: " + outputPath);
+
+      var reviewItem = null;
+      if (options.review !== false && fs.existsSync(outputPath)) {
+        reviewItem = this.reviews.create(outputPath, {
+          title: query,
+          kind: taskType,
+          source: { type: "agent", query: query, taskType: taskType }
+        });
+        reviewItem = this.reviews.submit(reviewItem.id, ReviewStore.SYSTEM_AUTHOR);
+        log.info("Submitted for MLR review: " + reviewItem.id + " (requires " + reviewItem.requiredRoles.join(", ") + ")");
       }
-      console.log("Output saved to: " + outputPath + "\n");
+      log.info("");
 
       // Step 4: Summary
       var duration = ((Date.now() - startTime) / 1000).toFixed(1);
-      console.log("[4/4] Complete!");
-      console.log("===========================================");
-      console.log("Total time: " + duration + " seconds");
-      console.log("Articles analyzed: " + articles.length);
-      console.log("Output: " + outputPath);
-      console.log("===========================================\n");
+      log.info("[4/4] Complete!");
+      log.info("===========================================");
+      log.info("Total time: " + duration + " seconds");
+      log.info("Articles analyzed: " + articles.length);
+      log.info("Output: " + outputPath);
+      if (runId) log.info("Audit log: " + runId);
+      log.info("===========================================\n");
+
+      this.audit.end("success", { outputPath: outputPath, reviewItem: reviewItem ? reviewItem.id : null });
 
       return {
         success: true,
@@ -91,12 +329,18 @@ class MAResearchAgent {
         taskType: taskType,
         articles: articles,
         summary: summary,
+        evidence: evidence,
+        citationReport: citationReport,
+        complianceReport: complianceReport,
         outputPath: outputPath,
+        reviewItem: reviewItem,
+        auditRun: runId,
         duration: duration
       };
 
     } catch (error) {
-      console.error("Error:", error.message);
+      log.error("Error:", error.message);
+      this.audit.end("error", { error: error.message });
       return {
         success: false,
         error: error.message
@@ -105,17 +349,169 @@ class MAResearchAgent {
   }
 
   /**
-   * Quick search - just PubMed
+   * Build a MeSH-expanded PubMed query for a research question and count its hits.
+   * filters: species, languages, articleTypes, dateRange (see query-builder.js applyFilters)
+   * options.save: save it as the next version of this name (options.note, options.by)
+   * Returns { question, concepts, filters, query, hits, translation, saved }
    */
-  async quickSearch(query, maxResults) {
-    return this.pubmed.searchFull(query, maxResults || 10);
+  async buildSearchQuery(question, filters, options) {
+    options = options || {};
+    log.info("Building PubMed query for: " + question);
+    var built = await buildQuery(this.venice, this.pubmed, question, filters);
+    var count = await countHits(this.pubmed, built.query);
+    built.hits = count.hits;
+    built.translation = count.translation;
+    built.saved = null;
+    if (options.save) {
+      built.saved = Object.assign({ name: options.save }, this.queries.save(options.save, Object.assign({ note: options.note }, built),
+        ReviewStore.currentIdentity(options.by)));
+      log.info((built.saved.unchanged ? "Unchanged, still " : "Saved as ") + options.save + "@" + built.saved.version);
+    }
+    return built;
+  }
+
+  /**
+   * Start a systematic review from a protocol (JSON file path or object):
+   * search every query over the date range, deduplicate, screen titles and
+   * abstracts, and draw the PRISMA flow. Screening decisions can then be
+   * overridden (systematicReviews.override) before writeSystematicReview();
+   * options.write writes the review straight away.
+   */
+  async systematicReview(protocol, options) {
+    options = options || {};
+    protocol = SystematicReviewStore.loadProtocol(protocol);
+    var runId = this.audit.start({ command: "systematic-review", query: protocol.queries.join("; "), options: auditedOptions(options) });
+
+    try {
+      var review = this.systematicReviews.create(protocol, ReviewStore.currentIdentity(options.reviewer));
+      log.info("\nSystematic review " + review.id + ": " + review.title);
+
+      log.info("[1/3] Searching PubMed (" + protocol.queries.length + " " + (protocol.queries.length === 1 ? "query" : "queries") + ")...");
+      this.systematicReviews.addRecords(review, await SystematicReviewStore.identify(this.pubmed, protocol));
+      this.systematicReviews.save(review);
+      var counts = SystematicReviewStore.stageCounts(review);
+      log.info("Identified " + counts.identified + " records; " + counts.duplicates + " duplicates and " +
+        counts.removed + " retracted publications removed");
+      if (counts.screened === 0) throw new Error("No records to screen for this protocol");
+
+      log.info("[2/3] Screening " + counts.screened + " titles and abstracts...");
+      await SystematicReviewStore.screen(this.venice, review);
+      this.systematicReviews.save(review);
+
+      var flow = this.systematicReviews.writeFlow(review);
+      counts = flow.counts;
+      log.info("[3/3] Screening complete: " + counts.included + " included, " + counts.excluded + " excluded" +
+        (counts.pending > 0 ? ", " + counts.pending + " awaiting a decision" : ""));
+      log.info("PRISMA flow: " + flow.svg);
+      this.audit.end("success", { systematicReview: review.id, counts: counts });
+    } catch (error) {
+      log.error("Error:", error.message);
+      this.audit.end("error", { error: error.message });
+      return { success: false, error: error.message };
+    }
+
+    if (options.write) return this.writeSystematicReview(review.id, options);
+    return { success: true, id: review.id, counts: counts, flowPath: flow.svg, auditRun: runId };
+  }
+
+  /**
+   * Write the systematic review from its included studies only. Records still
+   * awaiting a decision are screened again first; any left pending stop the run.
+   * options: format, citationMode, review (register for MLR review, default true)
+   */
+  async writeSystematicReview(id, options) {
+    options = options || {};
+    var review = this.systematicReviews.load(id);
+    var runId = this.audit.start({ command: "systematic-review", query: review.title, options: auditedOptions(options) });
+
+    try {
+      var counts = SystematicReviewStore.stageCounts(review);
+      if (counts.pending > 0) {
+        log.info("Screening " + counts.pending + " records awaiting a decision...");
+        await SystematicReviewStore.screen(this.venice, review);
+        this.systematicReviews.save(review);
+        counts = SystematicReviewStore.stageCounts(review);
+      }
+      if (counts.pending > 0) {
+        throw new Error(counts.pending + " records still await a screening decision (write again to retry, or override them)");
+      }
+      // Graded and ordered by evidence level, as the synthesis prompts expect
+      var included = gradeArticles(SystematicReviewStore.includedStudies(review));
+      if (included.length === 0) throw new Error("No studies were included at screening");
+
+      var flow = this.systematicReviews.writeFlow(review);
+      log.info("Writing systematic review of " + included.length + " included studies...");
+      var paper = await writePaper(this.venice, review.protocol.question || review.title, included,
+        SystematicReviewStore.searchFacts(review), {
+          citationMode: options.citationMode,
+          studySelection: SystematicReviewStore.prismaMarkdown(flow.counts)
+        });
+      var outputPath = await this.output.generateSystematicReview(review, paper.references, paper, {
+        counts: flow.counts,
+        svg: SystematicReviewStore.prismaSvg(flow.counts)
+      }, { format: options.format });
+      log.info("Output saved to: " + outputPath);
+
+      // The person who screened and wrote the review is its author for MLR sign-off
+      var author = ReviewStore.currentIdentity(options.reviewer);
+      var now = new Date().toISOString();
+      review.outputs.push({ path: outputPath, at: now, included: included.length });
+      review.history.push({ at: now, action: "write", by: author, comment: outputPath });
+      this.systematicReviews.save(review);
+
+      var reviewItem = null;
+      if (options.review !== false && fs.existsSync(outputPath)) {
+        reviewItem = this.reviews.create(outputPath, {
+          title: review.title,
+          kind: "systematic-review",
+          source: { type: "systematic-review", id: review.id }
+        }, author);
+        reviewItem = this.reviews.submit(reviewItem.id, author);
+        log.info("Submitted for MLR review: " + reviewItem.id + " (requires " + reviewItem.requiredRoles.join(", ") + ")");
+      }
+
+      this.audit.end("success", { outputPath: outputPath, systematicReview: review.id, reviewItem: reviewItem ? reviewItem.id : null });
+      return {
+        success: true,
+        id: review.id,
+        counts: flow.counts,
+        articles: included,
+        citationReport: paper.citationReport,
+        outputPath: outputPath,
+        flowPath: flow.svg,
+        reviewItem: reviewItem,
+        auditRun: runId
+      };
+    } catch (error) {
+      log.error("Error:", error.message);
+      this.audit.end("error", { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Quick search - just PubMed (options.onArticles streams each fetched batch)
+   */
+  async quickSearch(query, maxResults, options) {
+    this.audit.start({ command: "search", query: query });
+    try {
+      var results = await this.pubmed.searchFull(query, maxResults || 10, options);
+      this.audit.end("success");
+      return results;
+    } catch (error) {
+      this.audit.end("error", { error: error.message });
+      throw error;
+    }
   }
 
   /**
    * Get abstract
    */
   async getAbstract(pmid) {
-    return this.pubmed.getAbstract(pmid);
+    this.audit.start({ command: "abstract", query: String(pmid) });
+    var result = await this.pubmed.getAbstract(pmid);
+    this.audit.end(result.error ? "error" : "success");
+    return result;
   }
 
   /**
@@ -165,7 +561,7 @@ class MAResearchAgent {
           console.log("");
         } else {
           // Treat as research query
-          console.log("\nRunning research...");
+          log.info("\nRunning research...");
           await self.research(input, "summary", { maxResults: 10 });
         }
 
@@ -182,32 +578,34 @@ module.exports = MAResearchAgent;
 
 // CLI if run directly
 if (require.main === module) {
-  var args = process.argv.slice(2);
-  
-  if (args.length === 0) {
-    // Interactive mode
-    var agent = new MAResearchAgent();
-    agent.interactive();
-  } else {
-    // Command line mode
-    var query = args.join(" ");
-    var taskType = "summary";
-    var options = {};
-    
-    // Parse options
-    if (args.includes("--paper")) {
-      taskType = "paper";
-    } else if (args.includes("--slides")) {
-      taskType = "slides";
-    } else if (args.includes("--abstract")) {
-      taskType = "abstract";
-    } else if (args.includes("--kol")) {
-      taskType = "kol-briefing";
-    } else if (args.includes("--competitive")) {
-      taskType = "competitive";
-    }
+  const { Program } = require("./cli-framework");
+  const { GLOBAL_OPTIONS, RESEARCH_OPTIONS, agentOptionsFrom, researchOptionsFrom } = require("./cli-options");
 
-    var agent = new MAResearchAgent();
-    agent.research(query, taskType, options);
-  }
-}
\ No newline at end of file
+  var TASK_FLAGS = {
+    paper: "paper", slides: "slides", abstract: "abstract", evidence: "evidence-table", kol: "kol-briefing", competitive: "competitive"
+  };
+
+  var program = new Program({ name: "agent.js", options: GLOBAL_OPTIONS, defaultCommand: "research" });
+  program.command("research", {
+    description: "Run the research workflow for a query, or start interactive mode when no query is given",
+    args: [{ name: "query", variadic: true, description: "Research topic / PubMed query" }],
+    options: Object.keys(TASK_FLAGS).map(function(flag) {
+      return { name: flag, type: "boolean", description: "Task: " + TASK_FLAGS[flag] };
+    }).concat(RESEARCH_OPTIONS),
+    examples: ["\"semaglutide cardiovascular outcomes\" --kol --recent 3"],
+    run: async function(ctx) {
+      var agent = new MAResearchAgent(agentOptionsFrom(ctx.options));
+      if (!ctx.args.query && !ctx.options.savedQuery) {
+        return agent.interactive();
+      }
+      var taskType = "summary";
+      Object.keys(TASK_FLAGS).forEach(function(flag) {
+        if (ctx.options[flag]) taskType = TASK_FLAGS[flag];
+      });
+      var result = await agent.research(ctx.args.query, taskType, researchOptionsFrom(ctx.options, taskType));
+      if (!result.success) throw new Error(result.error);
+      return result;
+    }
+  });
+  program.main();
+}
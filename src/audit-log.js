@@ -0,0 +1,317 @@
+/**
+ * Audit Log - append-only, hash-chained record of every run
+ *
+ * Each run writes <dir>/<run-id>.jsonl, one event per line:
+ *   { seq, runId, ts, operator, type, data, prevHash, hash }
+ * where hash = sha256(prevHash + canonical JSON of the event without its hash).
+ * Editing, removing or reordering a line breaks the chain, which verify()
+ * reports. A run that ends cleanly is closed with a run.end event and made
+ * read-only; a log without run.end was interrupted or truncated.
+ *
+ * Event types: run.start, run.end, pubmed.search, pubmed.fetch, llm.call, file.write
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+const { canonicalJson } = require("./response-cache");
+
+var GENESIS = "0".repeat(64);
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * Hash of the event as written to disk: values JSON cannot hold (functions,
+ * undefined, Dates) are normalized the way JSON.stringify writes them
+ */
+function hashEvent(event) {
+  var body = Object.assign({}, event);
+  delete body.hash;
+  return sha256(event.prevHash + canonicalJson(JSON.parse(JSON.stringify(body))));
+}
+
+/**
+ * Operator identity: explicit name, MA_OPERATOR, or the OS user
+ */
+function operatorName(name) {
+  if (name) return name;
+  if (process.env.MA_OPERATOR) return process.env.MA_OPERATOR;
+  try {
+    return os.userInfo().username;
+  } catch (e) {
+    return "unknown";
+  }
+}
+
+class AuditLog {
+  /**
+   * options:
+   *   dir      - log directory (default MA_AUDIT_DIR or ./audit)
+   *   operator - person running the tool (default MA_OPERATOR or the OS user)
+   *   enabled  - false turns every call into a no-op
+   */
+  constructor(options) {
+    options = options || {};
+    this.dir = options.dir || process.env.MA_AUDIT_DIR || "./audit";
+    this.operator = operatorName(options.operator);
+    this.enabled = options.enabled !== false;
+    this.runId = null;
+    this.file = null;
+    this.seq = 0;
+    this.lastHash = GENESIS;
+  }
+
+  /**
+   * Open a new run log; data describes the run (command, query, options, ...)
+   */
+  start(data) {
+    if (!this.enabled) return null;
+    if (this.runId) this.end("superseded");
+    this.runId = "run-" + new Date().toISOString().replace(/[-:]/g, "").replace(/\..*$/, "") + "-" +
+      crypto.randomBytes(3).toString("hex");
+    this.file = path.join(this.dir, this.runId + ".jsonl");
+    this.seq = 0;
+    this.lastHash = GENESIS;
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.record("run.start", Object.assign({
+      host: os.hostname(),
+      node: process.version,
+      pid: process.pid
+    }, data));
+    return this.runId;
+  }
+
+  /**
+   * Append an event to the current run (a run is opened on first use)
+   */
+  record(type, data) {
+    if (!this.enabled) return null;
+    if (!this.runId) this.start({ command: "session" });
+
+    var event = {
+      seq: ++this.seq,
+      runId: this.runId,
+      ts: new Date().toISOString(),
+      operator: this.operator,
+      type: type,
+      data: data || {},
+      prevHash: this.lastHash
+    };
+    event.hash = hashEvent(event);
+    fs.appendFileSync(this.file, JSON.stringify(event) + "\n", { encoding: "utf8", flag: "a" });
+    this.lastHash = event.hash;
+    return event;
+  }
+
+  /**
+   * Record a file written to disk with its size and checksum
+   */
+  recordFile(filepath, meta) {
+    if (!this.enabled) return null;
+    var content = fs.readFileSync(filepath);
+    return this.record("file.write", Object.assign({
+      path: path.resolve(filepath),
+      bytes: content.length,
+      sha256: crypto.createHash("sha256").update(content).digest("hex")
+    }, meta));
+  }
+
+  /**
+   * Close the current run and make its log read-only
+   */
+  end(status, data) {
+    if (!this.enabled || !this.runId) return null;
+    var event = this.record("run.end", Object.assign({ status: status || "success" }, data));
+    try {
+      fs.chmodSync(this.file, 0o444);
+    } catch (e) {
+      // read-only is best effort (e.g. unsupported filesystem)
+    }
+    this.runId = null;
+    this.file = null;
+    return event;
+  }
+
+  /**
+   * Run ids in a log directory, oldest first
+   */
+  static list(dir) {
+    dir = dir || process.env.MA_AUDIT_DIR || "./audit";
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter(function(name) {
+      return /^run-.*\.jsonl$/.test(name);
+    }).map(function(name) {
+      return name.replace(/\.jsonl$/, "");
+    }).sort();
+  }
+
+  /**
+   * Parsed events of a run; unparseable lines are returned as { invalid, line }
+   */
+  static read(dir, runId) {
+    dir = dir || process.env.MA_AUDIT_DIR || "./audit";
+    var file = path.join(dir, runId + ".jsonl");
+    if (!fs.existsSync(file)) {
+      var error = new Error("Audit run not found: " + runId);
+      error.code = "NOT_FOUND";
+      throw error;
+    }
+    return fs.readFileSync(file, "utf8").split("\n").filter(Boolean).map(function(line, i) {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return { invalid: true, line: i + 1 };
+      }
+    });
+  }
+
+  /**
+   * Check the hash chain of a run.
+   * Returns { valid, complete, events, errors: [{ seq, line, reason }] }
+   */
+  static verify(dir, runId) {
+    var events = AuditLog.read(dir, runId);
+    var errors = [];
+    var prevHash = GENESIS;
+
+    events.forEach(function(event, i) {
+      var line = i + 1;
+      if (event.invalid) {
+        errors.push({ seq: null, line: line, reason: "unparseable line" });
+        return;
+      }
+      if (event.seq !== line) errors.push({ seq: event.seq, line: line, reason: "sequence gap (expected " + line + ")" });
+      if (event.runId !== runId) errors.push({ seq: event.seq, line: line, reason: "belongs to run " + event.runId });
+      if (event.prevHash !== prevHash) errors.push({ seq: event.seq, line: line, reason: "chain broken (prevHash mismatch)" });
+      if (hashEvent(event) !== event.hash) errors.push({ seq: event.seq, line: line, reason: "content modified (hash mismatch)" });
+      prevHash = event.hash;
+    });
+
+    var last = events[events.length - 1];
+    return {
+      runId: runId,
+      valid: errors.length === 0,
+      complete: !!last && last.type === "run.end",
+      events: events.length,
+      errors: errors
+    };
+  }
+
+  /**
+   * Summary of a run for listings and exports
+   */
+  static summarize(events) {
+    var start = events[0] || {};
+    var end = events[events.length - 1] || {};
+    var counts = {};
+    var pmids = {};
+    var files = [];
+    var models = {};
+    events.forEach(function(e) {
+      if (e.invalid) return;
+      counts[e.type] = (counts[e.type] || 0) + 1;
+      if (e.type === "pubmed.search" || e.type === "pubmed.fetch") {
+        (e.data.pmids || []).forEach(function(p) { pmids[p] = true; });
+      }
+      if (e.type === "llm.call") models[e.data.provider + "/" + e.data.model] = true;
+      if (e.type === "file.write") files.push({ path: e.data.path, sha256: e.data.sha256 });
+    });
+    return {
+      runId: start.runId,
+      operator: start.operator,
+      command: start.data ? start.data.command : undefined,
+      query: start.data ? start.data.query : undefined,
+      startedAt: start.ts,
+      endedAt: end.type === "run.end" ? end.ts : null,
+      status: end.type === "run.end" ? end.data.status : "incomplete",
+      counts: counts,
+      pmids: Object.keys(pmids),
+      models: Object.keys(models),
+      files: files
+    };
+  }
+
+  /**
+   * Compliance export of a run: "json" (events + verification + summary) or
+   * "md" (human-readable report). Returns the written path.
+   */
+  static exportRun(dir, runId, outPath, format) {
+    format = format || (/\.md$/.test(outPath || "") ? "md" : "json");
+    var events = AuditLog.read(dir, runId);
+    var verification = AuditLog.verify(dir, runId);
+    var summary = AuditLog.summarize(events);
+    outPath = outPath || path.join(dir || process.env.MA_AUDIT_DIR || "./audit", "exports", runId + "." + format);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+
+    var content;
+    if (format === "json") {
+      content = JSON.stringify({
+        exportedAt: new Date().toISOString(),
+        exportedBy: operatorName(),
+        summary: summary,
+        verification: verification,
+        events: events
+      }, null, 2);
+    } else if (format === "md") {
+      content = AuditLog.renderMarkdown(events, summary, verification);
+    } else {
+      throw new Error("Unknown audit export format: " + format + " (expected json or md)");
+    }
+    fs.writeFileSync(outPath, content, "utf8");
+    return outPath;
+  }
+
+  static renderMarkdown(events, summary, verification) {
+    var content = "# Audit Report: " + summary.runId + "\n\n";
+    content += "- **Operator:** " + summary.operator + "\n";
+    content += "- **Command:** " + summary.command + (summary.query ? " \"" + summary.query + "\"" : "") + "\n";
+    content += "- **Started:** " + summary.startedAt + "\n";
+    content += "- **Ended:** " + (summary.endedAt || "not recorded") + " (" + summary.status + ")\n";
+    content += "- **Integrity:** " + (verification.valid ? "hash chain intact" : "CHAIN BROKEN") +
+      ", " + verification.events + " events" + (verification.complete ? "" : ", log incomplete") + "\n";
+    content += "- **Models:** " + (summary.models.join(", ") || "none") + "\n";
+    content += "- **Sources (PMIDs):** " + (summary.pmids.join(", ") || "none") + "\n\n";
+
+    if (!verification.valid) {
+      content += "## Integrity Errors\n\n";
+      verification.errors.forEach(function(err) {
+        content += "- Line " + err.line + ": " + err.reason + "\n";
+      });
+      content += "\n";
+    }
+
+    if (summary.files.length > 0) {
+      content += "## Files Written\n\n| File | SHA-256 |\n|------|---------|\n";
+      summary.files.forEach(function(f) {
+        content += "| " + f.path + " | `" + f.sha256 + "` |\n";
+      });
+      content += "\n";
+    }
+
+    content += "## Events\n\n";
+    events.forEach(function(e) {
+      if (e.invalid) {
+        content += "### Line " + e.line + ": unparseable\n\n";
+        return;
+      }
+      content += "### " + e.seq + ". " + e.type + " (" + e.ts + ")\n\n";
+      if (e.type === "llm.call") {
+        content += "- Model: " + e.data.provider + "/" + e.data.model + ", temperature " + e.data.temperature +
+          ", latency " + e.data.latencyMs + " ms" + (e.data.cached ? " (cached)" : "") + "\n\n";
+        content += "**Prompt:**\n\n```\n" + e.data.prompt + "\n```\n\n";
+        content += "**Response:**\n\n```\n" + e.data.response + "\n```\n\n";
+      } else {
+        content += "```json\n" + JSON.stringify(e.data, null, 2) + "\n```\n\n";
+      }
+      content += "Hash: `" + e.hash + "`\n\n";
+    });
+    return content;
+  }
+}
+
+AuditLog.GENESIS = GENESIS;
+
+module.exports = AuditLog;
@@ -0,0 +1,183 @@
+/**
+ * Citation Grounding - verifies that generated text cites only retrieved articles
+ *
+ * Generated text must cite sources inline as [PMID:x]. groundText() parses the
+ * citations, flags or strips PMIDs that are not in the input article set, marks
+ * claim sentences without any citation, and returns a citation-coverage report.
+ */
+
+var CITATION_INSTRUCTIONS = "CITATION RULES: Support every factual statement with an inline citation in the form " +
+  "[PMID:12345678] (several sources as [PMID:1][PMID:2]). Cite only PMIDs that appear in the articles provided above. " +
+  "Do not invent PMIDs and do not cite sources from memory.";
+
+var UNCITED_MARK = "[citation needed]";
+
+/**
+ * Rewrite loose citation styles - "(PMID: 123)", "PMID 123", "[PMID:1, 2]" -
+ * into canonical [PMID:x] tags
+ */
+function normalizeCitations(text) {
+  return text
+    .replace(/\[\s*PMIDs?\s*:?\s*(\d+(?:\s*[,;]\s*(?:PMID\s*:?\s*)?\d+)*)\s*\]/gi, function(match, list) {
+      return list.split(/\s*[,;]\s*/).map(function(id) {
+        return "[PMID:" + id.replace(/\D/g, "") + "]";
+      }).join("");
+    })
+    .replace(/\(\s*PMIDs?\s*:?\s*(\d+(?:\s*[,;]\s*(?:PMID\s*:?\s*)?\d+)*)\s*\)/gi, function(match, list) {
+      return list.split(/\s*[,;]\s*/).map(function(id) {
+        return "[PMID:" + id.replace(/\D/g, "") + "]";
+      }).join("");
+    })
+    .replace(/(^|[^\[\w])PMID\s*:?\s*(\d{5,9})\b/g, "$1[PMID:$2]");
+}
+
+/**
+ * All PMIDs cited in the text, in order of first appearance
+ */
+function parseCitations(text) {
+  var seen = {};
+  var pmids = [];
+  var re = /\[PMID:(\d+)\]/g;
+  var match;
+  while ((match = re.exec(text)) !== null) {
+    if (!seen[match[1]]) {
+      seen[match[1]] = true;
+      pmids.push(match[1]);
+    }
+  }
+  return pmids;
+}
+
+/**
+ * Headings, list labels and short fragments are structure, not claims
+ */
+function isClaim(sentence) {
+  var plain = sentence.replace(/\[PMID:\d+\]/g, "").replace(/[*_`>#]/g, "").trim();
+  if (plain.length < 40) return false;
+  if (/:$/.test(plain)) return false;
+  return /[a-z]/i.test(plain);
+}
+
+/**
+ * Split a line into sentences, keeping trailing citation tags with their sentence
+ */
+function splitSentences(line) {
+  var sentences = [];
+  var re = /[.!?]+(?=\s|$)(?:\s*\[PMID:\d+\])*/g;
+  var start = 0;
+  var match;
+  while ((match = re.exec(line)) !== null) {
+    var end = match.index + match[0].length;
+    sentences.push(line.substring(start, end));
+    start = end;
+  }
+  if (start < line.length) sentences.push(line.substring(start));
+  return sentences;
+}
+
+/**
+ * Verify citations in generated text against the retrieved articles.
+ *
+ * options:
+ *   mode       - "flag" (default) marks unknown PMIDs, "strip" removes them
+ *   markUncited - append [citation needed] to uncited claim sentences (default true)
+ *
+ * Returns { text, report }
+ */
+function groundText(text, articles, options) {
+  options = options || {};
+  var mode = options.mode || "flag";
+  var markUncited = options.markUncited !== false;
+
+  var known = {};
+  articles.forEach(function(a) { known[String(a.pmid)] = true; });
+
+  var invalid = {};
+  var normalized = normalizeCitations(text || "").replace(/\[PMID:(\d+)\]/g, function(match, pmid) {
+    if (known[pmid]) return match;
+    invalid[pmid] = (invalid[pmid] || 0) + 1;
+    return mode === "strip" ? "" : "[UNVERIFIED PMID:" + pmid + "]";
+  });
+
+  var claimCount = 0;
+  var citedCount = 0;
+  var uncited = [];
+  var inCode = false;
+
+  var lines = normalized.split("\n").map(function(line) {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    if (inCode || /^\s*(#|\|)/.test(line)) return line;
+
+    return splitSentences(line).map(function(sentence) {
+      if (!isClaim(sentence)) return sentence;
+      claimCount++;
+      if (/\[PMID:\d+\]/.test(sentence)) {
+        citedCount++;
+        return sentence;
+      }
+      uncited.push(sentence.trim());
+      if (!markUncited) return sentence;
+      var trimmed = sentence.replace(/\s+$/, "");
+      var trailing = sentence.substring(trimmed.length);
+      var end = trimmed.match(/[.!?]+$/);
+      return end
+        ? trimmed.substring(0, trimmed.length - end[0].length) + " " + UNCITED_MARK + end[0] + trailing
+        : trimmed + " " + UNCITED_MARK + trailing;
+    }).join("");
+  });
+
+  var output = lines.join("\n");
+  if (mode === "strip") output = output.replace(/ {2,}/g, " ").replace(/ +([.,;])/g, "$1");
+
+  var cited = parseCitations(output);
+  var unused = articles.map(function(a) { return String(a.pmid); }).filter(function(pmid) {
+    return cited.indexOf(pmid) === -1;
+  });
+
+  return {
+    text: output,
+    report: {
+      mode: mode,
+      claimSentences: claimCount,
+      citedSentences: citedCount,
+      coverage: claimCount > 0 ? citedCount / claimCount : 1,
+      citedPmids: cited,
+      invalidPmids: Object.keys(invalid).map(function(pmid) {
+        return { pmid: pmid, occurrences: invalid[pmid] };
+      }),
+      uncitedSentences: uncited,
+      unusedPmids: unused
+    }
+  };
+}
+
+/**
+ * Markdown rendering of a grounding report for reports and drafts
+ */
+function formatReport(report) {
+  var content = "## Citation Verification\n\n";
+  content += "- **Citation coverage:** " + Math.round(report.coverage * 100) + "% (" +
+    report.citedSentences + " of " + report.claimSentences + " claim sentences cited)\n";
+  content += "- **Sources cited:** " + report.citedPmids.length +
+    (report.citedPmids.length > 0 ? " (" + report.citedPmids.join(", ") + ")" : "") + "\n";
+  content += "- **Unverified PMIDs " + (report.mode === "strip" ? "removed" : "flagged") + ":** " +
+    (report.invalidPmids.length > 0 ? report.invalidPmids.map(function(i) { return i.pmid; }).join(", ") : "none") + "\n";
+
+  if (report.uncitedSentences.length > 0) {
+    content += "\n**Uncited statements (require source verification):**\n\n";
+    report.uncitedSentences.forEach(function(sentence) {
+      content += "- " + sentence + "\n";
+    });
+  }
+  return content + "\n";
+}
+
+module.exports = {
+  CITATION_INSTRUCTIONS: CITATION_INSTRUCTIONS,
+  UNCITED_MARK: UNCITED_MARK,
+  normalizeCitations: normalizeCitations,
+  parseCitations: parseCitations,
+  splitSentences: splitSentences,
+  groundText: groundText,
+  formatReport: formatReport
+};
@@ -0,0 +1,264 @@
+/**
+ * Citation Styles - formats article records (from pubmed-xml.js) as reference
+ * list entries and exports them for reference managers
+ *
+ *   vancouver - ICMJE: up to 6 authors, then "et al."; abbreviated journal
+ *   ama       - AMA 11th ed.: up to 6 authors, else first 3 + "et al"; italic journal
+ *   apa       - APA 7th ed.: up to 20 authors ("..." + last author beyond that);
+ *               full journal name, italic journal and volume, DOI as URL
+ *   nlm       - NLM / Citing Medicine as shown by PubMed: all authors, full date,
+ *               PMID and PMCID
+ *
+ * Every style carries "PMID: x" (NLM natively) so entries stay traceable to
+ * the [PMID:x] citations in the text. toBibTeX() and toRIS() produce files that
+ * import into EndNote, Zotero and Mendeley.
+ */
+
+var STYLES = ["vancouver", "ama", "apa", "nlm"];
+var DEFAULT_STYLE = "vancouver";
+
+var MONTH_ABBREVS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * Structured authors: authorDetails when parsed from XML, otherwise split
+ * "Smith JA" display names into last name + initials
+ */
+function authorList(article) {
+  if (article.authorDetails && article.authorDetails.length > 0) {
+    return article.authorDetails.map(function(a) {
+      if (a.collectiveName) return { collective: a.collectiveName };
+      return { lastName: a.lastName, initials: a.initials || "", foreName: a.foreName || "" };
+    });
+  }
+  return (article.authors || []).filter(Boolean).map(function(name) {
+    var match = /^(.*\S)\s+([A-Z]{1,4})$/.exec(String(name).trim());
+    return match ? { lastName: match[1], initials: match[2], foreName: "" } : { collective: String(name).trim() };
+  });
+}
+
+function year(article) {
+  if (article.pubYear) return String(article.pubYear);
+  var match = /\d{4}/.exec(article.pubDate || "");
+  return match ? match[0] : "";
+}
+
+/**
+ * "2024 Mar 5" (NLM) from the parsed publication date
+ */
+function fullDate(article) {
+  var date = article.publicationDate;
+  if (!date || !date.year) return year(article);
+  return [String(date.year), date.month ? MONTH_ABBREVS[date.month - 1] : "", date.month && date.day ? String(date.day) : ""]
+    .filter(Boolean).join(" ");
+}
+
+/**
+ * Expand abbreviated MEDLINE page ranges: "1234-9" -> "1234-1239"
+ */
+function expandPages(pages) {
+  var match = /^(\d+)-(\d+)$/.exec(pages || "");
+  if (!match || match[2].length >= match[1].length) return pages || "";
+  return match[1] + "-" + match[1].substring(0, match[1].length - match[2].length) + match[2];
+}
+
+function sentence(text) {
+  text = String(text || "").trim();
+  if (!text) return "";
+  return /[.?!]$/.test(text) ? text : text + ".";
+}
+
+function title(article) {
+  return sentence((article.title || "Untitled").replace(/^\[(.*)\]\.?$/, "$1"));
+}
+
+/**
+ * "Smith J, Lee K, Wong T, et al." with the style's truncation rule
+ */
+function medicalAuthors(authors, max, keep) {
+  var names = authors.map(function(a) { return a.collective || (a.lastName + (a.initials ? " " + a.initials : "")); });
+  if (names.length === 0) return "";
+  if (max && names.length > max) return names.slice(0, keep).join(", ") + ", et al";
+  return names.join(", ");
+}
+
+/**
+ * volume(issue):pages
+ */
+function volumeIssuePages(article, pages) {
+  var text = article.volume || "";
+  if (article.issue) text += "(" + article.issue + ")";
+  if (pages) text += ":" + pages;
+  return text;
+}
+
+/**
+ * NLM title abbreviation ("N Engl J Med"), as Vancouver, AMA and NLM use it;
+ * an ISO abbreviation ("N. Engl. J. Med.") loses its periods
+ */
+function nlmJournal(article) {
+  if (article.journalAbbrev) return article.journalAbbrev.replace(/\./g, "");
+  return article.journal || "";
+}
+
+function vancouver(article) {
+  var authors = medicalAuthors(authorList(article), 6, 6);
+  var journal = nlmJournal(article);
+  var locator = volumeIssuePages(article, article.pages);
+  var text = (authors ? authors + ". " : "") + title(article) + " " + (journal ? journal + ". " : "") +
+    year(article) + (locator ? ";" + locator : "") + ".";
+  return text;
+}
+
+function ama(article) {
+  var authors = medicalAuthors(authorList(article), 6, 3);
+  var journal = nlmJournal(article);
+  var locator = volumeIssuePages(article, expandPages(article.pages));
+  var text = (authors ? authors + ". " : "") + title(article) + " " + (journal ? "*" + journal + "*. " : "") +
+    year(article) + (locator ? ";" + locator : "") + ".";
+  return text;
+}
+
+function nlm(article) {
+  var authors = medicalAuthors(authorList(article));
+  var journal = nlmJournal(article);
+  var locator = volumeIssuePages(article, article.pages);
+  var text = (authors ? authors + ". " : "") + title(article) + " " + (journal ? journal + ". " : "") +
+    fullDate(article) + (locator ? ";" + locator : "") + ".";
+  return text;
+}
+
+function apaAuthor(a) {
+  if (a.collective) return a.collective;
+  var initials = a.initials ? a.initials.split("").map(function(c) { return c + "."; }).join(" ") : "";
+  return a.lastName + (initials ? ", " + initials : "");
+}
+
+function apa(article) {
+  var names = authorList(article).map(apaAuthor);
+  var authors;
+  if (names.length === 0) authors = "";
+  else if (names.length === 1) authors = names[0];
+  else if (names.length <= 20) authors = names.slice(0, -1).join(", ") + ", & " + names[names.length - 1];
+  else authors = names.slice(0, 19).join(", ") + ", . . . " + names[names.length - 1];
+
+  var text = (authors ? authors.replace(/\.?$/, ".") + " " : "") + "(" + (year(article) || "n.d.") + "). " + title(article);
+  var journal = article.journal || article.journalAbbrev || "";
+  if (journal) {
+    text += " *" + journal.replace(/\.$/, "") + "*";
+    if (article.volume) text += ", *" + article.volume + "*" + (article.issue ? "(" + article.issue + ")" : "");
+    if (article.pages) text += ", " + expandPages(article.pages).replace("-", "–");
+    text += ".";
+  }
+  return text;
+}
+
+var FORMATTERS = { vancouver: vancouver, ama: ama, apa: apa, nlm: nlm };
+
+function checkStyle(style) {
+  style = (style || DEFAULT_STYLE).toLowerCase();
+  if (!FORMATTERS[style]) {
+    var error = new Error("Unknown citation style: " + style + " (expected one of " + STYLES.join(", ") + ")");
+    error.code = "UNKNOWN_CITATION_STYLE";
+    throw error;
+  }
+  return style;
+}
+
+/**
+ * One reference list entry in the given style (default Vancouver). The DOI
+ * goes last in AMA and APA (no trailing period), before the PMID otherwise.
+ */
+function formatCitation(article, style) {
+  style = checkStyle(style);
+  var text = FORMATTERS[style](article);
+  var pmid = article.pmid ? " PMID: " + article.pmid + "." : "";
+  if (style === "ama") return text + pmid + (article.doi ? " doi:" + article.doi : "");
+  if (style === "apa") return text + pmid + (article.doi ? " https://doi.org/" + article.doi : "");
+  text += (article.doi ? " doi: " + article.doi + "." : "") + pmid;
+  if (style === "nlm" && article.pmcId) text += " PMCID: " + article.pmcId + ".";
+  return text;
+}
+
+/**
+ * BibTeX-escape a field value
+ */
+function bibEscape(text) {
+  var special = { "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" };
+  return String(text).replace(/[\\~^&%$#_{}]/g, function(c) {
+    return special[c] || "\\" + c;
+  });
+}
+
+/**
+ * @article entries keyed PMID<id> (unique within a PubMed result set)
+ */
+function toBibTeX(articles) {
+  return articles.map(function(article, i) {
+    var authors = authorList(article).map(function(a) {
+      return a.collective ? "{" + bibEscape(a.collective) + "}" : bibEscape(a.lastName + ", " + (a.foreName || a.initials));
+    });
+    var fields = [
+      ["author", authors.join(" and ")],
+      ["title", article.title ? "{" + bibEscape(article.title.replace(/\.$/, "")) + "}" : ""],
+      ["journal", bibEscape(article.journal || article.journalAbbrev || "")],
+      ["year", year(article)],
+      ["month", article.publicationDate && article.publicationDate.month ? MONTH_ABBREVS[article.publicationDate.month - 1].toLowerCase() : ""],
+      ["volume", bibEscape(article.volume || "")],
+      ["number", bibEscape(article.issue || "")],
+      ["pages", expandPages(article.pages).replace("-", "--")],
+      ["doi", bibEscape(article.doi || "")],
+      ["pmid", article.pmid || ""],
+      ["url", article.pmid ? "https://pubmed.ncbi.nlm.nih.gov/" + article.pmid + "/" : ""]
+    ].filter(function(field) { return field[1]; });
+    var key = article.pmid ? "PMID" + article.pmid : "ref" + (i + 1);
+    return "@article{" + key + ",\n" + fields.map(function(field) {
+      // month uses the predefined BibTeX macros (jan, feb, ...), everything else is braced
+      return "  " + field[0] + " = " + (field[0] === "month" ? field[1] : "{" + field[1] + "}");
+    }).join(",\n") + "\n}\n";
+  }).join("\n");
+}
+
+/**
+ * RIS records (CRLF line endings, as the format specifies)
+ */
+function toRIS(articles) {
+  return articles.map(function(article) {
+    var lines = [["TY", "JOUR"]];
+    authorList(article).forEach(function(a) {
+      lines.push(["AU", a.collective || a.lastName + ", " + (a.foreName || a.initials)]);
+    });
+    lines.push(["TI", (article.title || "").replace(/\.$/, "")]);
+    lines.push(["T2", article.journal]);
+    lines.push(["J2", article.journalAbbrev]);
+    lines.push(["PY", year(article)]);
+    var date = article.publicationDate;
+    if (date && date.year) {
+      lines.push(["DA", date.year + "/" + (date.month ? ("0" + date.month).slice(-2) : "") + "/" +
+        (date.month && date.day ? ("0" + date.day).slice(-2) : "") + "/"]);
+    }
+    lines.push(["VL", article.volume]);
+    lines.push(["IS", article.issue]);
+    var pages = expandPages(article.pages).split("-");
+    lines.push(["SP", pages[0]]);
+    lines.push(["EP", pages[1]]);
+    lines.push(["DO", article.doi]);
+    lines.push(["AN", article.pmid]);
+    if (article.pmid) lines.push(["UR", "https://pubmed.ncbi.nlm.nih.gov/" + article.pmid + "/"]);
+    lines.push(["AB", article.abstract ? article.abstract.replace(/\s*\n+\s*/g, " ") : ""]);
+    (article.keywords || []).forEach(function(k) { lines.push(["KW", k]); });
+    lines.push(["ER", ""]);
+    return lines.filter(function(line) { return line[0] === "ER" || line[1]; }).map(function(line) {
+      return line[0] + "  - " + line[1];
+    }).join("\r\n") + "\r\n";
+  }).join("\r\n");
+}
+
+module.exports = {
+  STYLES: STYLES,
+  DEFAULT_STYLE: DEFAULT_STYLE,
+  checkStyle: checkStyle,
+  formatCitation: formatCitation,
+  expandPages: expandPages,
+  toBibTeX: toBibTeX,
+  toRIS: toRIS
+};
@@ -0,0 +1,443 @@
+/**
+ * CLI Framework - declarative commands and typed options
+ *
+ * Shared by cli.js, agent.js and multi-agent.js. A Program declares commands
+ * (positional arguments, typed options, a run function and an optional human
+ * renderer); run() parses argv, validates it, prints per-command help and
+ * maps failures to exit codes:
+ *
+ *   0 success, 1 runtime error, 2 usage error, 3 check failed (compliance, audit)
+ *
+ * Option types: boolean, string, int, number, list (comma-separated), enum.
+ * Booleans marked negatable are listed as --no-name and stay undefined unless
+ * given, so a configuration default can apply.
+ * Syntax: --name value, --name=value, -a value, --no-name (booleans), and
+ * "--" to end option parsing.
+ *
+ * Output modes: results are rendered for humans on stdout, or printed as a
+ * JSON envelope with --json ({ ok, command, result | error, timing }) or as
+ * NDJSON with --ndjson (records the command streams through ctx.emit(), then
+ * a final "result"/"end"/"error" record). Progress goes to stderr via
+ * logger.js; --quiet silences it.
+ */
+
+const log = require("./logger");
+
+var EXIT = { OK: 0, ERROR: 1, USAGE: 2, CHECK_FAILED: 3 };
+
+function usageError(message) {
+  var error = new Error(message);
+  error.code = "USAGE";
+  error.exitCode = EXIT.USAGE;
+  return error;
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, function(m, c) { return c.toUpperCase(); });
+}
+
+function editDistance(a, b) {
+  var row = [];
+  for (var j = 0; j <= b.length; j++) row.push(j);
+  for (var i = 1; i <= a.length; i++) {
+    var prev = row[0];
+    row[0] = i;
+    for (j = 1; j <= b.length; j++) {
+      var current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+      prev = current;
+    }
+  }
+  return row[b.length];
+}
+
+/**
+ * Convert a raw string to the option's type, or throw a usage error
+ */
+function coerce(spec, raw, flag) {
+  if (spec.keywords && spec.keywords.indexOf(raw) !== -1) return raw;
+
+  if (spec.type === "int") {
+    if (!/^-?\d+$/.test(raw)) {
+      throw usageError(flag + " expects an integer" + (spec.keywords ? " or " + spec.keywords.join("/") : "") + " (got \"" + raw + "\")");
+    }
+    var value = parseInt(raw, 10);
+    if (spec.min !== undefined && value < spec.min) throw usageError(flag + " must be at least " + spec.min);
+    if (spec.max !== undefined && value > spec.max) throw usageError(flag + " must be at most " + spec.max);
+    return value;
+  }
+  if (spec.type === "number") {
+    var number = Number(raw);
+    if (raw === "" || isNaN(number)) throw usageError(flag + " expects a number (got \"" + raw + "\")");
+    return number;
+  }
+  if (spec.type === "list") {
+    var items = raw.split(",").map(function(s) { return s.trim(); }).filter(Boolean);
+    if (items.length === 0) throw usageError(flag + " expects a comma-separated list");
+    if (spec.choices) {
+      items.forEach(function(item) {
+        if (spec.choices.indexOf(item) === -1) throw usageError(flag + " values must be among " + spec.choices.join(", ") + " (got \"" + item + "\")");
+      });
+    }
+    return items;
+  }
+  if (spec.type === "enum" && spec.choices.indexOf(raw) === -1) {
+    throw usageError(flag + " must be one of " + spec.choices.join(", ") + " (got \"" + raw + "\")");
+  }
+  return raw;
+}
+
+function errorData(error) {
+  return { message: error.message, code: error.code || null, hint: error.hint || null };
+}
+
+class Program {
+  /**
+   * config: name (as shown in usage), description, options (global option
+   * specs), defaultCommand (used when argv does not start with a command name)
+   */
+  constructor(config) {
+    this.name = config.name;
+    this.description = config.description || "";
+    this.options = config.options || [];
+    this.defaultCommand = config.defaultCommand || null;
+    this.commands = {};
+    this.order = [];
+  }
+
+  /**
+   * Register a command.
+   * config: description, args ([{ name, required, variadic, description }]),
+   * options (option specs), run(ctx) -> result, render(result, ctx), examples, aliases
+   */
+  command(name, config) {
+    config.name = name;
+    config.args = config.args || [];
+    config.options = config.options || [];
+    this.commands[name] = config;
+    this.order.push(name);
+    var self = this;
+    (config.aliases || []).forEach(function(alias) { self.commands[alias] = config; });
+    return this;
+  }
+
+  optionSpecs(command) {
+    var specs = (command ? command.options : []).concat(this.options);
+    specs.push({ name: "json", type: "boolean", description: "Print the result as a JSON envelope on stdout" });
+    specs.push({ name: "ndjson", type: "boolean", description: "Print newline-delimited JSON records (streams search results)" });
+    specs.push({ name: "quiet", alias: "q", type: "boolean", description: "Suppress progress output on stderr" });
+    specs.push({ name: "help", alias: "h", type: "boolean", description: "Show help" });
+    return specs;
+  }
+
+  /**
+   * argv -> { command, args, options, help }
+   */
+  parse(argv) {
+    var tokens = argv.slice();
+    var command = null;
+    var help = false;
+
+    if (tokens[0] === "help") {
+      tokens.shift();
+      help = true;
+    }
+    if (tokens.length > 0 && this.commands[tokens[0]]) {
+      command = this.commands[tokens.shift()];
+    } else if (help && tokens.length > 0) {
+      throw usageError("Unknown command: " + tokens[0]);
+    } else if (this.defaultCommand) {
+      command = this.commands[this.defaultCommand];
+    } else if (!help && tokens.length > 0 && !/^-/.test(tokens[0])) {
+      throw usageError("Unknown command: " + tokens[0] + this.suggest(tokens[0], this.order));
+    }
+
+    try {
+      return this.parseTokens(command, tokens, help);
+    } catch (error) {
+      error.command = command;
+      throw error;
+    }
+  }
+
+  /**
+   * Options and positional arguments of one command
+   */
+  parseTokens(command, tokens, help) {
+    var specs = this.optionSpecs(command);
+    var byName = {};
+    var byAlias = {};
+    specs.forEach(function(spec) {
+      byName[spec.name] = spec;
+      if (spec.alias) byAlias[spec.alias] = spec;
+    });
+
+    var options = {};
+    var positionals = [];
+    for (var i = 0; i < tokens.length; i++) {
+      var token = tokens[i];
+      if (token === "--") {
+        positionals = positionals.concat(tokens.slice(i + 1));
+        break;
+      }
+      if (!/^--?[a-zA-Z]/.test(token)) {
+        positionals.push(token);
+        continue;
+      }
+
+      var flag = token;
+      var inline = null;
+      var eq = token.indexOf("=");
+      if (/^--/.test(token) && eq !== -1) {
+        flag = token.substring(0, eq);
+        inline = token.substring(eq + 1);
+      }
+
+      var spec = /^--/.test(flag) ? byName[flag.substring(2)] : byAlias[flag.substring(1)];
+      var negated = false;
+      if (!spec && /^--no-/.test(flag) && byName[flag.substring(5)] && byName[flag.substring(5)].type === "boolean") {
+        spec = byName[flag.substring(5)];
+        negated = true;
+      }
+      if (!spec) {
+        throw usageError("Unknown option " + flag + this.suggest(flag.replace(/^-+/, ""), Object.keys(byName), "--") +
+          (command ? " for " + command.name : ""));
+      }
+
+      if (spec.type === "boolean") {
+        if (inline !== null) throw usageError(flag + " does not take a value");
+        options[camelCase(spec.name)] = !negated;
+        continue;
+      }
+      var raw = inline;
+      if (raw === null) {
+        raw = tokens[i + 1];
+        if (raw === undefined || /^--?[a-zA-Z]/.test(raw)) {
+          throw usageError(flag + " requires a value" + (spec.placeholder ? " <" + spec.placeholder + ">" : ""));
+        }
+        i++;
+      }
+      options[camelCase(spec.name)] = coerce(spec, raw, flag);
+    }
+
+    if (options.help) help = true;
+    specs.forEach(function(spec) {
+      var key = camelCase(spec.name);
+      if (options[key] === undefined && spec.default !== undefined) options[key] = spec.default;
+    });
+
+    var args = {};
+    if (command && !help) {
+      command.args.forEach(function(arg) {
+        if (arg.variadic) {
+          var rest = positionals.splice(0);
+          args[camelCase(arg.name)] = rest.length > 0 ? rest.join(" ") : undefined;
+        } else {
+          args[camelCase(arg.name)] = positionals.shift();
+        }
+        if (arg.required && !args[camelCase(arg.name)]) {
+          throw usageError("Missing required argument <" + arg.name + "> for " + command.name);
+        }
+      });
+      if (positionals.length > 0) {
+        throw usageError("Unexpected argument \"" + positionals[0] + "\" for " + command.name);
+      }
+    }
+
+    return { command: command, args: args, options: options, help: help || !command };
+  }
+
+  suggest(word, candidates, prefix) {
+    var best = null;
+    var bestDistance = 3;
+    candidates.forEach(function(candidate) {
+      var d = editDistance(word, candidate);
+      if (d < bestDistance) {
+        best = candidate;
+        bestDistance = d;
+      }
+    });
+    return best ? " (did you mean " + (prefix || "") + best + "?)" : "";
+  }
+
+  formatOption(spec) {
+    var flag;
+    if (spec.type === "boolean") {
+      flag = (spec.default === true || spec.negatable ? "--no-" : "--") + spec.name;
+    } else {
+      flag = "--" + spec.name + " <" + (spec.placeholder || (spec.choices ? spec.choices.join("|") : spec.type)) + ">";
+    }
+    return (spec.alias ? "-" + spec.alias + ", " : "    ") + flag;
+  }
+
+  formatOptions(specs) {
+    var self = this;
+    var width = 0;
+    var rows = specs.filter(function(spec) { return !spec.hidden; }).map(function(spec) {
+      var flag = self.formatOption(spec);
+      width = Math.max(width, flag.length);
+      var description = (spec.type === "boolean" && (spec.default === true || spec.negatable) && spec.negatedDescription) ||
+        spec.description || "";
+      if (spec.default !== undefined && spec.type !== "boolean") description += " (default " + spec.default + ")";
+      return [flag, description];
+    });
+    return rows.map(function(row) {
+      return "  " + row[0] + " ".repeat(width - row[0].length + 2) + row[1];
+    }).join("\n");
+  }
+
+  usageLine(command) {
+    var parts = ["node " + this.name];
+    if (command.name !== this.defaultCommand) parts.push(command.name);
+    command.args.forEach(function(arg) {
+      var label = arg.name + (arg.variadic ? "..." : "");
+      parts.push(arg.required ? "<" + label + ">" : "[" + label + "]");
+    });
+    parts.push("[options]");
+    return parts.join(" ");
+  }
+
+  /**
+   * Global help (no command) or per-command help
+   */
+  help(command) {
+    var self = this;
+    var lines = [];
+    if (!command) {
+      lines.push("Usage: node " + this.name + " <command> [options]");
+      if (this.description) lines.push("", this.description);
+      lines.push("", "Commands:");
+      var width = Math.max.apply(null, this.order.map(function(name) { return name.length; }));
+      this.order.forEach(function(name) {
+        lines.push("  " + name + " ".repeat(width - name.length + 2) + (self.commands[name].description || ""));
+      });
+      lines.push("", "Global options:", this.formatOptions(this.optionSpecs(null)));
+      lines.push("", "Run \"node " + this.name + " help <command>\" for command options.");
+      return lines.join("\n");
+    }
+
+    lines.push("Usage: " + this.usageLine(command));
+    if (command.description) lines.push("", command.description);
+    if (command.args.length > 0) {
+      lines.push("", "Arguments:");
+      var argWidth = Math.max.apply(null, command.args.map(function(arg) { return arg.name.length; }));
+      command.args.forEach(function(arg) {
+        lines.push("  " + arg.name + " ".repeat(argWidth - arg.name.length + 2) + (arg.description || "") +
+          (arg.required ? "" : " (optional)"));
+      });
+    }
+    if (command.options.length > 0) lines.push("", "Options:", this.formatOptions(command.options));
+    lines.push("", "Global options:", this.formatOptions(this.optionSpecs(null)));
+    if (command.examples) {
+      lines.push("", "Examples:");
+      command.examples.forEach(function(example) { lines.push("  node " + self.name + " " + example); });
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Parse, dispatch and render. Resolves to the exit code.
+   * ctx passed to run/render: { args, options, program, exitCode, streaming,
+   * emit(type, data) } - emit() writes an NDJSON record when --ndjson is set
+   */
+  async run(argv) {
+    var startedAt = new Date();
+    var mode = argv.indexOf("--ndjson") !== -1 ? "ndjson" : argv.indexOf("--json") !== -1 ? "json" : null;
+    var parsed;
+    try {
+      parsed = this.parse(argv);
+    } catch (error) {
+      if (mode) {
+        this.printRecord(mode, this.envelope("error", error.command, { error: errorData(error) }, startedAt));
+      } else {
+        console.error("Error: " + error.message);
+        var helpFor = error.command && error.command.name !== this.defaultCommand ? " " + error.command.name : "";
+        console.error("Run \"node " + this.name + " help" + helpFor + "\" for usage.");
+      }
+      return error.exitCode || EXIT.USAGE;
+    }
+
+    if (parsed.help) {
+      console.log(this.help(parsed.command));
+      return parsed.command || argv.length > 0 ? EXIT.OK : EXIT.USAGE;
+    }
+
+    var wasQuiet = log.isQuiet();
+    if (parsed.options.quiet) log.setQuiet(true);
+    var emitted = 0;
+    var ctx = {
+      args: parsed.args,
+      options: parsed.options,
+      program: this,
+      exitCode: EXIT.OK,
+      streaming: mode === "ndjson",
+      emit: function(type, data) {
+        if (mode !== "ndjson") return false;
+        console.log(JSON.stringify(Object.assign({ type: type }, data)));
+        emitted++;
+        return true;
+      }
+    };
+    try {
+      var result = await parsed.command.run(ctx);
+      result = result === undefined ? null : result;
+      if (mode === "ndjson" && emitted > 0) {
+        this.printRecord(mode, this.envelope("end", parsed.command, { ok: ctx.exitCode === EXIT.OK, records: emitted }, startedAt));
+      } else if (mode) {
+        this.printRecord(mode, this.envelope("result", parsed.command, { ok: ctx.exitCode === EXIT.OK, result: result }, startedAt));
+      } else if (parsed.command.render) {
+        parsed.command.render(result, ctx);
+      }
+      return ctx.exitCode;
+    } catch (error) {
+      if (mode) {
+        this.printRecord(mode, this.envelope("error", parsed.command, { error: errorData(error) }, startedAt));
+      } else {
+        console.error("Error: " + error.message);
+        if (error.hint) console.error(error.hint);
+      }
+      return error.exitCode || EXIT.ERROR;
+    } finally {
+      log.setQuiet(wasQuiet);
+    }
+  }
+
+  /**
+   * Final structured record: { type, ok, command, ..., timing }
+   */
+  envelope(type, command, data, startedAt) {
+    var finishedAt = new Date();
+    return Object.assign({ type: type, ok: type !== "error", command: command ? command.name : null }, data, {
+      timing: {
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt
+      }
+    });
+  }
+
+  printRecord(mode, record) {
+    if (mode === "ndjson") {
+      console.log(JSON.stringify(record));
+    } else {
+      delete record.type;
+      console.log(JSON.stringify(record, null, 2));
+    }
+  }
+
+  /**
+   * Run as the process entry point and set process.exitCode
+   */
+  main(argv) {
+    return this.run(argv || process.argv.slice(2)).then(function(code) {
+      process.exitCode = code;
+    });
+  }
+}
+
+module.exports = {
+  Program: Program,
+  EXIT: EXIT,
+  usageError: usageError,
+  coerce: coerce
+};
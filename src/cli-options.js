@@ -0,0 +1,187 @@
+/**
+ * Option sets shared by the command-line entry points (cli.js, agent.js,
+ * multi-agent.js) and their mapping onto the configuration's command-line
+ * layer and agent/research options
+ */
+
+const { usageError } = require("./cli-framework");
+const { loadConfig, PHASE_TYPES } = require("./config");
+const { STYLES } = require("./citation-styles");
+const { ARTICLE_TYPES, pubmedDate } = require("./query-builder");
+const readline = require("readline");
+
+var GLOBAL_OPTIONS = [
+  { name: "config", type: "string", placeholder: "file", description: "Config file (default ./ma-research.config.json)" },
+  { name: "profile", type: "string", placeholder: "name", description: "Named profile from the config file" },
+  { name: "cache", type: "boolean", negatable: true, negatedDescription: "Bypass the response cache entirely" },
+  { name: "refresh", type: "boolean", description: "Ignore cached responses but store fresh ones" },
+  { name: "cache-dir", type: "string", placeholder: "dir", description: "Cache directory (default ./.cache/ma-research)" },
+  { name: "provider", type: "enum", choices: ["venice", "openai", "openai-compatible", "mock"], description: "LLM provider" },
+  { name: "model", type: "string", placeholder: "id", description: "LLM model id" },
+  { name: "base-url", type: "string", placeholder: "url", description: "Base URL for an OpenAI-compatible server" }
+];
+
+// PubMed filters shared by research commands and "query build" (see query-builder.js applyFilters)
+var QUERY_FILTER_OPTIONS = [
+  { name: "species", type: "enum", choices: ["humans", "animals"], description: "Only human or only animal studies" },
+  { name: "language", type: "list", placeholder: "langs", description: "Publication languages, e.g. english,german" },
+  { name: "type", type: "list", placeholder: "types", description: "Article types: " + Object.keys(ARTICLE_TYPES).join(", ") },
+  { name: "from", type: "string", placeholder: "date", description: "Published from YYYY[/MM[/DD]]" },
+  { name: "to", type: "string", placeholder: "date", description: "Published up to YYYY[/MM[/DD]]" }
+];
+
+var RESEARCH_OPTIONS = [
+  { name: "clinical", type: "boolean", description: "Clinical trials only" },
+  { name: "phase", type: "enum", choices: ["1", "2", "3", "4"], description: "Clinical trial phase (implies --clinical)" },
+  { name: "recent", type: "int", min: 1, placeholder: "years", description: "Only articles from the last N years" },
+  { name: "min-evidence", type: "int", min: 1, max: 5, placeholder: "level",
+    description: "Only articles at this evidence level or higher (1 = meta-analyses ... 5 = opinion)" },
+  { name: "max", type: "int", min: 1, keywords: ["all"], placeholder: "n|all", description: "Max results (default 15); all pages through the full result set" },
+  { name: "cap", type: "int", min: 1, placeholder: "n", description: "Hard cap on records for --max all (default 10000)" },
+  { name: "focus", type: "list", placeholder: "areas", description: "Focus areas to emphasise (comma-separated)" },
+  { name: "evidence-table", type: "boolean", description: "Add a PICO evidence table to reports and slides" },
+  { name: "drugs", type: "list", placeholder: "a,b,c", description: "Products to compare (competitive analysis)" },
+  { name: "citations", type: "enum", choices: ["flag", "strip"], description: "Flag (default) or strip PMIDs not in the retrieved set" },
+  { name: "citation-style", type: "enum", choices: STYLES, description: "Reference list style (default vancouver)" },
+  { name: "output-dir", type: "string", placeholder: "dir", description: "Directory for generated files (default ./output)" },
+  { name: "format", type: "enum", choices: ["md", "docx", "html", "pdf", "pptx", "txt"],
+    description: "Output format (slides: pptx, txt, html or pdf; others: md, docx, html or pdf)" },
+  { name: "review", type: "boolean", negatable: true, negatedDescription: "Do not register the output for MLR review" },
+  { name: "compliance", type: "boolean", negatable: true, negatedDescription: "Skip promotional-compliance screening" },
+  { name: "rules", type: "string", placeholder: "file", description: "Compliance rules file (default rules/compliance.json)" },
+  { name: "product", type: "list", placeholder: "names", description: "Restrict the off-label check to these products" },
+  { name: "build-query", type: "boolean", description: "Expand the topic into a MeSH query; shows it with its hit count before searching" },
+  { name: "save-query", type: "string", placeholder: "name", description: "Save the built query as the next version of this name" },
+  { name: "saved-query", type: "string", placeholder: "name[@v]", description: "Search with a saved query (latest version unless @v is given)" },
+  { name: "yes", type: "boolean", description: "Search with the built query without asking" }
+].concat(QUERY_FILTER_OPTIONS);
+
+// Output formats each task type can be written as (defaults come from the configuration)
+var FORMATS = {
+  slides: ["pptx", "txt", "html", "pdf"],
+  default: ["md", "docx", "html", "pdf"]
+};
+
+/**
+ * Parsed options -> command-line configuration layer (see config.js)
+ */
+function configOverrides(options) {
+  return {
+    llm: { provider: options.provider, model: options.model, baseUrl: options.baseUrl },
+    filters: {
+      maxResults: options.max,
+      clinicalOnly: options.clinical || (options.phase ? true : undefined),
+      phase: options.phase ? parseInt(options.phase, 10) : undefined,
+      recentYears: options.recent,
+      minEvidence: options.minEvidence
+    },
+    output: { dir: options.outputDir },
+    citations: { mode: options.citations, style: options.citationStyle },
+    cache: { enabled: options.cache, dir: options.cacheDir },
+    compliance: { enabled: options.compliance, rules: options.rules, products: options.product },
+    review: { enabled: options.review }
+  };
+}
+
+/**
+ * Effective configuration for a command: defaults, config file, profile, env, flags
+ */
+function configFrom(options) {
+  return loadConfig({ file: options.config, profile: options.profile, overrides: configOverrides(options) });
+}
+
+/**
+ * Parsed global options -> MAResearchAgent / MultiAgentResearchSystem constructor options
+ */
+function agentOptionsFrom(options) {
+  return { config: configFrom(options), refreshCache: !!options.refresh };
+}
+
+/**
+ * Parsed filter options -> applyFilters() filters (only those given)
+ */
+function queryFiltersFrom(options) {
+  ["from", "to"].forEach(function(name) {
+    if (options[name] && !pubmedDate(options[name])) {
+      throw usageError("--" + name + " must be a real date as YYYY, YYYY/MM or YYYY/MM/DD (got \"" + options[name] + "\")");
+    }
+  });
+  (options.type || []).forEach(function(type) {
+    if (!ARTICLE_TYPES[type]) throw usageError("Unknown --type " + type + " (use " + Object.keys(ARTICLE_TYPES).join(", ") + ")");
+  });
+  var filters = {};
+  if (options.species) filters.species = options.species;
+  if (options.language) filters.languages = options.language;
+  if (options.type) filters.articleTypes = options.type;
+  if (options.from || options.to) {
+    filters.dateRange = { from: pubmedDate(options.from), to: pubmedDate(options.to) };
+  }
+  return filters;
+}
+
+/**
+ * Ask on the terminal whether to search with a built query (default yes)
+ */
+function confirmQuery(info) {
+  var rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(function(resolve) {
+    rl.question("\nPubMed query:\n  " + info.query + "\nHits: " + info.hits + "\nSearch with this query? [Y/n] ", function(answer) {
+      rl.close();
+      resolve(!/^n/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Parsed research options -> agent.research() options, validated for the task.
+ * Options that were not given stay undefined so the configuration applies.
+ */
+function researchOptionsFrom(options, taskType) {
+  var formats = FORMATS[taskType] || FORMATS.default;
+  if (options.format && formats.indexOf(options.format) === -1) {
+    throw usageError("--format " + options.format + " is not available for " + taskType + " (use " + formats.join(" or ") + ")");
+  }
+  if (taskType === "competitive" && !options.drugs) {
+    throw usageError("competitive requires --drugs <a,b,c>");
+  }
+  if (options.buildQuery && options.savedQuery) throw usageError("use either --build-query or --saved-query");
+  if (options.saveQuery && !options.buildQuery) throw usageError("--save-query requires --build-query");
+  if (options.buildQuery && !options.yes && !process.stdin.isTTY) {
+    throw usageError("--build-query needs --yes when there is no terminal to confirm the query on");
+  }
+
+  return {
+    clinicalOnly: options.clinical || (options.phase ? true : undefined),
+    phase: options.phase ? PHASE_TYPES[options.phase] : undefined,
+    recentYears: options.recent,
+    minEvidence: options.minEvidence,
+    maxResults: options.max,
+    cap: options.cap,
+    focusAreas: options.focus,
+    drugs: options.drugs,
+    evidenceTable: options.evidenceTable,
+    citationMode: options.citations,
+    format: options.format,
+    review: options.review,
+    compliance: options.compliance,
+    complianceRules: options.rules,
+    products: options.product,
+    queryFilters: queryFiltersFrom(options),
+    buildQuery: options.buildQuery,
+    saveQuery: options.saveQuery,
+    savedQuery: options.savedQuery,
+    confirmQuery: options.buildQuery && !options.yes ? confirmQuery : undefined
+  };
+}
+
+module.exports = {
+  GLOBAL_OPTIONS: GLOBAL_OPTIONS,
+  RESEARCH_OPTIONS: RESEARCH_OPTIONS,
+  QUERY_FILTER_OPTIONS: QUERY_FILTER_OPTIONS,
+  FORMATS: FORMATS,
+  configOverrides: configOverrides,
+  configFrom: configFrom,
+  agentOptionsFrom: agentOptionsFrom,
+  queryFiltersFrom: queryFiltersFrom,
+  researchOptionsFrom: researchOptionsFrom
+};
@@ -1,38 +1,88 @@
 /**
  * CLI Interface for MA Research Assistant
+ *
+ * Commands and options are declared with cli-framework.js; run
+ * "node src/cli.js help <command>" for per-command help.
  */
 
 const MAResearchAgent = require("./agent");
+const ResponseCache = require("./response-cache");
+const ReviewStore = require("./review-workflow");
+const SystematicReviewStore = require("./systematic-review");
+const { countHits, parseRef, QueryStore } = require("./query-builder");
+const AuditLog = require("./audit-log");
+const { loadRules, checkText, annotateText, formatComplianceReport } = require("./compliance-checker");
+const { Program, EXIT, usageError } = require("./cli-framework");
+const {
+  GLOBAL_OPTIONS, RESEARCH_OPTIONS, QUERY_FILTER_OPTIONS, FORMATS, configFrom, agentOptionsFrom, researchOptionsFrom, queryFiltersFrom
+} = require("./cli-options");
+const { STYLES } = require("./citation-styles");
+const { describeConfig } = require("./config");
+const fs = require("fs");
+const path = require("path");
 
-// Parse command line arguments
-const args = process.argv.slice(2);
-
-if (args.length === 0) {
-  console.log("Usage: node cli.js <command> [options]");
-  console.log("\nCommands:");
-  console.log("  search <query>        - Quick PubMed search");
-  console.log("  abstract <pmid>       - Get article abstract");
-  console.log("  research <query>      - Full research workflow");
-  console.log("  paper <query>         - Generate research paper");
-  console.log("  slides <query>        - Generate PowerPoint slides");
-  console.log("  summary <query>       - Generate summary");
-  console.log("  kol <query>           - Generate KOL briefing");
-  console.log("  competitive <query>   - Competitive analysis");
-  console.log("\nOptions:");
-  console.log("  --clinical            - Clinical trials only");
-  console.log("  --recent N            - Last N years");
-  console.log("  --max N               - Max results");
-  console.log("  --focus <areas>       - Focus areas (comma-separated)");
-  process.exit(1);
+function notFound(message) {
+  var error = new Error(message);
+  error.code = "NOT_FOUND";
+  return error;
 }
 
-var command = args[0];
+/**
+ * Review stores: --review-dir, else <output dir>/reviews and every ./workspace/<project>/reviews
+ */
+function reviewStores(dir, config) {
+  if (dir) return [new ReviewStore(dir)];
+  var dirs = [path.join(config.output.dir, "reviews")];
+  if (fs.existsSync("workspace")) {
+    fs.readdirSync("workspace").forEach(function(project) {
+      dirs.push(path.join("workspace", project, "reviews"));
+    });
+  }
+  return dirs.filter(function(d) { return fs.existsSync(d); }).map(function(d) { return new ReviewStore(d); });
+}
 
-// Simple command parser
-if (command === "search" && args[1]) {
-  var query = args.slice(1).join(" ");
-  var agent = new MAResearchAgent();
-  agent.quickSearch(query, 10).then(function(results) {
+function findReviewStore(stores, id) {
+  var store = stores.find(function(s) { return s.has(id); });
+  if (!store) throw notFound("Review item not found: " + id);
+  return store;
+}
+
+/**
+ * Audit directories: --audit-dir / configured audit dir, else <output dir>/audit and ./workspace/audit
+ */
+function auditDirs(dir, config) {
+  if (dir || config.audit.dir) return [dir || config.audit.dir];
+  return [path.join(config.output.dir, "audit"), path.join("workspace", "audit")].filter(function(d) {
+    return fs.existsSync(d);
+  });
+}
+
+function findAuditDir(dirs, runId) {
+  var dir = dirs.find(function(d) { return AuditLog.list(d).indexOf(runId) !== -1; });
+  if (!dir) throw notFound("Audit run not found: " + runId);
+  return dir;
+}
+
+var program = new Program({
+  name: "cli.js",
+  description: "Medical Affairs Research Assistant - PubMed research with LLM synthesis",
+  options: GLOBAL_OPTIONS
+});
+
+program.command("search", {
+  description: "Quick PubMed search",
+  args: [{ name: "query", required: true, variadic: true, description: "PubMed search terms" }],
+  options: [{ name: "max", type: "int", min: 1, keywords: ["all"], default: 10, placeholder: "n|all", description: "Number of results; all pages through the full result set" }],
+  examples: ["search semaglutide cardiovascular outcomes --max 5", "search semaglutide --max all --ndjson > articles.ndjson"],
+  run: function(ctx) {
+    var agent = new MAResearchAgent(agentOptionsFrom(ctx.options));
+    return agent.quickSearch(ctx.args.query, ctx.options.max, {
+      onArticles: function(articles) {
+        articles.forEach(function(article) { ctx.emit("article", article); });
+      }
+    });
+  },
+  render: function(results) {
     console.log("\n--- Search Results ---\n");
     results.forEach(function(r, i) {
       console.log((i+1) + ". " + r.title);
@@ -40,57 +90,544 @@ if (command === "search" && args[1]) {
       if (r.journal) console.log("   Journal: " + r.journal);
       console.log("");
     });
-  }).catch(function(err) {
-    console.error("Error:", err.message);
-  });
-} 
-else if (command === "abstract" && args[1]) {
-  var pmid = args[1];
-  var agent = new MAResearchAgent();
-  agent.getAbstract(pmid).then(function(result) {
+  }
+});
+
+program.command("abstract", {
+  description: "Get article abstract",
+  args: [{ name: "pmid", required: true, description: "PubMed ID" }],
+  run: function(ctx) {
+    if (!/^\d+$/.test(ctx.args.pmid)) throw usageError("PMID must be numeric (got \"" + ctx.args.pmid + "\")");
+    return new MAResearchAgent(agentOptionsFrom(ctx.options)).getAbstract(ctx.args.pmid).then(function(article) {
+      if (article.error) throw article.error === "Article not found" ? notFound("PMID " + ctx.args.pmid + " not found") : new Error(article.error);
+      return article;
+    });
+  },
+  render: function(result) {
     console.log("\n--- Abstract ---\n");
     console.log(result.abstract || "No abstract found");
-  }).catch(function(err) {
-    console.error("Error:", err.message);
-  });
-}
-else {
-  // All other commands use research workflow
-  var query = args.slice(1).join(" ").replace(/--\w+/g, "").trim();
-  var taskType = "summary";
-  var options = {};
-
-  // Parse options
-  if (command === "paper") taskType = "paper";
-  else if (command === "slides") taskType = "slides";
-  else if (command === "summary") taskType = "summary";
-  else if (command === "kol") taskType = "kol-briefing";
-  else if (command === "competitive") {
-    taskType = "competitive";
-    options.drugs = ["drug1", "drug2"]; // Would need proper parsing
   }
-  else if (command === "research") taskType = "summary";
+});
+
+// Research workflow commands: command name -> agent task type
+var RESEARCH_COMMANDS = [
+  { name: "research", taskType: "summary", description: "Full research workflow (summary report)" },
+  { name: "paper", taskType: "paper", description: "Generate research paper" },
+  { name: "slides", taskType: "slides", description: "Generate PowerPoint slides" },
+  { name: "evidence", taskType: "evidence-table", description: "PICO evidence table (plus CSV and XLSX)" },
+  { name: "summary", taskType: "summary", description: "Generate summary" },
+  { name: "kol", taskType: "kol-briefing", description: "Generate KOL briefing" },
+  { name: "competitive", taskType: "competitive", description: "Competitive analysis (requires --drugs)" }
+];
 
-  // Parse flags
-  if (args.includes("--clinical")) options.clinicalOnly = true;
-  if (args.includes("--recent")) {
-    var idx = args.indexOf("--recent");
-    if (args[idx+1]) options.recentYears = parseInt(args[idx+1]);
+RESEARCH_COMMANDS.forEach(function(def) {
+  program.command(def.name, {
+    description: def.description,
+    args: [{ name: "query", variadic: true, description: "Research topic / PubMed query (optional with --saved-query)" }],
+    options: RESEARCH_OPTIONS,
+    examples: def.name === "competitive"
+      ? ["competitive \"type 2 diabetes\" --drugs semaglutide,tirzepatide --recent 3"]
+      : [def.name + " \"GLP-1 cardiovascular outcomes\" --recent 3 --max 20"],
+    run: async function(ctx) {
+      if (!ctx.args.query && !ctx.options.savedQuery) throw usageError(def.name + " requires a query (or --saved-query <name>)");
+      var options = researchOptionsFrom(ctx.options, def.taskType);
+      var agent = new MAResearchAgent(agentOptionsFrom(ctx.options));
+      var result = await agent.research(ctx.args.query, def.taskType, options);
+      if (!result.success) throw new Error(result.error);
+      return result;
+    },
+    render: function(result) {
+      console.log("\n✓ Research complete!");
+      console.log("Output: " + result.outputPath);
+    }
+  });
+});
+
+program.command("cache", {
+  description: "Inspect or empty the response cache (stats | clear [pubmed|llm])",
+  args: [
+    { name: "action", required: true, description: "stats or clear" },
+    { name: "namespace", description: "pubmed or llm (clear only)" }
+  ],
+  run: function(ctx) {
+    var cache = new ResponseCache({ dir: configFrom(ctx.options).cache.dir });
+    if (ctx.args.action === "clear") {
+      cache.clear(ctx.args.namespace);
+      return { cleared: ctx.args.namespace || "all", dir: cache.dir };
+    }
+    if (ctx.args.action === "stats") return cache.stats();
+    throw usageError("cache action must be stats or clear (got \"" + ctx.args.action + "\")");
+  },
+  render: function(result) {
+    if (result.cleared) {
+      console.log("Cleared " + (result.cleared !== "all" ? result.cleared + " entries in " : "") + result.dir);
+      return;
+    }
+    console.log("\n--- Cache: " + result.dir + " ---\n");
+    Object.keys(result.namespaces).forEach(function(ns) {
+      var s = result.namespaces[ns];
+      console.log(ns + ": " + s.entries + " entries, " + (s.bytes / 1024).toFixed(1) + " KB" +
+        (s.newest ? " (newest " + s.newest + ")" : ""));
+    });
+    console.log("Total: " + result.entries + " entries, " + (result.bytes / 1024).toFixed(1) + " KB");
   }
-  if (args.includes("--max")) {
-    var idx = args.indexOf("--max");
-    if (args[idx+1]) options.maxResults = parseInt(args[idx+1]);
+});
+
+var REVIEW_ACTIONS = ["list", "show", "diff", "submit", "comment", "approve", "reject", "revise", "export"];
+
+program.command("review", {
+  description: "MLR review: " + REVIEW_ACTIONS.join(", "),
+  args: [
+    { name: "action", required: true, description: REVIEW_ACTIONS.join(" | ") },
+    { name: "id", description: "Review item id (all actions except list)" },
+    { name: "extra", variadic: true, description: "diff: fromRev toRev; comment: text; revise: file" }
+  ],
+  options: [
+    { name: "state", type: "enum", choices: ReviewStore.STATES, description: "list: only items in this state" },
+    { name: "role", type: "string", placeholder: "medical|legal|regulatory", description: "approve/reject: reviewer role" },
+    { name: "reviewer", type: "string", placeholder: "name", description: "Reviewer name (default MA_REVIEWER or the OS user)" },
+    { name: "comment", type: "string", placeholder: "text", description: "Comment recorded with the action" },
+    { name: "output-dir", type: "string", placeholder: "dir", description: "export: target directory (default ./output/approved)" },
+    { name: "review-dir", type: "string", placeholder: "dir", description: "Review store (default ./output/reviews and ./workspace/*/reviews)" }
+  ],
+  examples: [
+    "review list --state in-review",
+    "review approve R-20240101-a1b2c3 --role medical --reviewer \"Dr. Lee\"",
+    "review diff R-20240101-a1b2c3 1 2",
+    "review export R-20240101-a1b2c3 --output-dir ./approved"
+  ],
+  run: function(ctx) {
+    var action = ctx.args.action;
+    var id = ctx.args.id;
+    var extra = ctx.args.extra ? ctx.args.extra.split(" ") : [];
+    var o = ctx.options;
+    if (REVIEW_ACTIONS.indexOf(action) === -1) {
+      throw usageError("review action must be one of " + REVIEW_ACTIONS.join(", ") + " (got \"" + action + "\")");
+    }
+    var stores = reviewStores(o.reviewDir, configFrom(o));
+
+    if (action === "list") {
+      var items = [];
+      stores.forEach(function(store) {
+        store.list(o.state).forEach(function(item) {
+          item.outstandingRoles = item.state === "in-review" ? store.outstandingRoles(item) : [];
+          items.push(item);
+        });
+      });
+      return { action: action, items: items };
+    }
+
+    if (!id) throw usageError("review " + action + " requires <id>");
+    var store = findReviewStore(stores, id);
+    if (action === "show") return { action: action, item: store.load(id) };
+    if (action === "diff") {
+      return { action: action, id: id, diff: store.diff(id, parseInt(extra[0], 10) || undefined, parseInt(extra[1], 10) || undefined) };
+    }
+    if (action === "submit") return { action: action, item: store.submit(id, o.reviewer, o.comment) };
+    if (action === "comment") {
+      var text = o.comment || ctx.args.extra;
+      if (!text) throw usageError("review comment requires text");
+      return { action: action, item: store.comment(id, o.reviewer, text) };
+    }
+    if (action === "approve" || action === "reject") {
+      var decided = action === "approve" ? store.approve(id, o.reviewer, o.role, o.comment) : store.reject(id, o.reviewer, o.role, o.comment);
+      decided.outstandingRoles = decided.state === "in-review" ? store.outstandingRoles(decided) : [];
+      return { action: action, item: decided };
+    }
+    if (action === "revise") {
+      if (!extra[0]) throw usageError("review revise requires <file>");
+      return { action: action, item: store.revise(id, ctx.args.extra, o.reviewer, o.comment) };
+    }
+    return { action: action, id: id, path: store.exportItem(id, o.outputDir || path.join("output", "approved")) };
+  },
+  render: function(result) {
+    var item = result.item;
+    if (result.action === "list") {
+      if (result.items.length === 0) console.log("No review items");
+      result.items.forEach(function(i) {
+        var outstanding = i.outstandingRoles.length > 0 ? " (awaiting " + i.outstandingRoles.join(", ") + ")" : "";
+        console.log(i.id + "  [" + i.state + "] r" + i.revisions.length + "  " + i.title + outstanding);
+      });
+    } else if (result.action === "show") {
+      console.log("\n--- " + item.id + ": " + item.title + " ---\n");
+      console.log("State: " + item.state + " | Revision: r" + item.revisions.length + " | Kind: " + item.kind);
+      console.log("Required roles: " + item.requiredRoles.join(", "));
+      console.log("\nHistory:");
+      item.history.forEach(function(h) {
+        console.log("  " + h.at + "  " + h.action + " by " + h.by + (h.comment ? " - " + h.comment : ""));
+      });
+      if (item.comments.length > 0) {
+        console.log("\nComments:");
+        item.comments.forEach(function(c) {
+          console.log("  r" + c.revision + " " + c.by + ": " + c.text);
+        });
+      }
+    } else if (result.action === "diff") {
+      console.log(result.diff);
+    } else if (result.action === "submit") {
+      console.log(item.id + " submitted for review");
+    } else if (result.action === "comment") {
+      console.log("Comment added to " + item.id);
+    } else if (result.action === "approve" || result.action === "reject") {
+      console.log(item.id + " is now " + item.state +
+        (item.outstandingRoles.length > 0 ? " (awaiting " + item.outstandingRoles.join(", ") + ")" : ""));
+    } else if (result.action === "revise") {
+      console.log(item.id + " revised to r" + item.revisions.length + " (back to draft; submit again for review)");
+    } else if (result.action === "export") {
+      console.log("Exported approved material to " + result.path);
+    }
   }
+});
 
-  var agent = new MAResearchAgent();
-  agent.research(query, taskType, options).then(function(result) {
-    if (result.success) {
-      console.log("\n✓ Research complete!");
+var SR_ACTIONS = ["run", "list", "show", "override", "write"];
+var SR_FILTERS = ["include", "exclude", "pending"];
+
+program.command("systematic-review", {
+  description: "Systematic review with screening and PRISMA flow: " + SR_ACTIONS.join(", "),
+  args: [
+    { name: "action", required: true, description: SR_ACTIONS.join(" | ") },
+    { name: "target", description: "run: protocol file; show, override, write: review id" },
+    { name: "extra", variadic: true, description: "override: pmid include|exclude" }
+  ],
+  options: [
+    { name: "write", type: "boolean", description: "run: write the review straight after screening" },
+    { name: "decision", type: "enum", choices: SR_FILTERS, description: "show: only records with this decision" },
+    { name: "reason", type: "string", placeholder: "text", description: "override: reason for the decision (required)" },
+    { name: "reviewer", type: "string", placeholder: "name", description: "Reviewer name (default MA_REVIEWER or the OS user)" },
+    { name: "format", type: "enum", choices: FORMATS.default, description: "write: output format (default md)" },
+    { name: "citations", type: "enum", choices: ["flag", "strip"], description: "Flag (default) or strip PMIDs not in the included studies" },
+    { name: "citation-style", type: "enum", choices: STYLES, description: "Reference list style (default vancouver)" },
+    { name: "output-dir", type: "string", placeholder: "dir", description: "Directory for generated files and reviews (default ./output)" },
+    { name: "review", type: "boolean", negatable: true, negatedDescription: "Do not register the written review for MLR review" }
+  ],
+  examples: [
+    "systematic-review run protocol.json",
+    "systematic-review show SR-20240101-a1b2c3 --decision exclude",
+    "systematic-review override SR-20240101-a1b2c3 12345678 include --reason \"Adults with T2D; subgroup reported\"",
+    "systematic-review write SR-20240101-a1b2c3 --format docx"
+  ],
+  run: async function(ctx) {
+    var action = ctx.args.action;
+    var target = ctx.args.target;
+    var extra = ctx.args.extra ? ctx.args.extra.split(" ") : [];
+    var o = ctx.options;
+    if (SR_ACTIONS.indexOf(action) === -1) {
+      throw usageError("systematic-review action must be one of " + SR_ACTIONS.join(", ") + " (got \"" + action + "\")");
+    }
+    var config = configFrom(o);
+    var store = new SystematicReviewStore(path.join(config.output.dir, "systematic-reviews"));
+
+    if (action === "list") {
+      return { action: action, reviews: store.list().map(function(review) {
+        return { id: review.id, title: review.title, createdAt: review.createdAt, counts: SystematicReviewStore.stageCounts(review) };
+      }) };
+    }
+
+    if (!target) throw usageError("systematic-review " + action + " requires <" + (action === "run" ? "protocol" : "id") + ">");
+    var options = { reviewer: o.reviewer, write: o.write, format: o.format, citationMode: o.citations, review: o.review };
+    if (action === "run" || action === "write") {
+      var agent = new MAResearchAgent({ config: config, refreshCache: !!o.refresh });
+      var result = action === "run" ? await agent.systematicReview(target, options) : await agent.writeSystematicReview(target, options);
+      if (!result.success) throw new Error(result.error);
+      return Object.assign({ action: action }, result);
+    }
+    if (action === "override") {
+      if (!extra[0] || !extra[1]) throw usageError("systematic-review override requires <id> <pmid> include|exclude");
+      if (SystematicReviewStore.DECISIONS.indexOf(extra[1]) === -1) {
+        throw usageError("decision must be include or exclude (got \"" + extra[1] + "\")");
+      }
+      if (!o.reason) throw usageError("systematic-review override requires --reason");
+      var overridden = store.override(target, extra[0], extra[1], ReviewStore.currentIdentity(o.reviewer), o.reason);
+      store.writeFlow(overridden);
+      return { action: action, id: target, pmid: extra[0], decision: extra[1], counts: SystematicReviewStore.stageCounts(overridden) };
+    }
+
+    var review = store.load(target);
+    var removed = {};
+    review.removed.forEach(function(r) { removed[r.pmid] = r.reason; });
+    var records = review.records.map(function(r) {
+      var decision = removed[r.pmid] ? { decision: "removed", reason: removed[r.pmid], by: ReviewStore.SYSTEM_AUTHOR } :
+        SystematicReviewStore.decisionFor(review, r.pmid) || { decision: "pending", reason: "", by: "" };
+      return { pmid: r.pmid, title: r.title, decision: decision.decision, reason: decision.reason, by: decision.by };
+    }).filter(function(r) {
+      return !o.decision || r.decision === o.decision;
+    });
+    return { action: action, review: review, counts: SystematicReviewStore.stageCounts(review), records: records,
+      flowPath: path.join(store.reviewDir(review.id), "prisma.svg") };
+  },
+  render: function(result) {
+    var counts = result.counts;
+    var tally = function(c) {
+      return c.identified + " identified, " + c.duplicates + " duplicates, " + c.screened + " screened, " +
+        c.excluded + " excluded, " + c.included + " included" + (c.pending > 0 ? ", " + c.pending + " pending" : "");
+    };
+    if (result.action === "list") {
+      if (result.reviews.length === 0) console.log("No systematic reviews");
+      result.reviews.forEach(function(r) {
+        console.log(r.id + "  " + r.title + "  (" + tally(r.counts) + ")");
+      });
+    } else if (result.action === "run") {
+      console.log("\n✓ Screening complete: " + result.id + " (" + tally(result.counts) + ")");
+      if (result.outputPath) console.log("Output: " + result.outputPath);
+      console.log("PRISMA flow: " + result.flowPath);
+    } else if (result.action === "write") {
+      console.log("\n✓ Systematic review written from " + counts.included + " included studies");
       console.log("Output: " + result.outputPath);
+    } else if (result.action === "override") {
+      console.log(result.pmid + " marked " + result.decision + " in " + result.id + " (" + tally(counts) + ")");
+    } else if (result.action === "show") {
+      var review = result.review;
+      console.log("\n--- " + review.id + ": " + review.title + " ---\n");
+      console.log("Queries: " + review.protocol.queries.join(" | "));
+      console.log("Flow: " + tally(counts));
+      console.log("PRISMA diagram: " + result.flowPath + "\n");
+      result.records.forEach(function(r) {
+        console.log(r.pmid + "  [" + r.decision + (r.by && r.by !== "llm" ? " by " + r.by : "") + "] " + (r.title || "Untitled"));
+        if (r.reason) console.log("    " + r.reason);
+      });
+    }
+  }
+});
+
+var QUERY_ACTIONS = ["build", "save", "list", "show"];
+
+program.command("query", {
+  description: "Build, save and version PubMed queries: " + QUERY_ACTIONS.join(", "),
+  args: [
+    { name: "action", required: true, description: QUERY_ACTIONS.join(" | ") },
+    { name: "target", description: "build: research question; save: query name; show: name[@version]" },
+    { name: "extra", variadic: true, description: "build: rest of the question; save: the PubMed query" }
+  ],
+  options: [
+    { name: "save", type: "string", placeholder: "name", description: "build: save the query as the next version of this name" },
+    { name: "note", type: "string", placeholder: "text", description: "build, save: note stored with the version" },
+    { name: "reviewer", type: "string", placeholder: "name", description: "Saved by (default MA_REVIEWER or the OS user)" },
+    { name: "output-dir", type: "string", placeholder: "dir", description: "Directory holding queries/ (default ./output)" }
+  ].concat(QUERY_FILTER_OPTIONS),
+  examples: [
+    "query build \"does semaglutide reduce cardiovascular events in type 2 diabetes\" --species humans --type rct --save sema-cvot",
+    "query save sema-cvot \"semaglutide[tiab] AND (cardiovascular[tiab] OR MACE[tiab])\" --note \"Broader outcome terms\"",
+    "query show sema-cvot@1",
+    "research --saved-query sema-cvot --max 30"
+  ],
+  run: async function(ctx) {
+    var action = ctx.args.action;
+    var o = ctx.options;
+    if (QUERY_ACTIONS.indexOf(action) === -1) {
+      throw usageError("query action must be one of " + QUERY_ACTIONS.join(", ") + " (got \"" + action + "\")");
+    }
+    var config = configFrom(o);
+    var store = new QueryStore(path.join(config.output.dir, "queries"));
+
+    if (action === "list") {
+      return { action: action, queries: store.list() };
+    }
+    if (!ctx.args.target) throw usageError("query " + action + " requires <" + (action === "build" ? "question" : "name") + ">");
+    if (action === "show") {
+      var ref = parseRef(ctx.args.target);
+      var saved = store.load(ref.name);
+      return { action: action, name: ref.name, versions: ref.version === null ? saved.versions : [store.get(ctx.args.target)] };
+    }
+
+    var agent = new MAResearchAgent({ config: config, refreshCache: !!o.refresh });
+    if (action === "build") {
+      var question = ctx.args.target + (ctx.args.extra ? " " + ctx.args.extra : "");
+      var built = await agent.buildSearchQuery(question, queryFiltersFrom(o), { save: o.save, note: o.note, by: o.reviewer });
+      return Object.assign({ action: action }, built);
+    }
+    if (!ctx.args.extra) throw usageError("query save requires <name> <pubmed query>");
+    store.file(ctx.args.target); // rejects a bad name before PubMed is queried
+    var count = await countHits(agent.pubmed, ctx.args.extra);
+    var version = store.save(ctx.args.target, { query: ctx.args.extra, hits: count.hits, translation: count.translation, note: o.note },
+      ReviewStore.currentIdentity(o.reviewer));
+    return { action: action, name: ctx.args.target, version: version };
+  },
+  render: function(result) {
+    var describe = function(v) {
+      console.log("v" + v.version + "  " + v.savedAt + "  " + v.savedBy + (v.hits !== null ? "  " + v.hits + " hits" : "") +
+        (v.note ? "  - " + v.note : ""));
+      if (v.question) console.log("  Question: " + v.question);
+      console.log("  " + v.query);
+    };
+    if (result.action === "list") {
+      if (result.queries.length === 0) console.log("No saved queries");
+      result.queries.forEach(function(q) {
+        var latest = q.versions[q.versions.length - 1];
+        console.log(q.name + "@" + latest.version + "  " + (latest.question || latest.query));
+      });
+    } else if (result.action === "show") {
+      console.log("\n--- " + result.name + " ---\n");
+      result.versions.forEach(describe);
+    } else if (result.action === "save") {
+      console.log((result.version.unchanged ? "Unchanged, still " : "Saved ") + result.name + "@" + result.version.version +
+        " (" + result.version.hits + " hits)");
     } else {
-      console.error("\n✗ Error:", result.error);
+      console.log("\n--- Concepts ---\n");
+      result.concepts.forEach(function(c) {
+        console.log("- " + c.name + " (" + c.role + "): " + (c.mesh ? c.mesh.heading + " [" + (c.mesh.type === "supplementary" ? "nm" : "MeSH") + "]" : "no MeSH match, free text only"));
+      });
+      console.log("\n--- PubMed query ---\n");
+      console.log(result.query);
+      console.log("\nHits: " + result.hits);
+      if (result.saved) console.log((result.saved.unchanged ? "Unchanged, still " : "Saved as ") + result.saved.name + "@" + result.saved.version);
     }
-  }).catch(function(err) {
-    console.error("Error:", err.message);
-  });
-}
\ No newline at end of file
+  }
+});
+
+var AUDIT_ACTIONS = ["list", "show", "verify", "export"];
+
+program.command("audit", {
+  description: "Inspect run audit logs: " + AUDIT_ACTIONS.join(", "),
+  args: [
+    { name: "action", required: true, description: AUDIT_ACTIONS.join(" | ") },
+    { name: "run-id", description: "Audit run id (all actions except list)" }
+  ],
+  options: [
+    { name: "format", type: "enum", choices: ["json", "md"], description: "export: file format (default json, or from --output extension)" },
+    { name: "output", type: "string", placeholder: "file", description: "export: target file" },
+    { name: "audit-dir", type: "string", placeholder: "dir", description: "Audit directory (default MA_AUDIT_DIR, else ./output/audit and ./workspace/audit)" }
+  ],
+  examples: ["audit verify run-20240101T120000-a1b2c3", "audit export run-20240101T120000-a1b2c3 --format md --output audit-report.md"],
+  run: function(ctx) {
+    var action = ctx.args.action;
+    var runId = ctx.args.runId;
+    if (AUDIT_ACTIONS.indexOf(action) === -1) {
+      throw usageError("audit action must be one of " + AUDIT_ACTIONS.join(", ") + " (got \"" + action + "\")");
+    }
+    var dirs = auditDirs(ctx.options.auditDir, configFrom(ctx.options));
+
+    if (action === "list") {
+      var runs = [];
+      dirs.forEach(function(dir) {
+        AuditLog.list(dir).forEach(function(id) {
+          runs.push(AuditLog.summarize(AuditLog.read(dir, id)));
+        });
+      });
+      return { action: action, runs: runs };
+    }
+
+    if (!runId) throw usageError("audit " + action + " requires <run-id>");
+    var dir = findAuditDir(dirs, runId);
+    var verification = AuditLog.verify(dir, runId);
+    if (!verification.valid) ctx.exitCode = EXIT.CHECK_FAILED;
+    if (action === "show") {
+      var events = AuditLog.read(dir, runId);
+      return { action: action, summary: AuditLog.summarize(events), verification: verification, events: events };
+    }
+    if (action === "verify") return { action: action, verification: verification };
+    return { action: action, path: AuditLog.exportRun(dir, runId, ctx.options.output, ctx.options.format), verification: verification };
+  },
+  render: function(result) {
+    if (result.action === "list") {
+      if (result.runs.length === 0) console.log("No audit runs found");
+      result.runs.forEach(function(summary) {
+        console.log(summary.runId + "  [" + summary.status + "] " + summary.operator + "  " + summary.command +
+          (summary.query ? " \"" + summary.query + "\"" : ""));
+      });
+      return;
+    }
+
+    var verification = result.verification;
+    if (result.action === "show") {
+      var summary = result.summary;
+      console.log("\n--- Audit: " + summary.runId + " ---\n");
+      console.log("Operator: " + summary.operator + " | Command: " + summary.command + (summary.query ? " \"" + summary.query + "\"" : ""));
+      console.log("Started: " + summary.startedAt + " | Ended: " + (summary.endedAt || "-") + " (" + summary.status + ")");
+      console.log("Integrity: " + (verification.valid ? "OK" : "BROKEN") + (verification.complete ? "" : " (log incomplete)"));
+      console.log("");
+      result.events.forEach(function(e) {
+        if (e.invalid) {
+          console.log("  line " + e.line + ": unparseable");
+          return;
+        }
+        var detail = "";
+        if (e.type === "pubmed.search") detail = "\"" + e.data.query + "\" -> " + e.data.count + " hits, " + e.data.pmids.length + " PMIDs";
+        else if (e.type === "pubmed.fetch") detail = e.data.pmids.length + " articles";
+        else if (e.type === "llm.call") detail = e.data.provider + "/" + e.data.model + " " + e.data.latencyMs + "ms" +
+          (e.data.cached ? " (cached)" : "") + ", prompt " + e.data.prompt.length + " chars";
+        else if (e.type === "file.write") detail = e.data.path + " sha256:" + e.data.sha256.substring(0, 12);
+        else if (e.type === "run.end") detail = e.data.status;
+        console.log("  " + e.seq + ". " + e.ts + "  " + e.type + (detail ? "  " + detail : ""));
+      });
+      verification.errors.forEach(function(err) {
+        console.log("  ! line " + err.line + ": " + err.reason);
+      });
+    } else if (result.action === "verify") {
+      if (verification.valid) {
+        console.log(verification.runId + ": hash chain intact (" + verification.events + " events" +
+          (verification.complete ? "" : ", log incomplete") + ")");
+      } else {
+        console.log(verification.runId + ": TAMPERING DETECTED");
+        verification.errors.forEach(function(err) {
+          console.log("  line " + err.line + ": " + err.reason);
+        });
+      }
+    } else if (result.action === "export") {
+      console.log("Exported audit log to " + result.path + (verification.valid ? "" : " (hash chain BROKEN)"));
+    }
+  }
+});
+
+program.command("compliance", {
+  description: "Screen a document against the compliance rules (check <file>)",
+  args: [
+    { name: "action", required: true, description: "check" },
+    { name: "file", required: true, description: "Document to screen" }
+  ],
+  options: [
+    { name: "rules", type: "string", placeholder: "file", description: "Compliance rules file (default rules/compliance.json)" },
+    { name: "product", type: "list", placeholder: "names", description: "Restrict the off-label check to these products" },
+    { name: "annotate", type: "boolean", description: "Also print the document with inline annotations" }
+  ],
+  examples: ["compliance check draft.md --rules rules/compliance.json --annotate"],
+  run: function(ctx) {
+    if (ctx.args.action !== "check") throw usageError("compliance action must be check (got \"" + ctx.args.action + "\")");
+    var config = configFrom(ctx.options);
+    var text = fs.readFileSync(ctx.args.file, "utf8");
+    var result = checkText(text, loadRules(config.compliance.rules || undefined), { products: config.compliance.products || undefined });
+    if (!result.passed) ctx.exitCode = EXIT.CHECK_FAILED;
+    if (ctx.options.annotate) result.annotated = annotateText(text, result);
+    return result;
+  },
+  render: function(result) {
+    if (result.annotated) console.log(result.annotated + "\n");
+    console.log(formatComplianceReport(result));
+  }
+});
+
+program.command("config", {
+  description: "Print the effective configuration and where each value comes from (show)",
+  args: [{ name: "action", required: true, description: "show" }],
+  options: RESEARCH_OPTIONS.filter(function(spec) {
+    return ["focus", "drugs", "cap", "format", "build-query", "save-query", "saved-query", "yes"].indexOf(spec.name) === -1 &&
+      QUERY_FILTER_OPTIONS.indexOf(spec) === -1;
+  }),
+  examples: ["config show", "config show --profile oncology-team --recent 2"],
+  run: function(ctx) {
+    if (ctx.args.action !== "show") throw usageError("config action must be show (got \"" + ctx.args.action + "\")");
+    var config = configFrom(ctx.options);
+    return {
+      file: config.file,
+      profile: config.profile,
+      profiles: config.profiles,
+      settings: describeConfig(config)
+    };
+  },
+  render: function(result) {
+    console.log("\n--- Effective configuration ---\n");
+    console.log("Config file: " + (result.file || "(none)"));
+    console.log("Profile: " + (result.profile || "(none)") + (result.profiles.length > 0 ? "  [available: " + result.profiles.join(", ") + "]" : ""));
+    console.log("");
+    var width = Math.max.apply(null, result.settings.map(function(s) { return s.key.length; }));
+    result.settings.forEach(function(s) {
+      var value = s.value === null ? "-" : Array.isArray(s.value) ? s.value.join(", ") : String(s.value);
+      console.log("  " + s.key + " ".repeat(width - s.key.length + 2) + value + "  (" + s.source + ")");
+    });
+  }
+});
+
+if (require.main === module) {
+  program.main();
+}
+
+module.exports = program;
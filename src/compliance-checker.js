@@ -0,0 +1,282 @@
+/**
+ * Compliance Checker - promotional-compliance screening of generated content
+ *
+ * Driven by a rules file (default rules/compliance.json, or MA_COMPLIANCE_RULES)
+ * maintained by the compliance team. Rule types:
+ *   pattern  - regular expressions matched per sentence (superlatives, absolute
+ *              or comparative claims); requireCitation skips cited sentences
+ *   off-label - a labelled product mentioned in the same sentence as a
+ *              condition that is not one of its indications
+ *   required - document-level: at least one anyOf pattern must appear
+ *              (fair-balance safety information, disclaimers)
+ *
+ * checkText() returns findings with severities; annotateText() inserts
+ * inline markers and formatComplianceReport() renders the report section.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validate } = require("./json-schema");
+const { splitSentences } = require("./citation-grounding");
+
+var DEFAULT_RULES_PATH = path.join(__dirname, "..", "rules", "compliance.json");
+var SEVERITIES = ["critical", "high", "medium", "low"];
+
+var RULES_SCHEMA = {
+  type: "object",
+  required: ["rules"],
+  properties: {
+    products: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name", "indications"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          aliases: { type: "array", items: { type: "string" } },
+          indications: { type: "array", items: { type: "string" } }
+        }
+      }
+    },
+    conditions: { type: "array", items: { type: "string" } },
+    rules: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["id", "type", "severity", "message"],
+        properties: {
+          id: { type: "string", minLength: 1 },
+          type: { enum: ["pattern", "off-label", "required"] },
+          severity: { enum: SEVERITIES },
+          category: { type: "string" },
+          patterns: { type: "array", items: { type: "string" } },
+          anyOf: { type: "array", items: { type: "string" } },
+          requireCitation: { type: "boolean" },
+          message: { type: "string" },
+          suggestion: { type: "string" }
+        }
+      }
+    }
+  }
+};
+
+function rulesError(message) {
+  var error = new Error(message);
+  error.code = "INVALID_RULES";
+  return error;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function termRegExp(term) {
+  return new RegExp("(^|[^a-z0-9])" + escapeRegExp(term.toLowerCase()) + "(?=$|[^a-z0-9])", "i");
+}
+
+/**
+ * Load and validate a rules file (default rules/compliance.json)
+ */
+function loadRules(filepath) {
+  filepath = filepath || process.env.MA_COMPLIANCE_RULES || DEFAULT_RULES_PATH;
+  var rules;
+  try {
+    rules = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (e) {
+    throw rulesError("Cannot read compliance rules " + filepath + ": " + e.message);
+  }
+  var errors = validate(rules, RULES_SCHEMA);
+  if (errors.length > 0) {
+    throw rulesError("Invalid compliance rules " + filepath + ": " + errors.slice(0, 5).join("; "));
+  }
+  rules.rules.forEach(function(rule) {
+    (rule.patterns || []).concat(rule.anyOf || []).forEach(function(pattern) {
+      try {
+        new RegExp(pattern, "i");
+      } catch (e) {
+        throw rulesError("Rule " + rule.id + " has an invalid pattern: " + pattern);
+      }
+    });
+  });
+  rules.source = filepath;
+  return rules;
+}
+
+/**
+ * Sentences of a text with their absolute offsets and line numbers
+ * (code blocks are skipped)
+ */
+function sentencesOf(text) {
+  var sentences = [];
+  var offset = 0;
+  var inCode = false;
+  text.split("\n").forEach(function(line, i) {
+    if (/^\s*```/.test(line)) inCode = !inCode;
+    if (!inCode) {
+      var start = offset;
+      splitSentences(line).forEach(function(sentence) {
+        sentences.push({ text: sentence, start: start, line: i + 1 });
+        start += sentence.length;
+      });
+    }
+    offset += line.length + 1;
+  });
+  return sentences;
+}
+
+function finding(rule, extra) {
+  return Object.assign({
+    ruleId: rule.id,
+    category: rule.category || rule.type,
+    severity: rule.severity,
+    message: rule.message,
+    suggestion: rule.suggestion || ""
+  }, extra);
+}
+
+/**
+ * Screen generated text against the rules.
+ * options.products - product names to restrict the off-label check to
+ *
+ * Returns { findings, counts, passed, rulesSource }; passed is false when any
+ * critical or high severity finding remains.
+ */
+function checkText(text, rules, options) {
+  options = options || {};
+  rules = rules || loadRules();
+  text = text || "";
+  var findings = [];
+  var seen = {};
+
+  function add(f) {
+    var key = f.ruleId + "|" + f.index + "|" + (f.match || "").toLowerCase();
+    if (seen[key]) return;
+    seen[key] = true;
+    findings.push(f);
+  }
+
+  var products = (rules.products || []).filter(function(p) {
+    return !options.products || options.products.some(function(name) {
+      return name.toLowerCase() === p.name.toLowerCase();
+    });
+  });
+  var sentences = sentencesOf(text);
+
+  rules.rules.forEach(function(rule) {
+    if (rule.type === "pattern") {
+      sentences.forEach(function(s) {
+        if (rule.requireCitation && /\[PMID:\d+\]/.test(s.text)) return;
+        (rule.patterns || []).forEach(function(pattern) {
+          var re = new RegExp(pattern, "gi");
+          var match;
+          while ((match = re.exec(s.text)) !== null) {
+            if (match[0].length === 0) {
+              re.lastIndex++;
+              continue;
+            }
+            add(finding(rule, {
+              match: match[0],
+              excerpt: s.text.trim(),
+              line: s.line,
+              index: s.start + match.index + match[0].length
+            }));
+          }
+        });
+      });
+    } else if (rule.type === "off-label") {
+      sentences.forEach(function(s) {
+        products.forEach(function(product) {
+          var names = [product.name].concat(product.aliases || []);
+          var mentioned = names.some(function(name) { return termRegExp(name).test(s.text); });
+          if (!mentioned) return;
+          (rules.conditions || []).forEach(function(condition) {
+            var match = termRegExp(condition).exec(s.text);
+            if (!match) return;
+            var onLabel = product.indications.some(function(indication) {
+              var a = indication.toLowerCase();
+              var b = condition.toLowerCase();
+              return a.indexOf(b) !== -1 || b.indexOf(a) !== -1;
+            });
+            if (onLabel) return;
+            add(finding(rule, {
+              match: condition,
+              product: product.name,
+              message: rule.message + " (" + product.name + ": " + condition + ")",
+              excerpt: s.text.trim(),
+              line: s.line,
+              index: s.start + match.index + match[0].length
+            }));
+          });
+        });
+      });
+    } else if (rule.type === "required") {
+      var present = (rule.anyOf || []).some(function(pattern) {
+        return new RegExp(pattern, "i").test(text);
+      });
+      if (!present) add(finding(rule, { match: null, excerpt: null, line: null, index: null }));
+    }
+  });
+
+  findings.sort(function(a, b) {
+    var bySeverity = SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity);
+    if (bySeverity !== 0) return bySeverity;
+    return (a.line || 0) - (b.line || 0);
+  });
+
+  var counts = {};
+  SEVERITIES.forEach(function(severity) { counts[severity] = 0; });
+  findings.forEach(function(f) { counts[f.severity]++; });
+
+  return {
+    findings: findings,
+    counts: counts,
+    passed: counts.critical === 0 && counts.high === 0,
+    rulesSource: rules.source || null
+  };
+}
+
+/**
+ * Insert [COMPLIANCE <SEVERITY>: <rule>] after each flagged phrase
+ */
+function annotateText(text, result) {
+  var inline = result.findings.filter(function(f) { return f.index !== null; }).sort(function(a, b) {
+    return b.index - a.index;
+  });
+  inline.forEach(function(f) {
+    text = text.substring(0, f.index) + " [COMPLIANCE " + f.severity.toUpperCase() + ": " + f.ruleId + "]" +
+      text.substring(f.index);
+  });
+  return text;
+}
+
+/**
+ * Markdown rendering of the findings for reports and briefings
+ */
+function formatComplianceReport(result) {
+  var content = "## Compliance Review\n\n";
+  content += "- **Status:** " + (result.passed ? "No critical or high findings" : "REQUIRES REVISION before MLR submission") + "\n";
+  content += "- **Findings:** " + SEVERITIES.map(function(s) { return result.counts[s] + " " + s; }).join(", ") + "\n";
+  if (result.rulesSource) content += "- **Rules:** " + path.basename(result.rulesSource) + "\n";
+
+  if (result.findings.length > 0) {
+    content += "\n| Severity | Rule | Finding | Excerpt | Suggested fix |\n";
+    content += "|----------|------|---------|---------|---------------|\n";
+    result.findings.forEach(function(f) {
+      var excerpt = f.excerpt ? (f.excerpt.length > 160 ? f.excerpt.substring(0, 157) + "..." : f.excerpt) : "(whole document)";
+      content += "| " + f.severity.toUpperCase() + " | " + f.ruleId + " | " +
+        [f.message + (f.match && f.category !== "off-label" ? ": \"" + f.match + "\"" : ""), excerpt, f.suggestion].map(function(cell) {
+          return cell.replace(/\|/g, "\\|").replace(/\n/g, " ");
+        }).join(" | ") + " |\n";
+    });
+  }
+  return content + "\n";
+}
+
+module.exports = {
+  DEFAULT_RULES_PATH: DEFAULT_RULES_PATH,
+  SEVERITIES: SEVERITIES,
+  loadRules: loadRules,
+  checkText: checkText,
+  annotateText: annotateText,
+  formatComplianceReport: formatComplianceReport
+};
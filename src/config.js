@@ -0,0 +1,474 @@
+/**
+ * Layered configuration for the research agent
+ *
+ * Resolution order (later layers win):
+ *   1. defaults (below)
+ *   2. ma-research.config.json (or --config / MA_CONFIG)
+ *   3. the selected profile from that file (--profile / MA_PROFILE / "profile")
+ *   4. environment variables, including .env (loaded with dotenv)
+ *   5. command-line flags
+ *
+ * Profiles hold team-specific settings such as the model, per-task
+ * temperatures, default search filters, output formats, the DOCX company
+ * template, the HTML/PDF theme, PowerPoint branding and compliance rules:
+ *
+ *   { "profile": "oncology-team",
+ *     "profiles": { "oncology-team": { "llm": { "model": "..." }, "filters": { "recentYears": 3 } } } }
+ *
+ * loadConfig() returns the merged settings with a `sources` map recording
+ * which layer set each value (shown by "cli.js config show").
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { validate } = require("./json-schema");
+const { DEFAULT_CONFIDENTIALITY } = require("./html-renderer");
+const { STYLES } = require("./citation-styles");
+
+var CONFIG_FILE = "ma-research.config.json";
+
+var PHASE_TYPES = {
+  1: "\"Clinical Trial, Phase I\"",
+  2: "\"Clinical Trial, Phase II\"",
+  3: "\"Clinical Trial, Phase III\"",
+  4: "\"Clinical Trial, Phase IV\""
+};
+
+var TASKS = ["summary", "abstract", "paper", "slides", "evidence-table", "screening", "query", "kol-briefing", "competitive", "medical-info"];
+
+var DEFAULTS = {
+  llm: { provider: "venice", model: null, baseUrl: null, apiKey: null, contextWindow: null },
+  generation: {
+    summary: { temperature: 0.5, maxTokens: 2000 },
+    abstract: { temperature: 0.3, maxTokens: 1500 },
+    paper: { temperature: 0.5, maxTokens: 2500 },
+    slides: { temperature: 0.4, maxTokens: 2500 },
+    "evidence-table": { temperature: 0, maxTokens: 1500 },
+    screening: { temperature: 0, maxTokens: 2000 },
+    query: { temperature: 0, maxTokens: 1000 },
+    "kol-briefing": { temperature: 0.5, maxTokens: 1500 },
+    competitive: { temperature: 0.5, maxTokens: 2000 },
+    "medical-info": { temperature: 0.3, maxTokens: 1000 }
+  },
+  pubmed: { email: null, apiKey: null, tool: "ma-research-assistant", timeoutMs: 30000 },
+  filters: { maxResults: 15, clinicalOnly: false, phase: null, recentYears: null, minEvidence: null },
+  output: {
+    dir: "./output",
+    formats: { slides: "pptx", default: "md" },
+    docx: { template: null, company: "Medical Affairs", font: "Calibri", fontSize: 11, headingColor: "1F3864" },
+    html: { theme: null, confidentiality: DEFAULT_CONFIDENTIALITY },
+    pdf: { paperSize: "A4", executablePath: null },
+    pptx: {
+      font: "Calibri", titleColor: "1F3864", accentColor: "2E75B6", background: "FFFFFF",
+      logo: null, footer: null, maxBullets: 5, maxChars: 480
+    }
+  },
+  citations: { mode: "flag", style: "vancouver", export: true },
+  cache: { enabled: true, dir: "./.cache/ma-research" },
+  compliance: { enabled: true, rules: null, products: null },
+  review: { enabled: true, roles: null },
+  audit: { enabled: true, dir: null, operator: null }
+};
+
+var GENERATION_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    temperature: { type: "number", minimum: 0, maximum: 2 },
+    maxTokens: { type: "integer", minimum: 1 }
+  }
+};
+
+var SETTINGS_PROPERTIES = {
+  llm: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      provider: { enum: ["venice", "openai", "openai-compatible", "mock"] },
+      model: { type: ["string", "null"] },
+      baseUrl: { type: ["string", "null"] },
+      apiKey: { type: ["string", "null"] },
+      contextWindow: { type: ["integer", "null"], minimum: 1 }
+    }
+  },
+  generation: {
+    type: "object",
+    additionalProperties: false,
+    properties: TASKS.reduce(function(properties, task) {
+      properties[task] = GENERATION_SCHEMA;
+      return properties;
+    }, {})
+  },
+  pubmed: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      email: { type: ["string", "null"] },
+      apiKey: { type: ["string", "null"] },
+      tool: { type: "string" },
+      timeoutMs: { type: "integer", minimum: 1 }
+    }
+  },
+  filters: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      maxResults: { type: ["integer", "string"] },
+      clinicalOnly: { type: "boolean" },
+      phase: { enum: [null, 1, 2, 3, 4] },
+      recentYears: { type: ["integer", "null"], minimum: 1 },
+      minEvidence: { type: ["integer", "null"], minimum: 1, maximum: 5 }
+    }
+  },
+  output: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      dir: { type: "string", minLength: 1 },
+      formats: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          slides: { enum: ["pptx", "txt", "html", "pdf"] },
+          default: { enum: ["md", "docx", "html", "pdf"] }
+        }
+      },
+      docx: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          template: { type: ["string", "null"] },
+          company: { type: "string" },
+          font: { type: "string", minLength: 1 },
+          fontSize: { type: "number", minimum: 6, maximum: 24 },
+          headingColor: { type: "string", minLength: 6 }
+        }
+      },
+      html: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          theme: { type: ["string", "null"] },
+          confidentiality: { type: "string", minLength: 1 }
+        }
+      },
+      pdf: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          paperSize: { enum: ["A4", "Letter", "Legal"] },
+          executablePath: { type: ["string", "null"] }
+        }
+      },
+      pptx: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          font: { type: "string", minLength: 1 },
+          titleColor: { type: "string", minLength: 6 },
+          accentColor: { type: "string", minLength: 6 },
+          background: { type: "string", minLength: 6 },
+          logo: { type: ["string", "null"] },
+          footer: { type: ["string", "null"] },
+          maxBullets: { type: "integer", minimum: 1, maximum: 12 },
+          maxChars: { type: "integer", minimum: 100, maximum: 2000 }
+        }
+      }
+    }
+  },
+  citations: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      mode: { enum: ["flag", "strip"] },
+      style: { enum: STYLES },
+      export: { type: "boolean" }
+    }
+  },
+  cache: {
+    type: "object",
+    additionalProperties: false,
+    properties: { enabled: { type: "boolean" }, dir: { type: "string", minLength: 1 } }
+  },
+  compliance: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      enabled: { type: "boolean" },
+      rules: { type: ["string", "null"] },
+      products: { type: ["array", "null"], items: { type: "string" } }
+    }
+  },
+  review: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      enabled: { type: "boolean" },
+      roles: { type: ["array", "null"], items: { type: "string" }, minItems: 1 }
+    }
+  },
+  audit: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      enabled: { type: "boolean" },
+      dir: { type: ["string", "null"] },
+      operator: { type: ["string", "null"] }
+    }
+  }
+};
+
+var SETTINGS_SCHEMA = { type: "object", additionalProperties: false, properties: SETTINGS_PROPERTIES };
+
+var FILE_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: Object.assign({
+    $schema: { type: "string" },
+    description: { type: "string" },
+    profile: { type: ["string", "null"] },
+    profiles: { type: "object" }
+  }, SETTINGS_PROPERTIES)
+};
+
+// Keys whose values are masked by describeConfig()
+var SECRETS = ["llm.apiKey", "pubmed.apiKey"];
+
+function configError(message, code) {
+  var error = new Error(message);
+  error.code = code || "INVALID_CONFIG";
+  if (error.code === "UNKNOWN_PROFILE") error.exitCode = 2;
+  return error;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Leaf paths of a settings object ("llm.model" -> value); arrays are leaves
+ */
+function flatten(object, prefix, out) {
+  out = out || {};
+  Object.keys(object).forEach(function(key) {
+    var value = object[key];
+    var name = prefix ? prefix + "." + key : key;
+    if (isPlainObject(value)) {
+      flatten(value, name, out);
+    } else {
+      out[name] = value;
+    }
+  });
+  return out;
+}
+
+/**
+ * Deep-merge a layer into the config, recording its name against each leaf it sets.
+ * undefined values do not override.
+ */
+function applyLayer(config, sources, layer, name) {
+  var leaves = flatten(layer);
+  Object.keys(leaves).forEach(function(key) {
+    if (leaves[key] === undefined) return;
+    var parts = key.split(".");
+    var target = config;
+    parts.slice(0, -1).forEach(function(part) {
+      if (!isPlainObject(target[part])) target[part] = {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = Array.isArray(leaves[key]) ? leaves[key].slice() : leaves[key];
+    sources[key] = name;
+  });
+}
+
+/**
+ * filters.maxResults follows --max: an integer >= 1 or "all"
+ */
+function maxResultsErrors(settings, where) {
+  var value = isPlainObject(settings) && isPlainObject(settings.filters) ? settings.filters.maxResults : undefined;
+  if (value === undefined || value === "all" || (Number.isInteger(value) && value >= 1)) return [];
+  return [where + ".filters.maxResults: must be an integer >= 1 or \"all\" (got " + JSON.stringify(value) + ")"];
+}
+
+/**
+ * Read and validate a config file. Missing default file -> null.
+ */
+function readConfigFile(filepath, explicit) {
+  if (!fs.existsSync(filepath)) {
+    if (explicit) throw configError("Config file not found: " + filepath);
+    return null;
+  }
+  var data;
+  try {
+    data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (e) {
+    throw configError("Cannot read config " + filepath + ": " + e.message);
+  }
+  var errors = validate(data, FILE_SCHEMA).concat(maxResultsErrors(data, "$"));
+  Object.keys(data.profiles || {}).forEach(function(name) {
+    errors = errors.concat(validate(data.profiles[name], SETTINGS_SCHEMA, "$.profiles." + name),
+      maxResultsErrors(data.profiles[name], "$.profiles." + name));
+  });
+  if (errors.length > 0) {
+    throw configError("Invalid config " + filepath + ": " + errors.slice(0, 5).join("; "));
+  }
+  return data;
+}
+
+function settingsOf(data) {
+  var settings = {};
+  Object.keys(SETTINGS_PROPERTIES).forEach(function(key) {
+    if (data[key] !== undefined) settings[key] = data[key];
+  });
+  return settings;
+}
+
+/**
+ * Environment layer. Model and key variables depend on the provider resolved so far
+ * (VENICE_MODEL / VENICE_INFERENCE_KEY for venice, LLM_MODEL / LLM_API_KEY otherwise).
+ */
+function envLayer(env, provider) {
+  provider = env.LLM_PROVIDER || provider;
+  var venice = provider === "venice";
+  var contextWindow = parseInt(env.LLM_CONTEXT_WINDOW, 10);
+  var timeout = parseInt(env.NCBI_TIMEOUT_MS, 10);
+  return {
+    llm: {
+      provider: env.LLM_PROVIDER || undefined,
+      model: (venice ? env.VENICE_MODEL : env.LLM_MODEL) || undefined,
+      baseUrl: venice ? undefined : env.LLM_BASE_URL || undefined,
+      apiKey: (venice ? env.VENICE_INFERENCE_KEY : env.LLM_API_KEY) || undefined,
+      contextWindow: contextWindow > 0 ? contextWindow : undefined
+    },
+    pubmed: {
+      email: env.NCBI_EMAIL || env.PUBMED_EMAIL || undefined, // PUBMED_EMAIL: deprecated alias
+      apiKey: env.NCBI_API_KEY || undefined,
+      tool: env.NCBI_TOOL || undefined,
+      timeoutMs: timeout > 0 ? timeout : undefined
+    },
+    output: {
+      dir: env.OUTPUT_DIR || undefined,
+      pdf: { executablePath: env.PUPPETEER_EXECUTABLE_PATH || undefined }
+    },
+    cache: { dir: env.MA_CACHE_DIR || undefined },
+    compliance: { rules: env.MA_COMPLIANCE_RULES || undefined },
+    audit: { dir: env.MA_AUDIT_DIR || undefined, operator: env.MA_OPERATOR || undefined }
+  };
+}
+
+/**
+ * Resolve the effective configuration.
+ * options:
+ *   file      - config file path (default MA_CONFIG or ./ma-research.config.json)
+ *   profile   - profile name (default MA_PROFILE or the file's "profile")
+ *   overrides - command-line layer, same shape as the settings
+ *   env       - environment (default process.env after loading .env)
+ *   dotenv    - false to skip loading .env
+ *
+ * Returns the settings plus { profile, file, profiles, sources }.
+ */
+function loadConfig(options) {
+  options = options || {};
+  if (!options.env && options.dotenv !== false) {
+    require("dotenv").config({ quiet: true });
+  }
+  var env = options.env || process.env;
+
+  var explicitFile = options.file || env.MA_CONFIG;
+  var file = path.resolve(explicitFile || CONFIG_FILE);
+  var data = readConfigFile(file, !!explicitFile);
+
+  var config = JSON.parse(JSON.stringify(DEFAULTS));
+  var sources = {};
+  Object.keys(flatten(DEFAULTS)).forEach(function(key) { sources[key] = "default"; });
+
+  if (data) applyLayer(config, sources, settingsOf(data), "file");
+
+  var profiles = (data && data.profiles) || {};
+  var profile = options.profile || env.MA_PROFILE || (data && data.profile) || null;
+  if (profile) {
+    if (!profiles[profile]) {
+      var known = Object.keys(profiles);
+      throw configError("Unknown profile \"" + profile + "\"" +
+        (known.length > 0 ? " (available: " + known.join(", ") + ")" : " (no profiles defined in " + file + ")"), "UNKNOWN_PROFILE");
+    }
+    applyLayer(config, sources, profiles[profile], "profile:" + profile);
+  }
+
+  applyLayer(config, sources, envLayer(env, config.llm.provider), "env");
+  if (options.overrides) applyLayer(config, sources, options.overrides, "cli");
+
+  config.profile = profile;
+  config.file = data ? file : null;
+  config.profiles = Object.keys(profiles);
+  config.sources = sources;
+  return config;
+}
+
+/**
+ * Leaf settings with their values and sources, secrets masked
+ */
+function describeConfig(config) {
+  var values = flatten(settingsOf(config));
+  return Object.keys(values).map(function(key) {
+    var value = values[key];
+    if (SECRETS.indexOf(key) !== -1 && value) value = "****" + String(value).slice(-4);
+    return { key: key, value: value, source: config.sources[key] || "default" };
+  });
+}
+
+/**
+ * Provider config (createProvider) from the resolved config: unset values are
+ * dropped so the provider's own environment fallbacks still apply
+ */
+function llmSettings(config, overrides) {
+  var settings = Object.assign({}, config.llm, overrides);
+  Object.keys(settings).forEach(function(key) {
+    if (settings[key] === null || settings[key] === undefined) delete settings[key];
+  });
+  return settings;
+}
+
+/**
+ * PubMedClient options from the resolved config
+ */
+function pubmedSettings(config) {
+  return {
+    email: config.pubmed.email || undefined,
+    apiKey: config.pubmed.apiKey || undefined,
+    tool: config.pubmed.tool,
+    timeout: config.pubmed.timeoutMs
+  };
+}
+
+/**
+ * Agent research() defaults for a task from the resolved config
+ */
+function researchDefaults(config, taskType) {
+  var formats = config.output.formats || {};
+  return {
+    clinicalOnly: config.filters.clinicalOnly || !!config.filters.phase,
+    phase: config.filters.phase ? PHASE_TYPES[config.filters.phase] : undefined,
+    recentYears: config.filters.recentYears || undefined,
+    minEvidence: config.filters.minEvidence || undefined,
+    maxResults: config.filters.maxResults,
+    citationMode: config.citations.mode,
+    format: (taskType === "slides" ? formats.slides : formats.default) || undefined,
+    review: config.review.enabled,
+    compliance: config.compliance.enabled,
+    complianceRules: config.compliance.rules || undefined,
+    products: config.compliance.products || undefined
+  };
+}
+
+module.exports = {
+  CONFIG_FILE: CONFIG_FILE,
+  DEFAULTS: DEFAULTS,
+  PHASE_TYPES: PHASE_TYPES,
+  TASKS: TASKS,
+  loadConfig: loadConfig,
+  describeConfig: describeConfig,
+  llmSettings: llmSettings,
+  pubmedSettings: pubmedSettings,
+  researchDefaults: researchDefaults
+};
@@ -0,0 +1,308 @@
+/**
+ * DOCX Writer - renders the Markdown produced by OutputGenerator as a Word document
+ *
+ * Supported Markdown: # headings (Heading1-4), paragraphs with **bold**,
+ * *italic* and `code`, bullet and numbered lists (Word numbering, each
+ * numbered list restarts at 1), pipe tables, > quotes and ``` code blocks.
+ * Horizontal rules are dropped; the first "# " heading becomes the Title.
+ *
+ * Every page carries a header (company, title, document ID) and a footer
+ * (document ID, date, page X of Y). Styling comes from a company template
+ * (.dotx/.docx - its word/styles.xml and theme are reused, so our paragraphs
+ * pick up its Heading1..4, Title, ListParagraph and TableGrid styles) or,
+ * without one, from generated styles using the configured font and colours.
+ */
+
+const fs = require("fs");
+const JSZip = require("jszip");
+const { parseMarkdown, inlineTokens } = require("./markdown");
+
+var MAIN_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+var REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+var PKG_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+var DEFAULT_STYLE = {
+  company: "Medical Affairs",
+  font: "Calibri",
+  fontSize: 11,
+  headingColor: "1F3864"
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Inline Markdown -> <w:r> runs
+ */
+function runs(text, base) {
+  base = base || {};
+  return inlineTokens(text).map(function(token) {
+    return run(token.text, { bold: base.bold || token.bold, italic: base.italic || token.italic, code: base.code || token.code });
+  }).join("");
+}
+
+function run(text, props) {
+  props = props || {};
+  var rPr = "";
+  if (props.code) rPr += "<w:rFonts w:ascii=\"Consolas\" w:hAnsi=\"Consolas\"/>";
+  if (props.bold) rPr += "<w:b/>";
+  if (props.italic) rPr += "<w:i/>";
+  return "<w:r>" + (rPr ? "<w:rPr>" + rPr + "</w:rPr>" : "") +
+    "<w:t xml:space=\"preserve\">" + escapeXml(text) + "</w:t></w:r>";
+}
+
+function paragraph(content, style, extraPPr) {
+  var pPr = (style ? "<w:pStyle w:val=\"" + style + "\"/>" : "") + (extraPPr || "");
+  return "<w:p>" + (pPr ? "<w:pPr>" + pPr + "</w:pPr>" : "") + content + "</w:p>";
+}
+
+function table(rows) {
+  var columns = rows.reduce(function(max, row) { return Math.max(max, row.length); }, 0);
+  var width = Math.floor(9360 / Math.max(columns, 1));
+  var xml = "<w:tbl><w:tblPr><w:tblStyle w:val=\"TableGrid\"/><w:tblW w:w=\"5000\" w:type=\"pct\"/>" +
+    "<w:tblBorders>" + ["top", "left", "bottom", "right", "insideH", "insideV"].map(function(side) {
+      return "<w:" + side + " w:val=\"single\" w:sz=\"4\" w:space=\"0\" w:color=\"A6A6A6\"/>";
+    }).join("") + "</w:tblBorders></w:tblPr><w:tblGrid>";
+  for (var c = 0; c < columns; c++) xml += "<w:gridCol w:w=\"" + width + "\"/>";
+  xml += "</w:tblGrid>";
+  rows.forEach(function(row, r) {
+    xml += "<w:tr>" + (r === 0 ? "<w:trPr><w:tblHeader/></w:trPr>" : "");
+    for (var c = 0; c < columns; c++) {
+      var shading = r === 0 ? "<w:shd w:val=\"clear\" w:color=\"auto\" w:fill=\"D9E2F3\"/>" : "";
+      xml += "<w:tc><w:tcPr><w:tcW w:w=\"" + width + "\" w:type=\"dxa\"/>" + shading + "</w:tcPr>" +
+        paragraph(runs(row[c] || "", { bold: r === 0 }), null, "<w:spacing w:before=\"0\" w:after=\"0\"/>") + "</w:tc>";
+    }
+    xml += "</w:tr>";
+  });
+  return xml + "</w:tbl>" + paragraph("", null, "<w:spacing w:before=\"0\" w:after=\"0\"/>");
+}
+
+/**
+ * Blocks -> document body XML. Returns { body, orderedLists } where
+ * orderedLists is the number of numbered lists (each gets its own w:num)
+ */
+function renderBody(blocks) {
+  var body = "";
+  var orderedLists = 0;
+  var titled = false;
+
+  blocks.forEach(function(block) {
+    if (block.type === "heading") {
+      var style = block.level === 1 && !titled ? "Title" : "Heading" + block.level;
+      if (style === "Title") titled = true;
+      body += paragraph(runs(block.text), style);
+    } else if (block.type === "paragraph") {
+      body += paragraph(runs(block.text));
+    } else if (block.type === "quote") {
+      body += paragraph(runs(block.text, { italic: true }), "Quote");
+    } else if (block.type === "code") {
+      block.lines.forEach(function(line) {
+        body += paragraph(run(line, { code: true }), null, "<w:spacing w:before=\"0\" w:after=\"0\"/>");
+      });
+    } else if (block.type === "table") {
+      body += table(block.rows);
+    } else if (block.type === "list") {
+      var numId = block.ordered ? 2 + orderedLists++ : 1;
+      block.items.forEach(function(item) {
+        body += paragraph(runs(item.text), "ListParagraph",
+          "<w:numPr><w:ilvl w:val=\"" + item.level + "\"/><w:numId w:val=\"" + numId + "\"/></w:numPr>");
+      });
+    }
+  });
+  return { body: body, orderedLists: orderedLists };
+}
+
+function numberingXml(orderedLists) {
+  function levels(bullet) {
+    var xml = "";
+    for (var l = 0; l < 3; l++) {
+      var format = bullet ? "bullet" : l === 1 ? "lowerLetter" : "decimal";
+      var text = bullet ? ["•", "◦", "▪"][l] : "%" + (l + 1) + (l === 1 ? ")" : ".");
+      xml += "<w:lvl w:ilvl=\"" + l + "\"><w:start w:val=\"1\"/><w:numFmt w:val=\"" + format + "\"/>" +
+        "<w:lvlText w:val=\"" + text + "\"/><w:lvlJc w:val=\"left\"/>" +
+        "<w:pPr><w:ind w:left=\"" + (720 * (l + 1)) + "\" w:hanging=\"360\"/></w:pPr></w:lvl>";
+    }
+    return xml;
+  }
+  var xml = "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n<w:numbering xmlns:w=\"" + MAIN_NS + "\">" +
+    "<w:abstractNum w:abstractNumId=\"0\"><w:multiLevelType w:val=\"hybridMultilevel\"/>" + levels(true) + "</w:abstractNum>" +
+    "<w:abstractNum w:abstractNumId=\"1\"><w:multiLevelType w:val=\"hybridMultilevel\"/>" + levels(false) + "</w:abstractNum>" +
+    "<w:num w:numId=\"1\"><w:abstractNumId w:val=\"0\"/></w:num>";
+  for (var i = 0; i < orderedLists; i++) {
+    xml += "<w:num w:numId=\"" + (2 + i) + "\"><w:abstractNumId w:val=\"1\"/>" +
+      "<w:lvlOverride w:ilvl=\"0\"><w:startOverride w:val=\"1\"/></w:lvlOverride></w:num>";
+  }
+  return xml + "</w:numbering>";
+}
+
+/**
+ * Styles used when no company template is configured
+ */
+function stylesXml(style) {
+  var font = escapeXml(style.font);
+  var size = Math.round(style.fontSize * 2);
+  var color = style.headingColor;
+  function paragraphStyle(id, name, pPr, rPr, extra) {
+    return "<w:style w:type=\"paragraph\" w:styleId=\"" + id + "\"><w:name w:val=\"" + name + "\"/>" +
+      "<w:basedOn w:val=\"Normal\"/><w:next w:val=\"Normal\"/>" + (extra || "") + "<w:qFormat/>" +
+      "<w:pPr>" + pPr + "</w:pPr><w:rPr>" + rPr + "</w:rPr></w:style>";
+  }
+  function heading(level, sizePt) {
+    return paragraphStyle("Heading" + level, "heading " + level,
+      "<w:keepNext/><w:spacing w:before=\"" + (level === 1 ? 360 : 240) + "\" w:after=\"120\"/><w:outlineLvl w:val=\"" + (level - 1) + "\"/>",
+      "<w:b/><w:color w:val=\"" + color + "\"/><w:sz w:val=\"" + sizePt * 2 + "\"/>");
+  }
+  return "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n<w:styles xmlns:w=\"" + MAIN_NS + "\">" +
+    "<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii=\"" + font + "\" w:hAnsi=\"" + font + "\" w:cs=\"" + font + "\"/>" +
+    "<w:sz w:val=\"" + size + "\"/><w:szCs w:val=\"" + size + "\"/><w:lang w:val=\"en-US\"/></w:rPr></w:rPrDefault>" +
+    "<w:pPrDefault><w:pPr><w:spacing w:after=\"120\" w:line=\"264\" w:lineRule=\"auto\"/></w:pPr></w:pPrDefault></w:docDefaults>" +
+    "<w:style w:type=\"paragraph\" w:default=\"1\" w:styleId=\"Normal\"><w:name w:val=\"Normal\"/><w:qFormat/></w:style>" +
+    paragraphStyle("Title", "Title", "<w:pBdr><w:bottom w:val=\"single\" w:sz=\"8\" w:space=\"4\" w:color=\"" + color + "\"/></w:pBdr><w:spacing w:after=\"240\"/>",
+      "<w:b/><w:color w:val=\"" + color + "\"/><w:sz w:val=\"48\"/>") +
+    heading(1, 16) + heading(2, 14) + heading(3, 12) + heading(4, 11) +
+    paragraphStyle("ListParagraph", "List Paragraph", "<w:spacing w:after=\"60\"/><w:ind w:left=\"720\"/><w:contextualSpacing/>", "") +
+    paragraphStyle("Quote", "Quote", "<w:ind w:left=\"567\" w:right=\"567\"/>", "<w:i/><w:color w:val=\"404040\"/>") +
+    paragraphStyle("Header", "header", "<w:tabs><w:tab w:val=\"right\" w:pos=\"9360\"/></w:tabs><w:spacing w:after=\"0\"/>",
+      "<w:color w:val=\"595959\"/><w:sz w:val=\"16\"/>") +
+    paragraphStyle("Footer", "footer", "<w:tabs><w:tab w:val=\"right\" w:pos=\"9360\"/></w:tabs><w:spacing w:after=\"0\"/>",
+      "<w:color w:val=\"595959\"/><w:sz w:val=\"16\"/>") +
+    "<w:style w:type=\"table\" w:styleId=\"TableGrid\"><w:name w:val=\"Table Grid\"/>" +
+    "<w:rPr><w:sz w:val=\"" + Math.max(size - 2, 16) + "\"/></w:rPr><w:tblPr><w:tblCellMar>" +
+    "<w:left w:w=\"108\" w:type=\"dxa\"/><w:right w:w=\"108\" w:type=\"dxa\"/></w:tblCellMar></w:tblPr></w:style>" +
+    "</w:styles>";
+}
+
+function headerXml(meta) {
+  return "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n<w:hdr xmlns:w=\"" + MAIN_NS + "\">" +
+    paragraph(run(meta.company, { bold: true }) + run(" | " + meta.title) +
+      "<w:r><w:tab/></w:r>" + run("Document ID: " + meta.documentId), "Header") +
+    "</w:hdr>";
+}
+
+function footerXml(meta) {
+  function field(instr) {
+    return "<w:fldSimple w:instr=\" " + instr + " \">" + run("1") + "</w:fldSimple>";
+  }
+  return "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n<w:ftr xmlns:w=\"" + MAIN_NS + "\">" +
+    paragraph(run(meta.documentId + " | " + meta.date) + "<w:r><w:tab/></w:r>" +
+      run("Page ") + field("PAGE") + run(" of ") + field("NUMPAGES"), "Footer") +
+    "</w:ftr>";
+}
+
+function documentXml(body) {
+  return "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n" +
+    "<w:document xmlns:w=\"" + MAIN_NS + "\" xmlns:r=\"" + REL_NS + "\"><w:body>" + body +
+    "<w:sectPr><w:headerReference w:type=\"default\" r:id=\"rIdHeader\"/><w:footerReference w:type=\"default\" r:id=\"rIdFooter\"/>" +
+    "<w:pgSz w:w=\"12240\" w:h=\"15840\"/><w:pgMar w:top=\"1440\" w:right=\"1440\" w:bottom=\"1440\" w:left=\"1440\" w:header=\"708\" w:footer=\"708\" w:gutter=\"0\"/>" +
+    "</w:sectPr></w:body></w:document>";
+}
+
+function coreXml(meta) {
+  var now = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  return "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n" +
+    "<cp:coreProperties xmlns:cp=\"http://schemas.openxmlformats.org/package/2006/metadata/core-properties\" " +
+    "xmlns:dc=\"http://purl.org/dc/elements/1.1/\" xmlns:dcterms=\"http://purl.org/dc/terms/\" " +
+    "xmlns:xsi=\"http://www.w3.org/2001/XMLSchema-instance\">" +
+    "<dc:title>" + escapeXml(meta.title) + "</dc:title><dc:creator>MA Research Assistant</dc:creator>" +
+    "<dc:identifier>" + escapeXml(meta.documentId) + "</dc:identifier>" +
+    "<dcterms:created xsi:type=\"dcterms:W3CDTF\">" + now + "</dcterms:created></cp:coreProperties>";
+}
+
+function relationship(id, type, target) {
+  return "<Relationship Id=\"" + id + "\" Type=\"" + REL_NS + "/" + type + "\" Target=\"" + target + "\"/>";
+}
+
+/**
+ * Styles (and theme) from a company .dotx/.docx template
+ */
+async function loadTemplate(filepath) {
+  var zip = await JSZip.loadAsync(fs.readFileSync(filepath));
+  var styles = zip.file("word/styles.xml");
+  if (!styles) {
+    var error = new Error("DOCX template has no word/styles.xml: " + filepath);
+    error.code = "INVALID_TEMPLATE";
+    throw error;
+  }
+  var theme = zip.file("word/theme/theme1.xml");
+  return {
+    styles: await styles.async("string"),
+    theme: theme ? await theme.async("string") : null
+  };
+}
+
+/**
+ * Render Markdown as a .docx Buffer.
+ * options: title, documentId, date, and style settings - company, font,
+ * fontSize (pt), headingColor (hex) or template (path to a .dotx/.docx)
+ */
+async function markdownToDocx(markdown, options) {
+  options = options || {};
+  var style = Object.assign({}, DEFAULT_STYLE);
+  Object.keys(DEFAULT_STYLE).forEach(function(key) {
+    if (options[key]) style[key] = options[key];
+  });
+  style.headingColor = String(style.headingColor).replace(/^#/, "");
+  var meta = {
+    title: options.title || "Untitled",
+    documentId: options.documentId || "DRAFT",
+    date: options.date || new Date().toISOString().substring(0, 10),
+    company: style.company
+  };
+
+  var rendered = renderBody(parseMarkdown(markdown));
+  var template = options.template ? await loadTemplate(options.template) : null;
+
+  var zip = new JSZip();
+  var overrides = [
+    ["/word/document.xml", "application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"],
+    ["/word/styles.xml", "application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"],
+    ["/word/numbering.xml", "application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"],
+    ["/word/header1.xml", "application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"],
+    ["/word/footer1.xml", "application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"],
+    ["/docProps/core.xml", "application/vnd.openxmlformats-package.core-properties+xml"]
+  ];
+  var documentRels = [
+    relationship("rIdStyles", "styles", "styles.xml"),
+    relationship("rIdNumbering", "numbering", "numbering.xml"),
+    relationship("rIdHeader", "header", "header1.xml"),
+    relationship("rIdFooter", "footer", "footer1.xml")
+  ];
+  if (template && template.theme) {
+    overrides.push(["/word/theme/theme1.xml", "application/vnd.openxmlformats-officedocument.theme+xml"]);
+    documentRels.push(relationship("rIdTheme", "theme", "theme/theme1.xml"));
+    zip.file("word/theme/theme1.xml", template.theme);
+  }
+
+  zip.file("[Content_Types].xml", "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n" +
+    "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">" +
+    "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>" +
+    "<Default Extension=\"xml\" ContentType=\"application/xml\"/>" +
+    overrides.map(function(o) { return "<Override PartName=\"" + o[0] + "\" ContentType=\"" + o[1] + "\"/>"; }).join("") +
+    "</Types>");
+  zip.file("_rels/.rels", "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n" +
+    "<Relationships xmlns=\"" + PKG_REL_NS + "\">" +
+    relationship("rId1", "officeDocument", "word/document.xml") +
+    "<Relationship Id=\"rId2\" Type=\"http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties\" Target=\"docProps/core.xml\"/>" +
+    "</Relationships>");
+  zip.file("word/_rels/document.xml.rels", "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>\n" +
+    "<Relationships xmlns=\"" + PKG_REL_NS + "\">" + documentRels.join("") + "</Relationships>");
+  zip.file("word/document.xml", documentXml(rendered.body));
+  zip.file("word/styles.xml", template ? template.styles : stylesXml(style));
+  zip.file("word/numbering.xml", numberingXml(rendered.orderedLists));
+  zip.file("word/header1.xml", headerXml(meta));
+  zip.file("word/footer1.xml", footerXml(meta));
+  zip.file("docProps/core.xml", coreXml(meta));
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = {
+  DEFAULT_STYLE: DEFAULT_STYLE,
+  parseMarkdown: parseMarkdown,
+  markdownToDocx: markdownToDocx
+};
@@ -0,0 +1,499 @@
+/**
+ * Evidence Extraction - PICO, design, sample size, follow-up and effect sizes
+ * per article, for evidence tables
+ *
+ * 1. Regex pre-extraction from the abstract: sample size (N), ratio measures
+ *    (HR/OR/RR/IRR) and mean differences with their 95% CI and p-value
+ * 2. One schema-validated LLM call per abstract (extractPico),
+ *    given the regex hits as hints
+ * 3. Every field keeps the abstract sentence it came from. A field whose
+ *    source sentence is not in the abstract (or does not contain the number)
+ *    is marked unverified. Regex values the LLM did not confirm are kept but
+ *    unverified; if the LLM call fails they are used on their own.
+ *
+ * Rows render as a full Markdown table with source sentences, CSV, XLSX, and
+ * a compact summary table for reports and slides.
+ */
+
+const { splitSentences } = require("./citation-grounding");
+const { rowsToXlsx } = require("./xlsx-writer");
+const log = require("./logger");
+
+var TEXT_FIELDS = ["design", "population", "intervention", "comparator", "followUp"];
+
+var FIELD_LABELS = {
+  design: "Design",
+  population: "Population",
+  intervention: "Intervention",
+  comparator: "Comparator",
+  sampleSize: "Sample size",
+  followUp: "Follow-up",
+  outcomes: "Outcomes",
+  effects: "Effect sizes"
+};
+
+var NUMBER = "(\\d{1,3}(?:,\\d{3})+|\\d+)";
+var SAMPLE_SIZE_PATTERNS = [
+  new RegExp("\\b[Nn]\\s*=\\s*" + NUMBER + "\\b", "g"),
+  new RegExp("\\b" + NUMBER + "\\s+(?:patients|participants|subjects|adults|children|adolescents|women|men|individuals|persons|people)\\b", "g"),
+  new RegExp("\\b(?:enrolled|randomi[sz]ed|included|recruited)\\s+(?:a total of\\s+)?" + NUMBER + "\\b", "g")
+];
+
+// Abbreviations are case-sensitive so "1 or 2 doses" is not an odds ratio. A
+// bare "OR" also needs a CI after it, as in "1 OR 2 doses" it is still a word
+var EFFECT_RE = /\b([Hh]azard ratio|[Oo]dds ratio|[Rr]elative risk|[Rr]isk ratio|[Rr]ate ratio|[Mm]ean difference|aHR|aOR|HR|OR|IRR|RR|MD)s?\b(?:\s*\((?:a?HR|a?OR|IRR|RR|MD)\))?(?:\s+(?:for|of)\s+[^,;()\d]{1,40}?)?[\s,:=]*(?:(?:of|was|were|is)\s+)?(-?\d+(?:\.\d+)?)/g;
+var CI_RE = /\b(?:95\s*%\s*)?(?:CI|confidence interval)\b[\s,:=]*[\[(]?\s*(-?\d+(?:\.\d+)?)\s*(?:-|–|—|to|,)\s*(-?\d+(?:\.\d+)?)/i;
+var P_RE = /\b[Pp]\s*(<|>|=|≤|≥)\s*(\d(?:\.\d+)?\s*[x×]\s*10\s*[-−–]\s*\d+|0?\.\d+|1(?:\.0+)?)/;
+
+var MEASURES = {
+  "hazard ratio": "HR", ahr: "HR", hr: "HR",
+  "odds ratio": "OR", aor: "OR", or: "OR",
+  "relative risk": "RR", "risk ratio": "RR", rr: "RR",
+  "rate ratio": "IRR", irr: "IRR",
+  "mean difference": "MD", md: "MD"
+};
+
+var PICO_FIELD = {
+  type: "object",
+  required: ["value", "source"],
+  properties: {
+    value: { type: ["string", "null"] },
+    source: { type: ["string", "null"] }
+  }
+};
+
+var PICO_SCHEMA = {
+  type: "object",
+  required: ["population", "intervention", "comparator", "design", "sampleSize", "followUp", "outcomes", "effects"],
+  properties: {
+    population: PICO_FIELD,
+    intervention: PICO_FIELD,
+    comparator: PICO_FIELD,
+    design: PICO_FIELD,
+    followUp: PICO_FIELD,
+    sampleSize: {
+      type: "object",
+      required: ["value", "source"],
+      properties: {
+        value: { type: ["integer", "null"], minimum: 1 },
+        source: { type: ["string", "null"] }
+      }
+    },
+    outcomes: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name", "source"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          result: { type: ["string", "null"] },
+          source: { type: ["string", "null"] }
+        }
+      }
+    },
+    effects: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["measure", "value", "source"],
+        properties: {
+          measure: { enum: ["HR", "OR", "RR", "IRR", "MD"] },
+          value: { type: "number" },
+          ciLower: { type: ["number", "null"] },
+          ciUpper: { type: ["number", "null"] },
+          pValue: { type: ["string", "null"] },
+          outcome: { type: ["string", "null"] },
+          source: { type: ["string", "null"] }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Abstract -> sentences, without the "RESULTS: " section labels
+ */
+function abstractSentences(abstract) {
+  var sentences = [];
+  String(abstract || "").split(/\n+/).forEach(function(line) {
+    line = line.replace(/^[A-Z][A-Z &/-]+:\s*/, "");
+    splitSentences(line).forEach(function(s) {
+      s = s.trim();
+      if (s) sentences.push(s);
+    });
+  });
+  return sentences;
+}
+
+function toNumber(text) {
+  return parseFloat(String(text).replace(/,/g, ""));
+}
+
+function pValue(text) {
+  var match = P_RE.exec(text);
+  return match ? "P" + match[1] + match[2].replace(/\s+/g, "").replace(/^\./, "0.") : null;
+}
+
+/**
+ * Regex extraction: { sampleSize: { value, source } | null, effects: [{ measure,
+ * value, ciLower, ciUpper, pValue, source }], pValues: [{ value, source }] }
+ */
+function preExtract(abstract) {
+  var result = { sampleSize: null, effects: [], pValues: [] };
+  abstractSentences(abstract).forEach(function(sentence) {
+    SAMPLE_SIZE_PATTERNS.forEach(function(re) {
+      re.lastIndex = 0;
+      var match;
+      while ((match = re.exec(sentence)) !== null) {
+        var n = toNumber(match[1]);
+        // the largest count is usually the whole study population
+        if (n >= 2 && (!result.sampleSize || n > result.sampleSize.value)) {
+          result.sampleSize = { value: n, source: sentence };
+        }
+      }
+    });
+
+    var matches = [];
+    var effect;
+    EFFECT_RE.lastIndex = 0;
+    while ((effect = EFFECT_RE.exec(sentence)) !== null) {
+      matches.push({ index: effect.index, end: EFFECT_RE.lastIndex, name: effect[1], value: effect[2] });
+    }
+    matches.forEach(function(m, i) {
+      // CI and p-value belong to this estimate if they come before the next one
+      var tail = sentence.substring(m.end, i + 1 < matches.length ? matches[i + 1].index : m.end + 120);
+      var ci = CI_RE.exec(tail);
+      if (m.name === "OR" && !ci) return;
+      result.effects.push({
+        measure: MEASURES[m.name.toLowerCase()],
+        value: toNumber(m.value),
+        ciLower: ci ? toNumber(ci[1]) : null,
+        ciUpper: ci ? toNumber(ci[2]) : null,
+        pValue: pValue(tail),
+        source: sentence
+      });
+    });
+
+    var p = pValue(sentence);
+    if (p) result.pValues.push({ value: p, source: sentence });
+  });
+  return result;
+}
+
+/**
+ * Whitespace- and case-insensitive containment, ignoring a trailing period
+ */
+function normalize(text) {
+  return String(text || "").toLowerCase().replace(/\s+/g, " ").replace(/[.\s]+$/, "").trim();
+}
+
+function inAbstract(source, abstract) {
+  var needle = normalize(source);
+  return needle.length > 0 && normalize(abstract.replace(/^[A-Z][A-Z &/-]+:\s*/gm, "")).indexOf(needle) !== -1;
+}
+
+/**
+ * The number as it may be written in the sentence: 17604 or 17,604
+ */
+function mentions(sentence, value) {
+  var plain = String(value);
+  return sentence.indexOf(plain) !== -1 || sentence.indexOf(Number(value).toLocaleString("en-US")) !== -1;
+}
+
+function studyLabel(article) {
+  var year = article.pubYear || (/\d{4}/.exec(article.pubDate || "") || [""])[0];
+  var author = article.authors && article.authors[0] ? article.authors[0] + (article.authors.length > 1 ? " et al." : "") : "Anonymous";
+  return author + (year ? " (" + year + ")" : "");
+}
+
+function emptyRow(article) {
+  var row = {
+    pmid: String(article.pmid),
+    study: studyLabel(article),
+    title: article.title || "",
+    journal: article.journalAbbrev || article.journal || "",
+    year: article.pubYear || (/\d{4}/.exec(article.pubDate || "") || [""])[0],
+    sampleSize: { value: null, source: null, verified: true },
+    outcomes: [],
+    effects: [],
+    method: "regex",
+    unverified: []
+  };
+  TEXT_FIELDS.forEach(function(field) { row[field] = { value: null, source: null, verified: true }; });
+  return row;
+}
+
+function sameEffect(a, b) {
+  return a.measure === b.measure && Math.abs(a.value - b.value) < 1e-9;
+}
+
+/**
+ * LLM fields + regex hints -> verified row
+ */
+function mergeRow(row, extracted, hints, abstract) {
+  TEXT_FIELDS.forEach(function(field) {
+    var f = extracted[field] || {};
+    if (f.value) row[field] = { value: f.value, source: f.source || null, verified: inAbstract(f.source, abstract) };
+  });
+
+  var size = extracted.sampleSize || {};
+  if (size.value) {
+    row.sampleSize = { value: size.value, source: size.source || null,
+      verified: inAbstract(size.source, abstract) && mentions(size.source, size.value) };
+  }
+  // regex-only values are kept for review but never count as verified
+  if (!row.sampleSize.value && hints.sampleSize) row.sampleSize = Object.assign({ verified: false }, hints.sampleSize);
+
+  row.outcomes = (extracted.outcomes || []).map(function(o) {
+    return { name: o.name, result: o.result || null, source: o.source || null, verified: inAbstract(o.source, abstract) };
+  });
+
+  row.effects = (extracted.effects || []).map(function(e) {
+    var hint = hints.effects.filter(function(h) { return sameEffect(h, e); })[0];
+    return {
+      measure: e.measure,
+      value: e.value,
+      ciLower: e.ciLower !== undefined && e.ciLower !== null ? e.ciLower : hint ? hint.ciLower : null,
+      ciUpper: e.ciUpper !== undefined && e.ciUpper !== null ? e.ciUpper : hint ? hint.ciUpper : null,
+      pValue: e.pValue || (hint ? hint.pValue : null),
+      outcome: e.outcome || null,
+      source: e.source || (hint ? hint.source : null),
+      verified: !!hint || (inAbstract(e.source, abstract) && mentions(e.source, e.value))
+    };
+  });
+  hints.effects.forEach(function(h) {
+    if (!row.effects.some(function(e) { return sameEffect(h, e); })) {
+      row.effects.push(Object.assign({ outcome: null, verified: false }, h));
+    }
+  });
+  return row;
+}
+
+function unverifiedFields(row) {
+  var fields = TEXT_FIELDS.concat(["sampleSize"]).filter(function(field) { return !row[field].verified; });
+  if (row.outcomes.some(function(o) { return !o.verified; })) fields.push("outcomes");
+  if (row.effects.some(function(e) { return !e.verified; })) fields.push("effects");
+  return fields;
+}
+
+/**
+ * One schema-validated LLM call for PICO, design, sample size, follow-up,
+ * outcomes and effect sizes, with the regex hits (preExtract) as hints
+ */
+async function extractPico(llm, article, hints) {
+  var found = [];
+  if (hints && hints.sampleSize) found.push("N = " + hints.sampleSize.value);
+  (hints ? hints.effects : []).forEach(function(e) {
+    found.push(e.measure + " " + e.value + (e.ciLower !== null ? " (95% CI " + e.ciLower + " to " + e.ciUpper + ")" : "") +
+      (e.pValue ? " " + e.pValue : ""));
+  });
+  var prompt = "You are a Medical Affairs scientist extracting data for an evidence table. From the abstract " +
+    "below extract the Population, Intervention, Comparator, study design, total sample size, follow-up " +
+    "duration, the outcomes with their results, and the effect sizes (HR, OR, RR, IRR or MD with 95% CI and " +
+    "p-value). Use only what the abstract states; use null for anything not reported. For every field, copy " +
+    "the abstract sentence it came from verbatim into \"source\".\n\n" +
+    (found.length > 0 ? "NUMBERS FOUND IN THE ABSTRACT (check and attribute them): " + found.join("; ") + "\n\n" : "") +
+    "PMID: " + article.pmid + "\nTITLE: " + (article.title || "Untitled") + "\nABSTRACT:\n" + article.abstract;
+  return llm.generateStructured(prompt, PICO_SCHEMA, Object.assign(
+    { schemaName: "pico_extraction" },
+    llm.settingsFor("evidence-table", { temperature: 0, maxTokens: 1500 })
+  ));
+}
+
+/**
+ * Extract one article. llm: VeniceClient (generateStructured)
+ */
+async function extractArticle(llm, article) {
+  var row = emptyRow(article);
+  var abstract = article.abstract || "";
+  var hints = preExtract(abstract);
+  if (!abstract) {
+    if (article.publicationTypes && article.publicationTypes.length > 0) {
+      row.design = { value: article.publicationTypes.join(", "), source: "PubMed publication type", verified: true };
+    }
+    return row;
+  }
+
+  var extracted = {};
+  try {
+    extracted = await extractPico(llm, article, hints);
+    row.method = "llm";
+  } catch (e) {
+    log.warn("Evidence extraction failed for PMID " + article.pmid + " (" + e.message + "), using regex values only");
+  }
+  mergeRow(row, extracted, hints, abstract);
+  if (!row.design.value && article.publicationTypes && article.publicationTypes.length > 0) {
+    row.design = { value: article.publicationTypes.filter(function(t) { return !/^Journal Article$/i.test(t); }).join(", ") || null,
+      source: "PubMed publication type", verified: true };
+  }
+  row.unverified = unverifiedFields(row);
+  return row;
+}
+
+/**
+ * One evidence row per article, in article order
+ */
+async function extractEvidence(llm, articles) {
+  var rows = [];
+  for (var i = 0; i < articles.length; i++) {
+    log.info("  Extracting evidence " + (i + 1) + "/" + articles.length + " (PMID " + articles[i].pmid + ")...");
+    rows.push(await extractArticle(llm, articles[i]));
+  }
+  return rows;
+}
+
+/**
+ * "HR 0.80 (95% CI 0.72-0.90; P<0.001)"
+ */
+function formatEffect(effect) {
+  var text = effect.measure + " " + effect.value;
+  var details = [];
+  if (effect.ciLower !== null && effect.ciLower !== undefined) {
+    details.push("95% CI " + effect.ciLower + (effect.ciLower < 0 || effect.ciUpper < 0 ? " to " : "-") + effect.ciUpper);
+  }
+  if (effect.pValue) details.push(effect.pValue);
+  return (effect.outcome ? effect.outcome + ": " : "") + text + (details.length > 0 ? " (" + details.join("; ") + ")" : "");
+}
+
+function fieldText(row, field) {
+  if (field === "outcomes") {
+    return row.outcomes.map(function(o) { return o.name + (o.result ? ": " + o.result : ""); }).join("; ");
+  }
+  if (field === "effects") return row.effects.map(formatEffect).join("; ");
+  var value = row[field].value;
+  return value === null || value === undefined ? "" : String(value);
+}
+
+function fieldSources(row, field) {
+  var items = field === "outcomes" || field === "effects" ? row[field] : [row[field]];
+  var seen = {};
+  return items.map(function(item) { return item.source; }).filter(function(source) {
+    if (!source || seen[source]) return false;
+    seen[source] = true;
+    return true;
+  }).join(" | ");
+}
+
+function cell(text) {
+  return String(text === undefined || text === null || text === "" ? "-" : text).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+var TABLE_FIELDS = ["design", "sampleSize", "population", "intervention", "comparator", "outcomes", "effects", "followUp"];
+
+/**
+ * Full evidence table with a † on unverified values, followed by the source
+ * sentence of every field
+ */
+function toMarkdownTable(rows) {
+  var md = "| Study | " + TABLE_FIELDS.map(function(f) { return FIELD_LABELS[f]; }).join(" | ") + " | Ref. |\n";
+  md += "|" + ["Study"].concat(TABLE_FIELDS, ["Ref."]).map(function() { return "---"; }).join("|") + "|\n";
+  rows.forEach(function(row) {
+    md += "| " + cell(row.study) + " | " + TABLE_FIELDS.map(function(f) {
+      var text = fieldText(row, f);
+      return cell(text ? text + (row.unverified.indexOf(f) !== -1 ? " †" : "") : "");
+    }).join(" | ") + " | [PMID:" + row.pmid + "] |\n";
+  });
+  if (rows.some(function(row) { return row.unverified.length > 0; })) {
+    md += "\n† Source sentence not found in the abstract - verify against the full text before use.\n";
+  }
+
+  md += "\n### Source Sentences\n";
+  rows.forEach(function(row) {
+    md += "\n#### " + row.study + " [PMID:" + row.pmid + "]\n\n";
+    var lines = TABLE_FIELDS.filter(function(f) { return fieldSources(row, f); }).map(function(f) {
+      return "- **" + FIELD_LABELS[f] + ":** \"" + fieldSources(row, f).split(" | ").join("\" / \"") + "\"";
+    });
+    md += (lines.length > 0 ? lines.join("\n") : "- No abstract available") + "\n";
+  });
+  return md;
+}
+
+var SUMMARY_HEADER = ["Study", "Design", "N", "Intervention vs comparator", "Key result", "PMID"];
+
+/**
+ * Compact table for reports and slides: { header, rows, pmids }
+ */
+function summaryRows(rows) {
+  return {
+    header: SUMMARY_HEADER,
+    rows: rows.map(function(row) {
+      var arms = row.intervention.value ? row.intervention.value + (row.comparator.value ? " vs " + row.comparator.value : "") : "-";
+      var key = row.effects.length > 0 ? formatEffect(row.effects[0])
+        : row.outcomes.length > 0 ? fieldText({ outcomes: row.outcomes.slice(0, 1) }, "outcomes") : "-";
+      return [row.study, row.design.value || "-", row.sampleSize.value ? String(row.sampleSize.value) : "-", arms, key, row.pmid];
+    }),
+    pmids: rows.map(function(row) { return row.pmid; })
+  };
+}
+
+/**
+ * Compact Markdown table (summaryRows) with [PMID:x] references
+ */
+function toSummaryMarkdown(rows) {
+  var table = summaryRows(rows);
+  return "| " + table.header.join(" | ") + " |\n|" + table.header.map(function() { return "---"; }).join("|") + "|\n" +
+    table.rows.map(function(r) {
+      return "| " + r.slice(0, -1).map(cell).join(" | ") + " | [PMID:" + r[r.length - 1] + "] |";
+    }).join("\n") + "\n";
+}
+
+var EXPORT_FIELDS = ["design", "population", "intervention", "comparator", "sampleSize", "followUp", "outcomes", "effects"];
+
+function exportRows(rows) {
+  var header = ["PMID", "Study", "Year", "Journal"];
+  EXPORT_FIELDS.forEach(function(f) { header.push(FIELD_LABELS[f], FIELD_LABELS[f] + " source"); });
+  header.push("Extraction", "Unverified fields");
+  return [header].concat(rows.map(function(row) {
+    var values = [row.pmid, row.study, row.year, row.journal];
+    EXPORT_FIELDS.forEach(function(f) {
+      var text = fieldText(row, f);
+      values.push(f === "sampleSize" && row.sampleSize.value ? row.sampleSize.value : text, fieldSources(row, f));
+    });
+    values.push(row.method, row.unverified.map(function(f) { return FIELD_LABELS[f]; }).join("; "));
+    return values;
+  }));
+}
+
+function csvCell(value) {
+  var text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? "\"" + text.replace(/"/g, "\"\"") + "\"" : text;
+}
+
+/**
+ * RFC 4180 CSV (CRLF), one row per study, each field followed by its source sentence
+ */
+function toCsv(rows) {
+  return exportRows(rows).map(function(row) { return row.map(csvCell).join(","); }).join("\r\n") + "\r\n";
+}
+
+/**
+ * XLSX workbook: "Evidence Table" (as the CSV) and "Effect Sizes" (one row per
+ * estimate, numeric cells). Returns a Promise of a Buffer.
+ */
+function toXlsx(rows) {
+  var effects = [["PMID", "Study", "Outcome", "Measure", "Estimate", "CI lower", "CI upper", "P value", "Source sentence", "Verified"]];
+  rows.forEach(function(row) {
+    row.effects.forEach(function(e) {
+      effects.push([row.pmid, row.study, e.outcome || "", e.measure, e.value, e.ciLower, e.ciUpper, e.pValue || "",
+        e.source || "", e.verified ? "yes" : "no"]);
+    });
+  });
+  var table = exportRows(rows);
+  return rowsToXlsx([
+    { name: "Evidence Table", rows: table, widths: table[0].map(function(h, i) { return i < 3 ? 12 : /source/.test(h) ? 50 : 28; }) },
+    { name: "Effect Sizes", rows: effects, widths: [12, 24, 28, 10, 10, 10, 10, 12, 60, 10] }
+  ]);
+}
+
+module.exports = {
+  FIELD_LABELS: FIELD_LABELS,
+  preExtract: preExtract,
+  extractArticle: extractArticle,
+  extractEvidence: extractEvidence,
+  formatEffect: formatEffect,
+  toMarkdownTable: toMarkdownTable,
+  summaryRows: summaryRows,
+  toSummaryMarkdown: toSummaryMarkdown,
+  toCsv: toCsv,
+  toXlsx: toXlsx
+};
@@ -0,0 +1,237 @@
+/**
+ * Evidence Grading - study design classification and Oxford CEBM-style
+ * evidence levels for retrieved articles
+ *
+ * The design comes from, in order: PubMed publication types, MeSH study-design
+ * headings, and cues in the title/abstract ("were randomized", "retrospective
+ * cohort", "we report a case"). Publication types that only say "Review" or
+ * "Clinical Trial" are refined by the cues (systematic review, randomized).
+ *
+ * Levels (CEBM 2011, treatment benefits):
+ *   1 - systematic review / meta-analysis, evidence-based guideline
+ *   2 - randomized controlled trial
+ *   3 - non-randomized controlled trial, cohort study
+ *   4 - case-control, cross-sectional, case series, case report
+ *   5 - narrative review, expert opinion, preclinical, unclassified
+ *
+ * Preprints are graded one level lower (not peer reviewed). Retracted
+ * articles, expressions of concern and published errata are flagged from
+ * publication types and NLM comments/corrections links; retracted articles
+ * sort last and never pass an evidence filter.
+ */
+
+var DESIGNS = {
+  "meta-analysis": { label: "Meta-analysis", level: 1 },
+  "systematic-review": { label: "Systematic review", level: 1 },
+  guideline: { label: "Guideline", level: 1 },
+  rct: { label: "RCT", level: 2 },
+  "clinical-trial": { label: "Clinical trial", level: 3 },
+  cohort: { label: "Cohort", level: 3 },
+  "case-control": { label: "Case-control", level: 4 },
+  "cross-sectional": { label: "Cross-sectional", level: 4 },
+  "case-series": { label: "Case series", level: 4 },
+  "case-report": { label: "Case report", level: 4 },
+  review: { label: "Narrative review", level: 5 },
+  opinion: { label: "Expert opinion", level: 5 },
+  preclinical: { label: "Preclinical", level: 5 },
+  other: { label: "Other", level: 5 }
+};
+
+var LEVELS = {
+  1: "Systematic reviews, meta-analyses and guidelines",
+  2: "Randomized controlled trials",
+  3: "Non-randomized trials and cohort studies",
+  4: "Case-control, cross-sectional, case series and case reports",
+  5: "Reviews, expert opinion, preclinical and other"
+};
+
+// PubMed publication types, most specific first
+var PUBLICATION_TYPES = [
+  [/^Meta-Analysis$/i, "meta-analysis"],
+  [/^Systematic Review$/i, "systematic-review"],
+  [/^(Practice )?Guideline$/i, "guideline"],
+  [/^Randomized Controlled Trial/i, "rct"],
+  [/^Consensus Development Conference/i, "opinion"],
+  [/^(Clinical Trial|Controlled Clinical Trial|Pragmatic Clinical Trial|Equivalence Trial|Adaptive Clinical Trial)/i, "clinical-trial"],
+  [/^Case Reports$/i, "case-report"],
+  [/^Observational Study/i, "cohort"],
+  [/^(Review|Scoping Review)$/i, "review"],
+  [/^(Editorial|Comment|Letter|News|Interview|Lecture)$/i, "opinion"]
+];
+
+// MeSH study-design headings
+var MESH = [
+  [/^Case-Control Studies$/i, "case-control"],
+  [/^Cross-Sectional Studies$/i, "cross-sectional"],
+  [/^(Cohort|Prospective|Retrospective|Longitudinal|Follow-Up) Studies$/i, "cohort"]
+];
+
+// Title/abstract cues, most specific first
+var CUES = [
+  [/\bmeta-?analys[ie]s\b/i, "meta-analysis"],
+  [/\bsystematic(ally)? review/i, "systematic-review"],
+  [/\b(randomi[sz]ed[ ,-]+(controlled|clinical|double-blind|placebo-controlled|open-label|phase)|were randomi[sz]ed|randomly (assigned|allocated))\b/i, "rct"],
+  [/\bcase-control\b/i, "case-control"],
+  [/\bcross-sectional\b/i, "cross-sectional"],
+  [/\b(prospective|retrospective|population-based|registry-based) (cohort|study)|\bcohort study\b/i, "cohort"],
+  [/\bcase series\b/i, "case-series"],
+  [/\bwe (report|describe|present) (a|an|the|two|three) (case|patient)|\bcase report\b/i, "case-report"],
+  [/\b(open-label|single-arm|non-randomi[sz]ed|phase (i|ii|1|2)[ab]?) (trial|study)\b/i, "clinical-trial"],
+  [/\b(in vitro|mice|murine|rats|cell lines?)\b/i, "preclinical"]
+];
+
+function match(list, values) {
+  for (var i = 0; i < list.length; i++) {
+    for (var j = 0; j < values.length; j++) {
+      if (list[i][0].test(values[j])) return { design: list[i][1], value: values[j] };
+    }
+  }
+  return null;
+}
+
+function cue(article) {
+  var text = (article.title || "") + "\n" + (article.abstract || "");
+  for (var i = 0; i < CUES.length; i++) {
+    var found = CUES[i][0].exec(text);
+    if (found) return { design: CUES[i][1], value: found[0] };
+  }
+  return null;
+}
+
+/**
+ * { design, basis } from publication types, MeSH and abstract cues
+ */
+function classifyDesign(article) {
+  var terms = article.meshTerms || [];
+  var byType = match(PUBLICATION_TYPES, article.publicationTypes || []);
+  var byMesh = match(MESH, terms);
+  var byText = cue(article);
+  var fromText = byText ? { design: byText.design, basis: "abstract: \"" + byText.value + "\"" } : null;
+
+  // Refine coarse publication types: a "Review" that is systematic, a randomized "Clinical Trial"
+  if (byType && byText) {
+    if (byType.design === "review" && (byText.design === "systematic-review" || byText.design === "meta-analysis")) return fromText;
+    if (byType.design === "clinical-trial" && byText.design === "rct") return fromText;
+  }
+  // "Observational Study" does not say cohort or case-control, so MeSH and cues go first
+  if (byType && byType.design !== "cohort") return { design: byType.design, basis: "publication type: " + byType.value };
+  if (byMesh) return { design: byMesh.design, basis: "MeSH: " + byMesh.value };
+  if (terms.indexOf("Animals") !== -1 && terms.indexOf("Humans") === -1) return { design: "preclinical", basis: "MeSH: Animals" };
+  if (fromText) return fromText;
+  if (byType) return { design: byType.design, basis: "publication type: " + byType.value };
+  return { design: "other", basis: "no design information" };
+}
+
+function linked(article, refType) {
+  return (article.commentsCorrections || []).filter(function(c) { return c.refType === refType; });
+}
+
+/**
+ * Grade one article: { design, label, level, basis, retracted, erratum,
+ * concern, preprint, notes }
+ */
+function gradeArticle(article) {
+  var types = article.publicationTypes || [];
+  var classified = classifyDesign(article);
+  var design = DESIGNS[classified.design];
+  var grade = {
+    design: classified.design,
+    label: design.label,
+    level: design.level,
+    basis: classified.basis,
+    retracted: types.indexOf("Retracted Publication") !== -1 || linked(article, "RetractionIn").length > 0,
+    erratum: linked(article, "ErratumIn").length > 0 || linked(article, "CorrectedandRepublishedIn").length > 0,
+    concern: linked(article, "ExpressionOfConcernIn").length > 0,
+    preprint: types.indexOf("Preprint") !== -1,
+    notes: []
+  };
+  if (grade.preprint) {
+    grade.level = Math.min(5, grade.level + 1);
+    grade.notes.push("preprint, not peer reviewed (downgraded one level)");
+  }
+  if (grade.retracted) {
+    var notice = linked(article, "RetractionIn")[0];
+    grade.notes.push("RETRACTED" + (notice && notice.pmid ? " (retraction notice PMID " + notice.pmid + ")" : ""));
+  }
+  if (grade.concern) grade.notes.push("expression of concern published");
+  if (grade.erratum) {
+    grade.notes.push("erratum published" + linked(article, "ErratumIn").map(function(e) {
+      return e.pmid ? " (PMID " + e.pmid + ")" : "";
+    }).join(""));
+  }
+  return grade;
+}
+
+/**
+ * Copies of the articles with a `grade`, ordered by evidence level (stable
+ * within a level, retracted articles last)
+ */
+function gradeArticles(articles) {
+  return articles.map(function(a, i) {
+    return { article: Object.assign({}, a, { grade: gradeArticle(a) }), index: i };
+  }).sort(function(x, y) {
+    var a = x.article.grade;
+    var b = y.article.grade;
+    return (a.retracted - b.retracted) || (a.level - b.level) || (x.index - y.index);
+  }).map(function(entry) { return entry.article; });
+}
+
+/**
+ * Graded articles at minLevel or better (1 is best); retracted articles are dropped
+ */
+function filterByEvidence(articles, minLevel) {
+  return articles.filter(function(a) {
+    return !a.grade.retracted && a.grade.level <= minLevel;
+  });
+}
+
+/**
+ * "Level 2 (RCT)" plus any flags, for prompts and reports
+ */
+function formatGrade(grade) {
+  return "Level " + grade.level + " (" + grade.label + ")" + (grade.notes.length > 0 ? "; " + grade.notes.join("; ") : "");
+}
+
+/**
+ * Instructions appended to synthesis prompts when the articles are graded
+ */
+var WEIGHTING_INSTRUCTIONS = "EVIDENCE WEIGHTING: Articles are listed from the highest evidence level to the lowest " +
+  "(Oxford CEBM: 1 = systematic reviews/meta-analyses, 2 = RCTs, 3 = non-randomized and cohort studies, " +
+  "4 = case-control, case series and case reports, 5 = reviews, opinion and preclinical). Base conclusions on the " +
+  "highest levels available, state the level of evidence for key findings, and present level 4-5 evidence as " +
+  "supportive or hypothesis-generating only. Do not rely on articles marked RETRACTED.";
+
+/**
+ * Markdown summary of the grading for reports
+ */
+function formatGradingReport(articles) {
+  var counts = {};
+  articles.forEach(function(a) { counts[a.grade.level] = (counts[a.grade.level] || 0) + 1; });
+  var content = "## Evidence Grading\n\n";
+  content += "Study designs classified from PubMed publication types, MeSH and abstract cues; levels follow the " +
+    "Oxford CEBM hierarchy (1 = highest).\n\n";
+  content += "| Level | Evidence | Articles |\n|-------|----------|----------|\n";
+  Object.keys(LEVELS).forEach(function(level) {
+    content += "| " + level + " | " + LEVELS[level] + " | " + (counts[level] || 0) + " |\n";
+  });
+  var flagged = articles.filter(function(a) { return a.grade.retracted || a.grade.erratum || a.grade.concern; });
+  if (flagged.length > 0) {
+    content += "\n**Flagged publications:**\n\n";
+    flagged.forEach(function(a) {
+      content += "- PMID " + a.pmid + ": " + a.grade.notes.filter(function(n) { return !/^preprint/.test(n); }).join("; ") + "\n";
+    });
+  }
+  return content + "\n";
+}
+
+module.exports = {
+  DESIGNS: DESIGNS,
+  LEVELS: LEVELS,
+  WEIGHTING_INSTRUCTIONS: WEIGHTING_INSTRUCTIONS,
+  classifyDesign: classifyDesign,
+  gradeArticle: gradeArticle,
+  gradeArticles: gradeArticles,
+  filterByEvidence: filterByEvidence,
+  formatGrade: formatGrade,
+  formatGradingReport: formatGradingReport
+};
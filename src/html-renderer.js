@@ -0,0 +1,324 @@
+/**
+ * HTML / PDF Renderer - turns the Markdown produced by OutputGenerator into a
+ * standalone, styled HTML page and prints it to PDF with headless Chromium
+ *
+ * The HTML is self-contained: the stylesheet is inlined and nothing is loaded
+ * from the network, so it opens offline and renders identically in the PDF.
+ * [PMID:x] / "PMID: x" citations link to PubMed and DOIs to doi.org.
+ * Documents get a linked table of contents built from their ## / ### headings;
+ * the "slides" layout renders one landscape page per ## section instead.
+ *
+ * Theming: DEFAULT_CSS is driven by CSS custom properties (--ma-accent,
+ * --ma-font, ...), so a theme file only needs to override those in :root,
+ * although any rule can be replaced since the theme is appended last.
+ */
+
+const fs = require("fs");
+const { parseMarkdown, inlineTokens } = require("./markdown");
+
+var DEFAULT_CONFIDENTIALITY = "Confidential - for internal medical affairs use only. Not for promotional use.";
+
+var DEFAULT_CSS = [
+  ":root {",
+  "  --ma-font: \"Calibri\", \"Segoe UI\", \"Helvetica Neue\", Arial, sans-serif;",
+  "  --ma-mono: \"Consolas\", \"Menlo\", monospace;",
+  "  --ma-text: #1f2328;",
+  "  --ma-muted: #59636e;",
+  "  --ma-accent: #1f3864;",
+  "  --ma-link: #0b5cad;",
+  "  --ma-border: #d0d7de;",
+  "  --ma-shade: #f3f5f8;",
+  "  --ma-width: 52rem;",
+  "}",
+  "* { box-sizing: border-box; }",
+  "body { margin: 0; font-family: var(--ma-font); font-size: 11pt; line-height: 1.5; color: var(--ma-text); background: #fff; }",
+  "main, .doc-header, .doc-footer, nav.toc { max-width: var(--ma-width); margin: 0 auto; padding: 0 1.5rem; }",
+  ".doc-header { display: flex; justify-content: space-between; gap: 1rem; padding-top: 1rem; padding-bottom: 0.5rem;",
+  "  border-bottom: 2px solid var(--ma-accent); color: var(--ma-muted); font-size: 9pt; }",
+  ".doc-header .company { font-weight: bold; color: var(--ma-accent); }",
+  "h1, h2, h3, h4 { color: var(--ma-accent); line-height: 1.25; page-break-after: avoid; }",
+  "h1.title { font-size: 24pt; margin: 1.5rem 0 1rem; }",
+  "h2 { font-size: 16pt; margin-top: 2rem; border-bottom: 1px solid var(--ma-border); padding-bottom: 0.2rem; }",
+  "h3 { font-size: 13pt; }",
+  "h4 { font-size: 11pt; }",
+  "a { color: var(--ma-link); text-decoration: none; }",
+  "a:hover { text-decoration: underline; }",
+  "a.cite { font-size: 0.85em; white-space: nowrap; }",
+  "nav.toc { margin-top: 1rem; margin-bottom: 1rem; }",
+  "nav.toc h2 { font-size: 12pt; border: none; margin: 0 0 0.3rem; }",
+  "nav.toc ol { margin: 0; padding-left: 1.2rem; }",
+  "nav.toc ol ol { list-style: none; padding-left: 1rem; font-size: 0.95em; }",
+  "table { border-collapse: collapse; width: 100%; margin: 1rem 0; font-size: 10pt; page-break-inside: avoid; }",
+  "th, td { border: 1px solid var(--ma-border); padding: 0.35rem 0.5rem; text-align: left; vertical-align: top; }",
+  "th { background: var(--ma-accent); color: #fff; }",
+  "tr:nth-child(even) td { background: var(--ma-shade); }",
+  "blockquote { margin: 1rem 0; padding: 0.5rem 1rem; border-left: 4px solid var(--ma-accent); background: var(--ma-shade); font-style: italic; }",
+  "pre, code { font-family: var(--ma-mono); font-size: 0.9em; }",
+  "pre { background: var(--ma-shade); padding: 0.75rem; overflow-x: auto; white-space: pre-wrap; }",
+  ".doc-footer { margin-top: 2rem; padding-top: 0.5rem; padding-bottom: 1.5rem; border-top: 1px solid var(--ma-border);",
+  "  color: var(--ma-muted); font-size: 8.5pt; }",
+  ".doc-footer .confidential { font-weight: bold; }",
+  "body.slides main { max-width: none; padding: 0; }",
+  "section.slide { min-height: 100vh; padding: 2.5rem 3.5rem; border-bottom: 1px solid var(--ma-border); page-break-after: always; }",
+  "section.slide h1.title { font-size: 30pt; margin-top: 20vh; }",
+  "section.slide h2 { font-size: 22pt; }",
+  "section.slide li { font-size: 14pt; margin-bottom: 0.4rem; }",
+  "@media print {",
+  "  .doc-header, .doc-footer { display: none; }",
+  "  main, nav.toc { max-width: none; padding: 0; }",
+  "  nav.toc { page-break-after: always; }",
+  "  section.slide { min-height: 0; height: 100vh; border: none; overflow: hidden; }",
+  "  a { color: inherit; }",
+  "}"
+].join("\n");
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Turn citations in already-escaped text into links:
+ * [PMID:x] / PMID: x -> PubMed, doi:10.x/y / https://doi.org/10.x/y -> doi.org
+ */
+function linkify(html) {
+  return html
+    .replace(/\[PMID:(\d+)\]/g, function(match, pmid) {
+      return "<a class=\"cite\" href=\"https://pubmed.ncbi.nlm.nih.gov/" + pmid + "/\">[PMID:" + pmid + "]</a>";
+    })
+    .replace(/(^|[^\[\w:])PMID:?\s*(\d{4,9})\b/g, function(match, before, pmid) {
+      return before + "<a href=\"https://pubmed.ncbi.nlm.nih.gov/" + pmid + "/\">PMID: " + pmid + "</a>";
+    })
+    .replace(/\b(?:doi:\s*|https?:\/\/(?:dx\.)?doi\.org\/)(10\.\d{4,9}\/[^\s<>"]+?)(?=[.,;)]?(?:\s|$|<))/gi, function(match, doi) {
+      return "<a href=\"https://doi.org/" + doi + "\">doi:" + doi + "</a>";
+    });
+}
+
+/**
+ * Inline Markdown -> HTML with linked citations
+ * ("**PMID:** x" labels in the report's publication list link too)
+ */
+function inline(text) {
+  return inlineTokens(text).map(function(token) {
+    if (token.code) return "<code>" + escapeHtml(token.text) + "</code>";
+    var html = linkify(escapeHtml(token.text));
+    if (token.bold) return "<strong>" + html + "</strong>";
+    if (token.italic) return "<em>" + html + "</em>";
+    return html;
+  }).join("").replace(/(<strong>PMID:<\/strong>\s*)(\d+)\b/g, function(match, label, pmid) {
+    return label + "<a href=\"https://pubmed.ncbi.nlm.nih.gov/" + pmid + "/\">" + pmid + "</a>";
+  });
+}
+
+function slug(text, used) {
+  var base = String(text).toLowerCase().replace(/<[^>]+>/g, "").replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "") || "section";
+  var id = base;
+  for (var n = 2; used[id]; n++) id = base + "-" + n;
+  used[id] = true;
+  return id;
+}
+
+function renderList(block) {
+  var tag = block.ordered ? "ol" : "ul";
+  var html = "<" + tag + ">";
+  var depth = 0;
+  block.items.forEach(function(item, i) {
+    var level = i === 0 ? 0 : Math.min(item.level, depth + 1);
+    if (i > 0 && level > depth) {
+      html += "<" + tag + ">";
+    } else if (i > 0) {
+      html += "</li>";
+      for (; depth > level; depth--) html += "</" + tag + "></li>";
+    }
+    depth = level;
+    html += "<li>" + inline(item.text);
+  });
+  html += "</li>";
+  for (; depth > 0; depth--) html += "</" + tag + "></li>";
+  return html + "</" + tag + ">";
+}
+
+/**
+ * Blocks -> { body, headings } where headings feed the table of contents
+ */
+function renderBlocks(blocks, layout) {
+  var body = "";
+  var headings = [];
+  var used = {};
+  var titleDone = false;
+  var inSlide = false;
+
+  function openSlide() {
+    if (layout !== "slides") return;
+    if (inSlide) body += "</section>\n";
+    body += "<section class=\"slide\">\n";
+    inSlide = true;
+  }
+
+  blocks.forEach(function(block) {
+    switch (block.type) {
+      case "heading":
+        if (block.level === 1 && !titleDone) {
+          titleDone = true;
+          openSlide();
+          body += "<h1 class=\"title\">" + inline(block.text) + "</h1>\n";
+          break;
+        }
+        if (block.level <= 2) openSlide();
+        var id = slug(block.text, used);
+        if (block.level <= 3) headings.push({ level: Math.max(block.level, 2), text: block.text, id: id });
+        body += "<h" + block.level + " id=\"" + id + "\">" + inline(block.text) + "</h" + block.level + ">\n";
+        break;
+      case "paragraph":
+        body += "<p>" + inline(block.text) + "</p>\n";
+        break;
+      case "quote":
+        body += "<blockquote>" + inline(block.text) + "</blockquote>\n";
+        break;
+      case "code":
+        body += "<pre><code>" + escapeHtml(block.lines.join("\n")) + "</code></pre>\n";
+        break;
+      case "list":
+        body += renderList(block) + "\n";
+        break;
+      case "table":
+        body += "<table>" + block.rows.map(function(row, r) {
+          var cell = r === 0 ? "th" : "td";
+          return "<tr>" + row.map(function(text) { return "<" + cell + ">" + inline(text) + "</" + cell + ">"; }).join("") + "</tr>";
+        }).join("") + "</table>\n";
+        break;
+    }
+  });
+  if (inSlide) body += "</section>\n";
+  return { body: body, headings: headings };
+}
+
+function renderToc(headings) {
+  var html = "<nav class=\"toc\"><h2>Contents</h2><ol>";
+  var open = false;
+  headings.forEach(function(h, i) {
+    var link = "<a href=\"#" + h.id + "\">" + inline(h.text) + "</a>";
+    if (h.level === 2 || i === 0) {
+      if (open) html += "</ol></li>";
+      else if (i > 0) html += "</li>";
+      open = false;
+      html += "<li>" + link;
+    } else {
+      if (!open) html += "<ol>";
+      open = true;
+      html += "<li>" + link + "</li>";
+    }
+  });
+  html += open ? "</ol></li>" : "</li>";
+  return html + "</ol></nav>\n";
+}
+
+/**
+ * Load a theme stylesheet (path to a .css file)
+ */
+function loadTheme(filepath) {
+  try {
+    return fs.readFileSync(filepath, "utf8");
+  } catch (e) {
+    var error = new Error("Cannot read HTML theme " + filepath + ": " + e.message);
+    error.code = "INVALID_THEME";
+    throw error;
+  }
+}
+
+/**
+ * Render Markdown as a standalone HTML page.
+ * options: title, documentId, date, company, confidentiality, theme (path to a
+ * .css file), css (extra CSS text), layout ("document" | "slides"), toc (default true)
+ */
+function markdownToHtml(markdown, options) {
+  options = options || {};
+  var layout = options.layout === "slides" ? "slides" : "document";
+  var title = options.title || "Untitled";
+  var documentId = options.documentId || "DRAFT";
+  var date = options.date || new Date().toISOString().substring(0, 10);
+  var company = options.company || "Medical Affairs";
+  var confidentiality = options.confidentiality || DEFAULT_CONFIDENTIALITY;
+
+  var rendered = renderBlocks(parseMarkdown(markdown), layout);
+  var css = DEFAULT_CSS;
+  if (options.theme) css += "\n/* theme: " + String(options.theme).replace(/\*\//g, "") + " */\n" + loadTheme(options.theme);
+  if (options.css) css += "\n" + options.css;
+
+  var toc = layout === "document" && options.toc !== false && rendered.headings.length >= 2
+    ? renderToc(rendered.headings)
+    : "";
+
+  return "<!DOCTYPE html>\n<html lang=\"en\">\n<head>\n<meta charset=\"utf-8\">\n" +
+    "<meta name=\"viewport\" content=\"width=device-width, initial-scale=1\">\n" +
+    "<meta name=\"document-id\" content=\"" + escapeHtml(documentId) + "\">\n" +
+    "<title>" + escapeHtml(title) + "</title>\n<style>\n" + css + "\n</style>\n</head>\n" +
+    "<body class=\"" + layout + "\">\n" +
+    "<header class=\"doc-header\"><span><span class=\"company\">" + escapeHtml(company) + "</span> | " + escapeHtml(title) + "</span>" +
+    "<span>Document ID: " + escapeHtml(documentId) + "</span></header>\n" +
+    toc + "<main>\n" + rendered.body + "</main>\n" +
+    "<footer class=\"doc-footer\"><span class=\"confidential\">" + escapeHtml(confidentiality) + "</span><br>" +
+    escapeHtml(documentId) + " | " + escapeHtml(date) + "</footer>\n</body>\n</html>\n";
+}
+
+/**
+ * Print standalone HTML to a PDF file with headless Chromium (puppeteer).
+ * Every page gets a header (company, title, document ID) and a footer with
+ * the confidentiality notice and "Page X of Y". Network requests are blocked
+ * so nothing but the inlined page is rendered.
+ *
+ * options: title, documentId, date, company, confidentiality, landscape,
+ * paperSize ("A4" | "Letter"), executablePath, launch (custom browser launcher)
+ */
+async function htmlToPdf(html, filepath, options) {
+  options = options || {};
+  var launch = options.launch || function(launchOptions) {
+    return require("puppeteer").launch(launchOptions);
+  };
+  var small = "font-family: Arial, sans-serif; font-size: 8px; color: #59636e; width: 100%; margin: 0 12mm;" +
+    " display: flex; justify-content: space-between;";
+  var headerTemplate = "<div style=\"" + small + "\"><span>" + escapeHtml(options.company || "Medical Affairs") + " | " +
+    escapeHtml(options.title || "") + "</span><span>Document ID: " + escapeHtml(options.documentId || "DRAFT") + "</span></div>";
+  var footerTemplate = "<div style=\"" + small + "\"><span>" +
+    escapeHtml(options.confidentiality || DEFAULT_CONFIDENTIALITY) + "</span>" +
+    "<span style=\"white-space: nowrap;\">Page <span class=\"pageNumber\"></span> of <span class=\"totalPages\"></span></span></div>";
+
+  var browser = await launch({
+    headless: "new",
+    executablePath: options.executablePath || undefined,
+    args: ["--no-sandbox", "--disable-dev-shm-usage"]
+  });
+  try {
+    var page = await browser.newPage();
+    await page.setRequestInterception(true);
+    page.on("request", function(request) {
+      if (/^(data|about):/.test(request.url())) request.continue();
+      else request.abort();
+    });
+    await page.setContent(html, { waitUntil: "load" });
+    await page.pdf({
+      path: filepath,
+      format: options.paperSize || "A4",
+      landscape: !!options.landscape,
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: headerTemplate,
+      footerTemplate: footerTemplate,
+      margin: { top: "20mm", bottom: "20mm", left: "15mm", right: "15mm" }
+    });
+  } finally {
+    await browser.close();
+  }
+  return filepath;
+}
+
+module.exports = {
+  DEFAULT_CSS: DEFAULT_CSS,
+  DEFAULT_CONFIDENTIALITY: DEFAULT_CONFIDENTIALITY,
+  linkify: linkify,
+  markdownToHtml: markdownToHtml,
+  htmlToPdf: htmlToPdf
+};
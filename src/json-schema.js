@@ -0,0 +1,105 @@
+/**
+ * JSON Schema helpers for structured LLM output
+ *
+ * Supports the subset of JSON Schema the agents use: type (incl. arrays of
+ * types), properties, required, additionalProperties, items, enum, minItems,
+ * maxItems, minLength, minimum, maximum.
+ */
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  var actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of error strings (empty when valid).
+ */
+function validate(value, schema, where) {
+  where = where || "$";
+  var errors = [];
+  if (!schema) return errors;
+
+  if (schema.type) {
+    var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(function(t) { return matchesType(value, t); })) {
+      errors.push(where + ": expected " + types.join("|") + ", got " + typeOf(value));
+      return errors;
+    }
+  }
+
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    errors.push(where + ": must be one of " + schema.enum.map(function(e) { return JSON.stringify(e); }).join(", "));
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(where + ": must be at least " + schema.minLength + " characters");
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(where + ": must be >= " + schema.minimum);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(where + ": must be <= " + schema.maximum);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(where + ": must have at least " + schema.minItems + " items");
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(where + ": must have at most " + schema.maxItems + " items");
+    }
+    if (schema.items) {
+      value.forEach(function(item, i) {
+        errors = errors.concat(validate(item, schema.items, where + "[" + i + "]"));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach(function(key) {
+      if (value[key] === undefined) errors.push(where + ": missing required property \"" + key + "\"");
+    });
+    var properties = schema.properties || {};
+    Object.keys(value).forEach(function(key) {
+      if (properties[key]) {
+        errors = errors.concat(validate(value[key], properties[key], where + "." + key));
+      } else if (schema.additionalProperties === false) {
+        errors.push(where + ": unexpected property \"" + key + "\"");
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Pull a JSON value out of an LLM response (handles ```json fences and
+ * surrounding prose). Throws SyntaxError when nothing parses.
+ */
+function extractJson(text) {
+  var trimmed = String(text || "").trim();
+  var fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) trimmed = fenced[1].trim();
+
+  try {
+    return JSON.parse(trimmed);
+  } catch (e) {
+    var start = trimmed.search(/[\[{]/);
+    var end = Math.max(trimmed.lastIndexOf("}"), trimmed.lastIndexOf("]"));
+    if (start === -1 || end <= start) throw e;
+    return JSON.parse(trimmed.substring(start, end + 1));
+  }
+}
+
+module.exports = {
+  validate: validate,
+  extractJson: extractJson
+};
@@ -0,0 +1,222 @@
+/**
+ * LLM Providers for Medical Affairs Research Assistant
+ *
+ * Every provider implements the same interface:
+ *   generate(prompt, options)  -> text
+ *   chat(messages, options)    -> text
+ *   stream(messages, options)  -> async iterator of text chunks (optional)
+ *   embed(texts, options)      -> array of vectors (optional)
+ *
+ * options: model, temperature, maxTokens, jsonSchema ({ name, schema } for constrained output)
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const log = require("./logger");
+
+/**
+ * Any OpenAI-compatible /chat/completions endpoint
+ * (OpenAI, llama.cpp server, vLLM, LM Studio, ...)
+ */
+class OpenAICompatibleProvider {
+  constructor(config) {
+    config = config || {};
+    this.name = config.name || "openai";
+    this.baseUrl = (config.baseUrl || process.env.LLM_BASE_URL || "http://localhost:8080/v1").replace(/\/$/, "");
+    this.apiKey = config.apiKey || process.env.LLM_API_KEY || "";
+    this.model = config.model || process.env.LLM_MODEL || "default";
+    this.embeddingModel = config.embeddingModel || this.model;
+    this.timeout = config.timeout || 120000;
+  }
+
+  headers() {
+    var headers = { "Content-Type": "application/json" };
+    if (this.apiKey) headers.Authorization = "Bearer " + this.apiKey;
+    return headers;
+  }
+
+  body(messages, options) {
+    var body = {
+      model: options.model || this.model,
+      messages: messages,
+      max_tokens: options.maxTokens || 4000,
+      temperature: options.temperature !== undefined ? options.temperature : 0.7
+    };
+    if (options.jsonSchema) {
+      body.response_format = {
+        type: "json_schema",
+        json_schema: { name: options.jsonSchema.name, schema: options.jsonSchema.schema, strict: false }
+      };
+    }
+    return body;
+  }
+
+  async generate(prompt, options) {
+    return this.chat([{ role: "user", content: prompt }], options);
+  }
+
+  async chat(messages, options) {
+    options = options || {};
+    try {
+      const response = await axios.post(
+        this.baseUrl + "/chat/completions",
+        this.body(messages, options),
+        { headers: this.headers(), timeout: this.timeout }
+      );
+      return response.data.choices[0].message.content;
+    } catch (error) {
+      log.error(this.name + " API Error:", error.response ? error.response.data : error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stream completion chunks from a server-sent events response
+   */
+  async *stream(messages, options) {
+    options = options || {};
+    var body = this.body(messages, options);
+    body.stream = true;
+
+    const response = await axios.post(this.baseUrl + "/chat/completions", body, {
+      headers: this.headers(),
+      timeout: this.timeout,
+      responseType: "stream"
+    });
+
+    var buffer = "";
+    for await (var chunk of response.data) {
+      buffer += chunk.toString("utf8");
+      var lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (var i = 0; i < lines.length; i++) {
+        var line = lines[i].trim();
+        if (!line.startsWith("data:")) continue;
+        var payload = line.substring(5).trim();
+        if (payload === "[DONE]") return;
+        var delta = JSON.parse(payload).choices[0].delta;
+        if (delta && delta.content) yield delta.content;
+      }
+    }
+  }
+
+  async embed(texts, options) {
+    options = options || {};
+    const response = await axios.post(
+      this.baseUrl + "/embeddings",
+      { model: options.model || this.embeddingModel, input: texts },
+      { headers: this.headers(), timeout: this.timeout }
+    );
+    return response.data.data.map(function(d) { return d.embedding; });
+  }
+}
+
+/**
+ * Venice AI (OpenAI-compatible API at api.venice.ai)
+ */
+class VeniceProvider extends OpenAICompatibleProvider {
+  constructor(config) {
+    config = config || {};
+    super({
+      name: "venice",
+      baseUrl: config.baseUrl || "https://api.venice.ai/api/v1",
+      apiKey: config.apiKey || process.env.VENICE_INFERENCE_KEY,
+      model: config.model || process.env.VENICE_MODEL || "venice/llama-3.3-70b",
+      embeddingModel: config.embeddingModel || "text-embedding-bge-m3",
+      timeout: config.timeout
+    });
+  }
+}
+
+/**
+ * Deterministic scripted provider for tests and offline demos.
+ *
+ * script entries are either strings (returned in order) or
+ * { match: RegExp|string, response: string|function(prompt) } rules
+ * checked against the prompt. When nothing matches, `fallback` is used
+ * (string or function), else a stable hash-based placeholder.
+ */
+class MockProvider {
+  constructor(config) {
+    config = config || {};
+    this.name = "mock";
+    this.model = config.model || "mock-model";
+    this.apiKey = "mock";
+    this.script = (config.script || []).slice();
+    this.fallback = config.fallback;
+    this.calls = [];
+  }
+
+  respond(prompt) {
+    for (var i = 0; i < this.script.length; i++) {
+      var entry = this.script[i];
+      if (typeof entry === "string") {
+        this.script.splice(i, 1);
+        return entry;
+      }
+      var matches = entry.match instanceof RegExp ? entry.match.test(prompt) : prompt.indexOf(entry.match) !== -1;
+      if (matches) {
+        if (entry.once) this.script.splice(i, 1);
+        return typeof entry.response === "function" ? entry.response(prompt) : entry.response;
+      }
+    }
+    if (this.fallback !== undefined) {
+      return typeof this.fallback === "function" ? this.fallback(prompt) : this.fallback;
+    }
+    return "[mock " + crypto.createHash("sha1").update(prompt).digest("hex").substring(0, 8) + "]";
+  }
+
+  async generate(prompt, options) {
+    return this.chat([{ role: "user", content: prompt }], options);
+  }
+
+  async chat(messages, options) {
+    var prompt = messages.map(function(m) { return m.content; }).join("\n\n");
+    var response = this.respond(prompt);
+    this.calls.push({ messages: messages, options: options || {}, response: response });
+    return response;
+  }
+
+  async *stream(messages, options) {
+    var text = await this.chat(messages, options);
+    var words = text.split(/(\s+)/);
+    for (var i = 0; i < words.length; i++) yield words[i];
+  }
+
+  async embed(texts) {
+    return texts.map(function(text) {
+      var digest = crypto.createHash("sha256").update(text).digest();
+      var vector = [];
+      for (var i = 0; i < 16; i++) vector.push(digest[i] / 255);
+      return vector;
+    });
+  }
+}
+
+var PROVIDERS = {
+  venice: VeniceProvider,
+  openai: OpenAICompatibleProvider,
+  "openai-compatible": OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * Build a provider from config ({ provider, model, baseUrl, apiKey }).
+ * Falls back to LLM_PROVIDER, then Venice.
+ */
+function createProvider(config) {
+  config = config || {};
+  var name = config.provider || process.env.LLM_PROVIDER || "venice";
+  var Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error("Unknown LLM provider: " + name + " (expected one of " + Object.keys(PROVIDERS).join(", ") + ")");
+  }
+  return new Provider(config);
+}
+
+module.exports = {
+  OpenAICompatibleProvider: OpenAICompatibleProvider,
+  VeniceProvider: VeniceProvider,
+  MockProvider: MockProvider,
+  createProvider: createProvider
+};
@@ -0,0 +1,51 @@
+/**
+ * Progress logging on stderr
+ *
+ * stdout is reserved for command results (human output, --json, --ndjson) so
+ * they can be piped into other tools. --quiet (or MA_QUIET=1) silences
+ * progress and warnings; errors are always written.
+ */
+
+var quiet = process.env.MA_QUIET === "1" || process.env.MA_QUIET === "true";
+
+function write(args) {
+  process.stderr.write(Array.prototype.map.call(args, function(arg) {
+    if (typeof arg === "string") return arg;
+    if (arg instanceof Error) return arg.message;
+    return JSON.stringify(arg);
+  }).join(" ") + "\n");
+}
+
+/**
+ * Progress messages
+ */
+function info() {
+  if (!quiet) write(arguments);
+}
+
+/**
+ * Recoverable problems (retries, fallbacks)
+ */
+function warn() {
+  if (!quiet) write(arguments);
+}
+
+function error() {
+  write(arguments);
+}
+
+function setQuiet(value) {
+  quiet = !!value;
+}
+
+function isQuiet() {
+  return quiet;
+}
+
+module.exports = {
+  info: info,
+  warn: warn,
+  error: error,
+  setQuiet: setQuiet,
+  isQuiet: isQuiet
+};
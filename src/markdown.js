@@ -0,0 +1,133 @@
+/**
+ * Markdown parsing shared by the DOCX and HTML renderers
+ *
+ * Only the subset OutputGenerator emits is understood: headings, paragraphs,
+ * bullet/numbered lists (up to three levels), pipe tables, > quotes, ```
+ * code blocks and inline **bold**, *italic* and `code`.
+ */
+
+/**
+ * Markdown -> blocks: { type: heading|paragraph|list|table|quote|code, ... }
+ */
+function parseMarkdown(markdown) {
+  var lines = String(markdown || "").replace(/\r\n/g, "\n").split("\n");
+  var blocks = [];
+  var paragraph = [];
+
+  function flush() {
+    if (paragraph.length > 0) {
+      blocks.push({ type: "paragraph", text: paragraph.join(" ") });
+      paragraph = [];
+    }
+  }
+
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i];
+    var trimmed = line.trim();
+
+    if (/^```/.test(trimmed)) {
+      flush();
+      var code = [];
+      for (i++; i < lines.length && !/^```/.test(lines[i].trim()); i++) code.push(lines[i]);
+      blocks.push({ type: "code", lines: code });
+      continue;
+    }
+    if (trimmed === "") {
+      flush();
+      continue;
+    }
+    if (/^(-{3,}|\*{3,}|_{3,})$/.test(trimmed)) {
+      flush();
+      continue;
+    }
+    var heading = /^(#{1,6})\s+(.*)$/.exec(trimmed);
+    if (heading) {
+      flush();
+      blocks.push({ type: "heading", level: Math.min(heading[1].length, 4), text: heading[2] });
+      continue;
+    }
+    if (/^\|.*\|$/.test(trimmed)) {
+      flush();
+      var rows = [];
+      for (; i < lines.length && /^\|.*\|$/.test(lines[i].trim()); i++) {
+        var row = lines[i].trim();
+        if (/^\|[\s:|-]+\|$/.test(row)) continue; // header separator
+        rows.push(splitRow(row));
+      }
+      i--;
+      blocks.push({ type: "table", rows: rows });
+      continue;
+    }
+    var bullet = /^(\s*)[-*+]\s+(.*)$/.exec(line);
+    var numbered = /^(\s*)\d+[.)]\s+(.*)$/.exec(line);
+    if (bullet || numbered) {
+      flush();
+      var ordered = !!numbered;
+      var items = [];
+      for (; i < lines.length; i++) {
+        var b = /^(\s*)[-*+]\s+(.*)$/.exec(lines[i]);
+        var n = /^(\s*)\d+[.)]\s+(.*)$/.exec(lines[i]);
+        var match = ordered ? n : b;
+        if (match) {
+          items.push({ text: match[2], level: Math.min(Math.floor(match[1].length / 2), 2) });
+        } else if (lines[i].trim() !== "" && /^\s{2,}/.test(lines[i]) && items.length > 0) {
+          items[items.length - 1].text += " " + lines[i].trim(); // continuation line
+        } else if (lines[i].trim() === "" && i + 1 < lines.length &&
+            (ordered ? /^\s*\d+[.)]\s+/ : /^\s*[-*+]\s+/).test(lines[i + 1])) {
+          continue; // loose list: blank line between items
+        } else {
+          break;
+        }
+      }
+      i--;
+      blocks.push({ type: "list", ordered: ordered, items: items });
+      continue;
+    }
+    if (/^>\s?/.test(trimmed)) {
+      flush();
+      blocks.push({ type: "quote", text: trimmed.replace(/^>\s?/, "") });
+      continue;
+    }
+    paragraph.push(trimmed);
+  }
+  flush();
+  return blocks;
+}
+
+function splitRow(row) {
+  var cells = [];
+  var current = "";
+  var inner = row.substring(1, row.length - 1);
+  for (var i = 0; i < inner.length; i++) {
+    if (inner[i] === "\\" && inner[i + 1] === "|") {
+      current += "|";
+      i++;
+    } else if (inner[i] === "|") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += inner[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Inline Markdown -> [{ text, bold, italic, code }]
+ */
+function inlineTokens(text) {
+  var parts = String(text).split(/(\*\*[^*]+\*\*|`[^`]+`|\*[^*\s][^*]*\*)/);
+  return parts.filter(function(part) { return part !== ""; }).map(function(part) {
+    if (/^\*\*[^*]+\*\*$/.test(part)) return { text: part.slice(2, -2), bold: true };
+    if (/^`[^`]+`$/.test(part)) return { text: part.slice(1, -1), code: true };
+    if (/^\*[^*\s][^*]*\*$/.test(part)) return { text: part.slice(1, -1), italic: true };
+    return { text: part };
+  });
+}
+
+module.exports = {
+  parseMarkdown: parseMarkdown,
+  splitRow: splitRow,
+  inlineTokens: inlineTokens
+};
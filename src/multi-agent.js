@@ -13,6 +13,12 @@
 
 const fs = require("fs");
 const path = require("path");
+const VeniceClient = require("./venice-client");
+const PubMedClient = require("./pubmed-client");
+const ReviewStore = require("./review-workflow");
+const AuditLog = require("./audit-log");
+const log = require("./logger");
+const { loadConfig, llmSettings, pubmedSettings } = require("./config");
 
 /**
  * Multi-Agent Research System
@@ -20,13 +26,40 @@ const path = require("path");
  * Each agent is specialized and collaborates through shared workspace
  */
 class MultiAgentResearchSystem {
+  /**
+   * options.config: a resolved configuration (see config.js) for the LLM,
+   * PubMed and audit settings; defaults to loadConfig()
+   */
   constructor(options) {
+    options = options || {};
+    var config = options.config || loadConfig({ profile: options.profile });
+    this.config = config;
     this.workspace = options.workspace || "./workspace";
     this.ensureWorkspace();
+
+    // Observable operation for audit: every run gets a hash-chained log in <workspace>/audit
+    this.audit = new AuditLog({
+      dir: options.auditDir || config.audit.dir || path.join(this.workspace, "audit"),
+      operator: options.operator || config.audit.operator,
+      enabled: options.audit !== undefined ? options.audit !== false : config.audit.enabled
+    });
+
+    // Shared clients - one LLM provider and one PubMed client for all agents
+    this.llm = options.venice || new VeniceClient(options.veniceApiKey || config.llm.apiKey, {
+      provider: options.provider,
+      llm: llmSettings(config, options.llm),
+      generation: config.generation,
+      cache: options.cache,
+      contextWindow: config.llm.contextWindow
+    });
+    this.pubmed = options.pubmed || new PubMedClient(Object.assign(pubmedSettings(config), { cache: options.cache }));
+    this.llm.audit = this.llm.audit || this.audit;
+    this.pubmed.audit = this.pubmed.audit || this.audit;
     
     this.agents = {
       ideation: new IdeationAgent(this),
       planning: new PlanningAgent(this),
+      review: new ReviewerAgent(this, options.review),
       execution: new ExecutionAgent(this),
       writing: new WritingAgent(this)
     };
@@ -72,7 +105,11 @@ class MultiAgentResearchSystem {
   writeState(filename, data) {
     if (!this.currentProject) return;
     var filepath = path.join(this.currentProject.dir, filename + ".json");
-    fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
+    // Write then rename so an interrupted run never leaves a truncated checkpoint
+    fs.writeFileSync(filepath + ".tmp", JSON.stringify(data, null, 2));
+    fs.renameSync(filepath + ".tmp", filepath);
+    // progress.json is bookkeeping, not research output
+    if (filename !== "progress") this.audit.recordFile(filepath);
   }
 
   /**
@@ -87,75 +124,460 @@ class MultiAgentResearchSystem {
     return null;
   }
 
+  /**
+   * Load an existing project from the workspace
+   */
+  loadProject(projectId) {
+    var projectDir = path.join(this.workspace, projectId);
+    var initialPath = path.join(projectDir, "initial.json");
+    if (!fs.existsSync(initialPath)) {
+      throw new Error("Project not found in " + this.workspace + ": " + projectId);
+    }
+
+    var initial = JSON.parse(fs.readFileSync(initialPath, "utf8"));
+    this.currentProject = {
+      id: projectId,
+      query: initial.query,
+      dir: projectDir,
+      state: {}
+    };
+    return this.currentProject;
+  }
+
+  /**
+   * List projects in the workspace with their checkpoint progress
+   */
+  listProjects() {
+    var self = this;
+    return fs.readdirSync(this.workspace).filter(function(name) {
+      return fs.existsSync(path.join(self.workspace, name, "initial.json"));
+    }).sort().map(function(name) {
+      var dir = path.join(self.workspace, name);
+      var initial = JSON.parse(fs.readFileSync(path.join(dir, "initial.json"), "utf8"));
+      var progressPath = path.join(dir, "progress.json");
+      var progress = fs.existsSync(progressPath) ? JSON.parse(fs.readFileSync(progressPath, "utf8")) : { phases: {} };
+      return { id: name, query: initial.query, started: initial.started, progress: progress };
+    });
+  }
+
+  /**
+   * Record per-phase progress in progress.json
+   */
+  checkpoint(phase, completed, total, status) {
+    var progress = this.readState("progress") || { phases: {} };
+    progress.phases[phase] = {
+      status: status || (completed >= total ? "completed" : "in-progress"),
+      completed: completed,
+      total: total,
+      updatedAt: new Date().toISOString()
+    };
+    if (progress.phases[phase].status === "completed") progress.lastCompleted = phase;
+    this.writeState("progress", progress);
+  }
+
+  phaseComplete(phase) {
+    var progress = this.readState("progress");
+    return !!(progress && progress.phases[phase] && progress.phases[phase].status === "completed");
+  }
+
+  /**
+   * Run worker over items, persisting results after every item so a failure
+   * mid-phase resumes from the next unfinished item.
+   * save(results) / load() override how the phase file is written and read.
+   */
+  async runItems(phase, items, worker, save, load) {
+    var self = this;
+    save = save || function(done) { self.writeState(PHASE_FILES[phase], done); };
+    load = load || function() { return self.readState(PHASE_FILES[phase]); };
+    var results = (load() || []).slice(0, items.length);
+
+    if (results.length > 0 && results.length < items.length) {
+      log.info("  Resuming " + phase + " at item " + (results.length + 1) + "/" + items.length);
+    }
+    for (var i = results.length; i < items.length; i++) {
+      results.push(await worker(items[i], i));
+      save(results);
+      this.checkpoint(phase, results.length, items.length);
+    }
+    this.checkpoint(phase, results.length, items.length, "completed");
+    return results;
+  }
+
+  /**
+   * Discard a phase's checkpoint and every later phase's
+   */
+  resetPhase(phase) {
+    var index = PHASES.indexOf(phase);
+    if (index === -1) {
+      throw new Error("Unknown phase: " + phase + " (expected one of " + PHASES.join(", ") + ")");
+    }
+    var progress = this.readState("progress") || { phases: {} };
+    for (var i = index; i < PHASES.length; i++) {
+      var filepath = path.join(this.currentProject.dir, PHASE_FILES[PHASES[i]] + ".json");
+      if (fs.existsSync(filepath)) fs.unlinkSync(filepath);
+      delete progress.phases[PHASES[i]];
+    }
+    progress.lastCompleted = index > 0 ? PHASES[index - 1] : null;
+    this.writeState("progress", progress);
+  }
+
   /**
    * Run the full multi-agent research pipeline
    */
   async research(query, options) {
     options = options || {};
     
-    console.log("\n" + "=".repeat(50));
-    console.log("MA-FARS: Multi-Agent Research System");
-    console.log("=".repeat(50));
+    log.info("\n" + "=".repeat(50));
+    log.info("MA-FARS: Multi-Agent Research System");
+    log.info("=".repeat(50));
+    this.audit.start({ command: "multi-agent research", query: query, options: persistableOptions(options) });
     
     // Step 1: Start project
-    console.log("\n[Phase 1] Starting research project...");
+    log.info("\n[Phase 1] Starting research project...");
     var project = await this.startProject(query);
-    console.log("Project ID: " + project.id);
+    this.writeState("options", persistableOptions(options));
+    log.info("Project ID: " + project.id);
+
+    return this.auditedPipeline(options);
+  }
+
+  /**
+   * Continue a project from its last completed step
+   * (rerunFrom names the phase being re-run, for the audit log)
+   */
+  async resume(projectId, options, rerunFrom) {
+    var project = this.loadProject(projectId);
+    options = Object.assign({}, this.readState("options"), options);
+    var progress = this.readState("progress");
+    this.audit.start({
+      command: rerunFrom ? "multi-agent rerun" : "multi-agent resume",
+      projectId: project.id,
+      query: project.query,
+      phase: rerunFrom,
+      options: persistableOptions(options)
+    });
+
+    log.info("\n" + "=".repeat(50));
+    log.info("MA-FARS: Resuming " + project.id);
+    log.info("=".repeat(50));
+    log.info("Query: " + project.query);
+    log.info("Last completed phase: " + ((progress && progress.lastCompleted) || "none"));
+
+    return this.auditedPipeline(options);
+  }
+
+  /**
+   * Re-run one phase (and the phases that depend on it), reusing earlier phases
+   * from the workspace - e.g. rerunPhase(id, "writing") regenerates papers only
+   */
+  async rerunPhase(projectId, phase, options) {
+    this.loadProject(projectId);
+    this.resetPhase(phase);
+    log.info("Re-running from phase: " + phase);
+    return this.resume(projectId, options, phase);
+  }
+
+  /**
+   * runPipeline within the audit run opened by research/resume
+   */
+  async auditedPipeline(options) {
+    var runId = this.audit.runId;
+    try {
+      var result = await this.runPipeline(options);
+      this.audit.end("success", { projectId: this.currentProject.id, papers: result.papers.length });
+      result.auditRun = runId;
+      if (runId) log.info("Audit log: " + runId);
+      return result;
+    } catch (error) {
+      this.audit.end("error", { projectId: this.currentProject.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Run (or continue) the phases for the current project, skipping
+   * work already checkpointed in the workspace
+   */
+  async runPipeline(options) {
+    var self = this;
+    var project = this.currentProject;
+    var query = project.query;
     
     // Step 2: Ideation - Literature review + hypothesis generation
-    console.log("\n[Phase 2] IDEATION AGENT: Literature review + hypothesis generation");
-    var hypotheses = await this.agents.ideation.generate(query, options);
-    this.writeState("ideation", hypotheses);
-    console.log("Generated " + hypotheses.length + " research hypotheses");
-    
-    // Filter hypotheses that pass automated review
+    log.info("\n[Phase 2] IDEATION AGENT: Literature review + hypothesis generation");
+    var hypotheses = this.phaseComplete("ideation") ? this.readState("ideation") : null;
+    if (hypotheses) {
+      log.info("  Reusing checkpoint");
+    } else {
+      hypotheses = await this.agents.ideation.generate(query, options);
+      this.writeState("ideation", hypotheses);
+      this.checkpoint("ideation", 1, 1, "completed");
+    }
+    log.info("Generated " + hypotheses.length + " research hypotheses");
+    
+    // Automated review gate - rejected hypotheses are kept as negative knowledge
+    log.info("\n[Review] REVIEWER AGENT: Scoring hypotheses against rubric");
+    var reviewer = this.agents.review;
+    var rubric = reviewer.resolveRubric(options.review);
+    var articles = this.readState("literature/articles") || [];
+    var reviews = await this.runItems("review", hypotheses, function(h) {
+      return reviewer.reviewOne(h, articles, rubric);
+    }, function(done) {
+      self.writeState("review", reviewer.buildRecord(done, rubric));
+    }, function() {
+      var saved = self.readState("review");
+      return saved ? saved.reviews : null;
+    });
+    reviews.forEach(function(entry, i) { reviewer.apply(hypotheses[i], entry); });
+    var review = reviewer.buildRecord(reviews, rubric);
     var validHypotheses = hypotheses.filter(h => h.passedReview);
-    console.log(validHypotheses.length + " hypotheses passed automated review");
+    var rejectedHypotheses = hypotheses.filter(h => !h.passedReview);
+    log.info(validHypotheses.length + " hypotheses passed automated review, " +
+      rejectedHypotheses.length + " rejected (kept as negative knowledge)");
     
     // Step 3: Planning - For each valid hypothesis
-    console.log("\n[Phase 3] PLANNING AGENT: Research methodology design");
-    var plans = [];
-    for (var i = 0; i < validHypotheses.length; i++) {
-      var plan = await this.agents.planning.createPlan(validHypotheses[i]);
-      plans.push(plan);
-    }
-    this.writeState("planning", plans);
-    console.log("Created " + plans.length + " research plans");
+    log.info("\n[Phase 3] PLANNING AGENT: Research methodology design");
+    var plans = await this.runItems("planning", validHypotheses, function(h) {
+      return self.agents.planning.createPlan(h);
+    });
+    log.info("Created " + plans.length + " research plans");
     
     // Step 4: Execution - Run experiments/analyses
-    console.log("\n[Phase 4] EXECUTION AGENT: Running analyses");
-    var results = [];
-    for (var j = 0; j < plans.length; j++) {
-      var result = await this.agents.execution.run(plans[j]);
-      results.push(result);
-    }
-    this.writeState("execution", results);
-    console.log("Completed " + results.length + " analyses");
+    log.info("\n[Phase 4] EXECUTION AGENT: Running analyses");
+    var results = await this.runItems("execution", plans, function(plan) {
+      return self.agents.execution.run(plan);
+    });
+    log.info("Completed " + results.length + " analyses");
     
     // Step 5: Writing - Generate papers
-    console.log("\n[Phase 5] WRITING AGENT: Generating research papers");
-    var papers = [];
-    for (var k = 0; k < results.length; k++) {
-      var paper = await this.agents.writing.write(results[k]);
-      papers.push(paper);
-    }
-    this.writeState("papers", papers);
-    console.log("Generated " + papers.length + " papers");
-    
-    // Safety: Human review step (required for pharma)
+    log.info("\n[Phase 5] WRITING AGENT: Generating research papers");
+    var papers = await this.runItems("writing", results, function(result) {
+      return self.agents.writing.write(result);
+    });
+    log.info("Generated " + papers.length + " papers");
+    
+    // Safety: Human review step (required for pharma) - drafts go to MLR review
+    var reviewItems = [];
     if (options.requireHumanReview) {
-      console.log("\n[SAFETY] Human review required before distribution");
-      // Would integrate with workflow for medical/regulatory review
+      log.info("\n[SAFETY] Human review required before distribution");
+      reviewItems = this.submitForReview(papers, options);
+      reviewItems.forEach(function(item) {
+        log.info("  " + item.id + " [" + item.state + "] " + item.title);
+      });
+      log.info("Approve with: node src/cli.js review approve <id> --role <role>");
     }
     
     return {
       project: project,
       hypotheses: validHypotheses,
+      rejectedHypotheses: rejectedHypotheses,
+      review: review,
       plans: plans,
       results: results,
-      papers: papers
+      papers: papers,
+      reviewItems: reviewItems
     };
   }
+
+  /**
+   * Review store for the current project (<project>/reviews)
+   */
+  reviewStore(options) {
+    options = options || {};
+    return new ReviewStore(path.join(this.currentProject.dir, "reviews"), { requiredRoles: options.reviewRoles });
+  }
+
+  /**
+   * Write each paper to drafts/ and submit it for MLR review. Regenerated
+   * papers become new revisions of their existing review item.
+   */
+  submitForReview(papers, options) {
+    var store = this.reviewStore(options);
+    var itemIds = this.readState("review-items") || {};
+    var self = this;
+
+    var items = papers.map(function(paper, i) {
+      var draftPath = path.join(self.currentProject.dir, "drafts", "paper-" + (i + 1) + ".md");
+      fs.writeFileSync(draftPath, paper.paper, "utf8");
+      self.audit.recordFile(draftPath, { kind: "draft" });
+
+      var item;
+      if (itemIds[i] && store.has(itemIds[i])) {
+        item = store.load(itemIds[i]);
+        var current = item.revisions[item.revisions.length - 1];
+        if (current.checksum === ReviewStore.sha256(fs.readFileSync(draftPath))) return item;
+        store.revise(item.id, draftPath, ReviewStore.SYSTEM_AUTHOR, "Regenerated by writing agent");
+      } else {
+        item = store.create(draftPath, {
+          title: paper.sections ? paper.sections.title : "Paper " + (i + 1),
+          kind: "paper",
+          source: { type: "multi-agent", projectId: self.currentProject.id, hypothesis: paper.hypothesis }
+        });
+        itemIds[i] = item.id;
+      }
+      return store.submit(item.id, ReviewStore.SYSTEM_AUTHOR);
+    });
+
+    this.writeState("review-items", itemIds);
+    return items;
+  }
+}
+
+// Pipeline phases in order, and the workspace file each checkpoints to
+var PHASES = ["ideation", "review", "planning", "execution", "writing"];
+var PHASE_FILES = {
+  ideation: "ideation",
+  review: "review",
+  planning: "planning",
+  execution: "execution",
+  writing: "papers"
+};
+
+/**
+ * Research options worth restoring on resume (no client instances)
+ */
+function persistableOptions(options) {
+  return {
+    maxResults: options.maxResults,
+    review: options.review,
+    requireHumanReview: options.requireHumanReview,
+    reviewRoles: options.reviewRoles
+  };
+}
+
+/**
+ * JSON schemas for structured agent output (validated by json-schema.js)
+ */
+var PMID_LIST = { type: "array", items: { type: ["string", "integer"] } };
+var STRING_LIST = { type: "array", items: { type: "string" } };
+
+var HYPOTHESES_SCHEMA = {
+  type: "object",
+  required: ["hypotheses"],
+  properties: {
+    hypotheses: {
+      type: "array",
+      minItems: 1,
+      maxItems: 5,
+      items: {
+        type: "object",
+        required: ["statement", "importance", "validation", "supportingPmids"],
+        properties: {
+          statement: { type: "string", minLength: 10 },
+          importance: { type: "string" },
+          validation: { type: "string" },
+          supportingPmids: PMID_LIST,
+          evidenceGaps: STRING_LIST
+        }
+      }
+    }
+  }
+};
+
+var PLAN_SCHEMA = {
+  type: "object",
+  required: ["researchQuestions", "dataSources", "analyticalMethods", "successCriteria"],
+  properties: {
+    researchQuestions: { type: "array", minItems: 1, items: { type: "string" } },
+    dataSources: STRING_LIST,
+    analyticalMethods: STRING_LIST,
+    successCriteria: STRING_LIST,
+    timeline: { type: "string" }
+  }
+};
+
+var ANALYSIS_SCHEMA = {
+  type: "object",
+  required: ["findings", "evidenceSufficient", "negativeResult", "conclusion"],
+  properties: {
+    findings: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["statement", "supportingPmids", "strength"],
+        properties: {
+          statement: { type: "string" },
+          supportingPmids: PMID_LIST,
+          strength: { type: "string", enum: ["strong", "moderate", "weak", "none"] }
+        }
+      }
+    },
+    evidenceSufficient: { type: "boolean" },
+    negativeResult: { type: "boolean" },
+    conclusion: { type: "string" },
+    limitations: STRING_LIST
+  }
+};
+
+var PAPER_SCHEMA = {
+  type: "object",
+  required: ["title", "abstract", "introduction", "methods", "results", "discussion", "conclusion"],
+  properties: {
+    title: { type: "string", minLength: 5 },
+    abstract: { type: "string" },
+    introduction: { type: "string" },
+    methods: { type: "string" },
+    results: { type: "string" },
+    discussion: { type: "string" },
+    conclusion: { type: "string" },
+    citedPmids: PMID_LIST
+  }
+};
+
+var REVIEW_CRITERION = { type: "integer", minimum: 1, maximum: 5 };
+
+var REVIEW_SCHEMA = {
+  type: "object",
+  required: ["scores", "rationale", "summary"],
+  properties: {
+    scores: {
+      type: "object",
+      required: ["novelty", "testability", "clinicalRelevance", "evidenceSupport"],
+      properties: {
+        novelty: REVIEW_CRITERION,
+        testability: REVIEW_CRITERION,
+        clinicalRelevance: REVIEW_CRITERION,
+        evidenceSupport: REVIEW_CRITERION
+      }
+    },
+    rationale: {
+      type: "object",
+      required: ["novelty", "testability", "clinicalRelevance", "evidenceSupport"],
+      properties: {
+        novelty: { type: "string" },
+        testability: { type: "string" },
+        clinicalRelevance: { type: "string" },
+        evidenceSupport: { type: "string" }
+      }
+    },
+    closestPmids: PMID_LIST,
+    summary: { type: "string" }
+  }
+};
+
+// Relative importance of each review criterion (override via options.review.weights)
+var DEFAULT_REVIEW_WEIGHTS = {
+  novelty: 0.3,
+  testability: 0.25,
+  clinicalRelevance: 0.25,
+  evidenceSupport: 0.2
+};
+
+/**
+ * Keep only PMIDs present in the retrieved literature
+ * Returns { valid, unverified }
+ */
+function checkPmids(pmids, articles) {
+  var known = {};
+  articles.forEach(function(a) { known[String(a.pmid)] = true; });
+  var result = { valid: [], unverified: [] };
+  (pmids || []).forEach(function(pmid) {
+    pmid = String(pmid).replace(/\D/g, "");
+    if (!pmid) return;
+    var bucket = known[pmid] ? result.valid : result.unverified;
+    if (bucket.indexOf(pmid) === -1) bucket.push(pmid);
+  });
+  return result;
 }
 
 /**
@@ -169,57 +591,171 @@ class IdeationAgent {
   }
 
   async generate(query, options) {
-    // This would integrate with PubMed client
-    var PubMedClient = require("./pubmed-client");
-    var pubmed = new PubMedClient();
-    
-    console.log("  Searching literature...");
-    var articles = await pubmed.searchFull(query, options.maxResults || 20);
+    var articles = this.system.readState("literature/articles");
+    if (articles) {
+      log.info("  Reusing literature from workspace (" + articles.length + " articles)");
+    } else {
+      log.info("  Searching literature...");
+      articles = await this.system.pubmed.searchFull(query, options.maxResults || 20);
+      this.system.writeState("literature/articles", articles);
+    }
     
-    // Use Venice AI to generate hypotheses
-    var VeniceClient = require("./venice-client");
-    var venice = new VeniceClient();
+    // Use the shared LLM client to generate hypotheses
+    var venice = this.system.llm;
     
     var prompt = "Based on these medical literature search results, generate 3-5 specific, testable research hypotheses. " +
-      "For each hypothesis, include: (1) the hypothesis statement, (2) why it's important, (3) how it could be validated. " +
-      "Also identify any evidence gaps or negative findings that would be valuable to report.\n\n" +
-      "LITERATURE:\n" + articles.slice(0, 10).map(function(a) { 
-        return "- " + a.title + (a.abstract ? ": " + a.abstract.substring(0, 300) : ""); 
-      }).join("\n");
-    
-    var response = await venice.generate(prompt, { temperature: 0.7, maxTokens: 2000 });
-    
-    // Parse hypotheses (simplified)
-    var hypotheses = this.parseHypotheses(response, articles);
-    
-    return hypotheses;
+      "For each hypothesis, include: the hypothesis statement, why it's important, how it could be validated, " +
+      "the PMIDs of the articles below that support it, and any evidence gaps or negative findings that would be valuable to report.\n\n" +
+      "LITERATURE:\n";
+    
+    var response = await venice.generateStructuredFromArticles(articles, function(literature) { return prompt + literature; },
+      HYPOTHESES_SCHEMA, {
+        schemaName: "hypotheses",
+        temperature: 0.7,
+        maxTokens: 2000
+      }, "research hypothesis generation", { maxAbstractChars: 600 });
+    
+    return this.toHypotheses(response, articles);
   }
 
-  parseHypotheses(text, articles) {
-    // Simplified parsing - in production would use more sophisticated methods
-    var hypotheses = [];
-    var lines = text.split("\n");
-    var current = null;
-    
-    for (var i = 0; i < lines.length; i++) {
-      var line = lines[i].trim();
-      if (line.match(/^\d+[\.)]/) || line.toLowerCase().includes("hypothesis")) {
-        if (current) hypotheses.push(current);
-        current = {
-          statement: line.replace(/^\d+[\.)]\s*/, "").replace(/hypothesis[:\s]*/i, ""),
-          importance: "",
-          validation: "",
-          evidence: articles.slice(0, 5),
-          passedReview: true
-        };
-      } else if (current && line.length > 20) {
-        if (!current.importance) current.importance = line;
-        else if (!current.validation) current.validation = line;
-      }
+  toHypotheses(response, articles) {
+    return response.hypotheses.map(function(h, i) {
+      var pmids = checkPmids(h.supportingPmids, articles);
+      return {
+        id: "H" + (i + 1),
+        statement: h.statement,
+        importance: h.importance,
+        validation: h.validation,
+        supportingPmids: pmids.valid,
+        unverifiedPmids: pmids.unverified,
+        evidenceGaps: h.evidenceGaps || [],
+        evidence: articles.filter(function(a) { return pmids.valid.indexOf(String(a.pmid)) !== -1; }),
+        passedReview: null // set by the ReviewerAgent
+      };
+    });
+  }
+}
+
+/**
+ * REVIEWER AGENT
+ * - Scores each hypothesis on a weighted rubric
+ * - Gates which hypotheses proceed; rejections are recorded with rationale
+ */
+class ReviewerAgent {
+  constructor(system, rubric) {
+    this.system = system;
+    rubric = rubric || {};
+    this.weights = Object.assign({}, DEFAULT_REVIEW_WEIGHTS, rubric.weights);
+    this.threshold = rubric.threshold !== undefined ? rubric.threshold : 0.6;
+  }
+
+  /**
+   * Merge per-run rubric overrides with the agent's defaults
+   */
+  resolveRubric(rubric) {
+    rubric = rubric || {};
+    return {
+      weights: Object.assign({}, this.weights, rubric.weights),
+      threshold: rubric.threshold !== undefined ? rubric.threshold : this.threshold
+    };
+  }
+
+  /**
+   * Review all hypotheses (mutates each with .review and .passedReview).
+   * Returns the review record persisted as review.json.
+   */
+  async review(hypotheses, articles, rubric) {
+    rubric = this.resolveRubric(rubric);
+    var reviews = [];
+    for (var i = 0; i < hypotheses.length; i++) {
+      reviews.push(await this.reviewOne(hypotheses[i], articles, rubric));
     }
-    if (current) hypotheses.push(current);
-    
-    return hypotheses.length > 0 ? hypotheses : [{ statement: text.substring(0, 200), passedReview: true }];
+    return this.buildRecord(reviews, rubric);
+  }
+
+  /**
+   * Score one hypothesis; returns its review entry
+   */
+  async reviewOne(h, articles, rubric) {
+    var assessment = await this.assess(h, articles);
+    var score = this.weightedScore(assessment.scores, rubric.weights);
+    var entry = {
+      hypothesisId: h.id,
+      statement: h.statement,
+      decision: score >= rubric.threshold ? "accepted" : "rejected",
+      score: score,
+      scores: assessment.scores,
+      rationale: assessment.rationale,
+      closestPmids: assessment.closestPmids,
+      summary: assessment.summary,
+      reviewedAt: new Date().toISOString()
+    };
+    this.apply(h, entry);
+    log.info("  " + h.id + ": " + entry.decision + " (score " + score.toFixed(2) + ")");
+    return entry;
+  }
+
+  /**
+   * Attach a review entry's decision to its hypothesis
+   */
+  apply(h, entry) {
+    h.review = {
+      score: entry.score,
+      scores: entry.scores,
+      rationale: entry.rationale,
+      closestPmids: entry.closestPmids,
+      decision: entry.decision
+    };
+    h.passedReview = entry.decision === "accepted";
+  }
+
+  buildRecord(reviews, rubric) {
+    return {
+      rubric: { weights: rubric.weights, threshold: rubric.threshold, scale: "1-5 per criterion, weighted score normalised to 0-1" },
+      reviews: reviews,
+      accepted: reviews.filter(function(r) { return r.decision === "accepted"; }).map(function(r) { return r.hypothesisId; }),
+      negativeKnowledge: reviews.filter(function(r) { return r.decision === "rejected"; }).map(function(r) {
+        return { hypothesisId: r.hypothesisId, statement: r.statement, reason: r.summary, score: r.score };
+      })
+    };
+  }
+
+  async assess(hypothesis, articles) {
+    var supporting = hypothesis.supportingPmids || [];
+    var prompt = "You are a senior medical affairs reviewer. Score this research hypothesis on each criterion from 1 (poor) to 5 (excellent) " +
+      "and justify each score.\n" +
+      "- novelty: is it already established or directly answered by the retrieved literature below? (5 = clearly not yet answered)\n" +
+      "- testability: can it be tested with available data and methods?\n" +
+      "- clinicalRelevance: would the answer change clinical practice or medical affairs strategy?\n" +
+      "- evidenceSupport: how well do the cited supporting articles motivate it?\n" +
+      "Also list the PMIDs of the retrieved articles closest to the hypothesis.\n\n" +
+      "HYPOTHESIS: " + hypothesis.statement + "\n" +
+      "RATIONALE: " + (hypothesis.importance || "") + "\n" +
+      "SUPPORTING PMIDS: " + (supporting.length > 0 ? supporting.join(", ") : "none") + "\n\n" +
+      "RETRIEVED LITERATURE:\n";
+
+    var result = await this.system.llm.generateStructuredFromArticles(articles, function(literature) { return prompt + literature; },
+      REVIEW_SCHEMA, {
+        schemaName: "hypothesis_review",
+        temperature: 0.2,
+        maxTokens: 1000
+      }, "hypothesis review", { maxAbstractChars: 400 });
+    result.closestPmids = checkPmids(result.closestPmids, articles).valid;
+    return result;
+  }
+
+  /**
+   * Weighted mean of 1-5 criterion scores, normalised to 0-1
+   */
+  weightedScore(scores, weights) {
+    var total = 0;
+    var weightSum = 0;
+    Object.keys(weights).forEach(function(criterion) {
+      if (scores[criterion] === undefined || !weights[criterion]) return;
+      total += weights[criterion] * (scores[criterion] - 1) / 4;
+      weightSum += weights[criterion];
+    });
+    return weightSum > 0 ? total / weightSum : 0;
   }
 }
 
@@ -233,20 +769,25 @@ class PlanningAgent {
   }
 
   async createPlan(hypothesis) {
-    var VeniceClient = require("./venice-client");
-    var venice = new VeniceClient();
+    var venice = this.system.llm;
     
     var prompt = "Design a research methodology for testing this hypothesis in medical affairs context:\n\n" +
       "HYPOTHESIS: " + hypothesis.statement + "\n\n" +
-      "Include: (1) research questions, (2) data sources needed, (3) analytical methods, (4) success criteria";
+      "Include: (1) research questions, (2) data sources needed, (3) analytical methods, (4) success criteria, (5) an estimated timeline";
     
-    var methodology = await venice.generate(prompt, { temperature: 0.5, maxTokens: 1000 });
+    var methodology = await venice.generateStructured(prompt, PLAN_SCHEMA, {
+      schemaName: "research_plan",
+      temperature: 0.5,
+      maxTokens: 1000
+    });
     
     return {
       hypothesis: hypothesis,
-      methodology: methodology,
-      dataSources: ["PubMed", "ClinicalTrials.gov", "Internal data"],
-      timeline: "Auto-estimated"
+      researchQuestions: methodology.researchQuestions,
+      dataSources: methodology.dataSources,
+      analyticalMethods: methodology.analyticalMethods,
+      successCriteria: methodology.successCriteria,
+      timeline: methodology.timeline || "Not estimated"
     };
   }
 }
@@ -267,23 +808,39 @@ class ExecutionAgent {
     // 2. Run statistical analyses
     // 3. Validate findings
     
-    console.log("  Running analysis for: " + plan.hypothesis.statement.substring(0, 50) + "...");
+    log.info("  Running analysis for: " + plan.hypothesis.statement.substring(0, 50) + "...");
     
-    var VeniceClient = require("./venice-client");
-    var venice = new VeniceClient();
+    var venice = this.system.llm;
+    var evidence = plan.hypothesis.evidence || [];
     
-    // Simulate analysis by synthesizing findings
-    var prompt = "Analyze the evidence for this hypothesis and provide findings. " +
+    // Simulate analysis by synthesizing findings from the supporting literature
+    var prompt = "Analyze the evidence for this hypothesis and provide findings, each tied to the PMIDs that support it. " +
       "If evidence is insufficient, clearly state this as a finding too (negative result).\n\n" +
-      "HYPOTHESIS: " + plan.hypothesis.statement;
-    
-    var analysis = await venice.generate(prompt, { temperature: 0.3, maxTokens: 1500 });
+      "HYPOTHESIS: " + plan.hypothesis.statement + "\n\n" +
+      "RESEARCH QUESTIONS:\n- " + plan.researchQuestions.join("\n- ") + "\n\n" +
+      "SUCCESS CRITERIA:\n- " + (plan.successCriteria.join("\n- ") || "None specified") + "\n\n" +
+      "EVIDENCE:\n";
+    
+    var analysis = await venice.generateStructuredFromArticles(evidence, function(packed) {
+      return prompt + (packed || "No supporting articles were identified.");
+    }, ANALYSIS_SCHEMA, {
+      schemaName: "analysis",
+      temperature: 0.3,
+      maxTokens: 1500
+    }, "hypothesis analysis", { maxAbstractChars: 800 });
+
+    analysis.findings.forEach(function(finding) {
+      var pmids = checkPmids(finding.supportingPmids, evidence);
+      finding.supportingPmids = pmids.valid;
+      finding.unverifiedPmids = pmids.unverified;
+    });
     
     return {
       plan: plan,
       analysis: analysis,
       status: "completed",
-      negativeResult: analysis.toLowerCase().includes("insufficient") || analysis.toLowerCase().includes("limited evidence"),
+      evidenceSufficient: analysis.evidenceSufficient,
+      negativeResult: analysis.negativeResult,
       timestamp: new Date().toISOString()
     };
   }
@@ -300,24 +857,44 @@ class WritingAgent {
   }
 
   async write(result) {
-    var VeniceClient = require("./venice-client");
-    var venice = new VeniceClient();
+    var venice = this.system.llm;
+    var analysis = result.analysis;
     
     var prompt = "Write a short, focused research paper (800-1200 words) based on these findings. " +
-      "Include: Title, Abstract, Introduction, Methods, Results, Discussion, Conclusion. " +
+      "Provide: title, abstract, introduction, methods, results, discussion, conclusion, and the PMIDs cited. " +
+      "Cite sources inline as [PMID:x]. " +
       "If findings are negative or inconclusive, report this transparently - negative results are valuable knowledge.\n\n" +
       "HYPOTHESIS: " + result.plan.hypothesis.statement + "\n\n" +
-      "FINDINGS: " + result.analysis;
-    
-    var paper = await venice.generate(prompt, { temperature: 0.5, maxTokens: 2000 });
+      "FINDINGS:\n" + analysis.findings.map(function(f) {
+        return "- (" + f.strength + ") " + f.statement + (f.supportingPmids.length > 0 ? " [PMID:" + f.supportingPmids.join("][PMID:") + "]" : "");
+      }).join("\n") + "\n\n" +
+      "CONCLUSION: " + analysis.conclusion + "\n\n" +
+      "LIMITATIONS:\n- " + ((analysis.limitations || []).join("\n- ") || "None reported");
+    
+    var sections = await venice.generateStructured(prompt, PAPER_SCHEMA, {
+      schemaName: "paper",
+      temperature: 0.5,
+      maxTokens: 2500
+    });
+    var pmids = checkPmids(sections.citedPmids, result.plan.hypothesis.evidence || []);
     
     return {
-      paper: paper,
+      paper: this.render(sections),
+      sections: sections,
+      citedPmids: pmids.valid,
+      unverifiedPmids: pmids.unverified,
       hypothesis: result.plan.hypothesis.statement,
       isNegativeResult: result.negativeResult,
       timestamp: new Date().toISOString()
     };
   }
+
+  render(sections) {
+    return "# " + sections.title + "\n\n" +
+      ["abstract", "introduction", "methods", "results", "discussion", "conclusion"].map(function(key) {
+        return "## " + key.charAt(0).toUpperCase() + key.substring(1) + "\n\n" + sections[key];
+      }).join("\n\n") + "\n";
+  }
 }
 
 // Export the multi-agent system
@@ -325,25 +902,100 @@ module.exports = MultiAgentResearchSystem;
 
 // CLI
 if (require.main === module) {
-  var args = process.argv.slice(2);
-  if (args.length === 0) {
-    console.log("Usage: node multi-agent.js <research query>");
-    console.log("\nExample:");
-    console.log("  node multi-agent.js \"GLP-1 agonist cardiovascular outcomes\"");
-    process.exit(1);
-  }
-
-  var query = args.join(" ");
-  var system = new MultiAgentResearchSystem({ workspace: "./workspace" });
-  
-  system.research(query, { requireHumanReview: true }).then(function(result) {
+  const { Program, usageError } = require("./cli-framework");
+  const { GLOBAL_OPTIONS, configFrom } = require("./cli-options");
+  const ResponseCache = require("./response-cache");
+
+  var SYSTEM_OPTIONS = [
+    { name: "workspace", type: "string", placeholder: "dir", default: "./workspace", description: "Project workspace" },
+    { name: "max", type: "int", min: 1, placeholder: "n", description: "Articles retrieved for ideation (default 20)" },
+    { name: "review", type: "boolean", negatable: true, negatedDescription: "Do not submit papers for MLR review" }
+  ];
+
+  function systemFrom(options) {
+    var config = configFrom(options);
+    var cache = config.cache.enabled ? new ResponseCache({ dir: config.cache.dir, refresh: !!options.refresh }) : null;
+    return new MultiAgentResearchSystem({ workspace: options.workspace, config: config, cache: cache });
+  }
+
+  function pipelineOptions(options, system) {
+    var pipeline = { requireHumanReview: system.config.review.enabled };
+    if (system.config.review.roles) pipeline.reviewRoles = system.config.review.roles;
+    if (options.max) pipeline.maxResults = options.max;
+    return pipeline;
+  }
+
+  function resumeHint(system) {
+    return function(error) {
+      error.hint = "Resume with: node src/multi-agent.js resume " + (system.currentProject ? system.currentProject.id : "<project-id>");
+      throw error;
+    };
+  }
+
+  function renderResult(result) {
     console.log("\n" + "=".repeat(50));
     console.log("RESEARCH COMPLETE");
     console.log("=".repeat(50));
     console.log("Project: " + result.project.id);
     console.log("Papers generated: " + result.papers.length);
     console.log("Negative results: " + result.results.filter(function(r) { return r.negativeResult; }).length);
-  }).catch(function(err) {
-    console.error("Error:", err);
+    console.log("Rejected hypotheses (negative knowledge): " + result.rejectedHypotheses.length);
+  }
+
+  var program = new Program({
+    name: "multi-agent.js",
+    description: "MA-FARS multi-agent research pipeline. Phases: " + PHASES.join(", "),
+    options: GLOBAL_OPTIONS.concat(SYSTEM_OPTIONS),
+    defaultCommand: "research"
+  });
+
+  program.command("research", {
+    description: "Start a new research project",
+    args: [{ name: "query", required: true, variadic: true, description: "Research question" }],
+    examples: ["\"GLP-1 agonist cardiovascular outcomes\""],
+    run: function(ctx) {
+      var system = systemFrom(ctx.options);
+      return system.research(ctx.args.query, pipelineOptions(ctx.options, system)).catch(resumeHint(system));
+    },
+    render: renderResult
   });
-}
\ No newline at end of file
+
+  program.command("list", {
+    description: "List projects with their checkpoint progress",
+    run: function(ctx) {
+      return systemFrom(ctx.options).listProjects();
+    },
+    render: function(projects) {
+      projects.forEach(function(p) {
+        console.log(p.id + "  " + p.query + "  (last completed: " + (p.progress.lastCompleted || "none") + ")");
+      });
+    }
+  });
+
+  program.command("resume", {
+    description: "Continue a project from its last completed step",
+    args: [{ name: "project-id", required: true, description: "Project id (see list)" }],
+    run: function(ctx) {
+      var system = systemFrom(ctx.options);
+      return system.resume(ctx.args.projectId, pipelineOptions(ctx.options, system)).catch(resumeHint(system));
+    },
+    render: renderResult
+  });
+
+  program.command("rerun", {
+    description: "Re-run one phase and the phases after it",
+    args: [{ name: "project-id", required: true, description: "Project id (see list)" }, { name: "phase", required: true, description: PHASES.join(" | ") }],
+    examples: ["rerun project-1700000000000 writing"],
+    run: function(ctx) {
+      if (PHASES.indexOf(ctx.args.phase) === -1) {
+        throw usageError("phase must be one of " + PHASES.join(", ") + " (got \"" + ctx.args.phase + "\")");
+      }
+      var system = systemFrom(ctx.options);
+      return system.rerunPhase(ctx.args.projectId, ctx.args.phase, pipelineOptions(ctx.options, system)).catch(resumeHint(system));
+    },
+    render: renderResult
+  });
+
+  program.main();
+}
+
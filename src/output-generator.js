@@ -4,13 +4,139 @@
 
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const { formatReport } = require("./citation-grounding");
+const { formatComplianceReport } = require("./compliance-checker");
+const log = require("./logger");
+const { markdownToDocx } = require("./docx-writer");
+const { markdownToHtml, htmlToPdf } = require("./html-renderer");
+const { checkStyle, formatCitation, toBibTeX, toRIS } = require("./citation-styles");
+const { summaryStoryline, buildDeck, deckToMarkdown, deckToText, renderPptx } = require("./slide-deck");
+const { formatGrade, formatGradingReport } = require("./evidence-grading");
+const { FIELD_LABELS, toMarkdownTable, toSummaryMarkdown, summaryRows, toCsv, toXlsx } = require("./evidence-extraction");
 
 class OutputGenerator {
-  constructor(outputDir) {
+  /**
+   * options.audit - optional AuditLog; every file written is recorded with its checksum
+   * options.docx  - DOCX styling: company, font, fontSize, headingColor or template (.dotx path)
+   * options.html  - HTML/PDF styling: theme (.css path), confidentiality notice
+   * options.pdf   - PDF settings: paperSize, executablePath (Chromium), launch (custom browser launcher)
+   * options.pptx  - slide branding: font, titleColor, accentColor, background, logo, footer,
+   *                 maxBullets and maxChars per slide
+   * options.citationStyle    - reference list style: vancouver (default), ama, apa or nlm
+   * options.referenceExports - write .bib and .ris files next to each deliverable (default true)
+   */
+  constructor(outputDir, options) {
+    options = options || {};
     this.outputDir = outputDir || "./output";
+    this.audit = options.audit || null;
+    this.docx = options.docx || {};
+    this.html = options.html || {};
+    this.pdf = options.pdf || {};
+    this.pptx = options.pptx || {};
+    this.citationStyle = checkStyle(options.citationStyle);
+    this.referenceExports = options.referenceExports !== false;
     this.ensureDir();
   }
 
+  /**
+   * Write an output file and record it in the audit log
+   */
+  writeOutput(filepath, content) {
+    fs.writeFileSync(filepath, content, "utf8");
+    if (this.audit) this.audit.recordFile(filepath);
+  }
+
+  /**
+   * Write .bib and .ris files for the articles next to a deliverable
+   * (same name, different extension). Returns their paths.
+   */
+  exportReferences(filepath, articles) {
+    if (!this.referenceExports || !articles || articles.length === 0) return [];
+    var base = filepath.replace(/\.[^.\/\\]+$/, "");
+    this.writeOutput(base + ".bib", toBibTeX(articles));
+    this.writeOutput(base + ".ris", toRIS(articles));
+    return [base + ".bib", base + ".ris"];
+  }
+
+  /**
+   * Write a Markdown document as .md, or as .docx / .html / .pdf per options.format.
+   * options.layout "slides" renders HTML/PDF one slide per ## section (landscape PDF).
+   * A PDF that cannot be printed (puppeteer or Chromium missing) falls back to HTML.
+   * options.articles are exported alongside as .bib / .ris. Returns the file path.
+   */
+  async save(baseName, content, title, options) {
+    options = options || {};
+    var filepath = await this.render(baseName, content, title, options);
+    this.exportReferences(filepath, options.articles);
+    return filepath;
+  }
+
+  /**
+   * Write content in the requested format; returns the file path
+   */
+  async render(baseName, content, title, options) {
+    var documentId = options.documentId || this.documentId();
+    if (options.format === "docx") {
+      var docxPath = path.join(this.outputDir, this.getFilename(baseName, "docx"));
+      var buffer = await markdownToDocx(content, Object.assign({}, this.docx, {
+        title: title,
+        documentId: documentId
+      }));
+      this.writeOutput(docxPath, buffer);
+      return docxPath;
+    }
+    if (options.format === "html" || options.format === "pdf") {
+      var meta = {
+        title: title,
+        documentId: documentId,
+        company: this.docx.company,
+        confidentiality: this.html.confidentiality
+      };
+      var html = markdownToHtml(content, Object.assign({ theme: this.html.theme, layout: options.layout }, meta));
+      if (options.format === "pdf") {
+        var pdfPath = path.join(this.outputDir, this.getFilename(baseName, "pdf"));
+        try {
+          await htmlToPdf(html, pdfPath, Object.assign({
+            landscape: options.layout === "slides",
+            paperSize: this.pdf.paperSize,
+            executablePath: this.pdf.executablePath,
+            launch: this.pdf.launch
+          }, meta));
+          if (this.audit) this.audit.recordFile(pdfPath);
+          return pdfPath;
+        } catch (e) {
+          log.warn("PDF rendering failed (" + e.message.split("\n")[0] + "), writing HTML instead");
+        }
+      }
+      var htmlPath = path.join(this.outputDir, this.getFilename(baseName, "html"));
+      this.writeOutput(htmlPath, html);
+      return htmlPath;
+    }
+    var filepath = path.join(this.outputDir, this.getFilename(baseName, "md"));
+    this.writeOutput(filepath, content);
+    return filepath;
+  }
+
+  /**
+   * Document ID printed in DOCX, HTML and PDF headers and footers
+   */
+  documentId() {
+    return "MA-" + new Date().toISOString().substring(0, 10).replace(/-/g, "") + "-" + crypto.randomBytes(3).toString("hex");
+  }
+
+  /**
+   * Numbered reference list in the configured citation style
+   */
+  formatReferences(articles, heading) {
+    var style = this.citationStyle;
+    var content = "## " + (heading || "References") + "\n\n";
+    articles.forEach(function(a, i) {
+      content += (i + 1) + ". " + formatCitation(a, style) + "\n";
+    });
+    return content + "\n";
+  }
+
   ensureDir() {
     if (!fs.existsSync(this.outputDir)) {
       fs.mkdirSync(this.outputDir, { recursive: true });
@@ -27,11 +153,13 @@ class OutputGenerator {
 
   /**
    * Generate full research report (Markdown)
+   * citationReport (optional) is the grounding report from citation-grounding.js
+   * complianceReport (optional) is the screening result from compliance-checker.js
+   * options.format: "md" (default), "docx", "html" or "pdf"
+   * options.evidence: evidence rows (evidence-extraction.js) for an evidence table section
    */
-  async generateReport(query, articles, summary, taskType) {
-    var filename = this.getFilename("MA-Report-" + this.slugify(query), "md");
-    var filepath = path.join(this.outputDir, filename);
-
+  async generateReport(query, articles, summary, taskType, citationReport, complianceReport, options) {
+    options = options || {};
     var content = "# Medical Affairs Research Report\n\n";
     content += "**Topic:** " + query + "\n";
     content += "**Date:** " + new Date().toISOString().substring(0, 10) + "\n";
@@ -42,6 +170,26 @@ class OutputGenerator {
     content += "## Executive Summary\n\n";
     content += summary + "\n\n";
 
+    if (options.evidence) {
+      content += "---\n\n## Evidence Table\n\n";
+      content += toSummaryMarkdown(options.evidence) + "\n";
+    }
+
+    if (articles.length > 0 && articles[0].grade) {
+      content += "---\n\n";
+      content += formatGradingReport(articles);
+    }
+
+    if (citationReport) {
+      content += "---\n\n";
+      content += formatReport(citationReport);
+    }
+
+    if (complianceReport) {
+      content += "---\n\n";
+      content += formatComplianceReport(complianceReport);
+    }
+
     content += "---\n\n";
     content += "## Key Publications\n\n";
 
@@ -58,6 +206,10 @@ class OutputGenerator {
       if (a.pubDate) {
         content += "- **Published:** " + a.pubDate + "\n";
       }
+      if (a.grade) {
+        content += "- **Evidence:** " + formatGrade(a.grade) + " - " + a.grade.basis + "\n";
+      }
+      content += "- **Cite as:** " + formatCitation(a, this.citationStyle) + "\n";
       if (a.abstract) {
         content += "\n**Abstract:**\n" + a.abstract + "\n";
       }
@@ -67,141 +219,183 @@ class OutputGenerator {
     content += "---\n\n";
     content += "*Generated by MA Research Assistant (Venice AI + PubMed)*\n";
 
-    fs.writeFileSync(filepath, content, "utf8");
+    return this.save("MA-Report-" + this.slugify(query), content, query, Object.assign({}, options, { articles: articles }));
+  }
+
+  /**
+   * Evidence table document (options.format: "md", "docx", "html" or "pdf") with
+   * the same rows written alongside as .csv and .xlsx.
+   * evidence: rows from evidence-extraction.js, one per article.
+   */
+  async generateEvidenceTable(query, articles, evidence, options) {
+    options = options || {};
+    var perRow = Object.keys(FIELD_LABELS).length;
+    var fields = evidence.length * perRow;
+    var verified = fields - evidence.reduce(function(sum, row) { return sum + row.unverified.length; }, 0);
+
+    var content = "# Evidence Table: " + query + "\n\n";
+    content += "**Date:** " + new Date().toISOString().substring(0, 10) + "\n";
+    content += "**Studies:** " + evidence.length + "\n";
+    content += "**Fields traced to a source sentence:** " + verified + " of " + fields + "\n\n";
+    content += "Population, intervention, comparator, design, sample size, follow-up, outcomes and effect " +
+      "sizes were extracted from each abstract. Verify values against the full text before external use.\n\n";
+    content += "---\n\n## Evidence Table\n\n" + toMarkdownTable(evidence) + "\n";
+    content += "---\n\n" + this.formatReferences(articles);
+    content += "---\n\n*Generated by MA Research Assistant*\n";
+
+    var filepath = await this.save("MA-Evidence-" + this.slugify(query), content, "Evidence Table: " + query,
+      Object.assign({}, options, { articles: articles }));
+    var base = filepath.replace(/\.[^.\/\\]+$/, "");
+    this.writeOutput(base + ".csv", toCsv(evidence));
+    this.writeOutput(base + ".xlsx", await toXlsx(evidence));
     return filepath;
   }
 
   /**
-   * Generate full research paper
+   * Generate full research paper (options.format: "md", "docx", "html" or "pdf").
+   * paper is the manuscript from paper-writer.js ({ title, abstract, introduction,
+   * methods, results, discussion, conclusion, abbreviations }) with citations
+   * already numbered; articles are its references in citation order.
    */
-  async generatePaper(query, articles, sections) {
-    var filename = this.getFilename("MA-Paper-" + this.slugify(query), "md");
-    var filepath = path.join(this.outputDir, filename);
+  async generatePaper(query, articles, paper, options) {
+    paper = typeof paper === "string" ? { discussion: paper } : paper || {};
+    var content = this.paperMarkdown(query, articles, paper, ["**Topic:** " + query]);
+    return this.save("MA-Paper-" + this.slugify(query), content, paper.title || query, Object.assign({}, options, { articles: articles }));
+  }
+
+  /**
+   * Write a systematic review manuscript (paper-writer.js output for the
+   * included studies) with its PRISMA 2020 flow diagram alongside as .svg
+   * review: the stored systematic review; flow: { counts, svg } - PRISMA stage counts and diagram
+   */
+  async generateSystematicReview(review, articles, paper, flow, options) {
+    var content = this.paperMarkdown(review.title, articles, paper, [
+      "**Review:** " + review.id,
+      "**Question:** " + (review.protocol.question || review.title),
+      "**Included studies:** " + flow.counts.included + " of " + flow.counts.screened + " screened"
+    ]);
+    var filepath = await this.save("MA-SystematicReview-" + this.slugify(review.title), content, paper.title || review.title,
+      Object.assign({}, options, { articles: articles }));
+    this.writeOutput(filepath.replace(/\.[^.\/\\]+$/, "") + "-prisma.svg", flow.svg);
+    return filepath;
+  }
 
-    var content = "# Literature Review\n\n";
-    content += "**Title:** " + query + "\n";
+  /**
+   * Manuscript Markdown: title, header lines, sections and references
+   */
+  paperMarkdown(query, articles, paper, header) {
+    var content = "# " + (paper.title || "Literature Review: " + query) + "\n\n";
+    content += header.join("\n") + "\n";
     content += "**Date:** " + new Date().toISOString().substring(0, 10) + "\n\n";
 
     content += "---\n\n## Abstract\n\n";
-    content += sections.abstract || "(Generated from Venice AI)\n\n";
-
-    content += "---\n\n## Introduction\n\n";
-    content += sections.introduction || "Background on " + query + "\n\n";
-
-    content += "---\n\n## Methods\n\n";
-    content += "Systematic literature search of PubMed database.\n\n";
+    content += (paper.abstract || "Abstract not available.") + "\n\n";
 
-    content += "---\n\n## Results\n\n";
-    content += "A total of " + articles.length + " relevant publications were identified.\n\n";
+    if (paper.abbreviations && paper.abbreviations.length > 0) {
+      content += "**Abbreviations:** " + paper.abbreviations.map(function(t) {
+        return t.abbreviation + ", " + t.term;
+      }).join("; ") + "\n\n";
+    }
 
-    for (var i = 0; i < Math.min(articles.length, 10); i++) {
-      var a = articles[i];
-      content += "### " + (i+1) + ". " + (a.title || "Untitled") + "\n\n";
-      if (a.abstract) {
-        content += a.abstract.substring(0, 800) + "...\n\n";
+    content += "---\n\n## Introduction\n\n";
+    content += (paper.introduction || "Background on " + query + ".") + "\n\n";
+
+    content += "## Methods\n\n";
+    content += (paper.methods || "Systematic literature search of PubMed database.") + "\n\n";
+
+    content += "## Results\n\n";
+    if (paper.results) {
+      content += paper.results + "\n\n";
+    } else {
+      content += "A total of " + articles.length + " relevant publications were identified.\n\n";
+      for (var i = 0; i < Math.min(articles.length, 10); i++) {
+        var a = articles[i];
+        content += "### " + (i+1) + ". " + (a.title || "Untitled") + "\n\n";
+        if (a.abstract) {
+          content += a.abstract.substring(0, 800) + "...\n\n";
+        }
       }
     }
 
-    content += "---\n\n## Discussion\n\n";
-    content += sections.discussion || "Analysis of findings...\n\n";
+    content += "## Discussion\n\n";
+    content += (paper.discussion || "Analysis of findings...") + "\n\n";
 
-    content += "---\n\n## Conclusions\n\n";
-    content += "This review synthesizes the current evidence on " + query + ".\n\n";
+    content += "## Conclusions\n\n";
+    content += (paper.conclusion || "This review synthesizes the current evidence on " + query + ".") + "\n\n";
+
+    content += "---\n\n" + this.formatReferences(articles);
 
     content += "---\n\n*Generated by MA Research Assistant*\n";
+    return content;
+  }
 
-    fs.writeFileSync(filepath, content, "utf8");
-    return filepath;
+  /**
+   * Deck model from a slide storyline (slide-deck.js planDeck) or, for
+   * callers that only have a text summary, from the summary sentences.
+   * With evidence rows the evidence table shows their PICO summary.
+   */
+  deckFor(query, articles, storyline, evidence) {
+    var plan = storyline && typeof storyline === "object" ? storyline : summaryStoryline(query, storyline);
+    return buildDeck(query, plan, articles, {
+      maxBullets: this.pptx.maxBullets,
+      maxChars: this.pptx.maxChars,
+      evidenceTable: evidence ? summaryRows(evidence) : null
+    });
   }
 
   /**
-   * Generate PowerPoint slides
+   * Generate a PowerPoint deck on the branded slide masters (options.pptx).
+   * storyline: planDeck() result or a summary string; options.evidence: evidence rows.
    */
-  async generateSlides(query, articles, summary) {
-    var PptxGenJS;
+  async generateSlides(query, articles, storyline, options) {
+    options = options || {};
     try {
-      PptxGenJS = require("pptxgenjs");
+      require.resolve("pptxgenjs");
     } catch (e) {
-      console.log("PPTXGenJS not installed, generating text-based slides instead");
-      return this.generateSlidesText(query, articles, summary);
+      log.warn("PPTXGenJS not installed, generating text-based slides instead");
+      return this.generateSlidesText(query, articles, storyline, options);
     }
 
-    var timestamp = new Date().toISOString().replace(/[:.]/g, "-").substring(0, 19);
-    var filename = "MA-Slides-" + this.slugify(query) + "-" + timestamp + ".pptx";
-    var filepath = path.join(this.outputDir, filename);
-
-    var pres = new PptxGenJS();
-    pres.layout = "LAYOUT_16x9";
-    pres.title = query;
-    pres.author = "MA Research Assistant";
-
-    // Title slide
-    var slide1 = pres.addSlide();
-    slide1.addText(query, { x: 0.5, y: 2, w: "90%", h: 1.5, fontSize: 32, bold: true });
-    slide1.addText("Medical Affairs Research Summary", { x: 0.5, y: 4, w: "90%", h: 0.5, fontSize: 18 });
-    slide1.addText(new Date().toISOString().substring(0, 10), { x: 0.5, y: 5, w: "90%", h: 0.3, fontSize: 14 });
-
-    // Summary slide
-    var slide2 = pres.addSlide();
-    slide2.addText("Executive Summary", { x: 0.5, y: 0.3, w: "90%", h: 0.5, fontSize: 24, bold: true });
-    var summaryText = summary ? summary.substring(0, 1500) : "No summary available";
-    slide2.addText(summaryText, { x: 0.5, y: 1, w: "90%", h: 4, fontSize: 14 });
-
-    // Key publications slides
-    for (var i = 0; i < Math.min(articles.length, 8); i++) {
-      var a = articles[i];
-      var slide = pres.addSlide();
-      slide.addText("Key Publication " + (i+1), { x: 0.5, y: 0.3, w: "90%", h: 0.4, fontSize: 20, bold: true });
-      slide.addText(a.title || "Untitled", { x: 0.5, y: 0.8, w: "90%", h: 1, fontSize: 16, bold: true });
-      slide.addText("PMID: " + a.pmid, { x: 0.5, y: 1.9, w: "90%", h: 0.3, fontSize: 12 });
-      if (a.journal) {
-        slide.addText(a.journal, { x: 0.5, y: 2.2, w: "90%", h: 0.3, fontSize: 12 });
-      }
-      if (a.abstract) {
-        var abstractText = a.abstract.substring(0, 600) + "...";
-        slide.addText(abstractText, { x: 0.5, y: 2.7, w: "90%", h: 2.5, fontSize: 11 });
-      }
-    }
-
-    // Save
-    pres.writeFile({ fileName: filepath });
+    var filepath = path.join(this.outputDir, this.getFilename("MA-Slides-" + this.slugify(query), "pptx"));
+    var brand = Object.assign({}, this.pptx, {
+      company: this.docx.company,
+      footer: this.pptx.footer || this.html.confidentiality
+    });
+    // Awaited so the file exists - and can be checksummed - when we return
+    await renderPptx(this.deckFor(query, articles, storyline, options.evidence), filepath, brand);
+    if (this.audit) this.audit.recordFile(filepath);
+    this.exportReferences(filepath, articles);
     return filepath;
   }
 
   /**
-   * Text-based slides fallback
+   * Slides as an HTML page or landscape PDF, one slide per ## section
+   * (options.format: "html" or "pdf")
    */
-  async generateSlidesText(query, articles, summary) {
+  async generateSlidesDocument(query, articles, storyline, options) {
+    options = options || {};
+    var deck = this.deckFor(query, articles, storyline, options.evidence);
+    return this.save("MA-Slides-" + this.slugify(query), deckToMarkdown(deck), deck.title,
+      Object.assign({}, options, { layout: "slides", articles: articles }));
+  }
+
+  /**
+   * Text-based slides with speaker notes (also the fallback without pptxgenjs)
+   */
+  async generateSlidesText(query, articles, storyline, options) {
+    options = options || {};
     var filename = this.getFilename("MA-Slides-" + this.slugify(query), "txt");
     var filepath = path.join(this.outputDir, filename);
 
-    var content = "MEDICAL AFFAIRS RESEARCH SLIDES\n";
-    content += "============================\n\n";
-    content += "Topic: " + query + "\n";
-    content += "Date: " + new Date().toISOString().substring(0, 10) + "\n\n";
-
-    content += "EXECUTIVE SUMMARY\n";
-    content += "-----------------\n";
-    content += (summary || "N/A") + "\n\n";
-
-    content += "KEY PUBLICATIONS\n";
-    content += "----------------\n";
-    for (var i = 0; i < Math.min(articles.length, 10); i++) {
-      content += "\n" + (i+1) + ". " + articles[i].title + "\n";
-      content += "   PMID: " + articles[i].pmid + "\n";
-    }
-
-    fs.writeFileSync(filepath, content, "utf8");
+    this.writeOutput(filepath, deckToText(this.deckFor(query, articles, storyline, options.evidence)));
+    this.exportReferences(filepath, articles);
     return filepath;
   }
 
   /**
-   * Generate KOL briefing document
+   * Generate KOL briefing document (options.format: "md", "docx", "html" or "pdf")
    */
-  async generateKOLBriefing(query, articles, briefing) {
-    var filename = this.getFilename("KOL-Briefing-" + this.slugify(query), "md");
-    var filepath = path.join(this.outputDir, filename);
-
+  async generateKOLBriefing(query, articles, briefing, citationReport, complianceReport, options) {
     var content = "# KOL Briefing Document\n\n";
     content += "**Topic:** " + query + "\n";
     content += "**Date:** " + new Date().toISOString().substring(0, 10) + "\n\n";
@@ -209,22 +403,23 @@ class OutputGenerator {
     content += "---\n\n";
     content += briefing || "KOL briefing content...\n\n";
 
-    content += "---\n\n## Key Supporting Literature\n\n";
-    for (var i = 0; i < articles.length; i++) {
-      content += "- " + articles[i].title + " (PMID: " + articles[i].pmid + ")\n";
+    if (citationReport) {
+      content += "\n\n---\n\n" + formatReport(citationReport);
     }
 
-    fs.writeFileSync(filepath, content, "utf8");
-    return filepath;
+    if (complianceReport) {
+      content += "---\n\n" + formatComplianceReport(complianceReport);
+    }
+
+    content += "---\n\n" + this.formatReferences(articles, "Key Supporting Literature");
+
+    return this.save("KOL-Briefing-" + this.slugify(query), content, query, Object.assign({}, options, { articles: articles }));
   }
 
   /**
-   * Generate medical information response
+   * Generate medical information response (options.format: "md", "docx", "html" or "pdf")
    */
-  async generateMedicalInfoResponse(query, articles, response) {
-    var filename = this.getFilename("MI-Response-" + this.slugify(query), "md");
-    var filepath = path.join(this.outputDir, filename);
-
+  async generateMedicalInfoResponse(query, articles, response, citationReport, complianceReport, options) {
     var content = "# Medical Information Response\n\n";
     content += "**Inquiry:** " + query + "\n";
     content += "**Date:** " + new Date().toISOString().substring(0, 10) + "\n\n";
@@ -232,13 +427,17 @@ class OutputGenerator {
     content += "---\n\n";
     content += response + "\n\n";
 
-    content += "---\n\n## References\n\n";
-    for (var i = 0; i < articles.length; i++) {
-      content += (i+1) + ". PMID " + articles[i].pmid + ": " + articles[i].title + "\n";
+    if (citationReport) {
+      content += "---\n\n" + formatReport(citationReport);
     }
 
-    fs.writeFileSync(filepath, content, "utf8");
-    return filepath;
+    if (complianceReport) {
+      content += "---\n\n" + formatComplianceReport(complianceReport);
+    }
+
+    content += "---\n\n" + this.formatReferences(articles);
+
+    return this.save("MI-Response-" + this.slugify(query), content, query, Object.assign({}, options, { articles: articles }));
   }
 
   /**
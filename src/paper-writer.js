@@ -0,0 +1,275 @@
+/**
+ * Paper Writer - assembles a full literature review manuscript
+ *
+ * 1. Outline: title, key terms/abbreviations and key messages (one LLM call),
+ *    passed to every section so terminology stays consistent
+ * 2. Introduction, Results (from the retrieved abstracts) and Discussion,
+ *    each grounded against the retrieved articles (citation-grounding.js)
+ * 3. Methods from the actual search - string, date, filters and counts - with
+ *    the exact search details appended as a table
+ * 4. Conclusions and a structured Abstract written from the finished sections
+ * 5. [PMID:x] citations renumbered [1], [2], ... in order of first appearance;
+ *    the reference list follows that order
+ */
+
+const { groundText } = require("./citation-grounding");
+const log = require("./logger");
+
+var SECTION_ORDER = ["introduction", "methods", "results", "discussion", "conclusion"];
+
+var PAPER_OUTLINE_SCHEMA = {
+  type: "object",
+  required: ["title", "keyTerms", "keyMessages"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    keyTerms: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["term"],
+        properties: {
+          term: { type: "string", minLength: 1 },
+          abbreviation: { type: "string" },
+          definition: { type: "string" }
+        }
+      }
+    },
+    keyMessages: { type: "array", items: { type: "string" } }
+  }
+};
+
+/**
+ * Plan the review: working title, key terms (with the abbreviation to use
+ * throughout) and key messages, so separately written sections agree
+ */
+async function paperOutline(llm, topic, articles) {
+  var prompt = "You are planning a medical literature review on: \"" + topic + "\". " +
+    "From the articles below, propose a concise manuscript title, the key terms every section must use " +
+    "consistently (with one standard abbreviation each where one is customary) and 3-5 key messages " +
+    "supported by the evidence.\n\nARTICLES:\n";
+  return llm.generateStructuredFromArticles(articles, function(evidence) { return prompt + evidence; },
+    PAPER_OUTLINE_SCHEMA, Object.assign(
+      { schemaName: "paper_outline" },
+      llm.settingsFor("paper", { temperature: 0.2, maxTokens: 2500 })
+    ), "literature review outline", { maxAbstractChars: 500 });
+}
+
+/**
+ * Search facts for the Methods prompt.
+ * search: { query, translation, date, total, retrieved, truncated,
+ *           filters: { clinicalOnly, phase, recentYears, maxResults, articleTypes, dateRange, languages, species } }
+ * Systematic reviews add protocol ({ dateRange, inclusion, exclusion }) and flow (PRISMA stage counts).
+ */
+function describeSearch(search, articles) {
+  var filters = search.filters || {};
+  var withAbstracts = articles.filter(function(a) { return a.abstract; }).length;
+  var lines = [
+    "Database: PubMed (MEDLINE), searched via the NCBI E-utilities API",
+    "Search date: " + search.date,
+    "Search string: " + search.query
+  ];
+  if (search.translation && search.translation !== search.query) {
+    lines.push("PubMed query translation: " + search.translation);
+  }
+  lines.push("Filters: " + describeFilters(filters));
+  lines.push("Records matching the search: " + search.total);
+  lines.push("Records retrieved: " + search.retrieved + (filters.maxResults === "all"
+    ? " (the full result set" + (search.truncated ? ", capped" : "") + ")"
+    : " (the " + search.retrieved + " most relevant, per PubMed relevance ranking)"));
+  if (search.protocol) lines = lines.concat(describeProtocol(search.protocol, search.flow));
+  lines.push("Records with an abstract, included in the synthesis: " + withAbstracts);
+  lines.push("Synthesis: narrative review of titles and abstracts assisted by a large language model; " +
+    "every citation was checked against the retrieved records");
+  return lines.join("\n");
+}
+
+function describeProtocol(protocol, flow) {
+  var lines = [];
+  if (protocol.dateRange) {
+    lines.push("Publication dates: " + (protocol.dateRange.from || "earliest") + " to " + (protocol.dateRange.to || "present"));
+  }
+  lines.push("Inclusion criteria: " + protocol.inclusion.join("; "));
+  if (protocol.exclusion.length > 0) lines.push("Exclusion criteria: " + protocol.exclusion.join("; "));
+  lines.push("Deduplication: by PMID, DOI, then title and publication year; " + flow.duplicates + " duplicate records removed");
+  if (flow.removed > 0) lines.push("Records removed before screening: " + flow.removed + " retracted publications");
+  lines.push("Screening: " + flow.screened + " titles and abstracts screened against the eligibility criteria by a " +
+    "large language model, which recorded a reason for every decision; " + flow.overridden + " decisions made or changed by a human reviewer");
+  lines.push("Records excluded at screening: " + flow.excluded + (flow.exclusionReasons.length > 0 ? " (" +
+    flow.exclusionReasons.map(function(r) { return r.reason + ", " + r.count; }).join("; ") + ")" : ""));
+  lines.push("Full texts: not retrieved; eligibility was assessed on titles and abstracts");
+  lines.push("Studies included in the review: " + flow.included);
+  return lines;
+}
+
+function describeFilters(filters) {
+  var parts = [];
+  if (filters.clinicalOnly) {
+    parts.push("clinical trials and randomized controlled trials" +
+      (filters.phase ? ", restricted to " + String(filters.phase).replace(/"/g, "") : ""));
+  }
+  if (filters.articleTypes && filters.articleTypes.length > 0) {
+    parts.push("article types: " + filters.articleTypes.join(", "));
+  }
+  if (filters.recentYears) {
+    var year = new Date().getFullYear();
+    parts.push("publication years " + (year - filters.recentYears) + "-" + year);
+  }
+  if (filters.dateRange) {
+    parts.push("published " + (filters.dateRange.from || "earliest") + " to " + (filters.dateRange.to || "present"));
+  }
+  if (filters.languages && filters.languages.length > 0) parts.push("languages: " + filters.languages.join(", "));
+  if (filters.species) parts.push(filters.species === "humans" ? "human studies" : "animal studies");
+  return parts.length > 0 ? parts.join("; ") : "none";
+}
+
+function escapeCell(text) {
+  return String(text === undefined || text === null || text === "" ? "-" : text).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+/**
+ * Search details table appended to Methods
+ */
+function searchTable(search, articles) {
+  var rows = describeSearch(search, articles).split("\n").map(function(line) {
+    var i = line.indexOf(": ");
+    return "| " + escapeCell(line.substring(0, i)) + " | " + escapeCell(i === -1 ? "" : line.substring(i + 2)) + " |";
+  });
+  return "| Item | Detail |\n|------|--------|\n" + rows.join("\n") + "\n";
+}
+
+/**
+ * One row per included study; the [PMID:x] cells become reference numbers
+ */
+function studyTable(articles) {
+  var rows = articles.map(function(a) {
+    var design = (a.publicationTypes || []).filter(function(t) { return !/^Journal Article$/i.test(t); }).slice(0, 2).join(", ");
+    var firstAuthor = (a.authors && a.authors[0]) ? a.authors[0] + (a.authors.length > 1 ? " et al." : "") : "";
+    var year = a.pubYear || (/\d{4}/.exec(a.pubDate || "") || [""])[0];
+    return "| [PMID:" + a.pmid + "] | " + escapeCell(firstAuthor) + " | " + escapeCell(year) + " | " +
+      escapeCell(a.journalAbbrev || a.journal) + " | " + escapeCell(design) + " |";
+  });
+  return "| Ref. | First author | Year | Journal | Design |\n|------|--------------|------|---------|--------|\n" + rows.join("\n") + "\n";
+}
+
+/**
+ * "- Term (ABBR): definition" lines for the section prompts
+ */
+function glossaryText(keyTerms) {
+  return (keyTerms || []).map(function(t) {
+    return "- " + t.term + (t.abbreviation ? " (" + t.abbreviation + ")" : "") + (t.definition ? ": " + t.definition : "");
+  }).join("\n");
+}
+
+/**
+ * "1,2,3,5" -> "1-3,5"
+ */
+function compressNumbers(numbers) {
+  numbers = numbers.filter(function(n, i) { return numbers.indexOf(n) === i; }).sort(function(a, b) { return a - b; });
+  var parts = [];
+  for (var i = 0; i < numbers.length; i++) {
+    var start = numbers[i];
+    while (i + 1 < numbers.length && numbers[i + 1] === numbers[i] + 1) i++;
+    parts.push(numbers[i] - start >= 2 ? start + "-" + numbers[i] : numbers[i] === start ? String(start) : start + "," + numbers[i]);
+  }
+  return parts.join(",");
+}
+
+/**
+ * Replace [PMID:x] citations with [n] numbered in order of first appearance
+ * across the texts. Returns { texts, references } where references are the
+ * cited articles in number order.
+ */
+function numberCitations(texts, articles) {
+  var byPmid = {};
+  articles.forEach(function(a) { byPmid[String(a.pmid)] = a; });
+  var order = [];
+  var numbers = {};
+
+  var renumbered = texts.map(function(text) {
+    return String(text || "").replace(/(?:\[PMID:\d+\]\s?)*\[PMID:\d+\]/g, function(group) {
+      var pmids = group.match(/\d+/g);
+      if (pmids.some(function(pmid) { return !byPmid[pmid]; })) return group;
+      return "[" + compressNumbers(pmids.map(function(pmid) {
+        if (!numbers[pmid]) {
+          order.push(pmid);
+          numbers[pmid] = order.length;
+        }
+        return numbers[pmid];
+      })) + "]";
+    });
+  });
+
+  return {
+    texts: renumbered,
+    references: order.map(function(pmid) { return byPmid[pmid]; })
+  };
+}
+
+/**
+ * Write a complete manuscript.
+ * llm: VeniceClient; search: see describeSearch(); options.citationMode: "flag" | "strip";
+ * options.studySelection: Markdown (e.g. the PRISMA flow) placed before the study table
+ * Returns { title, abstract, introduction, methods, results, discussion, conclusion,
+ *           abbreviations, references, citationReport }
+ */
+async function writePaper(llm, query, articles, search, options) {
+  options = options || {};
+  var outline;
+  try {
+    outline = await paperOutline(llm, query, articles);
+  } catch (e) {
+    log.warn("Paper outline failed (" + e.message + "), writing without a shared glossary");
+    outline = { title: query, keyTerms: [], keyMessages: [] };
+  }
+  var context = { title: outline.title, glossary: glossaryText(outline.keyTerms), keyMessages: outline.keyMessages };
+
+  log.info("  Writing introduction...");
+  var introduction = await llm.generatePaperSection(query, articles, "introduction", context);
+  log.info("  Writing methods...");
+  var methods = await llm.generatePaperSection(query, articles, "methods",
+    Object.assign({ search: describeSearch(search, articles) }, context));
+  log.info("  Writing results...");
+  var results = await llm.generatePaperSection(query, articles, "results", context);
+  log.info("  Writing discussion...");
+  var discussion = await llm.generatePaperSection(query, articles, "discussion",
+    Object.assign({ sections: { results: results } }, context));
+
+  // Ground the evidence-bearing sections; the report covers all of them together
+  var citationReport = groundText([introduction, results, discussion].join("\n\n"), articles, { mode: options.citationMode }).report;
+  introduction = groundText(introduction, articles, { mode: options.citationMode }).text;
+  results = groundText(results, articles, { mode: options.citationMode }).text;
+  discussion = groundText(discussion, articles, { mode: options.citationMode }).text;
+
+  methods = methods.trim() + "\n\n### Search Details\n\n" + searchTable(search, articles);
+  results = results.trim() + (options.studySelection ? "\n\n### Study Selection\n\n" + options.studySelection.trim() : "") +
+    "\n\n### Study Characteristics\n\n" + studyTable(articles);
+
+  log.info("  Writing conclusions and abstract...");
+  var conclusion = await llm.generatePaperSection(query, articles, "conclusion",
+    Object.assign({ sections: { results: results, discussion: discussion } }, context));
+  conclusion = groundText(conclusion, articles, { mode: options.citationMode, markUncited: false }).text;
+  var abstract = await llm.generatePaperSection(query, articles, "abstract", Object.assign({
+    sections: { introduction: introduction, methods: methods, results: results, discussion: discussion, conclusion: conclusion }
+  }, context));
+
+  var numbered = numberCitations([introduction, methods, results, discussion, conclusion], articles);
+  var paper = {
+    title: outline.title || query,
+    abstract: abstract.replace(/\s*\[(?:UNVERIFIED )?PMID:\d+\]/g, "").trim(),
+    abbreviations: (outline.keyTerms || []).filter(function(t) { return t.abbreviation; }),
+    references: numbered.references,
+    citationReport: citationReport
+  };
+  SECTION_ORDER.forEach(function(key, i) {
+    paper[key] = numbered.texts[i].trim();
+  });
+  return paper;
+}
+
+module.exports = {
+  paperOutline: paperOutline,
+  writePaper: writePaper,
+  describeSearch: describeSearch,
+  numberCitations: numberCitations,
+  studyTable: studyTable
+};
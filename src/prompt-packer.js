@@ -0,0 +1,215 @@
+/**
+ * Prompt Packer - token-budget aware rendering of article sets for LLM prompts
+ *
+ * Articles are rendered in a compact citation-tagged form instead of JSON:
+ *   [PMID:12345678] Title. N Engl J Med 2023. Randomized Controlled Trial.
+ *   Evidence: Level 2 (RCT).
+ *   BACKGROUND: ... RESULTS: ...
+ *
+ * When a corpus does not fit the model's context budget, mapReduce() summarizes
+ * batches that do fit and then synthesizes the batch summaries.
+ */
+
+const log = require("./logger");
+const { formatGrade } = require("./evidence-grading");
+
+// Context windows (tokens) for known models; anything else uses DEFAULT_CONTEXT
+var MODEL_CONTEXT = {
+  "venice/llama-3.3-70b": 65536,
+  "llama-3.3-70b": 65536,
+  "llama-3.2-3b": 131072,
+  "mistral-31-24b": 131072,
+  "qwen-2.5-qwq-32b": 32768,
+  "deepseek-r1-671b": 131072,
+  "gpt-4o": 128000,
+  "gpt-4o-mini": 128000,
+  "mock-model": 8192
+};
+var DEFAULT_CONTEXT = 8192;
+
+// Headroom for tokenizer estimate error and chat formatting overhead
+var SAFETY_MARGIN = 0.1;
+
+function packerError(message, code) {
+  var error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Rough token estimate (~4 characters per token for English biomedical text)
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
+
+function contextWindowFor(model) {
+  return MODEL_CONTEXT[model] || MODEL_CONTEXT[String(model).replace(/^[^/]+\//, "")] || DEFAULT_CONTEXT;
+}
+
+/**
+ * Render one article in compact citation-tagged form.
+ * options: abstract (default true), maxAbstractChars (default 1500)
+ */
+function formatArticle(article, options) {
+  options = options || {};
+  var parts = ["[PMID:" + article.pmid + "] " + (article.title || "Untitled").replace(/\.$/, "") + "."];
+
+  var journal = article.journalAbbrev || article.source || article.journal || "";
+  var year = article.pubYear || (article.pubDate ? String(article.pubDate).substring(0, 4) : "");
+  var citation = [journal, year].filter(Boolean).join(" ");
+  if (citation) parts.push(citation + ".");
+
+  if (article.publicationTypes && article.publicationTypes.length > 0) {
+    parts.push(article.publicationTypes.filter(function(t) {
+      return t !== "Journal Article";
+    }).join("; ") + ".");
+  }
+
+  var line = parts.join(" ").replace(/\s+\.$/, "");
+  // Graded articles (evidence-grading.js) carry their level and any retraction flag
+  if (article.grade) line += "\nEvidence: " + formatGrade(article.grade) + ".";
+  if (options.abstract === false || !article.abstract) return line;
+
+  var maxChars = options.maxAbstractChars || 1500;
+  var abstract = article.abstract.replace(/\s+/g, " ").trim();
+  if (abstract.length > maxChars) {
+    abstract = abstract.substring(0, maxChars).replace(/\s+\S*$/, "") + " ...";
+  }
+  return line + "\n" + abstract;
+}
+
+function formatArticles(articles, options) {
+  return articles.map(function(a) { return formatArticle(a, options); }).join("\n\n");
+}
+
+/**
+ * Split articles into batches whose rendered size fits budgetTokens.
+ * A single article larger than the budget gets its abstract trimmed to fit.
+ */
+function batchArticles(articles, budgetTokens, options) {
+  options = options || {};
+  var batches = [];
+  var current = [];
+  var currentTokens = 0;
+
+  articles.forEach(function(article) {
+    var rendered = formatArticle(article, options);
+    var tokens = estimateTokens(rendered) + 1;
+
+    if (tokens > budgetTokens) {
+      var maxChars = Math.max(200, (budgetTokens - estimateTokens(formatArticle(article, { abstract: false }))) * 4 - 16);
+      rendered = formatArticle(article, Object.assign({}, options, { maxAbstractChars: maxChars }));
+      tokens = Math.min(budgetTokens, estimateTokens(rendered) + 1);
+    }
+
+    if (current.length > 0 && currentTokens + tokens > budgetTokens) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push({ article: article, text: rendered });
+    currentTokens += tokens;
+  });
+  if (current.length > 0) batches.push(current);
+
+  return batches.map(function(batch) {
+    return {
+      articles: batch.map(function(b) { return b.article; }),
+      text: batch.map(function(b) { return b.text; }).join("\n\n")
+    };
+  });
+}
+
+/**
+ * Tokens available for evidence in a prompt built by buildPrompt(evidence).
+ * Throws CONTEXT_EXCEEDED when the prompt and the reply alone do not fit.
+ */
+function evidenceBudget(contextWindow, maxOutputTokens, buildPrompt) {
+  var usable = Math.floor(contextWindow * (1 - SAFETY_MARGIN));
+  var promptTokens = estimateTokens(buildPrompt(""));
+  var budget = usable - maxOutputTokens - promptTokens;
+  if (budget <= 0) {
+    throw packerError("The prompt (~" + promptTokens + " tokens) and maxTokens (" + maxOutputTokens + ") leave no room for " +
+      "articles in a " + contextWindow + "-token context window; use a larger model or lower maxTokens", "CONTEXT_EXCEEDED");
+  }
+  return budget;
+}
+
+/**
+ * Run buildPrompt over the articles, packing them into a single prompt when
+ * they fit and falling back to map-reduce when they don't.
+ *
+ * params:
+ *   generate(prompt, options)  - LLM call
+ *   articles                   - article objects
+ *   buildPrompt(evidenceText)  - final prompt for the task
+ *   contextWindow              - model context size in tokens
+ *   options                    - generate options for the final call (maxTokens, temperature)
+ *   task                       - short task description used in map prompts
+ *   format                     - formatArticle options
+ *   finish(prompt, options)    - final call, when it differs from generate (e.g. structured output)
+ *   reserveTokens              - tokens finish adds to the prompt (e.g. a JSON schema)
+ */
+async function mapReduce(params) {
+  var options = params.options || {};
+  var maxTokens = options.maxTokens || 2000;
+  var format = params.format || {};
+  var finish = params.finish || params.generate;
+  var budget = evidenceBudget(params.contextWindow, maxTokens + (params.reserveTokens || 0), params.buildPrompt);
+
+  var packed = formatArticles(params.articles, format);
+  if (estimateTokens(packed) <= budget) {
+    return finish(params.buildPrompt(packed), options);
+  }
+
+  // Map: condense each batch into a citation-tagged evidence summary
+  var mapMaxTokens = Math.min(1500, Math.floor(params.contextWindow / 8));
+  var buildMapPrompt = function(batchText) {
+    return "You are condensing medical literature for a downstream task: " + (params.task || "evidence synthesis") + ".\n" +
+      "Extract the key findings, study designs, populations, effect sizes and safety signals from the articles below. " +
+      "Keep every claim tagged with its source as [PMID:x]. Do not add information that is not in the articles.\n\n" +
+      "ARTICLES:\n" + batchText;
+  };
+  var mapBudget = evidenceBudget(params.contextWindow, mapMaxTokens, buildMapPrompt);
+  var batches = batchArticles(params.articles, mapBudget, format);
+
+  var summaries = [];
+  for (var i = 0; i < batches.length; i++) {
+    log.info("  Summarizing batch " + (i + 1) + "/" + batches.length + " (" + batches[i].articles.length + " articles)");
+    var summary = await params.generate(buildMapPrompt(batches[i].text), { temperature: 0.2, maxTokens: mapMaxTokens });
+    summaries.push("Evidence batch " + (i + 1) + ":\n" + summary);
+  }
+
+  // Reduce: merge summaries pairwise until they fit the final prompt
+  while (estimateTokens(summaries.join("\n\n")) > budget && summaries.length > 1) {
+    var merged = [];
+    for (var j = 0; j < summaries.length; j += 2) {
+      if (j + 1 >= summaries.length) {
+        merged.push(summaries[j]);
+        continue;
+      }
+      var combined = await params.generate(
+        "Merge these two evidence summaries into one, removing duplication but keeping every [PMID:x] tag:\n\n" +
+          summaries[j] + "\n\n" + summaries[j + 1],
+        { temperature: 0.2, maxTokens: mapMaxTokens }
+      );
+      merged.push("Evidence batch " + (merged.length + 1) + ":\n" + combined);
+    }
+    summaries = merged;
+  }
+
+  return finish(params.buildPrompt(summaries.join("\n\n")), options);
+}
+
+module.exports = {
+  MODEL_CONTEXT: MODEL_CONTEXT,
+  estimateTokens: estimateTokens,
+  contextWindowFor: contextWindowFor,
+  formatArticle: formatArticle,
+  formatArticles: formatArticles,
+  batchArticles: batchArticles,
+  evidenceBudget: evidenceBudget,
+  mapReduce: mapReduce
+};
@@ -4,11 +4,47 @@
  */
 
 const axios = require("axios");
+const { parsePubmedArticleSet } = require("./pubmed-xml");
+const { TokenBucket, withRetry } = require("./rate-limiter");
+const log = require("./logger");
+const { formatCitation } = require("./citation-styles");
+const { applyFilters } = require("./query-builder");
+
+/**
+ * Search record passed to searchFull's onSearch callback
+ */
+function searchInfo(query, translation, total, retrieved, truncated) {
+  return {
+    query: query,
+    translation: translation,
+    total: total,
+    retrieved: retrieved,
+    truncated: truncated,
+    date: new Date().toISOString().substring(0, 10)
+  };
+}
 
 class PubMedClient {
-  constructor() {
-    this.baseUrl = "https://eutils.ncbi.nlm.nih.gov/entrez/eutils";
-    this.email = "vivek@live.de"; // For polite pool
+  constructor(options) {
+    options = options || {};
+    this.baseUrl = options.baseUrl || "https://eutils.ncbi.nlm.nih.gov/entrez/eutils";
+    this.apiKey = options.apiKey || process.env.NCBI_API_KEY || "";
+    this.email = options.email || process.env.NCBI_EMAIL || process.env.PUBMED_EMAIL || ""; // For polite pool
+    this.tool = options.tool || process.env.NCBI_TOOL || "ma-research-assistant";
+    this.timeout = options.timeout || parseInt(process.env.NCBI_TIMEOUT_MS, 10) || 30000;
+    this.retries = options.retries !== undefined ? options.retries : 4;
+    this.retryBaseDelay = options.retryBaseDelay !== undefined ? options.retryBaseDelay : 500;
+    this.batchSize = 200; // PMIDs per efetch request
+    this.cache = options.cache || null; // optional ResponseCache
+    this.cacheTtl = options.cacheTtl || 24 * 60 * 60 * 1000; // PubMed responses go stale after a day
+
+    // NCBI allows 3 requests/second without a key, 10 with one - shared per key
+    this.limiter = options.limiter || TokenBucket.shared(
+      "ncbi:" + (this.apiKey || "anonymous"),
+      options.rateLimit || (this.apiKey ? 10 : 3)
+    );
+    this.historyCap = options.historyCap || 10000; // hard cap on records pulled via the History Server
+    this.audit = options.audit || null; // optional AuditLog: queries and the PMIDs they returned
   }
 
   /**
@@ -16,107 +52,248 @@ class PubMedClient {
    */
   async search(query, maxResults = 20) {
     try {
-      // Search for PMIDs
-      const searchUrl = this.baseUrl + "/esearch.fcgi";
-      const searchParams = new URLSearchParams({
-        db: "pubmed",
-        term: query,
-        retmax: maxResults,
-        retmode: "json",
-        sort: "relevance",
-        email: this.email
-      });
+      var result = await this.esearch(query, { retmax: maxResults });
 
-      const searchResponse = await axios.get(searchUrl + "?" + searchParams);
-      const idList = searchResponse.data.esearchresult.idlist;
-
-      if (!idList || idList.length === 0) {
+      if (result.idlist.length === 0) {
         return [];
       }
 
-      // Fetch summaries for IDs
-      const summaryUrl = this.baseUrl + "/esummary.fcgi";
-      const summaryParams = new URLSearchParams({
-        db: "pubmed",
-        id: idList.join(","),
-        retmode: "json",
-        email: this.email
+      // Fetch full records for IDs
+      return await this.fetchArticles(result.idlist);
+    } catch (error) {
+      log.error("PubMed Search Error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Raw esearch call.
+   * Returns { count, idlist, webenv, queryKey, translation } - webenv/queryKey only with usehistory
+   */
+  async esearch(query, options) {
+    options = options || {};
+    const params = {
+      db: "pubmed",
+      term: query,
+      retmax: options.retmax !== undefined ? options.retmax : 20,
+      retmode: "json",
+      sort: options.sort || "relevance"
+    };
+    if (options.usehistory) params.usehistory = "y";
+
+    const searchResponse = await this.request("get", "/esearch.fcgi", params);
+    const data = searchResponse.data.esearchresult;
+
+    if (this.audit) {
+      this.audit.record("pubmed.search", {
+        query: query,
+        sort: params.sort,
+        retmax: params.retmax,
+        usehistory: !!options.usehistory,
+        count: parseInt(data.count, 10) || 0,
+        pmids: data.idlist || []
       });
+    }
 
-      const summaryResponse = await axios.get(summaryUrl + "?" + summaryParams);
-      const results = summaryResponse.data.result;
-
-      // Parse results
-      var articles = [];
-      for (var i = 0; i < idList.length; i++) {
-        var id = idList[i];
-        var item = results[id];
-        if (item && item.uid) {
-          articles.push({
-            pmid: item.uid,
-            title: item.title || "No title",
-            authors: item.authors ? item.authors.map(function(a) { return a.name; }) : [],
-            journal: item.fulljournalname || "",
-            pubDate: item.pubdate || "",
-            source: item.source || "",
-            doi: item.elocationid || "",
-            abstract: "", // Need separate fetch for abstract
-            meshTerms: item.mesh headings || []
-          });
-        }
+    return {
+      count: parseInt(data.count, 10) || 0,
+      idlist: data.idlist || [],
+      webenv: data.webenv || null,
+      queryKey: data.querykey || null,
+      translation: data.querytranslation || null
+    };
+  }
+
+  /**
+   * Stream an entire result set from the History Server in pages.
+   * Yields { total, retstart, articles } for each efetch chunk, up to
+   * options.cap records (default this.historyCap).
+   */
+  async *searchPages(query, options) {
+    options = options || {};
+    var cap = options.cap || this.historyCap;
+    var pageSize = options.pageSize || this.batchSize;
+
+    var result = await this.esearch(query, { retmax: 0, usehistory: true, sort: options.sort });
+    var limit = Math.min(result.count, cap);
+    if (options.onSearch) options.onSearch(result);
+
+    for (var retstart = 0; retstart < limit; retstart += pageSize) {
+      var retmax = Math.min(pageSize, limit - retstart);
+      var xml = await this.efetchHistory(result.webenv, result.queryKey, retstart, retmax);
+      var articles = parsePubmedArticleSet(xml);
+      if (this.audit) {
+        this.audit.record("pubmed.fetch", {
+          query: query,
+          retstart: retstart,
+          retmax: retmax,
+          pmids: articles.map(function(a) { return a.pmid; })
+        });
       }
+      yield {
+        total: result.count,
+        retstart: retstart,
+        articles: articles
+      };
+    }
+  }
 
-      return articles;
-    } catch (error) {
-      console.error("PubMed Search Error:", error.message);
-      throw error;
+  /**
+   * Pull an entire result set (up to the hard cap) via the History Server.
+   * Returns { total, truncated, translation, articles }
+   */
+  async searchPaged(query, options) {
+    options = options || {};
+    var cap = options.cap || this.historyCap;
+    var articles = [];
+    var total = 0;
+
+    var translation = null;
+    var pageOptions = Object.assign({}, options, {
+      onSearch: function(result) { translation = result.translation; }
+    });
+    for await (var page of this.searchPages(query, pageOptions)) {
+      total = page.total;
+      articles = articles.concat(page.articles);
+      if (options.onPage) options.onPage(page, articles.length);
     }
+
+    return {
+      total: total,
+      truncated: total > cap,
+      translation: translation,
+      articles: articles
+    };
   }
 
   /**
-   * Get abstract for a specific PMID
+   * Fetch full PubmedArticle records for a list of PMIDs.
+   * Uses batched efetch (POST) and returns articles in the order requested.
    */
-  async getAbstract(pmid) {
-    try {
-      const efetchUrl = this.baseUrl + "/efetch.fcgi";
-      const params = new URLSearchParams({
-        db: "pubmed",
-        id: pmid,
-        retmode: "xml",
-        rettype: "abstract",
-        email: this.email
+  async fetchArticles(pmids) {
+    var byId = {};
+    for (var start = 0; start < pmids.length; start += this.batchSize) {
+      var batch = pmids.slice(start, start + this.batchSize);
+      var xml = await this.efetch(batch);
+      var parsed = parsePubmedArticleSet(xml);
+      for (var i = 0; i < parsed.length; i++) {
+        byId[parsed[i].pmid] = parsed[i];
+      }
+    }
+
+    var articles = [];
+    for (var j = 0; j < pmids.length; j++) {
+      var article = byId[String(pmids[j])];
+      if (article) articles.push(article);
+    }
+
+    if (this.audit) {
+      this.audit.record("pubmed.fetch", {
+        requested: pmids.map(String),
+        pmids: articles.map(function(a) { return a.pmid; })
       });
+    }
+    return articles;
+  }
 
-      const response = await axios.get(efetchUrl + "?" + params);
-      
-      // Parse XML response
-      var abstractText = "";
-      var articleData = {};
-      
-      // Simple regex parsing for the abstract
-      var abstractMatch = response.data.match(/<AbstractText[^>]*>([\s\S]*?)<\/AbstractText>/i);
-      if (abstractMatch) {
-        abstractText = abstractMatch[1].replace(/<[^>]+>/g, "").trim();
-      }
+  /**
+   * Raw efetch call for one batch of PMIDs (returns XML text)
+   */
+  async efetch(pmids) {
+    return this.postEfetch({
+      db: "pubmed",
+      id: pmids.join(","),
+      retmode: "xml"
+    });
+  }
+
+  /**
+   * Raw efetch call for a slice of a History Server result set
+   */
+  async efetchHistory(webenv, queryKey, retstart, retmax) {
+    return this.postEfetch({
+      db: "pubmed",
+      WebEnv: webenv,
+      query_key: queryKey,
+      retstart: retstart,
+      retmax: retmax,
+      retmode: "xml"
+    });
+  }
+
+  async postEfetch(fields) {
+    const response = await this.request("post", "/efetch.fcgi", fields, { responseType: "text" });
+    return response.data;
+  }
 
-      // Extract other fields
-      var titleMatch = response.data.match(/<ArticleTitle>([\s\S]*?)<\/ArticleTitle>/i);
-      if (titleMatch) {
-        articleData.title = titleMatch[1].replace(/<[^>]+>/g, "").trim();
+  /**
+   * Every E-utilities call goes through here: the response cache, identification
+   * params, the shared rate limiter, a timeout and retry with backoff on 429/5xx/network errors.
+   * History Server calls are never cached: a cached WebEnv outlives the session NCBI keeps for it.
+   */
+  async request(method, endpoint, params, config) {
+    var self = this;
+    var history = params.usehistory || "WebEnv" in params;
+    if (this.cache && !history) {
+      // Credentials and identification don't change the response, so keep them out of the key
+      var data = await this.cache.wrap("pubmed", { endpoint: endpoint, params: params }, this.cacheTtl, async function() {
+        var response = await self.fetchFromEutils(method, endpoint, params, config);
+        return response.data;
+      });
+      return { data: data };
+    }
+    return this.fetchFromEutils(method, endpoint, params, config);
+  }
+
+  async fetchFromEutils(method, endpoint, params, config) {
+    var self = this;
+    var fields = Object.assign({}, params, { tool: this.tool });
+    if (this.email) fields.email = this.email;
+    if (this.apiKey) fields.api_key = this.apiKey;
+    var body = new URLSearchParams(fields).toString();
+    var url = this.baseUrl + endpoint;
+
+    return withRetry(async function() {
+      await self.limiter.take();
+      var requestConfig = Object.assign({ timeout: self.timeout }, config);
+      var response;
+      if (method === "post") {
+        requestConfig.headers = { "Content-Type": "application/x-www-form-urlencoded" };
+        response = await axios.post(url, body, requestConfig);
+      } else {
+        response = await axios.get(url + "?" + body, requestConfig);
       }
 
-      var pubDateMatch = response.data.match(/<PubDate>[\s\S]*?<Year>(\d{4})<\/Year>[\s\S]*?<\/PubDate>/i);
-      if (pubDateMatch) {
-        articleData.pubYear = pubDateMatch[1];
+      // eutils sometimes reports rate limiting as a 200 with an error body
+      if (response.data && typeof response.data === "object" && /rate limit/i.test(response.data.error || "")) {
+        var limited = new Error("NCBI: " + response.data.error);
+        limited.response = { status: 429, headers: response.headers || {} };
+        throw limited;
+      }
+      return response;
+    }, {
+      retries: this.retries,
+      baseDelay: this.retryBaseDelay,
+      onRetry: function(error, attempt, delay) {
+        var status = error.response ? error.response.status : error.code || error.message;
+        if (error.response && error.response.status === 429) self.limiter.penalize(delay);
+        log.warn("PubMed request failed (" + status + "), retry " + attempt + "/" + self.retries + " in " + delay + "ms");
       }
+    });
+  }
 
-      return {
-        pmid: pmid,
-        abstract: abstractText,
-        ...articleData
-      };
+  /**
+   * Get abstract for a specific PMID
+   */
+  async getAbstract(pmid) {
+    try {
+      var articles = await this.fetchArticles([pmid]);
+      if (articles.length === 0) {
+        return { pmid: pmid, abstract: "", error: "Article not found" };
+      }
+      return articles[0];
     } catch (error) {
-      console.error("PubMed Abstract Error:", error.message);
+      log.error("PubMed Abstract Error:", error.message);
       return { pmid: pmid, abstract: "", error: error.message };
     }
   }
@@ -125,78 +302,97 @@ class PubMedClient {
    * Get abstracts for multiple PMIDs
    */
   async getAbstracts(pmids) {
-    var results = [];
-    for (var i = 0; i < pmids.length; i++) {
-      var abstract = await this.getAbstract(pmids[i]);
-      results.push(abstract);
-      // Rate limiting
-      await this.sleep(200);
-    }
-    return results;
+    return this.fetchArticles(pmids);
   }
 
   /**
-   * Search and get full details (search + abstracts)
+   * Search and get full details (search + abstracts).
+   * maxResults of "all" pages through the whole result set via the History Server.
+   * options.onArticles(articles) is called with each batch as soon as it is
+   * fetched, for callers that stream results. options.onSearch(info) receives
+   * { query, translation, total, retrieved, truncated, date } once the search
+   * is complete (what a paper's Methods section reports).
    */
-  async searchFull(query, maxResults) {
+  async searchFull(query, maxResults, options) {
     maxResults = maxResults || 15;
-    console.log("Searching PubMed for: " + query);
-    
-    var articles = await this.search(query, maxResults);
-    console.log("Found " + articles.length + " articles");
-    
-    // Get abstracts for top results
-    var pmids = articles.slice(0, 10).map(function(a) { return a.pmid; });
-    var abstracts = await this.getAbstracts(pmids);
-    
-    // Merge abstracts with articles
-    for (var i = 0; i < articles.length; i++) {
-      for (var j = 0; j < abstracts.length; j++) {
-        if (articles[i].pmid === abstracts[j].pmid) {
-          articles[i].abstract = abstracts[j].abstract;
-          break;
+    options = options || {};
+    log.info("Searching PubMed for: " + query);
+
+    if (maxResults === "all") {
+      var cap = options.cap || this.historyCap;
+      var paged = await this.searchPaged(query, {
+        cap: cap,
+        onPage: function(page, fetched) {
+          log.info("  Fetched " + fetched + " of " + page.total);
+          if (options.onArticles) options.onArticles(page.articles);
         }
+      });
+      log.info("Found " + paged.articles.length + " of " + paged.total + " matching articles" +
+        (paged.truncated ? " (capped at " + cap + ")" : ""));
+      if (options.onSearch) {
+        options.onSearch(searchInfo(query, paged.translation, paged.total, paged.articles.length, paged.truncated));
       }
+      return paged.articles;
+    }
+
+    var result = await this.esearch(query, { retmax: maxResults });
+    var articles = result.idlist.length > 0 ? await this.fetchArticles(result.idlist) : [];
+    log.info("Found " + articles.length + " of " + result.count + " matching articles");
+    if (options.onArticles) options.onArticles(articles);
+    if (options.onSearch) {
+      options.onSearch(searchInfo(query, result.translation, result.count, articles.length, result.count > articles.length));
     }
-    
+
     return articles;
   }
 
   /**
    * Search by clinical trial phase or study type
    */
-  async searchClinicalTrials(query, phase) {
-    var clinicalQuery = query;
-    if (phase) {
-      clinicalQuery += " AND " + phase + "[pt]"; // Publication type
-    }
-    clinicalQuery += " AND (clinical trial[pt] OR randomized controlled trial[pt])";
-    
-    return this.searchFull(clinicalQuery, 20);
+  async searchClinicalTrials(query, phase, maxResults, options) {
+    return this.searchFull(applyFilters(query, { clinicalOnly: true, phase: phase }), maxResults || 20, options);
   }
 
   /**
    * Search for recent publications (last N years)
    */
-  async searchRecent(query, yearsBack) {
-    yearsBack = yearsBack || 2;
-    var currentYear = new Date().getFullYear();
-    var startYear = currentYear - yearsBack;
-    var datedQuery = query + " AND " + startYear + "[dp] : " + currentYear + "[dp]";
-    
-    return this.searchFull(datedQuery, 20);
+  async searchRecent(query, yearsBack, maxResults, options) {
+    return this.searchFull(applyFilters(query, { recentYears: yearsBack || 2 }), maxResults || 20, options);
+  }
+
+  /**
+   * Best MeSH match for a term (db=mesh):
+   * { heading, type: "descriptor" | "supplementary", ui, entryTerms, scopeNote }, or null
+   */
+  async meshLookup(term) {
+    var search = await this.request("get", "/esearch.fcgi", { db: "mesh", term: term, retmax: 1, retmode: "json" });
+    var ids = (search.data.esearchresult || {}).idlist || [];
+    if (ids.length === 0) return null;
+    var summary = await this.request("get", "/esummary.fcgi", { db: "mesh", id: ids[0], retmode: "json" });
+    var record = (summary.data.result || {})[ids[0]];
+    if (!record || !record.ds_meshterms || record.ds_meshterms.length === 0) return null;
+    return {
+      heading: record.ds_meshterms[0],
+      // supplementary concept records (most drugs) have C-prefixed UIs and are searched as [nm]
+      type: /^C/.test(record.ds_meshui || "") ? "supplementary" : "descriptor",
+      ui: record.ds_meshui || null,
+      entryTerms: record.ds_meshterms.slice(1),
+      scopeNote: record.ds_scopenote || null
+    };
+  }
+
+  /**
+   * Format a citation: vancouver (default), ama, apa or nlm (see citation-styles.js)
+   */
+  formatCitation(article, style) {
+    return formatCitation(article, style);
   }
 
   /**
    * Format citation in APA style
    */
   formatCitationAPA(article) {
-    var authors = article.authors || [];
-    var authorStr = authors.length > 0 ? authors.join(", ") : "Unknown";
-    var year = article.pubDate ? article.pubDate.substring(0, 4) : "n.d.";
-    
-    return authorStr + " (" + year + "). " + article.title + ". " + 
-           article.journal + ". PMID: " + article.pmid;
+    return formatCitation(article, "apa");
   }
 
   /**
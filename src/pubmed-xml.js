@@ -0,0 +1,378 @@
+/**
+ * PubMed XML parsing for Medical Affairs Research Assistant
+ * Minimal dependency-free XML reader + PubmedArticle mapping
+ */
+
+var ENTITIES = { lt: "<", gt: ">", amp: "&", quot: "\"", apos: "'" };
+
+var MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+/**
+ * Decode XML character and named entities
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, function(match, ref) {
+    if (ref[0] === "#") {
+      var code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.substring(2), 16) : parseInt(ref.substring(1), 10);
+      return isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES.hasOwnProperty(ref) ? ENTITIES[ref] : match;
+  });
+}
+
+/**
+ * Parse attributes from the inside of a start tag
+ */
+function parseAttributes(source) {
+  var attributes = {};
+  var re = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  var match;
+  while ((match = re.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse an XML string into a simple tree.
+ * Element nodes are { name, attributes, children }; text nodes are plain strings.
+ */
+function parseXml(xml) {
+  var root = { name: "#document", attributes: {}, children: [] };
+  var stack = [root];
+  var pos = 0;
+  var length = xml.length;
+
+  function current() {
+    return stack[stack.length - 1];
+  }
+
+  function skipTo(marker, from) {
+    var end = xml.indexOf(marker, from);
+    if (end === -1) throw new Error("Malformed XML: missing " + marker);
+    return end + marker.length;
+  }
+
+  while (pos < length) {
+    var lt = xml.indexOf("<", pos);
+    if (lt === -1) lt = length;
+
+    if (lt > pos) {
+      var text = xml.substring(pos, lt);
+      if (stack.length > 1) current().children.push(decodeEntities(text));
+      pos = lt;
+      continue;
+    }
+
+    if (xml.startsWith("<!--", pos)) {
+      pos = skipTo("-->", pos + 4);
+    } else if (xml.startsWith("<![CDATA[", pos)) {
+      var cdataEnd = xml.indexOf("]]>", pos + 9);
+      if (cdataEnd === -1) throw new Error("Malformed XML: missing ]]>");
+      current().children.push(xml.substring(pos + 9, cdataEnd));
+      pos = cdataEnd + 3;
+    } else if (xml.startsWith("<?", pos)) {
+      pos = skipTo("?>", pos + 2);
+    } else if (xml.startsWith("<!", pos)) {
+      // DOCTYPE, possibly with an internal subset in brackets
+      var depth = 0;
+      var i = pos + 2;
+      while (i < length) {
+        var ch = xml[i];
+        if (ch === "[") depth++;
+        else if (ch === "]") depth--;
+        else if (ch === ">" && depth <= 0) break;
+        i++;
+      }
+      pos = i + 1;
+    } else if (xml[pos + 1] === "/") {
+      var closeEnd = xml.indexOf(">", pos);
+      if (closeEnd === -1) throw new Error("Malformed XML: unterminated end tag");
+      var closeName = xml.substring(pos + 2, closeEnd).trim();
+      if (current().name !== closeName) {
+        throw new Error("Malformed XML: expected </" + current().name + "> but found </" + closeName + ">");
+      }
+      stack.pop();
+      pos = closeEnd + 1;
+    } else {
+      // Start tag: scan to the closing '>' while respecting quoted attribute values
+      var j = pos + 1;
+      var quote = null;
+      while (j < length) {
+        var c = xml[j];
+        if (quote) {
+          if (c === quote) quote = null;
+        } else if (c === "\"" || c === "'") {
+          quote = c;
+        } else if (c === ">") {
+          break;
+        }
+        j++;
+      }
+      if (j >= length) throw new Error("Malformed XML: unterminated start tag");
+
+      var inner = xml.substring(pos + 1, j);
+      var selfClosing = inner[inner.length - 1] === "/";
+      if (selfClosing) inner = inner.substring(0, inner.length - 1);
+
+      var nameMatch = inner.match(/^[^\s]+/);
+      if (!nameMatch) throw new Error("Malformed XML: empty tag name");
+      var node = {
+        name: nameMatch[0],
+        attributes: parseAttributes(inner.substring(nameMatch[0].length)),
+        children: []
+      };
+      current().children.push(node);
+      if (!selfClosing) stack.push(node);
+      pos = j + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error("Malformed XML: unclosed <" + current().name + ">");
+  }
+
+  return root;
+}
+
+/**
+ * Tree helpers
+ */
+function child(node, name) {
+  if (!node) return null;
+  for (var i = 0; i < node.children.length; i++) {
+    var c = node.children[i];
+    if (typeof c !== "string" && c.name === name) return c;
+  }
+  return null;
+}
+
+function children(node, name) {
+  if (!node) return [];
+  return node.children.filter(function(c) {
+    return typeof c !== "string" && (!name || c.name === name);
+  });
+}
+
+function path(node, names) {
+  for (var i = 0; i < names.length && node; i++) {
+    node = child(node, names[i]);
+  }
+  return node;
+}
+
+function text(node) {
+  if (!node) return "";
+  if (typeof node === "string") return node;
+  return node.children.map(text).join("");
+}
+
+function clean(value) {
+  return value.replace(/\s+/g, " ").trim();
+}
+
+function pathText(node, names) {
+  return clean(text(path(node, names)));
+}
+
+/**
+ * Convert a PubMed month (name or number) to 1-12
+ */
+function monthNumber(month) {
+  if (!month) return null;
+  if (/^\d+$/.test(month)) return parseInt(month, 10);
+  return MONTHS[month.substring(0, 3).toLowerCase()] || null;
+}
+
+function parseDate(dateNode) {
+  if (!dateNode) return null;
+  var year = pathText(dateNode, ["Year"]);
+  var month = pathText(dateNode, ["Month"]);
+  var day = pathText(dateNode, ["Day"]);
+  var medlineDate = pathText(dateNode, ["MedlineDate"]);
+
+  if (!year && medlineDate) {
+    var yearMatch = medlineDate.match(/\d{4}/);
+    year = yearMatch ? yearMatch[0] : "";
+  }
+
+  return {
+    year: year ? parseInt(year, 10) : null,
+    month: monthNumber(month),
+    day: day ? parseInt(day, 10) : null,
+    text: medlineDate || [year, month, day].filter(Boolean).join(" ")
+  };
+}
+
+function isoDate(date) {
+  if (!date || !date.year) return "";
+  var parts = [String(date.year)];
+  if (date.month) {
+    parts.push(("0" + date.month).slice(-2));
+    if (date.day) parts.push(("0" + date.day).slice(-2));
+  }
+  return parts.join("-");
+}
+
+function parseAuthor(authorNode) {
+  var collectiveName = pathText(authorNode, ["CollectiveName"]);
+  var lastName = pathText(authorNode, ["LastName"]);
+  var foreName = pathText(authorNode, ["ForeName"]);
+  var initials = pathText(authorNode, ["Initials"]);
+
+  var orcid = "";
+  children(authorNode, "Identifier").forEach(function(id) {
+    if (id.attributes.Source === "ORCID") {
+      orcid = clean(text(id)).replace(/^https?:\/\/orcid\.org\//, "");
+    }
+  });
+
+  return {
+    name: collectiveName || (lastName + (initials ? " " + initials : "")),
+    lastName: lastName,
+    foreName: foreName,
+    initials: initials,
+    collectiveName: collectiveName,
+    orcid: orcid,
+    affiliations: children(authorNode, "AffiliationInfo").map(function(info) {
+      return pathText(info, ["Affiliation"]);
+    }).filter(Boolean),
+    equalContrib: authorNode.attributes.EqualContrib === "Y"
+  };
+}
+
+function parseAbstract(abstractNode) {
+  return children(abstractNode, "AbstractText").map(function(section) {
+    return {
+      label: section.attributes.Label || "",
+      nlmCategory: section.attributes.NlmCategory || "",
+      text: clean(text(section))
+    };
+  }).filter(function(section) { return section.text; });
+}
+
+function parseMeshHeadings(meshList) {
+  return children(meshList, "MeshHeading").map(function(heading) {
+    var descriptor = child(heading, "DescriptorName");
+    return {
+      descriptor: clean(text(descriptor)),
+      ui: descriptor ? descriptor.attributes.UI || "" : "",
+      majorTopic: descriptor ? descriptor.attributes.MajorTopicYN === "Y" : false,
+      qualifiers: children(heading, "QualifierName").map(function(q) {
+        return {
+          name: clean(text(q)),
+          ui: q.attributes.UI || "",
+          majorTopic: q.attributes.MajorTopicYN === "Y"
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Map a <PubmedArticle> element to the article object used across the app
+ */
+function parsePubmedArticle(node) {
+  var citation = child(node, "MedlineCitation");
+  var article = child(citation, "Article");
+  var journal = child(article, "Journal");
+  var issue = child(journal, "JournalIssue");
+  var pubmedData = child(node, "PubmedData");
+
+  var pubDate = parseDate(child(issue, "PubDate"));
+  var electronicDate = null;
+  children(article, "ArticleDate").forEach(function(d) {
+    if (!electronicDate) electronicDate = parseDate(d);
+  });
+
+  var authorDetails = children(child(article, "AuthorList"), "Author").map(parseAuthor);
+  var abstractSections = parseAbstract(child(article, "Abstract"));
+  var meshHeadings = parseMeshHeadings(child(citation, "MeshHeadingList"));
+
+  var articleIds = {};
+  children(child(pubmedData, "ArticleIdList"), "ArticleId").forEach(function(id) {
+    var type = id.attributes.IdType;
+    if (type && !articleIds[type]) articleIds[type] = clean(text(id));
+  });
+
+  var doi = articleIds.doi || "";
+  children(article, "ELocationID").forEach(function(loc) {
+    if (!doi && loc.attributes.EIdType === "doi") doi = clean(text(loc));
+  });
+
+  var history = {};
+  children(child(pubmedData, "History"), "PubMedPubDate").forEach(function(d) {
+    history[d.attributes.PubStatus] = isoDate(parseDate(d));
+  });
+
+  return {
+    pmid: pathText(citation, ["PMID"]),
+    title: clean(text(child(article, "ArticleTitle"))) || clean(text(child(article, "VernacularTitle"))) || "No title",
+    authors: authorDetails.map(function(a) { return a.name; }).filter(Boolean),
+    authorDetails: authorDetails,
+    journal: pathText(journal, ["Title"]),
+    // NLM title abbreviation ("N Engl J Med"), as citations use it; source keeps the ISO form
+    journalAbbrev: pathText(citation, ["MedlineJournalInfo", "MedlineTA"]) || pathText(journal, ["ISOAbbreviation"]),
+    issn: pathText(journal, ["ISSN"]),
+    volume: pathText(issue, ["Volume"]),
+    issue: pathText(issue, ["Issue"]),
+    pages: pathText(article, ["Pagination", "MedlinePgn"]),
+    pubDate: pubDate ? pubDate.text : "",
+    pubYear: pubDate && pubDate.year ? String(pubDate.year) : "",
+    publicationDate: pubDate,
+    electronicDate: electronicDate,
+    history: history,
+    source: pathText(journal, ["ISOAbbreviation"]),
+    doi: doi,
+    pmcId: articleIds.pmc || "",
+    articleIds: articleIds,
+    abstract: abstractSections.map(function(s) {
+      return s.label ? s.label + ": " + s.text : s.text;
+    }).join("\n\n"),
+    abstractSections: abstractSections,
+    meshTerms: meshHeadings.map(function(h) { return h.descriptor; }),
+    meshHeadings: meshHeadings,
+    keywords: children(child(citation, "KeywordList"), "Keyword").map(function(k) { return clean(text(k)); }),
+    publicationTypes: children(child(article, "PublicationTypeList"), "PublicationType").map(function(p) {
+      return clean(text(p));
+    }),
+    // Retractions, errata and comments linked by NLM (RefType RetractionIn, ErratumIn, ...)
+    commentsCorrections: children(child(citation, "CommentsCorrectionsList"), "CommentsCorrections").map(function(c) {
+      return {
+        refType: c.attributes.RefType || "",
+        source: pathText(c, ["RefSource"]),
+        pmid: pathText(c, ["PMID"])
+      };
+    }),
+    grants: children(child(article, "GrantList"), "Grant").map(function(g) {
+      return {
+        grantId: pathText(g, ["GrantID"]),
+        acronym: pathText(g, ["Acronym"]),
+        agency: pathText(g, ["Agency"]),
+        country: pathText(g, ["Country"])
+      };
+    }),
+    language: children(article, "Language").map(function(l) { return clean(text(l)); }),
+    publicationStatus: pathText(pubmedData, ["PublicationStatus"])
+  };
+}
+
+/**
+ * Parse an efetch PubmedArticleSet response into article objects
+ */
+function parsePubmedArticleSet(xml) {
+  var doc = parseXml(xml);
+  var set = child(doc, "PubmedArticleSet");
+  if (!set) return [];
+  return children(set, "PubmedArticle").map(parsePubmedArticle);
+}
+
+module.exports = {
+  parseXml: parseXml,
+  parsePubmedArticleSet: parsePubmedArticleSet,
+  parsePubmedArticle: parsePubmedArticle,
+  xml: { child: child, children: children, path: path, text: text }
+};
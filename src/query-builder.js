@@ -0,0 +1,341 @@
+/**
+ * Query Builder - research question -> PubMed query with MeSH expansion
+ *
+ * 1. The LLM splits the question into concepts (condition, intervention,
+ *    outcome, ...) with synonyms, abbreviations and brand/generic drug names
+ * 2. Each concept is looked up in the MeSH database: the descriptor (or
+ *    supplementary concept) is searched as [MeSH] / [nm], and its entry terms
+ *    and synonyms as [tiab]
+ * 3. Terms within a concept are ORed and concepts ANDed; filters (species,
+ *    language, article types, dates) are ANDed on as separate groups
+ *
+ * Every part is parenthesized, so filters compose with any query - including
+ * one that contains OR. Saved queries keep every version (QueryStore).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const log = require("./logger");
+
+// Article type filter keys -> PubMed publication types
+var ARTICLE_TYPES = {
+  rct: "randomized controlled trial[pt]",
+  "clinical-trial": "clinical trial[pt]",
+  "meta-analysis": "meta-analysis[pt]",
+  "systematic-review": "systematic review[pt]",
+  review: "review[pt]",
+  guideline: "guideline[pt]",
+  observational: "observational study[pt]",
+  "case-report": "case reports[pt]"
+};
+
+var SPECIES = {
+  // keeps records not (yet) indexed for species; drops animal-only studies
+  humans: "NOT (animals[mh] NOT humans[mh])",
+  animals: "animals[mh]"
+};
+
+var SEARCH_CONCEPT_ROLES = ["population", "condition", "intervention", "comparator", "outcome", "other"];
+
+var SEARCH_CONCEPTS_SCHEMA = {
+  type: "object",
+  required: ["concepts"],
+  properties: {
+    concepts: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["name", "role", "synonyms"],
+        properties: {
+          name: { type: "string", minLength: 1 },
+          role: { enum: SEARCH_CONCEPT_ROLES },
+          synonyms: { type: "array", items: { type: "string" } },
+          drugNames: { type: "array", items: { type: "string" } }
+        }
+      }
+    }
+  }
+};
+
+var MAX_ENTRY_TERMS = 6;
+var NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+
+function queryError(message, code) {
+  var error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * "2015", "2015/06" or "2015-06-30" -> PubMed date ("2015/06/30"); null when
+ * the date does not exist (month 13, February 30th, ...)
+ */
+function pubmedDate(value) {
+  var match = /^(\d{4})(?:[\/-](\d{2})(?:[\/-](\d{2}))?)?$/.exec(String(value));
+  if (!match) return null;
+  var month = match[2] ? parseInt(match[2], 10) : null;
+  var day = match[3] ? parseInt(match[3], 10) : null;
+  if (month !== null && (month < 1 || month > 12)) return null;
+  // day 0 of the next month is the last day of this one
+  if (day !== null && (day < 1 || day > new Date(Date.UTC(parseInt(match[1], 10), month, 0)).getUTCDate())) return null;
+  return match[1] + (match[2] ? "/" + match[2] : "") + (match[3] ? "/" + match[3] : "");
+}
+
+/**
+ * "term"[tag], with characters PubMed cannot take inside a phrase removed
+ */
+function tagged(term, tag) {
+  return "\"" + String(term).replace(/["\[\]]/g, "").trim() + "\"[" + tag + "]";
+}
+
+function group(parts) {
+  return "(" + parts.join(" OR ") + ")";
+}
+
+/**
+ * AND filter groups onto a query. filters:
+ *   clinicalOnly, phase       - clinical trial / RCT publication types, a phase type
+ *   articleTypes              - keys of ARTICLE_TYPES, ORed
+ *   species                   - humans or animals
+ *   languages                 - e.g. ["english", "german"], ORed
+ *   dateRange { from, to }    - publication dates (YYYY, YYYY/MM or YYYY/MM/DD)
+ *   recentYears               - the last N years
+ */
+function applyFilters(query, filters) {
+  filters = filters || {};
+  var parts = [];
+  if (filters.clinicalOnly) {
+    if (filters.phase) parts.push(filters.phase + "[pt]");
+    parts.push("(clinical trial[pt] OR randomized controlled trial[pt])");
+  }
+  if (filters.articleTypes && filters.articleTypes.length > 0) {
+    parts.push(group(filters.articleTypes.map(function(type) {
+      if (!ARTICLE_TYPES[type]) {
+        throw queryError("Unknown article type \"" + type + "\" (use " + Object.keys(ARTICLE_TYPES).join(", ") + ")", "INVALID_FILTER");
+      }
+      return ARTICLE_TYPES[type];
+    })));
+  }
+  if (filters.languages && filters.languages.length > 0) {
+    parts.push(group(filters.languages.map(function(language) { return language.toLowerCase() + "[la]"; })));
+  }
+  if (filters.dateRange) {
+    ["from", "to"].forEach(function(field) {
+      if (filters.dateRange[field] && !pubmedDate(filters.dateRange[field])) {
+        throw queryError("Invalid date " + field + " \"" + filters.dateRange[field] + "\" (use YYYY, YYYY/MM or YYYY/MM/DD)", "INVALID_FILTER");
+      }
+    });
+    parts.push("(\"" + (pubmedDate(filters.dateRange.from) || "1800") + "\"[dp] : \"" +
+      (pubmedDate(filters.dateRange.to) || "3000") + "\"[dp])");
+  }
+  if (filters.recentYears) {
+    var year = new Date().getFullYear();
+    parts.push("(\"" + (year - filters.recentYears) + "\"[dp] : \"" + year + "\"[dp])");
+  }
+  if (filters.species && !SPECIES[filters.species]) {
+    throw queryError("Species must be humans or animals (got \"" + filters.species + "\")", "INVALID_FILTER");
+  }
+  if (parts.length === 0 && !filters.species) return query;
+
+  // PubMed evaluates left to right, so the species clause applies to everything before it
+  return "(" + query + ")" + parts.map(function(part) { return " AND " + part; }).join("") +
+    (filters.species === "humans" ? " " + SPECIES.humans : filters.species ? " AND " + SPECIES.animals : "");
+}
+
+/**
+ * One concept's OR group: MeSH heading, then free-text terms in title/abstract
+ * concept: { name, synonyms, drugNames, mesh: { heading, type, entryTerms } | null }
+ */
+function conceptGroup(concept) {
+  var parts = [];
+  if (concept.mesh) parts.push(tagged(concept.mesh.heading, concept.mesh.type === "supplementary" ? "nm" : "MeSH"));
+  var seen = {};
+  [concept.name].concat(concept.synonyms || [], concept.drugNames || [],
+    concept.mesh ? concept.mesh.entryTerms.slice(0, MAX_ENTRY_TERMS) : []).forEach(function(term) {
+    var key = String(term).toLowerCase().trim();
+    if (!key || seen[key]) return;
+    seen[key] = true;
+    parts.push(tagged(term, "tiab"));
+  });
+  return group(parts);
+}
+
+function normalizeTerm(term) {
+  return String(term).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * A MeSH record is only used when the term is its heading or one of its entry terms
+ */
+function meshMatches(mesh, term) {
+  var wanted = normalizeTerm(term);
+  return [mesh.heading].concat(mesh.entryTerms).some(function(t) { return normalizeTerm(t) === wanted; });
+}
+
+/**
+ * Split a research question into PubMed search concepts, each with synonyms,
+ * abbreviations and (for drugs) generic and brand names
+ */
+async function extractSearchConcepts(llm, question) {
+  var prompt = "You are a medical librarian building a PubMed search for the research question: \"" + question + "\". " +
+    "Split it into the distinct concepts a search needs to combine with AND (" + SEARCH_CONCEPT_ROLES.join(", ") + "). " +
+    "For each concept give its standard name (the likely MeSH heading where one exists), the synonyms, spelling " +
+    "variants and abbreviations authors use, and for drugs both the generic and the brand names in \"drugNames\". " +
+    "Leave out study designs, dates, languages and species - those are applied as filters. Use 2-4 concepts; " +
+    "a broad outcome such as \"outcomes\" on its own is not a concept.";
+  return llm.generateStructured(prompt, SEARCH_CONCEPTS_SCHEMA, Object.assign(
+    { schemaName: "search_concepts" },
+    llm.settingsFor("query", { temperature: 0, maxTokens: 1000 })
+  ));
+}
+
+/**
+ * Research question -> { question, concepts, filters, query }.
+ * llm: VeniceClient (generateStructured); pubmed: PubMedClient (meshLookup).
+ * Without usable concepts from the LLM the question is searched as one free-text concept.
+ */
+async function buildQuery(llm, pubmed, question, filters) {
+  var concepts;
+  try {
+    concepts = (await extractSearchConcepts(llm, question)).concepts;
+  } catch (e) {
+    log.warn("Concept extraction failed (" + e.message + "), searching the question as free text");
+    concepts = [];
+  }
+  if (concepts.length === 0) concepts = [{ name: question, role: "other", synonyms: [], drugNames: [] }];
+
+  for (var i = 0; i < concepts.length; i++) {
+    var concept = concepts[i];
+    concept.mesh = null;
+    // The concept name first, then its synonyms, until one maps to MeSH
+    var candidates = [concept.name].concat(concept.synonyms || []);
+    for (var j = 0; j < candidates.length && !concept.mesh; j++) {
+      try {
+        var mesh = await pubmed.meshLookup(candidates[j]);
+        if (mesh && meshMatches(mesh, candidates[j])) concept.mesh = mesh;
+      } catch (e) {
+        log.warn("MeSH lookup failed for \"" + candidates[j] + "\" (" + e.message + ")");
+        break;
+      }
+    }
+  }
+
+  return {
+    question: question,
+    concepts: concepts,
+    filters: filters || {},
+    query: applyFilters(concepts.map(conceptGroup).join(" AND "), filters)
+  };
+}
+
+/**
+ * Hits and PubMed's translation for a query, without fetching records
+ */
+async function countHits(pubmed, query) {
+  var result = await pubmed.esearch(query, { retmax: 0 });
+  return { hits: result.count, translation: result.translation };
+}
+
+/**
+ * "name" or "name@3" -> { name, version }
+ */
+function parseRef(ref) {
+  var at = ref.lastIndexOf("@");
+  if (at > 0 && /^\d+$/.test(ref.substring(at + 1))) {
+    return { name: ref.substring(0, at), version: parseInt(ref.substring(at + 1), 10) };
+  }
+  return { name: ref, version: null };
+}
+
+/**
+ * Saved queries, one <root>/<name>.json per query with every version kept
+ */
+class QueryStore {
+  constructor(root) {
+    this.root = root;
+  }
+
+  file(name) {
+    if (!NAME_RE.test(name)) {
+      throw queryError("Query name may contain letters, digits, '.', '_' and '-' only (got \"" + name + "\")", "INVALID_NAME");
+    }
+    return path.join(this.root, name + ".json");
+  }
+
+  has(name) {
+    return fs.existsSync(this.file(name));
+  }
+
+  load(name) {
+    if (!this.has(name)) throw queryError("Saved query not found: " + name, "NOT_FOUND");
+    return JSON.parse(fs.readFileSync(this.file(name), "utf8"));
+  }
+
+  list() {
+    if (!fs.existsSync(this.root)) return [];
+    var self = this;
+    return fs.readdirSync(this.root).filter(function(file) {
+      return /\.json$/.test(file);
+    }).map(function(file) {
+      return self.load(file.replace(/\.json$/, ""));
+    }).sort(function(x, y) {
+      return x.name < y.name ? -1 : 1;
+    });
+  }
+
+  /**
+   * A saved version by reference ("name" for the latest, "name@2" for version 2)
+   */
+  get(ref) {
+    var parsed = parseRef(ref);
+    var saved = this.load(parsed.name);
+    if (parsed.version === null) return saved.versions[saved.versions.length - 1];
+    var version = saved.versions.find(function(v) { return v.version === parsed.version; });
+    if (!version) throw queryError("Saved query " + parsed.name + " has no version " + parsed.version, "NOT_FOUND");
+    return version;
+  }
+
+  /**
+   * Save a query as the next version of name. An unchanged query is not
+   * duplicated: the latest version comes back with unchanged: true, and the
+   * note and author of this call are not recorded.
+   * entry: { query, question, concepts, filters, hits, translation, note }
+   */
+  save(name, entry, by) {
+    var now = new Date().toISOString();
+    var saved = this.has(name) ? this.load(name) : { name: name, createdAt: now, versions: [] };
+    var latest = saved.versions[saved.versions.length - 1];
+    if (latest && latest.query === entry.query) return Object.assign({ unchanged: true }, latest);
+
+    var version = {
+      version: saved.versions.length + 1,
+      query: entry.query,
+      question: entry.question || (latest ? latest.question : null),
+      concepts: entry.concepts || null,
+      filters: entry.filters || null,
+      hits: entry.hits !== undefined ? entry.hits : null,
+      translation: entry.translation || null,
+      note: entry.note || null,
+      savedBy: by,
+      savedAt: now
+    };
+    saved.versions.push(version);
+    saved.updatedAt = now;
+    fs.mkdirSync(this.root, { recursive: true });
+    fs.writeFileSync(this.file(name) + ".tmp", JSON.stringify(saved, null, 2));
+    fs.renameSync(this.file(name) + ".tmp", this.file(name));
+    return version;
+  }
+}
+
+module.exports = {
+  ARTICLE_TYPES: ARTICLE_TYPES,
+  SPECIES: SPECIES,
+  pubmedDate: pubmedDate,
+  applyFilters: applyFilters,
+  conceptGroup: conceptGroup,
+  buildQuery: buildQuery,
+  countHits: countHits,
+  parseRef: parseRef,
+  QueryStore: QueryStore
+};
@@ -0,0 +1,150 @@
+/**
+ * Rate limiting and retry helpers for external APIs (NCBI E-utilities)
+ */
+
+var sharedBuckets = {};
+
+function sleep(ms) {
+  return new Promise(function(resolve) {
+    setTimeout(resolve, ms);
+  });
+}
+
+/**
+ * Token bucket limiter.
+ * Callers await take() before each request; waiters are served in order.
+ */
+class TokenBucket {
+  constructor(ratePerSecond, capacity) {
+    this.rate = ratePerSecond;
+    this.capacity = capacity || 1;
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.blockedUntil = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Shared limiter per key (e.g. one per NCBI API key) so every client
+   * instance in the process draws from the same budget
+   */
+  static shared(key, ratePerSecond, capacity) {
+    var bucket = sharedBuckets[key];
+    if (!bucket) {
+      bucket = new TokenBucket(ratePerSecond, capacity);
+      sharedBuckets[key] = bucket;
+    } else if (bucket.rate !== ratePerSecond) {
+      bucket.rate = ratePerSecond;
+    }
+    return bucket;
+  }
+
+  refill() {
+    var now = Date.now();
+    var elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for one token
+   */
+  take() {
+    var self = this;
+    var ticket = this.queue.then(function() { return self.acquire(); });
+    this.queue = ticket.catch(function() {});
+    return ticket;
+  }
+
+  async acquire() {
+    var blocked = this.blockedUntil - Date.now();
+    if (blocked > 0) {
+      await sleep(blocked);
+      this.lastRefill = Date.now();
+    }
+
+    this.refill();
+    if (this.tokens < 1) {
+      await sleep(Math.ceil((1 - this.tokens) / this.rate * 1000));
+      this.refill();
+    }
+    this.tokens -= 1;
+  }
+
+  /**
+   * Adaptive slow-down after the server pushed back (429):
+   * drain the bucket and hold every caller for the given time
+   */
+  penalize(ms) {
+    this.tokens = 0;
+    this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+  }
+}
+
+// Network-level failures that may pass: reset, refused, timeout, DNS hiccup.
+// ENOTFOUND, ERR_INVALID_URL and the like fail the same way on every attempt.
+var TRANSIENT_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "ECONNABORTED", "EAI_AGAIN", "EPIPE"];
+
+/**
+ * Decide whether an axios error is worth retrying
+ */
+function isRetryableError(error) {
+  if (error.response) {
+    var status = error.response.status;
+    return status === 429 || status >= 500;
+  }
+  if (error.code) return TRANSIENT_CODES.indexOf(error.code) !== -1;
+  return /timeout|socket hang up|network/i.test(error.message || "");
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) to milliseconds
+ */
+function retryAfterMs(error) {
+  var header = error.response && error.response.headers && error.response.headers["retry-after"];
+  if (!header) return 0;
+  var seconds = parseFloat(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  var date = Date.parse(header);
+  return isNaN(date) ? 0 : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+  var exp = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(exp / 2 + Math.random() * exp / 2);
+}
+
+/**
+ * Run fn with retries on retryable errors.
+ * options: retries, baseDelay, maxDelay, shouldRetry(error), onRetry(error, attempt, delay)
+ */
+async function withRetry(fn, options) {
+  options = options || {};
+  var retries = options.retries !== undefined ? options.retries : 4;
+  var baseDelay = options.baseDelay !== undefined ? options.baseDelay : 500;
+  var maxDelay = options.maxDelay || 10000;
+  var shouldRetry = options.shouldRetry || isRetryableError;
+
+  for (var attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      var delay = Math.max(backoffDelay(attempt, baseDelay, maxDelay), retryAfterMs(error));
+      if (options.onRetry) options.onRetry(error, attempt + 1, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  TokenBucket: TokenBucket,
+  withRetry: withRetry,
+  isRetryableError: isRetryableError,
+  retryAfterMs: retryAfterMs,
+  backoffDelay: backoffDelay,
+  sleep: sleep
+};
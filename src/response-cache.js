@@ -0,0 +1,157 @@
+/**
+ * Response Cache - content-addressed on-disk cache for PubMed and LLM calls
+ *
+ * Entries live under <dir>/<namespace>/<hash[0:2]>/<hash>.json where the hash
+ * is a SHA-256 of the namespace plus the canonicalised request parameters.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * JSON with sorted object keys so equivalent params hash identically
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return "[" + value.map(canonicalJson).join(",") + "]";
+  }
+  if (value && typeof value === "object") {
+    return "{" + Object.keys(value).sort().filter(function(k) {
+      return value[k] !== undefined;
+    }).map(function(k) {
+      return JSON.stringify(k) + ":" + canonicalJson(value[k]);
+    }).join(",") + "}";
+  }
+  return JSON.stringify(value);
+}
+
+class ResponseCache {
+  /**
+   * options:
+   *   dir      - cache root (default MA_CACHE_DIR or ./.cache/ma-research)
+   *   enabled  - false disables reads and writes (--no-cache)
+   *   refresh  - true skips reads but still writes fresh responses (--refresh)
+   */
+  constructor(options) {
+    options = options || {};
+    this.dir = options.dir || process.env.MA_CACHE_DIR || "./.cache/ma-research";
+    this.enabled = options.enabled !== false;
+    this.refresh = !!options.refresh;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  key(namespace, params) {
+    return crypto.createHash("sha256").update(namespace + "\n" + canonicalJson(params)).digest("hex");
+  }
+
+  entryPath(namespace, hash) {
+    return path.join(this.dir, namespace, hash.substring(0, 2), hash + ".json");
+  }
+
+  /**
+   * Look up a cached value. ttlMs (optional) expires older entries.
+   * Returns undefined on a miss.
+   */
+  get(namespace, params, ttlMs) {
+    if (!this.enabled || this.refresh) return undefined;
+
+    var filepath = this.entryPath(namespace, this.key(namespace, params));
+    if (!fs.existsSync(filepath)) {
+      this.misses++;
+      return undefined;
+    }
+
+    try {
+      var entry = JSON.parse(fs.readFileSync(filepath, "utf8"));
+      if (ttlMs && Date.now() - Date.parse(entry.createdAt) > ttlMs) {
+        this.misses++;
+        return undefined;
+      }
+      this.hits++;
+      return entry.value;
+    } catch (e) {
+      // Corrupt or partially written entry - treat as a miss
+      this.misses++;
+      return undefined;
+    }
+  }
+
+  set(namespace, params, value) {
+    if (!this.enabled) return;
+
+    var filepath = this.entryPath(namespace, this.key(namespace, params));
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+
+    // Write then rename so a crash never leaves a half-written entry
+    var tmp = filepath + "." + process.pid + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify({
+      namespace: namespace,
+      params: params,
+      createdAt: new Date().toISOString(),
+      value: value
+    }));
+    fs.renameSync(tmp, filepath);
+  }
+
+  /**
+   * Return the cached value or compute, store and return it
+   */
+  async wrap(namespace, params, ttlMs, compute) {
+    var cached = this.get(namespace, params, ttlMs);
+    if (cached !== undefined) return cached;
+    var value = await compute();
+    this.set(namespace, params, value);
+    return value;
+  }
+
+  /**
+   * Entry counts and sizes per namespace
+   */
+  stats() {
+    var result = { dir: path.resolve(this.dir), entries: 0, bytes: 0, namespaces: {} };
+    if (!fs.existsSync(this.dir)) return result;
+
+    var self = this;
+    fs.readdirSync(this.dir).forEach(function(namespace) {
+      var nsDir = path.join(self.dir, namespace);
+      if (!fs.statSync(nsDir).isDirectory()) return;
+      var ns = { entries: 0, bytes: 0, oldest: null, newest: null };
+
+      fs.readdirSync(nsDir).forEach(function(shard) {
+        var shardDir = path.join(nsDir, shard);
+        if (!fs.statSync(shardDir).isDirectory()) return;
+        fs.readdirSync(shardDir).forEach(function(file) {
+          if (!file.endsWith(".json")) return;
+          var stat = fs.statSync(path.join(shardDir, file));
+          ns.entries++;
+          ns.bytes += stat.size;
+          var mtime = stat.mtime.toISOString();
+          if (!ns.oldest || mtime < ns.oldest) ns.oldest = mtime;
+          if (!ns.newest || mtime > ns.newest) ns.newest = mtime;
+        });
+      });
+
+      result.namespaces[namespace] = ns;
+      result.entries += ns.entries;
+      result.bytes += ns.bytes;
+    });
+
+    return result;
+  }
+
+  /**
+   * Remove all entries, or only those of one namespace
+   */
+  clear(namespace) {
+    var target = namespace ? path.join(this.dir, namespace) : this.dir;
+    if (fs.existsSync(target)) {
+      fs.rmSync(target, { recursive: true, force: true });
+    }
+  }
+}
+
+ResponseCache.canonicalJson = canonicalJson;
+
+module.exports = ResponseCache;
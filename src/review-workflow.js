@@ -0,0 +1,355 @@
+/**
+ * Review Workflow - medical/legal/regulatory (MLR) sign-off for generated materials
+ *
+ * Each deliverable becomes a review item stored under <root>/<item-id>/:
+ *   item.json   - state, revisions, decisions, comments and history
+ *   rev-N.<ext> - immutable copy of each revision
+ *
+ * States: draft -> in-review -> approved | rejected
+ * An item is approved once every required role has approved its current
+ * revision; any rejection rejects it. A new revision returns it to draft and
+ * discards earlier approvals. Export is refused unless the item is approved.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const crypto = require("crypto");
+
+var STATES = ["draft", "in-review", "approved", "rejected"];
+var DEFAULT_ROLES = ["medical", "legal", "regulatory"];
+var SYSTEM_AUTHOR = "ma-research-assistant";
+
+function reviewError(message, code) {
+  var error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Reviewer identity: explicit name, MA_REVIEWER, or the OS user
+ */
+function currentIdentity(name) {
+  if (name) return name;
+  if (process.env.MA_REVIEWER) return process.env.MA_REVIEWER;
+  try {
+    return os.userInfo().username;
+  } catch (e) {
+    return "unknown";
+  }
+}
+
+function sha256(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+/**
+ * Line diff (LCS) between two texts, rendered unified-style with +/- prefixes
+ */
+function diffLines(before, after) {
+  var a = before.split("\n");
+  var b = after.split("\n");
+  var n = a.length;
+  var m = b.length;
+
+  // LCS lengths from the end so the walk below can go forwards
+  var lcs = [];
+  for (var i = 0; i <= n; i++) lcs.push(new Array(m + 1).fill(0));
+  for (i = n - 1; i >= 0; i--) {
+    for (var j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  var lines = [];
+  i = 0;
+  j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      lines.push("  " + a[i]);
+      i++;
+      j++;
+    } else if (j < m && (i >= n || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      lines.push("+ " + b[j]);
+      j++;
+    } else {
+      lines.push("- " + a[i]);
+      i++;
+    }
+  }
+  return lines.join("\n");
+}
+
+class ReviewStore {
+  /**
+   * options.requiredRoles - roles that must each approve (default medical, legal, regulatory)
+   */
+  constructor(root, options) {
+    options = options || {};
+    this.root = root;
+    this.requiredRoles = options.requiredRoles || DEFAULT_ROLES;
+  }
+
+  itemDir(id) {
+    return path.join(this.root, id);
+  }
+
+  has(id) {
+    return fs.existsSync(path.join(this.itemDir(id), "item.json"));
+  }
+
+  load(id) {
+    if (!this.has(id)) throw reviewError("Review item not found: " + id, "NOT_FOUND");
+    return JSON.parse(fs.readFileSync(path.join(this.itemDir(id), "item.json"), "utf8"));
+  }
+
+  save(item) {
+    var filepath = path.join(this.itemDir(item.id), "item.json");
+    fs.writeFileSync(filepath + ".tmp", JSON.stringify(item, null, 2));
+    fs.renameSync(filepath + ".tmp", filepath);
+    return item;
+  }
+
+  list(state) {
+    if (!fs.existsSync(this.root)) return [];
+    var self = this;
+    return fs.readdirSync(this.root).filter(function(id) {
+      return self.has(id);
+    }).map(function(id) {
+      return self.load(id);
+    }).filter(function(item) {
+      return !state || item.state === state;
+    }).sort(function(x, y) {
+      return x.createdAt < y.createdAt ? -1 : 1;
+    });
+  }
+
+  /**
+   * Pending = waiting on a reviewer (in-review) or on the author (draft)
+   */
+  pending() {
+    return this.list().filter(function(item) {
+      return item.state === "draft" || item.state === "in-review";
+    });
+  }
+
+  /**
+   * Register a generated file as a new review item (state: draft)
+   * meta: title, kind, source (e.g. { type: "multi-agent", projectId })
+   * by defaults to the assistant itself, so any human may review generated drafts
+   */
+  create(filepath, meta, by) {
+    meta = meta || {};
+    by = by || SYSTEM_AUTHOR;
+    var id = "R-" + new Date().toISOString().substring(0, 10).replace(/-/g, "") + "-" + crypto.randomBytes(3).toString("hex");
+    fs.mkdirSync(this.itemDir(id), { recursive: true });
+
+    var now = new Date().toISOString();
+    var item = {
+      id: id,
+      title: meta.title || path.basename(filepath),
+      kind: meta.kind || "document",
+      source: meta.source || {},
+      requiredRoles: this.requiredRoles,
+      state: "draft",
+      createdAt: now,
+      updatedAt: now,
+      revisions: [],
+      decisions: [],
+      comments: [],
+      history: [{ action: "created", to: "draft", by: by, at: now }]
+    };
+    this.addRevision(item, filepath, by, "Initial draft");
+    return this.save(item);
+  }
+
+  addRevision(item, filepath, by, note) {
+    var content = fs.readFileSync(filepath);
+    var number = item.revisions.length + 1;
+    var file = "rev-" + number + (path.extname(filepath) || ".txt");
+    fs.writeFileSync(path.join(this.itemDir(item.id), file), content);
+    item.revisions.push({
+      revision: number,
+      file: file,
+      originalPath: filepath,
+      checksum: sha256(content),
+      author: by,
+      note: note || "",
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  transition(item, to, by, action, comment) {
+    var now = new Date().toISOString();
+    item.history.push({ action: action, from: item.state, to: to, by: by, at: now, comment: comment || "" });
+    item.state = to;
+    item.updatedAt = now;
+  }
+
+  submit(id, by, comment) {
+    var item = this.load(id);
+    if (item.state !== "draft") {
+      throw reviewError("Only drafts can be submitted (item " + id + " is " + item.state + ")", "INVALID_STATE");
+    }
+    this.transition(item, "in-review", by === SYSTEM_AUTHOR ? by : currentIdentity(by), "submitted", comment);
+    return this.save(item);
+  }
+
+  comment(id, by, text) {
+    var item = this.load(id);
+    item.comments.push({
+      revision: item.revisions.length,
+      by: currentIdentity(by),
+      at: new Date().toISOString(),
+      text: text
+    });
+    item.updatedAt = new Date().toISOString();
+    return this.save(item);
+  }
+
+  /**
+   * Record a decision for the current revision.
+   * decision: "approved" | "rejected"; role: one of requiredRoles
+   * Separation of duties: the revision's author cannot decide on it, and each
+   * reviewer decides at most once per revision (one role each).
+   */
+  decide(id, decision, by, role, comment) {
+    var item = this.load(id);
+    by = currentIdentity(by);
+    if (item.state !== "in-review") {
+      throw reviewError("Item " + id + " is " + item.state + ", not in-review", "INVALID_STATE");
+    }
+    if (decision !== "approved" && decision !== "rejected") {
+      throw reviewError("Unknown decision: " + decision, "INVALID_DECISION");
+    }
+    if (item.requiredRoles.length > 0 && item.requiredRoles.indexOf(role) === -1) {
+      throw reviewError("Role must be one of " + item.requiredRoles.join(", ") + " (got " + role + ")", "INVALID_ROLE");
+    }
+    var author = item.revisions[item.revisions.length - 1].author;
+    if (by === author) {
+      throw reviewError("Reviewers cannot sign off their own revision (" + by + ")", "SELF_REVIEW");
+    }
+    var revision = item.revisions.length;
+    var earlier = item.decisions.find(function(d) { return d.revision === revision && d.by === by; });
+    if (earlier) {
+      throw reviewError(by + " already decided on revision " + revision + (earlier.role ? " as " + earlier.role : "") +
+        "; each role needs a different reviewer", "DUPLICATE_REVIEWER");
+    }
+
+    item.decisions.push({
+      revision: revision,
+      decision: decision,
+      role: role || null,
+      by: by,
+      at: new Date().toISOString(),
+      comment: comment || ""
+    });
+    if (comment) {
+      item.comments.push({ revision: revision, by: by, at: new Date().toISOString(), text: comment });
+    }
+
+    if (decision === "rejected") {
+      this.transition(item, "rejected", by, "rejected" + (role ? " (" + role + ")" : ""), comment);
+    } else if (this.outstandingRoles(item).length === 0) {
+      this.transition(item, "approved", by, "approved" + (role ? " (" + role + ")" : ""), comment);
+    } else {
+      item.history.push({ action: "approved (" + role + ")", from: item.state, to: item.state, by: by, at: new Date().toISOString(), comment: comment || "" });
+      item.updatedAt = new Date().toISOString();
+    }
+    return this.save(item);
+  }
+
+  approve(id, by, role, comment) {
+    return this.decide(id, "approved", by, role, comment);
+  }
+
+  reject(id, by, role, comment) {
+    return this.decide(id, "rejected", by, role, comment);
+  }
+
+  /**
+   * Roles that have not yet approved the current revision
+   */
+  outstandingRoles(item) {
+    var revision = item.revisions.length;
+    var approvedRoles = item.decisions.filter(function(d) {
+      return d.revision === revision && d.decision === "approved";
+    }).map(function(d) { return d.role; });
+
+    if (item.requiredRoles.length === 0) return approvedRoles.length > 0 ? [] : ["any"];
+    return item.requiredRoles.filter(function(role) { return approvedRoles.indexOf(role) === -1; });
+  }
+
+  /**
+   * Upload a new revision; approvals of earlier revisions no longer count
+   */
+  revise(id, filepath, by, note) {
+    var item = this.load(id);
+    by = by === SYSTEM_AUTHOR ? by : currentIdentity(by);
+    this.addRevision(item, filepath, by, note);
+    this.transition(item, "draft", by, "revised to r" + item.revisions.length, note);
+    return this.save(item);
+  }
+
+  revisionText(item, revision) {
+    var rev = item.revisions[(revision || item.revisions.length) - 1];
+    if (!rev) throw reviewError("Item " + item.id + " has no revision " + revision, "NOT_FOUND");
+    return fs.readFileSync(path.join(this.itemDir(item.id), rev.file), "utf8");
+  }
+
+  /**
+   * Diff two revisions (defaults: previous vs current)
+   */
+  diff(id, fromRevision, toRevision) {
+    var item = this.load(id);
+    toRevision = toRevision || item.revisions.length;
+    fromRevision = fromRevision || Math.max(1, toRevision - 1);
+    return diffLines(this.revisionText(item, fromRevision), this.revisionText(item, toRevision));
+  }
+
+  /**
+   * Copy the approved revision to outDir. Refused unless approved.
+   * Returns the exported path.
+   */
+  exportItem(id, outDir) {
+    var item = this.load(id);
+    if (item.state !== "approved") {
+      throw reviewError("Item " + id + " is " + item.state + "; only approved items can be exported", "NOT_APPROVED");
+    }
+    var rev = item.revisions[item.revisions.length - 1];
+    var source = path.join(this.itemDir(id), rev.file);
+    if (sha256(fs.readFileSync(source)) !== rev.checksum) {
+      throw reviewError("Approved revision of " + id + " was modified on disk", "CHECKSUM_MISMATCH");
+    }
+
+    fs.mkdirSync(outDir, { recursive: true });
+    var base = path.basename(rev.originalPath || rev.file, path.extname(rev.file));
+    var target = path.join(outDir, base + "-APPROVED-" + id + path.extname(rev.file));
+    fs.copyFileSync(source, target);
+
+    var approvals = item.decisions.filter(function(d) {
+      return d.revision === rev.revision && d.decision === "approved";
+    });
+    fs.writeFileSync(target + ".approval.json", JSON.stringify({
+      item: id,
+      title: item.title,
+      revision: rev.revision,
+      checksum: rev.checksum,
+      approvals: approvals,
+      exportedAt: new Date().toISOString()
+    }, null, 2));
+
+    item.history.push({ action: "exported", from: item.state, to: item.state, by: currentIdentity(), at: new Date().toISOString(), comment: target });
+    this.save(item);
+    return target;
+  }
+}
+
+ReviewStore.STATES = STATES;
+ReviewStore.DEFAULT_ROLES = DEFAULT_ROLES;
+ReviewStore.SYSTEM_AUTHOR = SYSTEM_AUTHOR;
+ReviewStore.diffLines = diffLines;
+ReviewStore.sha256 = sha256;
+ReviewStore.currentIdentity = currentIdentity;
+
+module.exports = ReviewStore;
@@ -0,0 +1,465 @@
+/**
+ * Slide Deck Builder - turns an LLM-planned storyline plus article metadata
+ * into a deck model, rendered as PowerPoint (pptxgenjs), Markdown (for the
+ * HTML/PDF slides layout) or plain text
+ *
+ * Deck order: title, background, key data, publications per year and per
+ * study type (bar charts from PubMed metadata), evidence table, safety, gaps,
+ * takeaways. Long sections are split across "(cont.)" slides by bullet count
+ * and length. Slide text carries no PMIDs; every slide's speaker notes list
+ * the PMIDs behind its bullets.
+ *
+ * Branding (output.pptx in the configuration) defines the PowerPoint slide
+ * masters: font, title/accent/background colours, logo, footer text, and the
+ * bullet limits per slide.
+ */
+
+const log = require("./logger");
+const { DEFAULT_CONFIDENTIALITY } = require("./html-renderer");
+const { DESIGNS, classifyDesign } = require("./evidence-grading");
+
+var STORYLINE = ["background", "key-data", "safety", "gaps", "takeaways"];
+
+var SLIDE_STORYLINE_SCHEMA = {
+  type: "object",
+  required: ["title", "sections"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    subtitle: { type: "string" },
+    sections: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["section", "title", "bullets"],
+        properties: {
+          section: { enum: STORYLINE },
+          title: { type: "string", minLength: 1 },
+          bullets: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["text"],
+              properties: {
+                text: { type: "string", minLength: 1 },
+                pmids: { type: "array", items: { type: ["string", "integer"] } }
+              }
+            }
+          },
+          notes: { type: "string" }
+        }
+      }
+    }
+  }
+};
+
+var DEFAULT_BRAND = {
+  company: "Medical Affairs",
+  font: "Calibri",
+  titleColor: "1F3864",
+  accentColor: "2E75B6",
+  background: "FFFFFF",
+  logo: null,
+  footer: DEFAULT_CONFIDENTIALITY,
+  maxBullets: 5,
+  maxChars: 480,
+  tableRows: 8
+};
+
+/**
+ * Chart category for an article: its graded design (evidence-grading.js)
+ */
+function studyType(article) {
+  return (article.grade || { label: DESIGNS[classifyDesign(article).design].label }).label;
+}
+
+function articleYear(article) {
+  if (article.pubYear) return String(article.pubYear);
+  var match = /\d{4}/.exec(article.pubDate || "");
+  return match ? match[0] : null;
+}
+
+/**
+ * { labels, values } counting articles per publication year (ascending)
+ */
+function publicationsByYear(articles) {
+  var counts = {};
+  articles.forEach(function(a) {
+    var year = articleYear(a);
+    if (year) counts[year] = (counts[year] || 0) + 1;
+  });
+  var labels = Object.keys(counts).sort();
+  return { labels: labels, values: labels.map(function(y) { return counts[y]; }) };
+}
+
+/**
+ * { labels, values } counting articles per study type (most frequent first)
+ */
+function publicationsByStudyType(articles) {
+  var counts = {};
+  articles.forEach(function(a) {
+    var type = studyType(a);
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  var labels = Object.keys(counts).sort(function(a, b) { return counts[b] - counts[a] || a.localeCompare(b); });
+  return { labels: labels, values: labels.map(function(t) { return counts[t]; }) };
+}
+
+/**
+ * Ask the LLM for the storyline: background, key data, safety, gaps and
+ * takeaways, each with short evidence bullets and the PMIDs behind them
+ */
+async function generateStoryline(llm, query, articles, summary) {
+  var prompt = "You are a Medical Affairs scientist building a slide deck on: \"" + query + "\". " +
+    "Plan the storyline as sections in this order: " + STORYLINE.join(", ") + " (background, key data " +
+    "on efficacy/outcomes, safety, evidence gaps, key takeaways). Give each section a slide title and " +
+    "concise bullets (one fact each, at most 25 words, with the numbers reported) and list the PMIDs " +
+    "supporting each bullet. Use only the PMIDs of the articles below. Add speaker notes per section.\n\n" +
+    (summary ? "EVIDENCE SUMMARY:\n" + summary + "\n\n" : "") +
+    "ARTICLES:\n";
+  return llm.generateStructuredFromArticles(articles, function(evidence) { return prompt + evidence; },
+    SLIDE_STORYLINE_SCHEMA, Object.assign(
+      { schemaName: "slide_storyline" },
+      llm.settingsFor("slides", { temperature: 0.4, maxTokens: 2500 })
+    ), "slide deck storyline", { maxAbstractChars: 500 });
+}
+
+/**
+ * Storyline from the LLM, with PMIDs checked against the retrieved articles.
+ * Falls back to a single key-data section built from the summary sentences.
+ */
+async function planDeck(llm, query, articles, summary) {
+  var known = {};
+  articles.forEach(function(a) { known[String(a.pmid)] = true; });
+  var plan;
+  try {
+    plan = await generateStoryline(llm, query, articles, summary);
+  } catch (e) {
+    log.warn("Slide storyline failed (" + e.message + "), building slides from the summary");
+    return summaryStoryline(query, summary);
+  }
+  plan.sections = plan.sections.map(function(section) {
+    return Object.assign({}, section, {
+      bullets: section.bullets.map(function(b) {
+        var pmids = (b.pmids || []).map(String).filter(function(pmid) { return known[pmid]; });
+        return { text: b.text, pmids: pmids };
+      })
+    });
+  });
+  return plan;
+}
+
+/**
+ * Storyline from a plain-text summary: one bullet per sentence, citations kept as PMIDs
+ */
+function summaryStoryline(query, summary) {
+  var sentences = String(summary || "").replace(/^#+.*$/gm, "").replace(/[*_`]/g, "")
+    .split(/(?<=[.!?](?:\s*\[[^\]]+\])*)\s+/)
+    .map(function(s) { return s.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, "").trim(); })
+    .filter(function(s) { return s.length > 0; });
+  return {
+    title: query,
+    subtitle: "Medical Affairs Research Summary",
+    sections: [{
+      section: "key-data",
+      title: "Summary of Evidence",
+      bullets: sentences.map(function(s) {
+        var pmids = [];
+        var text = s.replace(/\s*\[(?:UNVERIFIED )?PMID:(\d+)\]/g, function(match, pmid) {
+          if (match.indexOf("UNVERIFIED") === -1) pmids.push(pmid);
+          return "";
+        }).trim();
+        return { text: text, pmids: pmids };
+      }).filter(function(b) { return b.text; })
+    }]
+  };
+}
+
+/**
+ * Split bullets into slide-sized chunks by count and total length
+ */
+function splitBullets(bullets, maxBullets, maxChars) {
+  var chunks = [];
+  var current = [];
+  var length = 0;
+  bullets.forEach(function(bullet) {
+    var size = bullet.text.length;
+    if (current.length > 0 && (current.length >= maxBullets || length + size > maxChars)) {
+      chunks.push(current);
+      current = [];
+      length = 0;
+    }
+    current.push(bullet);
+    length += size;
+  });
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+function bulletNotes(bullets, intro) {
+  var lines = intro ? [intro, ""] : [];
+  bullets.forEach(function(b) {
+    lines.push("- " + b.text + (b.pmids.length > 0 ? " (PMID: " + b.pmids.join(", ") + ")" : ""));
+  });
+  return lines.join("\n");
+}
+
+function uniquePmids(bullets) {
+  var seen = {};
+  var pmids = [];
+  bullets.forEach(function(b) {
+    b.pmids.forEach(function(pmid) {
+      if (!seen[pmid]) {
+        seen[pmid] = true;
+        pmids.push(pmid);
+      }
+    });
+  });
+  return pmids;
+}
+
+/**
+ * Evidence table from article metadata: study, year, design, journal, PMID
+ */
+function metadataTable(articles) {
+  return {
+    header: ["Study", "Year", "Design", "Journal", "PMID"],
+    rows: articles.map(function(a) {
+      var firstAuthor = a.authors && a.authors.length > 0 ? a.authors[0] + (a.authors.length > 1 ? " et al." : "") : "";
+      var title = (a.title || "Untitled").replace(/\.$/, "");
+      return [
+        (firstAuthor ? firstAuthor + ": " : "") + (title.length > 90 ? title.substring(0, 87) + "..." : title),
+        articleYear(a) || "-",
+        studyType(a),
+        a.journalAbbrev || a.journal || "-",
+        String(a.pmid)
+      ];
+    })
+  };
+}
+
+/**
+ * Storyline + articles -> deck model { title, subtitle, date, slides }
+ *
+ * Slide types: title, bullets ({ bullets, pmids }), chart ({ chart: { labels,
+ * values, series } }), table ({ header, rows, pmids }); every slide has notes.
+ * options.evidenceTable ({ header, rows } with the PMID last, e.g. the PICO
+ * summary from evidence-extraction.js) replaces the metadata evidence table.
+ */
+function buildDeck(query, plan, articles, options) {
+  options = Object.assign({}, DEFAULT_BRAND, options);
+  var slides = [];
+  var date = new Date().toISOString().substring(0, 10);
+
+  slides.push({
+    type: "title",
+    title: plan.title || query,
+    subtitle: plan.subtitle || "Medical Affairs Research Summary",
+    notes: "Topic: " + query + "\nBased on " + articles.length + " PubMed articles retrieved " + date + "."
+  });
+
+  function sectionSlides(section) {
+    var chunks = splitBullets(section.bullets, options.maxBullets, options.maxChars);
+    chunks.forEach(function(chunk, i) {
+      slides.push({
+        type: "bullets",
+        section: section.section,
+        title: section.title + (i > 0 ? " (cont.)" : ""),
+        bullets: chunk.map(function(b) { return b.text; }),
+        pmids: uniquePmids(chunk),
+        notes: bulletNotes(chunk, i === 0 ? section.notes : "")
+      });
+    });
+  }
+
+  function evidenceSlides() {
+    var yearChart = publicationsByYear(articles);
+    if (yearChart.labels.length > 0) {
+      slides.push({
+        type: "chart",
+        title: "Publications per Year",
+        chart: { labels: yearChart.labels, values: yearChart.values, series: "Publications" },
+        notes: "Publication years of the " + articles.length + " retrieved articles (PubMed metadata)."
+      });
+    }
+    var typeChart = publicationsByStudyType(articles);
+    slides.push({
+      type: "chart",
+      title: "Publications by Study Type",
+      chart: { labels: typeChart.labels, values: typeChart.values, series: "Publications" },
+      notes: "Study designs classified from publication types, MeSH and abstract cues: " + typeChart.labels.map(function(label, i) {
+        return label + " " + typeChart.values[i];
+      }).join(", ") + "."
+    });
+
+    var table = options.evidenceTable || metadataTable(articles);
+    for (var start = 0; start < table.rows.length; start += options.tableRows) {
+      var page = table.rows.slice(start, start + options.tableRows);
+      slides.push({
+        type: "table",
+        title: "Evidence Table" + (start > 0 ? " (cont.)" : ""),
+        header: table.header,
+        rows: page,
+        pmids: page.map(function(row) { return row[row.length - 1]; }),
+        notes: page.map(function(row) { return "PMID " + row[row.length - 1] + ": " + row.slice(0, -1).join(" | "); }).join("\n")
+      });
+    }
+  }
+
+  var sections = plan.sections.slice().sort(function(a, b) {
+    return STORYLINE.indexOf(a.section) - STORYLINE.indexOf(b.section);
+  });
+  var evidenceAdded = false;
+  sections.forEach(function(section) {
+    if (!evidenceAdded && STORYLINE.indexOf(section.section) > STORYLINE.indexOf("key-data")) {
+      evidenceSlides();
+      evidenceAdded = true;
+    }
+    if (section.bullets.length > 0) sectionSlides(section);
+  });
+  if (!evidenceAdded) evidenceSlides();
+
+  return { title: plan.title || query, subtitle: plan.subtitle || "", date: date, slides: slides };
+}
+
+function markdownCell(text) {
+  return String(text).replace(/\|/g, "\\|");
+}
+
+/**
+ * Deck -> Markdown for the HTML/PDF slides layout (one ## per slide)
+ */
+function deckToMarkdown(deck) {
+  return deck.slides.map(function(slide) {
+    if (slide.type === "title") {
+      return "# " + slide.title + "\n\n" + slide.subtitle + " - " + deck.date + "\n";
+    }
+    var md = "## " + slide.title + "\n\n";
+    if (slide.type === "bullets") {
+      md += slide.bullets.map(function(b) { return "- " + b; }).join("\n") + "\n";
+    } else if (slide.type === "chart") {
+      md += "| " + (slide.title.indexOf("Year") !== -1 ? "Year" : "Study type") + " | " + slide.chart.series + " |\n|---|---|\n" +
+        slide.chart.labels.map(function(label, i) { return "| " + label + " | " + slide.chart.values[i] + " |"; }).join("\n") + "\n";
+    } else if (slide.type === "table") {
+      md += "| " + slide.header.join(" | ") + " |\n|" + slide.header.map(function() { return "---"; }).join("|") + "|\n" +
+        slide.rows.map(function(row) {
+          return "| " + row.slice(0, -1).map(markdownCell).join(" | ") + " | [PMID:" + row[row.length - 1] + "] |";
+        }).join("\n") + "\n";
+    }
+    if (slide.type === "bullets" && slide.pmids.length > 0) {
+      md += "\n*Sources:* " + slide.pmids.map(function(pmid) { return "[PMID:" + pmid + "]"; }).join(" ") + "\n";
+    }
+    return md;
+  }).join("\n");
+}
+
+/**
+ * Deck -> plain text slides with speaker notes
+ */
+function deckToText(deck) {
+  var text = "MEDICAL AFFAIRS RESEARCH SLIDES\n";
+  text += "============================\n\n";
+  deck.slides.forEach(function(slide, i) {
+    text += "--- Slide " + (i + 1) + ": " + slide.title + " ---\n";
+    if (slide.type === "title") {
+      text += slide.subtitle + "\n" + deck.date + "\n";
+    } else if (slide.type === "bullets") {
+      text += slide.bullets.map(function(b) { return "  * " + b; }).join("\n") + "\n";
+    } else if (slide.type === "chart") {
+      text += slide.chart.labels.map(function(label, j) { return "  " + label + ": " + slide.chart.values[j]; }).join("\n") + "\n";
+    } else if (slide.type === "table") {
+      text += slide.rows.map(function(row) { return "  " + row.join(" | "); }).join("\n") + "\n";
+    }
+    text += "\nNotes:\n" + slide.notes.split("\n").map(function(line) { return "  " + line; }).join("\n") + "\n\n";
+  });
+  return text;
+}
+
+/**
+ * Render the deck with pptxgenjs using the branded slide masters.
+ * brand: see DEFAULT_BRAND. Resolves once the file is written.
+ */
+async function renderPptx(deck, filepath, brand) {
+  var PptxGenJS = require("pptxgenjs");
+  brand = Object.assign({}, DEFAULT_BRAND, brand);
+  var color = function(value) { return String(value).replace(/^#/, ""); };
+  var font = brand.font;
+
+  var pres = new PptxGenJS();
+  pres.layout = "LAYOUT_16x9";
+  pres.title = deck.title;
+  pres.company = brand.company;
+  pres.author = "MA Research Assistant";
+
+  var footer = { text: { text: brand.footer || "", options: { x: 0.4, y: 5.2, w: 7.6, h: 0.3, fontFace: font, fontSize: 9, color: "7F7F7F" } } };
+  var logo = brand.logo ? [{ image: { path: brand.logo, x: 8.7, y: 0.15, w: 1.0, h: 0.5, sizing: { type: "contain", w: 1.0, h: 0.5 } } }] : [];
+  pres.defineSlideMaster({
+    title: "MA_TITLE",
+    background: { color: color(brand.titleColor) },
+    objects: [{ rect: { x: 0, y: 5.0, w: "100%", h: 0.08, fill: { color: color(brand.accentColor) } } }].concat(logo)
+  });
+  pres.defineSlideMaster({
+    title: "MA_CONTENT",
+    background: { color: color(brand.background) },
+    objects: [{ rect: { x: 0, y: 0, w: "100%", h: 0.08, fill: { color: color(brand.accentColor) } } }, footer].concat(logo),
+    slideNumber: { x: 9.2, y: 5.2, w: 0.5, h: 0.3, fontFace: font, fontSize: 9, color: "7F7F7F" }
+  });
+
+  deck.slides.forEach(function(s) {
+    if (s.type === "title") {
+      var titleSlide = pres.addSlide({ masterName: "MA_TITLE" });
+      titleSlide.addText(s.title, { x: 0.6, y: 1.4, w: 8.8, h: 1.5, fontFace: font, fontSize: 32, bold: true, color: "FFFFFF", valign: "bottom" });
+      titleSlide.addText(s.subtitle, { x: 0.6, y: 3.0, w: 8.8, h: 0.5, fontFace: font, fontSize: 18, color: "FFFFFF" });
+      titleSlide.addText(brand.company + " | " + deck.date, { x: 0.6, y: 3.6, w: 8.8, h: 0.4, fontFace: font, fontSize: 12, color: "D9D9D9" });
+      titleSlide.addNotes(s.notes);
+      return;
+    }
+
+    var slide = pres.addSlide({ masterName: "MA_CONTENT" });
+    slide.addText(s.title, { x: 0.5, y: 0.25, w: 8.1, h: 0.7, fontFace: font, fontSize: 24, bold: true, color: color(brand.titleColor) });
+    if (s.type === "bullets") {
+      slide.addText(s.bullets.map(function(b) {
+        return { text: b, options: { bullet: true, breakLine: true } };
+      }), { x: 0.5, y: 1.1, w: 9.0, h: 3.9, fontFace: font, fontSize: 16, color: "262626", valign: "top", paraSpaceAfter: 8 });
+    } else if (s.type === "chart") {
+      slide.addChart(pres.ChartType.bar, [{ name: s.chart.series, labels: s.chart.labels, values: s.chart.values }], {
+        x: 0.7, y: 1.1, w: 8.6, h: 3.9,
+        barDir: s.title.indexOf("Year") !== -1 ? "col" : "bar",
+        chartColors: [color(brand.accentColor)],
+        showValue: true,
+        showLegend: false,
+        catAxisLabelFontFace: font,
+        catAxisLabelFontSize: 11,
+        valAxisLabelFontSize: 10,
+        dataLabelFontSize: 10
+      });
+    } else if (s.type === "table") {
+      var header = s.header.map(function(h) {
+        return { text: h, options: { bold: true, color: "FFFFFF", fill: { color: color(brand.accentColor) } } };
+      });
+      slide.addTable([header].concat(s.rows), {
+        x: 0.5, y: 1.1, w: 9.0, colW: s.header.length === 6 ? [1.9, 1.2, 0.6, 2.3, 2.1, 0.9] : [4.6, 0.6, 1.3, 1.5, 1.0],
+        fontFace: font, fontSize: 9, valign: "middle",
+        border: { type: "solid", pt: 0.5, color: "BFBFBF" }
+      });
+    }
+    slide.addNotes(s.notes);
+  });
+
+  await pres.writeFile({ fileName: filepath });
+  return filepath;
+}
+
+module.exports = {
+  STORYLINE: STORYLINE,
+  DEFAULT_BRAND: DEFAULT_BRAND,
+  studyType: studyType,
+  publicationsByYear: publicationsByYear,
+  publicationsByStudyType: publicationsByStudyType,
+  planDeck: planDeck,
+  summaryStoryline: summaryStoryline,
+  buildDeck: buildDeck,
+  deckToMarkdown: deckToMarkdown,
+  deckToText: deckToText,
+  renderPptx: renderPptx
+};
@@ -0,0 +1,634 @@
+/**
+ * Systematic Review - protocol-driven search, deduplication, title/abstract
+ * screening and the PRISMA 2020 flow
+ *
+ * Each review is stored under <root>/<review-id>/:
+ *   review.json - protocol, searches, records, screening decisions and history
+ *   prisma.svg  - PRISMA 2020 flow diagram (also prisma.md, as a table)
+ *
+ * Stages: identification (every protocol query over the date range) ->
+ * deduplication (PMID, then DOI, then normalized title + year) -> removal of
+ * retracted publications -> title/abstract screening (an LLM decision and
+ * reason per record; a human decision overrides it) -> included studies.
+ * The review itself is written from the included studies only.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { validate } = require("./json-schema");
+const { gradeArticle } = require("./evidence-grading");
+const { applyFilters, pubmedDate } = require("./query-builder");
+const { SYSTEM_AUTHOR } = require("./review-workflow");
+const log = require("./logger");
+
+var DECISIONS = ["include", "exclude"];
+var SCREENING_BATCH = 10;
+var DEFAULT_MAX_RECORDS = 1000;
+
+var PROTOCOL_SCHEMA = {
+  type: "object",
+  required: ["inclusion", "exclusion"],
+  additionalProperties: false,
+  properties: {
+    title: { type: "string" },
+    question: { type: "string" },
+    query: { type: "string", minLength: 1 },
+    queries: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+    dateRange: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        from: { type: "string" },
+        to: { type: "string" }
+      }
+    },
+    inclusion: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } },
+    exclusion: { type: "array", items: { type: "string", minLength: 1 } },
+    maxRecords: { type: "integer", minimum: 1 }
+  }
+};
+
+var SCREENING_SCHEMA = {
+  type: "object",
+  required: ["decisions"],
+  properties: {
+    decisions: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["pmid", "decision", "reason"],
+        properties: {
+          pmid: { type: ["string", "integer"] },
+          decision: { enum: DECISIONS },
+          criterion: { type: ["string", "null"] },
+          reason: { type: "string", minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+function reviewError(message, code) {
+  var error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Protocol date -> PubMed date (see query-builder.js pubmedDate)
+ */
+function protocolDate(value, field) {
+  var date = pubmedDate(value);
+  if (!date) {
+    throw reviewError("Invalid protocol: dateRange." + field + " must be a real date as YYYY, YYYY/MM or YYYY/MM/DD (got \"" +
+      value + "\")", "INVALID_PROTOCOL");
+  }
+  return date;
+}
+
+/**
+ * Validate a protocol (object or JSON file path) and normalize it to
+ * { title, question, queries, dateRange, inclusion, exclusion, maxRecords }
+ */
+function loadProtocol(source) {
+  var data = source;
+  if (typeof source === "string") {
+    if (!fs.existsSync(source)) throw reviewError("Protocol not found: " + source, "NOT_FOUND");
+    try {
+      data = JSON.parse(fs.readFileSync(source, "utf8"));
+    } catch (e) {
+      throw reviewError("Cannot read protocol " + source + ": " + e.message, "INVALID_PROTOCOL");
+    }
+  }
+  var errors = validate(data, PROTOCOL_SCHEMA);
+  if (errors.length === 0 && !data.query && !data.queries) errors.push("$: query or queries is required");
+  if (errors.length > 0) throw reviewError("Invalid protocol: " + errors.slice(0, 5).join("; "), "INVALID_PROTOCOL");
+
+  var queries = data.queries || [data.query];
+  var range = data.dateRange || {};
+  return {
+    title: data.title || data.question || queries[0],
+    question: data.question || null,
+    queries: queries,
+    dateRange: range.from || range.to ? {
+      from: range.from ? protocolDate(range.from, "from") : null,
+      to: range.to ? protocolDate(range.to, "to") : null
+    } : null,
+    inclusion: data.inclusion,
+    exclusion: data.exclusion,
+    maxRecords: data.maxRecords || DEFAULT_MAX_RECORDS
+  };
+}
+
+/**
+ * Protocol query restricted to the date range (open ends run to 1800 / 3000, as in PubMed)
+ */
+function datedQuery(query, dateRange) {
+  return applyFilters(query, { dateRange: dateRange });
+}
+
+function normalizeTitle(title) {
+  return String(title || "").toLowerCase().replace(/<[^>]+>/g, "").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * Drop duplicate records, matching on PMID, then DOI, then normalized title + year.
+ * Returns { unique, duplicates: [{ pmid, duplicateOf, matchedOn }] }
+ */
+function dedupe(records) {
+  var seen = {};
+  var unique = [];
+  var duplicates = [];
+  records.forEach(function(record) {
+    var title = normalizeTitle(record.title);
+    var keys = [
+      ["PMID", "pmid:" + record.pmid],
+      ["DOI", record.doi ? "doi:" + record.doi.toLowerCase() : null],
+      ["title and year", title ? "title:" + title + "|" + (record.pubYear || "") : null]
+    ];
+    var match = keys.find(function(key) { return key[1] && seen[key[1]]; });
+    if (match) {
+      duplicates.push({ pmid: record.pmid, duplicateOf: seen[match[1]].pmid, matchedOn: match[0] });
+      return;
+    }
+    keys.forEach(function(key) {
+      if (key[1]) seen[key[1]] = record;
+    });
+    unique.push(record);
+  });
+  return { unique: unique, duplicates: duplicates };
+}
+
+/**
+ * Run every protocol query (full result set up to maxRecords) within the date range.
+ * Returns { searches: [{ query, translation, total, retrieved, truncated, date }], records }
+ */
+async function identify(pubmed, protocol) {
+  var searches = [];
+  var records = [];
+  for (var i = 0; i < protocol.queries.length; i++) {
+    var search = null;
+    var found = await pubmed.searchFull(datedQuery(protocol.queries[i], protocol.dateRange), "all", {
+      cap: protocol.maxRecords,
+      onSearch: function(info) { search = info; }
+    });
+    searches.push(search || {
+      query: datedQuery(protocol.queries[i], protocol.dateRange),
+      translation: null,
+      total: found.length,
+      retrieved: found.length,
+      truncated: false,
+      date: new Date().toISOString().substring(0, 10)
+    });
+    records = records.concat(found);
+  }
+  return { searches: searches, records: records };
+}
+
+function normalizeCriterion(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * The protocol criterion an exclusion reason refers to (exclusion criteria
+ * verbatim, unmet inclusion criteria as "Not meeting: ..."), else null
+ */
+function matchCriterion(text, protocol) {
+  var wanted = normalizeCriterion(text);
+  if (!wanted) return null;
+  var exclusion = protocol.exclusion.find(function(c) { return normalizeCriterion(c) === wanted; }) ||
+    protocol.exclusion.find(function(c) { return wanted.indexOf(normalizeCriterion(c)) !== -1; });
+  if (exclusion) return exclusion;
+  var inclusion = protocol.inclusion.find(function(c) { return normalizeCriterion(c) === wanted; }) ||
+    protocol.inclusion.find(function(c) { return wanted.indexOf(normalizeCriterion(c)) !== -1; });
+  return inclusion ? "Not meeting: " + inclusion : null;
+}
+
+/**
+ * Effective screening decision for a record: the human override, else the LLM's
+ */
+function decisionFor(review, pmid) {
+  var entry = review.screening[pmid];
+  if (!entry) return null;
+  return entry.human || entry.llm || null;
+}
+
+/**
+ * Records that went through title/abstract screening (not removed beforehand)
+ */
+function screenedRecords(review) {
+  var removed = {};
+  review.removed.forEach(function(r) { removed[r.pmid] = true; });
+  return review.records.filter(function(r) { return !removed[r.pmid]; });
+}
+
+/**
+ * One LLM screening call for a batch: an include/exclude decision with a
+ * reason for each record, and the exclusion criterion applied
+ * protocol: { question, inclusion[], exclusion[] }
+ */
+async function screenRecords(llm, protocol, records) {
+  var prompt = "You are screening records for a systematic review" +
+    (protocol.question ? " on: \"" + protocol.question + "\"" : "") + ". Decide for EVERY record below whether " +
+    "to include or exclude it, from its title and abstract only. Exclude a record when an exclusion criterion " +
+    "applies or an inclusion criterion is clearly not met, and give that criterion verbatim in \"criterion\". " +
+    "Include it when it meets the criteria or the abstract is not clear enough to exclude it. Give a " +
+    "one-sentence reason for each decision.\n\n" +
+    "INCLUSION CRITERIA:\n" + (protocol.inclusion || []).map(function(c) { return "- " + c; }).join("\n") + "\n\n" +
+    "EXCLUSION CRITERIA:\n" + (protocol.exclusion || []).map(function(c) { return "- " + c; }).join("\n") + "\n\n" +
+    "RECORDS:\n" + records.map(function(r) {
+      return "PMID: " + r.pmid + "\nTITLE: " + (r.title || "Untitled") +
+        ((r.publicationTypes || []).length > 0 ? "\nPUBLICATION TYPES: " + r.publicationTypes.join(", ") : "") +
+        "\nABSTRACT: " + (r.abstract ? r.abstract.substring(0, 1500) : "(no abstract)");
+    }).join("\n\n");
+  return llm.generateStructured(prompt, SCREENING_SCHEMA, Object.assign(
+    { schemaName: "screening_decisions" },
+    llm.settingsFor("screening", { temperature: 0, maxTokens: 2000 })
+  ));
+}
+
+/**
+ * Screen every record still without an LLM decision, in batches. A batch the
+ * LLM fails on stays pending (screen again later). Returns the number screened.
+ */
+async function screen(llm, review) {
+  var pending = screenedRecords(review).filter(function(r) {
+    return !review.screening[r.pmid] || !review.screening[r.pmid].llm;
+  });
+  var screened = 0;
+  for (var start = 0; start < pending.length; start += SCREENING_BATCH) {
+    var batch = pending.slice(start, start + SCREENING_BATCH);
+    log.info("  Screening records " + (start + 1) + "-" + (start + batch.length) + " of " + pending.length + "...");
+    var result;
+    try {
+      result = await screenRecords(llm, review.protocol, batch);
+    } catch (e) {
+      log.warn("Screening failed for " + batch.length + " records (" + e.message + "), leaving them pending");
+      continue;
+    }
+    var byPmid = {};
+    result.decisions.forEach(function(d) { byPmid[String(d.pmid)] = d; });
+    batch.forEach(function(record) {
+      var d = byPmid[record.pmid];
+      if (!d) return;
+      review.screening[record.pmid] = Object.assign({}, review.screening[record.pmid], {
+        llm: {
+          decision: d.decision,
+          reason: d.reason,
+          criterion: d.decision === "exclude" ? matchCriterion(d.criterion, review.protocol) || "Other" : null,
+          by: "llm",
+          at: new Date().toISOString()
+        }
+      });
+      screened++;
+    });
+  }
+  return screened;
+}
+
+/**
+ * Counts at each PRISMA stage
+ */
+function stageCounts(review) {
+  var screened = screenedRecords(review);
+  var reasons = {};
+  var counts = {
+    searches: review.searches.map(function(s) {
+      return { query: s.query, total: s.total, retrieved: s.retrieved };
+    }),
+    identified: review.searches.reduce(function(sum, s) { return sum + s.retrieved; }, 0),
+    duplicates: review.duplicates.length,
+    removed: review.removed.length,
+    screened: screened.length,
+    excluded: 0,
+    exclusionReasons: [],
+    included: 0,
+    pending: 0,
+    overridden: 0
+  };
+  screened.forEach(function(record) {
+    var entry = review.screening[record.pmid] || {};
+    if (entry.human) counts.overridden++;
+    var decision = decisionFor(review, record.pmid);
+    if (!decision) {
+      counts.pending++;
+    } else if (decision.decision === "include") {
+      counts.included++;
+    } else {
+      counts.excluded++;
+      reasons[decision.criterion || "Other"] = (reasons[decision.criterion || "Other"] || 0) + 1;
+    }
+  });
+  counts.exclusionReasons = Object.keys(reasons).map(function(reason) {
+    return { reason: reason, count: reasons[reason] };
+  }).sort(function(a, b) { return b.count - a.count; });
+  return counts;
+}
+
+/**
+ * Included studies (full article records), in retrieval order
+ */
+function includedStudies(review) {
+  return screenedRecords(review).filter(function(r) {
+    var decision = decisionFor(review, r.pmid);
+    return decision && decision.decision === "include";
+  });
+}
+
+function escapeCell(text) {
+  return String(text).replace(/\|/g, "\\|").replace(/\s+/g, " ");
+}
+
+/**
+ * PRISMA 2020 flow as a Markdown table
+ */
+function prismaMarkdown(counts) {
+  var rows = [["Identification", "Records identified from PubMed" +
+    (counts.searches.length > 1 ? " (" + counts.searches.length + " searches)" : ""), counts.identified]];
+  if (counts.searches.length > 1) {
+    counts.searches.forEach(function(s, i) {
+      rows.push(["Identification", "- Search " + (i + 1), s.retrieved]);
+    });
+  }
+  rows.push(["Identification", "Duplicate records removed", counts.duplicates]);
+  rows.push(["Identification", "Retracted publications removed", counts.removed]);
+  rows.push(["Screening", "Records screened (title and abstract)", counts.screened]);
+  rows.push(["Screening", "Records excluded", counts.excluded]);
+  counts.exclusionReasons.forEach(function(r) {
+    rows.push(["Screening", "- " + r.reason, r.count]);
+  });
+  if (counts.pending > 0) rows.push(["Screening", "Awaiting a screening decision", counts.pending]);
+  rows.push(["Included", "Studies included in review", counts.included]);
+  return "| Stage | Records | n |\n|-------|---------|---|\n" + rows.map(function(row) {
+    return "| " + row[0] + " | " + escapeCell(row[1]) + " | " + row[2] + " |";
+  }).join("\n") + "\n\nEligibility was assessed on titles and abstracts; full-text reports were not retrieved." +
+    (counts.overridden > 0 ? " Screening decisions made or changed by a human reviewer: " + counts.overridden + "." : "") + "\n";
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function wrap(text, width) {
+  var lines = [];
+  var line = "";
+  String(text).split(/\s+/).forEach(function(word) {
+    if (line && (line + " " + word).length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? line + " " + word : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+var SVG = { width: 780, left: 60, leftWidth: 320, right: 430, rightWidth: 330, lineHeight: 17, padding: 12, gap: 36 };
+
+function boxSvg(x, y, width, lines) {
+  var height = lines.length * SVG.lineHeight + SVG.padding * 2;
+  var svg = "<rect x=\"" + x + "\" y=\"" + y + "\" width=\"" + width + "\" height=\"" + height + "\" fill=\"#FFFFFF\" stroke=\"#1F3864\"/>";
+  lines.forEach(function(line, i) {
+    svg += "<text x=\"" + (x + 10) + "\" y=\"" + (y + SVG.padding + (i + 1) * SVG.lineHeight - 4) + "\"" +
+      (i === 0 ? " font-weight=\"bold\"" : "") + ">" + escapeXml(line) + "</text>";
+  });
+  return { svg: svg, height: height };
+}
+
+/**
+ * PRISMA 2020 flow diagram (identification, screening, included) as SVG
+ */
+function prismaSvg(counts) {
+  var wrapAll = function(lines, width) {
+    return lines.reduce(function(all, line) { return all.concat(wrap(line, width)); }, []);
+  };
+  var rows = [
+    {
+      stage: "Identification",
+      left: ["Records identified from:", "PubMed (n = " + counts.identified + ")"].concat(counts.searches.length > 1
+        ? counts.searches.map(function(s, i) { return "Search " + (i + 1) + " (n = " + s.retrieved + ")"; }) : []),
+      right: ["Records removed before screening:", "Duplicate records removed (n = " + counts.duplicates + ")",
+        "Retracted publications removed (n = " + counts.removed + ")"]
+    },
+    {
+      stage: "Screening",
+      left: ["Records screened", "(title and abstract, n = " + counts.screened + ")"],
+      right: ["Records excluded (n = " + counts.excluded + ")"].concat(counts.exclusionReasons.map(function(r) {
+        return r.reason + " (n = " + r.count + ")";
+      })).concat(counts.pending > 0 ? ["Awaiting a decision (n = " + counts.pending + ")"] : [])
+    },
+    {
+      stage: "Included",
+      left: ["Studies included in review", "(n = " + counts.included + ")"],
+      right: null
+    }
+  ];
+
+  var body = "";
+  var y = 20;
+  var previousBottom = null;
+  rows.forEach(function(row) {
+    var left = boxSvg(SVG.left, y, SVG.leftWidth, wrapAll(row.left, 42));
+    var right = row.right ? boxSvg(SVG.right, y, SVG.rightWidth, wrapAll(row.right, 44)) : null;
+    // tall enough for the rotated stage label
+    var height = Math.max(left.height, right ? right.height : 0, 100);
+    body += "<rect x=\"10\" y=\"" + y + "\" width=\"30\" height=\"" + height + "\" fill=\"#2E75B6\"/>" +
+      "<text x=\"25\" y=\"" + (y + height / 2) + "\" fill=\"#FFFFFF\" font-size=\"12\" font-weight=\"bold\" text-anchor=\"middle\" " +
+      "transform=\"rotate(-90 25 " + (y + height / 2) + ")\">" + row.stage + "</text>";
+    body += left.svg;
+    if (right) {
+      body += right.svg;
+      var middle = y + left.height / 2;
+      body += "<line x1=\"" + (SVG.left + SVG.leftWidth) + "\" y1=\"" + middle + "\" x2=\"" + (SVG.right - 2) + "\" y2=\"" + middle +
+        "\" stroke=\"#1F3864\" marker-end=\"url(#arrow)\"/>";
+    }
+    if (previousBottom !== null) {
+      var x = SVG.left + SVG.leftWidth / 2;
+      body += "<line x1=\"" + x + "\" y1=\"" + previousBottom + "\" x2=\"" + x + "\" y2=\"" + (y - 2) +
+        "\" stroke=\"#1F3864\" marker-end=\"url(#arrow)\"/>";
+    }
+    previousBottom = y + left.height;
+    y += height + SVG.gap;
+  });
+  var note = "Eligibility was assessed on titles and abstracts; full-text reports were not retrieved.";
+  body += "<text x=\"10\" y=\"" + (y - SVG.gap + 24) + "\" font-size=\"11\" fill=\"#555555\">" + escapeXml(note) + "</text>";
+
+  var height = y - SVG.gap + 36;
+  return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" +
+    "<svg xmlns=\"http://www.w3.org/2000/svg\" width=\"" + SVG.width + "\" height=\"" + height + "\" viewBox=\"0 0 " + SVG.width + " " + height + "\" " +
+    "font-family=\"Calibri, Arial, sans-serif\" font-size=\"13\">" +
+    "<title>PRISMA 2020 flow diagram</title>" +
+    "<defs><marker id=\"arrow\" markerWidth=\"10\" markerHeight=\"8\" refX=\"9\" refY=\"4\" orient=\"auto\">" +
+    "<path d=\"M0,0 L10,4 L0,8 Z\" fill=\"#1F3864\"/></marker></defs>" +
+    "<rect width=\"100%\" height=\"100%\" fill=\"#FFFFFF\"/>" + body + "</svg>\n";
+}
+
+/**
+ * Search facts for the review's Methods section (see paper-writer.js describeSearch)
+ */
+function searchFacts(review) {
+  var counts = stageCounts(review);
+  var searches = review.searches;
+  return {
+    query: searches.length === 1 ? searches[0].query : searches.map(function(s, i) {
+      return "#" + (i + 1) + " " + s.query;
+    }).join("; "),
+    translation: searches.length === 1 ? searches[0].translation : null,
+    date: searches.length > 0 ? searches[0].date : review.createdAt.substring(0, 10),
+    total: searches.reduce(function(sum, s) { return sum + s.total; }, 0),
+    retrieved: counts.identified,
+    truncated: searches.some(function(s) { return s.truncated; }),
+    filters: { maxResults: "all" },
+    protocol: review.protocol,
+    flow: counts
+  };
+}
+
+class SystematicReviewStore {
+  constructor(root) {
+    this.root = root;
+  }
+
+  reviewDir(id) {
+    return path.join(this.root, id);
+  }
+
+  has(id) {
+    return fs.existsSync(path.join(this.reviewDir(id), "review.json"));
+  }
+
+  load(id) {
+    if (!this.has(id)) throw reviewError("Systematic review not found: " + id, "NOT_FOUND");
+    return JSON.parse(fs.readFileSync(path.join(this.reviewDir(id), "review.json"), "utf8"));
+  }
+
+  save(review) {
+    review.updatedAt = new Date().toISOString();
+    var filepath = path.join(this.reviewDir(review.id), "review.json");
+    fs.writeFileSync(filepath + ".tmp", JSON.stringify(review, null, 2));
+    fs.renameSync(filepath + ".tmp", filepath);
+    return review;
+  }
+
+  list() {
+    if (!fs.existsSync(this.root)) return [];
+    var self = this;
+    return fs.readdirSync(this.root).filter(function(id) {
+      return self.has(id);
+    }).map(function(id) {
+      return self.load(id);
+    }).sort(function(x, y) {
+      return x.createdAt < y.createdAt ? -1 : 1;
+    });
+  }
+
+  /**
+   * New review for a normalized protocol (see loadProtocol)
+   */
+  create(protocol, by) {
+    var id = "SR-" + new Date().toISOString().substring(0, 10).replace(/-/g, "") + "-" + crypto.randomBytes(3).toString("hex");
+    fs.mkdirSync(this.reviewDir(id), { recursive: true });
+    var now = new Date().toISOString();
+    return this.save({
+      id: id,
+      title: protocol.title,
+      protocol: protocol,
+      createdAt: now,
+      updatedAt: now,
+      searches: [],
+      records: [],
+      duplicates: [],
+      removed: [],
+      screening: {},
+      outputs: [],
+      history: [{ at: now, action: "create", by: by || SYSTEM_AUTHOR }]
+    });
+  }
+
+  /**
+   * Record search results: deduplicate, drop retracted publications
+   */
+  addRecords(review, identified) {
+    var deduped = dedupe(identified.records);
+    review.searches = identified.searches;
+    review.records = deduped.unique.map(function(article) {
+      return Object.assign({}, article, { grade: gradeArticle(article) });
+    });
+    review.duplicates = deduped.duplicates;
+    review.removed = review.records.filter(function(r) { return r.grade.retracted; }).map(function(r) {
+      return { pmid: r.pmid, reason: "Retracted publication" };
+    });
+    review.history.push({
+      at: new Date().toISOString(),
+      action: "identify",
+      by: SYSTEM_AUTHOR,
+      comment: identified.records.length + " records, " + deduped.duplicates.length + " duplicates, " +
+        review.removed.length + " retracted"
+    });
+    return review;
+  }
+
+  /**
+   * Human screening decision; it replaces the LLM's for this record
+   */
+  override(id, pmid, decision, by, reason) {
+    if (DECISIONS.indexOf(decision) === -1) {
+      throw reviewError("Decision must be include or exclude (got \"" + decision + "\")", "INVALID_DECISION");
+    }
+    if (!reason) throw reviewError("A reason is required to override a screening decision", "REASON_REQUIRED");
+    var review = this.load(id);
+    pmid = String(pmid);
+    if (!screenedRecords(review).some(function(r) { return r.pmid === pmid; })) {
+      throw reviewError("PMID " + pmid + " is not among the screened records of " + id, "NOT_FOUND");
+    }
+    var previous = decisionFor(review, pmid);
+    var now = new Date().toISOString();
+    review.screening[pmid] = Object.assign({}, review.screening[pmid], {
+      human: {
+        decision: decision,
+        reason: reason,
+        criterion: decision === "exclude" ? matchCriterion(reason, review.protocol) || "Excluded by reviewer" : null,
+        by: by,
+        at: now
+      }
+    });
+    review.history.push({
+      at: now,
+      action: "override",
+      by: by,
+      pmid: pmid,
+      from: previous ? previous.decision : null,
+      to: decision,
+      comment: reason
+    });
+    return this.save(review);
+  }
+
+  /**
+   * Write prisma.svg and prisma.md for the review's current counts
+   */
+  writeFlow(review) {
+    var counts = stageCounts(review);
+    var dir = this.reviewDir(review.id);
+    fs.writeFileSync(path.join(dir, "prisma.svg"), prismaSvg(counts));
+    fs.writeFileSync(path.join(dir, "prisma.md"), "# PRISMA 2020 Flow: " + review.title + "\n\n" + prismaMarkdown(counts));
+    return { svg: path.join(dir, "prisma.svg"), markdown: path.join(dir, "prisma.md"), counts: counts };
+  }
+}
+
+SystematicReviewStore.DECISIONS = DECISIONS;
+SystematicReviewStore.loadProtocol = loadProtocol;
+SystematicReviewStore.datedQuery = datedQuery;
+SystematicReviewStore.dedupe = dedupe;
+SystematicReviewStore.identify = identify;
+SystematicReviewStore.screen = screen;
+SystematicReviewStore.decisionFor = decisionFor;
+SystematicReviewStore.stageCounts = stageCounts;
+SystematicReviewStore.includedStudies = includedStudies;
+SystematicReviewStore.prismaMarkdown = prismaMarkdown;
+SystematicReviewStore.prismaSvg = prismaSvg;
+SystematicReviewStore.searchFacts = searchFacts;
+
+module.exports = SystematicReviewStore;
@@ -3,6 +3,98 @@
  */
 
 const MAResearchAgent = require("./agent");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const fs = require("fs");
+const PubMedClient = require("./pubmed-client");
+const { TokenBucket, withRetry } = require("./rate-limiter");
+const ResponseCache = require("./response-cache");
+const VeniceClient = require("./venice-client");
+const MultiAgentResearchSystem = require("./multi-agent");
+const { MockProvider, OpenAICompatibleProvider, createProvider } = require("./llm-provider");
+const { parsePubmedArticleSet } = require("./pubmed-xml");
+const ReviewStore = require("./review-workflow");
+const AuditLog = require("./audit-log");
+const { loadRules, checkText, annotateText, formatComplianceReport } = require("./compliance-checker");
+const { Program, EXIT } = require("./cli-framework");
+const { researchOptionsFrom, configOverrides } = require("./cli-options");
+const cliProgram = require("./cli");
+const log = require("./logger");
+const { loadConfig, describeConfig } = require("./config");
+const OutputGenerator = require("./output-generator");
+const { markdownToDocx } = require("./docx-writer");
+const { markdownToHtml } = require("./html-renderer");
+const { formatCitation, toBibTeX, toRIS } = require("./citation-styles");
+const { numberCitations, paperOutline } = require("./paper-writer");
+const { preExtract } = require("./evidence-extraction");
+const { gradeArticles, filterByEvidence } = require("./evidence-grading");
+const SystematicReviewStore = require("./systematic-review");
+const { applyFilters, QueryStore } = require("./query-builder");
+const JSZip = require("jszip");
+
+var SAMPLE_EFETCH_XML = '<?xml version="1.0" ?>\n' +
+  '<!DOCTYPE PubmedArticleSet PUBLIC "-//NLM//DTD PubMedArticle, 1st January 2024//EN" "https://dtd.nlm.nih.gov/ncbi/pubmed/out/pubmed_240101.dtd">\n' +
+  '<PubmedArticleSet><PubmedArticle><MedlineCitation Status="MEDLINE" Owner="NLM">' +
+  '<PMID Version="1">12345678</PMID><Article PubModel="Print">' +
+  '<Journal><ISSN IssnType="Electronic">1533-4406</ISSN><JournalIssue CitedMedium="Internet">' +
+  '<Volume>389</Volume><Issue>24</Issue><PubDate><Year>2023</Year><Month>Dec</Month><Day>14</Day></PubDate></JournalIssue>' +
+  '<Title>The New England journal of medicine</Title><ISOAbbreviation>N. Engl. J. Med.</ISOAbbreviation></Journal>' +
+  '<ArticleTitle>Semaglutide and Cardiovascular Outcomes in Obesity without Diabetes.</ArticleTitle>' +
+  '<Pagination><MedlinePgn>2221-2232</MedlinePgn></Pagination>' +
+  '<ELocationID EIdType="doi" ValidYN="Y">10.1056/NEJMoa2307563</ELocationID>' +
+  '<Abstract><AbstractText Label="BACKGROUND" NlmCategory="BACKGROUND">Semaglutide &amp; risk.</AbstractText>' +
+  '<AbstractText Label="METHODS" NlmCategory="METHODS">Patients with BMI &gt;= 27 were <i>randomized</i>.</AbstractText>' +
+  '<AbstractText Label="RESULTS" NlmCategory="RESULTS">HR 0.80; 95% CI 0.72 to 0.90.</AbstractText></Abstract>' +
+  '<AuthorList CompleteYN="Y"><Author ValidYN="Y"><LastName>Lincoff</LastName><ForeName>A Michael</ForeName><Initials>AM</Initials>' +
+  '<Identifier Source="ORCID">0000-0001-0000-0001</Identifier>' +
+  '<AffiliationInfo><Affiliation>Cleveland Clinic, Cleveland, OH.</Affiliation></AffiliationInfo></Author>' +
+  '<Author ValidYN="Y"><CollectiveName>SELECT Trial Investigators</CollectiveName></Author></AuthorList>' +
+  '<Language>eng</Language>' +
+  '<GrantList CompleteYN="Y"><Grant><GrantID>R01 HL000000</GrantID><Acronym>HL</Acronym><Agency>NHLBI NIH HHS</Agency><Country>United States</Country></Grant></GrantList>' +
+  '<PublicationTypeList><PublicationType UI="D016430">Clinical Trial</PublicationType>' +
+  '<PublicationType UI="D016449">Randomized Controlled Trial</PublicationType></PublicationTypeList></Article>' +
+  '<MedlineJournalInfo><Country>United States</Country><MedlineTA>N Engl J Med</MedlineTA></MedlineJournalInfo>' +
+  '<MeshHeadingList><MeshHeading><DescriptorName UI="D009765" MajorTopicYN="Y">Obesity</DescriptorName>' +
+  '<QualifierName UI="Q000188" MajorTopicYN="N">drug therapy</QualifierName></MeshHeading></MeshHeadingList>' +
+  '</MedlineCitation><PubmedData><ArticleIdList><ArticleId IdType="pubmed">12345678</ArticleId>' +
+  '<ArticleId IdType="doi">10.1056/NEJMoa2307563</ArticleId><ArticleId IdType="pmc">PMC1234567</ArticleId></ArticleIdList>' +
+  '</PubmedData></PubmedArticle></PubmedArticleSet>';
+
+/**
+ * Local fake E-utilities server. `failures` is a list of status codes to
+ * return before succeeding; every request is recorded in `requests`.
+ */
+function startFakeEutils(failures) {
+  var fake = { requests: [], failures: failures.slice() };
+  fake.server = http.createServer(function(req, res) {
+    var body = "";
+    req.on("data", function(chunk) { body += chunk; });
+    req.on("end", function() {
+      var url = new URL(req.url, "http://localhost");
+      var params = new URLSearchParams(req.method === "POST" ? body : url.search);
+      fake.requests.push({ path: url.pathname, params: params, time: Date.now() });
+
+      var status = fake.failures.shift();
+      if (status) {
+        res.writeHead(status, { "Retry-After": "0" });
+        res.end("error");
+      } else if (url.pathname === "/esearch.fcgi") {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ esearchresult: { count: "1", idlist: ["12345678"] } }));
+      } else {
+        res.writeHead(200, { "Content-Type": "text/xml" });
+        res.end(SAMPLE_EFETCH_XML);
+      }
+    });
+  });
+  return new Promise(function(resolve) {
+    fake.server.listen(0, "127.0.0.1", function() {
+      fake.baseUrl = "http://127.0.0.1:" + fake.server.address().port;
+      resolve(fake);
+    });
+  });
+}
 
 async function runTests() {
   console.log("===========================================");
@@ -27,7 +119,8 @@ async function runTests() {
   // Test 2: Agent instantiation
   try {
     console.log("[Test 2] Instantiating agent...");
-    var agent = new MAResearchAgent();
+    var agentAuditDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-audit-"));
+    var agent = new MAResearchAgent({ auditDir: agentAuditDir });
     if (agent.venice && agent.pubmed && agent.output) {
       console.log("✓ PASS: Agent instantiated\n");
       passed++;
@@ -71,6 +164,1581 @@ async function runTests() {
     console.log("✗ FAIL: " + e.message + "\n");
     failed++;
   }
+  fs.rmSync(agentAuditDir, { recursive: true, force: true });
+
+  // Test 5: PubMed XML parsing (offline)
+  try {
+    console.log("[Test 5] Parsing PubMed efetch XML...");
+    var parsed = parsePubmedArticleSet(SAMPLE_EFETCH_XML)[0];
+    if (parsed.pmid === "12345678" &&
+        parsed.abstractSections.length === 3 &&
+        parsed.abstract.indexOf("RESULTS: HR 0.80") !== -1 &&
+        parsed.abstractSections[1].text === "Patients with BMI >= 27 were randomized." &&
+        parsed.authors.length === 2 &&
+        parsed.authorDetails[0].orcid === "0000-0001-0000-0001" &&
+        parsed.authorDetails[0].affiliations[0] === "Cleveland Clinic, Cleveland, OH." &&
+        parsed.meshHeadings[0].qualifiers[0].name === "drug therapy" &&
+        parsed.publicationTypes.indexOf("Randomized Controlled Trial") !== -1 &&
+        parsed.grants[0].agency === "NHLBI NIH HHS" &&
+        parsed.doi === "10.1056/NEJMoa2307563" &&
+        parsed.pmcId === "PMC1234567" &&
+        parsed.publicationDate.month === 12 && parsed.pubDate === "2023 Dec 14") {
+      console.log("✓ PASS: Structured abstract, authors, MeSH and IDs parsed\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: Parsed article incomplete: " + JSON.stringify(parsed).substring(0, 200) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 6: History Server paging (stubbed eutils)
+  try {
+    console.log("[Test 6] Paging through a History Server result set...");
+    var pager = new PubMedClient({ historyCap: 5 });
+    pager.esearch = async function() {
+      return { count: 12, idlist: [], webenv: "WEBENV", queryKey: "1" };
+    };
+    var requested = [];
+    pager.efetchHistory = async function(webenv, queryKey, retstart, retmax) {
+      requested.push(retstart + ":" + retmax);
+      return SAMPLE_EFETCH_XML;
+    };
+    var paged = await pager.searchPaged("obesity", { pageSize: 2 });
+    if (paged.total === 12 && paged.truncated && requested.join(",") === "0:2,2:2,4:1") {
+      console.log("✓ PASS: Pages requested " + requested.join(", ") + " with cap honoured\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: Unexpected paging " + requested.join(", ") + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 7: Retry/backoff and API key against a fake eutils server
+  try {
+    console.log("[Test 7] Retrying 429/5xx against fake eutils...");
+    var fake = await startFakeEutils([429, 503]);
+    var retrying = new PubMedClient({
+      baseUrl: fake.baseUrl,
+      apiKey: "test-key",
+      tool: "ma-test",
+      retryBaseDelay: 10,
+      limiter: new TokenBucket(100)
+    });
+    var found = await retrying.search("obesity", 5);
+    fake.server.close();
+    var first = fake.requests[0].params;
+
+    // A permanent failure (unresolvable host) surfaces at once; a reset is retried
+    function failingWith(code) {
+      var calls = 0;
+      return withRetry(function() {
+        calls++;
+        var error = new Error("request failed: " + code);
+        error.code = code;
+        throw error;
+      }, { retries: 3, baseDelay: 1 }).catch(function(e) { return { code: e.code, calls: calls }; });
+    }
+    var notFound = await failingWith("ENOTFOUND");
+    var reset = await failingWith("ECONNRESET");
+
+    if (found.length === 1 && found[0].pmid === "12345678" && fake.requests.length === 4 &&
+        first.get("api_key") === "test-key" && first.get("tool") === "ma-test" &&
+        notFound.code === "ENOTFOUND" && notFound.calls === 1 && reset.calls === 4) {
+      console.log("✓ PASS: Recovered after 429 and 503, api_key/tool sent, ENOTFOUND not retried\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + fake.requests.length + " requests, " + found.length + " articles, " +
+        JSON.stringify([notFound, reset]) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 8: Shared token bucket spaces out requests
+  try {
+    console.log("[Test 8] Rate limiting through a shared token bucket...");
+    var limitedFake = await startFakeEutils([]);
+    var bucket = new TokenBucket(5);
+    var clientA = new PubMedClient({ baseUrl: limitedFake.baseUrl, limiter: bucket });
+    var clientB = new PubMedClient({ baseUrl: limitedFake.baseUrl, limiter: bucket });
+    await Promise.all([
+      clientA.esearch("a"), clientB.esearch("b"), clientA.esearch("c"), clientB.esearch("d")
+    ]);
+    limitedFake.server.close();
+    var times = limitedFake.requests.map(function(r) { return r.time; });
+    var span = times[times.length - 1] - times[0];
+    if (span >= 550) {
+      console.log("✓ PASS: 4 requests at 5/s spread over " + span + "ms\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: Requests not rate limited (" + span + "ms)\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 9: Response cache for PubMed and LLM calls
+  try {
+    console.log("[Test 9] Caching PubMed and Venice responses on disk...");
+    var cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-cache-"));
+    var cachedFake = await startFakeEutils([]);
+    var cache = new ResponseCache({ dir: cacheDir });
+    var cachedClient = new PubMedClient({ baseUrl: cachedFake.baseUrl, cache: cache, limiter: new TokenBucket(100) });
+    await cachedClient.search("obesity", 5);
+    var again = await cachedClient.search("obesity", 5);
+    var afterCached = cachedFake.requests.length;
+
+    cachedClient.cache = new ResponseCache({ dir: cacheDir, refresh: true });
+    await cachedClient.search("obesity", 5);
+
+    // History Server sessions expire, so paged searches always go to eutils
+    cachedClient.cache = cache;
+    var beforePaged = cachedFake.requests.length;
+    await cachedClient.searchPaged("obesity", { cap: 1 });
+    await cachedClient.searchPaged("obesity", { cap: 1 });
+    var pagedRequests = cachedFake.requests.length - beforePaged;
+    cachedFake.server.close();
+
+    var llmCalls = 0;
+    var llm = new VeniceClient("test-key", { cache: cache });
+    llm.complete = async function(prompt) { llmCalls++; return "echo: " + prompt; };
+    await llm.generate("hello", { temperature: 0.2 });
+    var llmAgain = await llm.generate("hello", { temperature: 0.2 });
+    await llm.generate("hello", { temperature: 0.9 });
+
+    var stats = cache.stats();
+
+    // A reply that fails its schema is not cached, so the next run asks again
+    var structuredReplies = ["not json", "{\"a\":1}", "{\"a\":1}"];
+    var structuredLlm = new VeniceClient("test-key", { cache: cache });
+    structuredLlm.complete = async function() { return structuredReplies.shift(); };
+    var structuredSchema = { type: "object", required: ["a"], properties: { a: { type: "integer" } } };
+    for (var run = 0; run < 3; run++) {
+      var structured = await structuredLlm.generateStructured("give a", structuredSchema, { temperature: 0 });
+    }
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    if (afterCached === 2 && again[0].pmid === "12345678" && beforePaged === 4 && pagedRequests === 4 &&
+        llmCalls === 2 && llmAgain === "echo: hello" && structuredReplies.length === 0 && structured.a === 1 &&
+        stats.namespaces.pubmed.entries === 2 && stats.namespaces.llm.entries === 2) {
+      console.log("✓ PASS: Cache hits skip eutils/LLM, refresh re-fetches\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: requests=" + cachedFake.requests.length + " llmCalls=" + llmCalls + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 10: Pluggable LLM providers
+  try {
+    console.log("[Test 10] Injecting LLM providers...");
+    var completions = [];
+    var llmServer = http.createServer(function(req, res) {
+      var body = "";
+      req.on("data", function(chunk) { body += chunk; });
+      req.on("end", function() {
+        var payload = JSON.parse(body);
+        completions.push(payload);
+        if (payload.stream) {
+          res.writeHead(200, { "Content-Type": "text/event-stream" });
+          res.write("data: " + JSON.stringify({ choices: [{ delta: { content: "Hello " } }] }) + "\n\n");
+          res.write("data: " + JSON.stringify({ choices: [{ delta: { content: "world" } }] }) + "\n\n");
+          res.end("data: [DONE]\n\n");
+        } else {
+          res.writeHead(200, { "Content-Type": "application/json" });
+          res.end(JSON.stringify({ choices: [{ message: { content: "local:" + payload.model } }] }));
+        }
+      });
+    });
+    await new Promise(function(resolve) { llmServer.listen(0, "127.0.0.1", resolve); });
+    var local = createProvider({
+      provider: "openai",
+      baseUrl: "http://127.0.0.1:" + llmServer.address().port + "/v1",
+      model: "llama-local"
+    });
+    var localText = await local.generate("hi");
+    var streamed = "";
+    for await (var piece of local.stream([{ role: "user", content: "hi" }])) streamed += piece;
+    llmServer.close();
+
+    var mock = new MockProvider({ script: [{ match: "hypotheses", response: "1. Hypothesis: A" }], fallback: "ok" });
+    var workspace = fs.mkdtempSync(path.join(os.tmpdir(), "ma-ws-"));
+    var system = new MultiAgentResearchSystem({ workspace: workspace, provider: mock });
+    var sharedProvider = system.agents.ideation.system.llm.provider === mock;
+    var mockText = await system.llm.generate("generate hypotheses please");
+    fs.rmSync(workspace, { recursive: true, force: true });
+
+    if (local instanceof OpenAICompatibleProvider && localText === "local:llama-local" &&
+        streamed === "Hello world" && sharedProvider && mockText === "1. Hypothesis: A" &&
+        mock.calls.length === 1) {
+      console.log("✓ PASS: OpenAI-compatible and mock providers injected\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: local=" + localText + " streamed=" + streamed + " mock=" + mockText + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 11: Token-budget packing and map-reduce summarization
+  try {
+    console.log("[Test 11] Map-reducing a corpus larger than the context window...");
+    var corpus = [];
+    for (var n = 0; n < 20; n++) {
+      corpus.push({
+        pmid: String(30000000 + n),
+        title: "Trial " + n,
+        pubYear: "2023",
+        abstract: new Array(120).join("semaglutide reduced events ") + "end"
+      });
+    }
+    var packerMock = new MockProvider({ fallback: function(prompt) { return "summary of " + prompt.length + " chars"; } });
+    var packer = new VeniceClient(null, { provider: packerMock, contextWindow: 4096 });
+    await packer.summarizeFindings(corpus);
+    var prompts = packerMock.calls.map(function(c) { return c.messages[0].content; });
+    var finalPrompt = prompts[prompts.length - 1];
+    var withinBudget = prompts.every(function(p) { return p.length / 4 < 4096; });
+
+    var small = new VeniceClient(null, { provider: new MockProvider({ fallback: "ok" }), contextWindow: 65536 });
+    await small.summarizeFindings(corpus.slice(0, 2));
+    var singlePrompt = small.provider.calls[0].messages[0].content;
+
+    // Structured prompts (paper outline) are packed the same way, with every article considered
+    var outlineCorpus = corpus.concat(corpus.map(function(a, k) { return Object.assign({}, a, { pmid: String(31000000 + k) }); }));
+    var outlineMock = new MockProvider({
+      script: [{ match: "planning a medical literature review", response: JSON.stringify({ title: "T", keyTerms: [], keyMessages: ["m"] }) }],
+      fallback: function(prompt) { return "summary of " + prompt.length + " chars"; }
+    });
+    var outlined = await paperOutline(new VeniceClient(null, { provider: outlineMock, contextWindow: 8192 }), "semaglutide", outlineCorpus);
+    var outlinePrompts = outlineMock.calls.map(function(c) { return c.messages[0].content; });
+    var outlineTemperature = outlineMock.calls[outlineMock.calls.length - 1].options.temperature;
+    var tunedMock = new MockProvider({ script: [{ match: "planning a medical literature review", response: JSON.stringify({ title: "T", keyTerms: [], keyMessages: [] }) }] });
+    await paperOutline(new VeniceClient(null, { provider: tunedMock, generation: { paper: { temperature: 0.7 } } }), "semaglutide", corpus.slice(0, 2));
+    var overflow = null;
+    try {
+      await paperOutline(new VeniceClient(null, { provider: outlineMock, contextWindow: 2048 }), "semaglutide", corpus);
+    } catch (e) {
+      overflow = e.code;
+    }
+
+    if (prompts.length > 2 && withinBudget && finalPrompt.indexOf("Evidence batch") !== -1 &&
+        outlined.title === "T" && outlineTemperature === 0.2 && tunedMock.calls[0].options.temperature === 0.7 &&
+        outlinePrompts.every(function(p) { return p.length / 4 < 8192; }) &&
+        outlinePrompts.join("\n").indexOf("[PMID:31000019]") !== -1 &&
+        outlinePrompts[outlinePrompts.length - 1].indexOf("Evidence batch") !== -1 && overflow === "CONTEXT_EXCEEDED" &&
+        small.provider.calls.length === 1 && singlePrompt.indexOf("[PMID:30000000] Trial 0. 2023.") !== -1 &&
+        singlePrompt.indexOf("\"pmid\"") === -1) {
+      console.log("✓ PASS: " + (prompts.length - 1) + " map/merge calls then synthesis, all within budget\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + prompts.length + " calls, withinBudget=" + withinBudget + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 12: Citation grounding in the research workflow
+  try {
+    console.log("[Test 12] Verifying cited PMIDs against retrieved articles...");
+    var groundingFake = await startFakeEutils([]);
+    var outputDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-out-"));
+    var groundedAgent = new MAResearchAgent({
+      outputDir: outputDir,
+      cache: false,
+      provider: new MockProvider({
+        fallback: "Semaglutide reduced cardiovascular events by 20 percent in SELECT [PMID:12345678]. " +
+          "It also cured every patient of diabetes within a single week [PMID:99999999]. " +
+          "Adverse events were mostly gastrointestinal and occurred early in treatment."
+      })
+    });
+    groundedAgent.pubmed = new PubMedClient({ baseUrl: groundingFake.baseUrl, limiter: new TokenBucket(100) });
+    var grounded = await groundedAgent.research("obesity", "summary");
+    groundingFake.server.close();
+    var reportText = grounded.success ? fs.readFileSync(grounded.outputPath, "utf8") : "";
+    fs.rmSync(outputDir, { recursive: true, force: true });
+
+    var cr = grounded.citationReport || {};
+    if (grounded.success && cr.invalidPmids.length === 1 && cr.invalidPmids[0].pmid === "99999999" &&
+        cr.citedSentences === 1 && cr.claimSentences === 3 &&
+        grounded.summary.indexOf("[UNVERIFIED PMID:99999999]") !== -1 &&
+        grounded.summary.indexOf("treatment [citation needed].") !== -1 &&
+        reportText.indexOf("## Citation Verification") !== -1) {
+      console.log("✓ PASS: Unknown PMID flagged, uncited claim marked, coverage reported\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + (grounded.error || JSON.stringify(cr)) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 13: Schema-validated JSON through the multi-agent pipeline
+  try {
+    console.log("[Test 13] Running the multi-agent pipeline with structured output...");
+    var agentFake = await startFakeEutils([]);
+    var agentWorkspace = fs.mkdtempSync(path.join(os.tmpdir(), "ma-ws-"));
+    var hypothesesJson = JSON.stringify({ hypotheses: [{
+      statement: "Semaglutide reduces MACE in obesity without diabetes",
+      importance: "Large unmet need",
+      validation: "Pooled analysis of RCTs",
+      supportingPmids: [12345678, "999"],
+      evidenceGaps: ["Long-term mortality"]
+    }] });
+    var pipelineMock = new MockProvider({ script: [
+      { match: "did not satisfy", response: hypothesesJson },
+      { match: "testable research hypotheses", response: "Here you go: {\"hypotheses\": [", once: true },
+      { match: "senior medical affairs reviewer", response: JSON.stringify({
+        scores: { novelty: 4, testability: 5, clinicalRelevance: 5, evidenceSupport: 4 },
+        rationale: { novelty: "n", testability: "t", clinicalRelevance: "c", evidenceSupport: "e" },
+        closestPmids: ["12345678"], summary: "Worth pursuing"
+      }) },
+      { match: "Design a research methodology", response: JSON.stringify({
+        researchQuestions: ["Does semaglutide reduce MACE?"], dataSources: ["PubMed"],
+        analyticalMethods: ["Meta-analysis"], successCriteria: ["HR < 1"], timeline: "3 months"
+      }) },
+      { match: "Analyze the evidence", response: "```json\n" + JSON.stringify({
+        findings: [{ statement: "MACE reduced by 20%", supportingPmids: ["12345678"], strength: "strong" }],
+        evidenceSufficient: true, negativeResult: false, conclusion: "Supported", limitations: []
+      }) + "\n```" },
+      { match: "short, focused research paper", response: JSON.stringify({
+        title: "Semaglutide and MACE", abstract: "A", introduction: "I", methods: "M",
+        results: "R", discussion: "D", conclusion: "C", citedPmids: ["12345678"]
+      }) }
+    ] });
+    var pipeline = new MultiAgentResearchSystem({
+      workspace: agentWorkspace,
+      provider: pipelineMock,
+      pubmed: new PubMedClient({ baseUrl: agentFake.baseUrl, limiter: new TokenBucket(100) })
+    });
+    var pipelineResult = await pipeline.research("obesity", {});
+    agentFake.server.close();
+    var ideationState = JSON.parse(fs.readFileSync(path.join(pipelineResult.project.dir, "ideation.json"), "utf8"));
+    fs.rmSync(agentWorkspace, { recursive: true, force: true });
+
+    var h = pipelineResult.hypotheses[0];
+    if (h.supportingPmids.join() === "12345678" && h.unverifiedPmids.join() === "999" &&
+        h.evidence[0].pmid === "12345678" && ideationState[0].id === "H1" &&
+        pipelineResult.plans[0].analyticalMethods[0] === "Meta-analysis" &&
+        pipelineResult.results[0].negativeResult === false &&
+        pipelineResult.papers[0].paper.indexOf("# Semaglutide and MACE") === 0) {
+      console.log("✓ PASS: Malformed JSON repaired, typed fields and supporting PMIDs recorded\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + JSON.stringify(h).substring(0, 200) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 14: Hypothesis review gate
+  try {
+    console.log("[Test 14] Gating hypotheses with the reviewer rubric...");
+    var reviewWorkspace = fs.mkdtempSync(path.join(os.tmpdir(), "ma-ws-"));
+    var reviewSystem = new MultiAgentResearchSystem({
+      workspace: reviewWorkspace,
+      provider: new MockProvider({ fallback: function(prompt) {
+        var known = prompt.indexOf("already proven") !== -1;
+        return JSON.stringify({
+          scores: { novelty: known ? 1 : 5, testability: 4, clinicalRelevance: 4, evidenceSupport: known ? 2 : 4 },
+          rationale: { novelty: known ? "Answered by SELECT" : "Open question", testability: "t", clinicalRelevance: "c", evidenceSupport: "e" },
+          closestPmids: ["12345678", "42"],
+          summary: known ? "Already established by PMID 12345678" : "Novel and testable"
+        });
+      } }),
+      review: { threshold: 0.7 }
+    });
+    await reviewSystem.startProject("obesity");
+    var candidates = [
+      { id: "H1", statement: "Semaglutide effect is already proven for MACE", supportingPmids: ["12345678"] },
+      { id: "H2", statement: "Semaglutide reduces heart failure hospitalisation in HFpEF", supportingPmids: ["12345678"] }
+    ];
+    var reviewRecord = await reviewSystem.agents.review.review(candidates, parsePubmedArticleSet(SAMPLE_EFETCH_XML));
+    reviewSystem.writeState("review", reviewRecord);
+    var reviewJson = JSON.parse(fs.readFileSync(path.join(reviewSystem.currentProject.dir, "review.json"), "utf8"));
+    fs.rmSync(reviewWorkspace, { recursive: true, force: true });
+
+    if (candidates[0].passedReview === false && candidates[1].passedReview === true &&
+        reviewJson.rubric.threshold === 0.7 && reviewJson.negativeKnowledge[0].hypothesisId === "H1" &&
+        reviewJson.reviews[0].rationale.novelty === "Answered by SELECT" &&
+        reviewJson.reviews[1].closestPmids.join() === "12345678") {
+      console.log("✓ PASS: Known hypothesis rejected with rationale, novel one accepted\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + JSON.stringify(reviewJson.reviews.map(function(r) { return r.score; })) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 15: Checkpointed, resumable multi-agent projects
+  try {
+    console.log("[Test 15] Resuming a project after a mid-phase failure...");
+    var resumeFake = await startFakeEutils([]);
+    var resumeWorkspace = fs.mkdtempSync(path.join(os.tmpdir(), "ma-ws-"));
+    var writingCalls = 0;
+    var failWriting = true;
+    var resumeScript = [
+      { match: "testable research hypotheses", response: JSON.stringify({ hypotheses: [
+        { statement: "Hypothesis one about semaglutide", importance: "i", validation: "v", supportingPmids: ["12345678"] },
+        { statement: "Hypothesis two about tirzepatide", importance: "i", validation: "v", supportingPmids: ["12345678"] }
+      ] }) },
+      { match: "senior medical affairs reviewer", response: JSON.stringify({
+        scores: { novelty: 5, testability: 5, clinicalRelevance: 5, evidenceSupport: 5 },
+        rationale: { novelty: "n", testability: "t", clinicalRelevance: "c", evidenceSupport: "e" }, summary: "ok"
+      }) },
+      { match: "Design a research methodology", response: JSON.stringify({
+        researchQuestions: ["q"], dataSources: [], analyticalMethods: [], successCriteria: []
+      }) },
+      { match: "Analyze the evidence", response: JSON.stringify({
+        findings: [], evidenceSufficient: false, negativeResult: true, conclusion: "Insufficient"
+      }) },
+      { match: "short, focused research paper", response: function() {
+        writingCalls++;
+        if (failWriting && writingCalls === 2) throw new Error("provider down");
+        return JSON.stringify({ title: "Paper " + writingCalls, abstract: "a", introduction: "i", methods: "m",
+          results: "r", discussion: "d", conclusion: "c" });
+      } }
+    ];
+    var resumeMock = new MockProvider({ script: resumeScript });
+    var resumeOptions = {
+      workspace: resumeWorkspace,
+      provider: resumeMock,
+      pubmed: new PubMedClient({ baseUrl: resumeFake.baseUrl, limiter: new TokenBucket(100) })
+    };
+    var firstRun = new MultiAgentResearchSystem(resumeOptions);
+    var firstError = null;
+    try {
+      await firstRun.research("obesity", {});
+    } catch (e) {
+      firstError = e.message;
+    }
+    var projectId = firstRun.currentProject.id;
+    var callsBeforeResume = resumeMock.calls.length;
+
+    failWriting = false;
+    var resumed = await new MultiAgentResearchSystem(resumeOptions).resume(projectId);
+    var resumeCalls = resumeMock.calls.length - callsBeforeResume;
+
+    var rerun = await new MultiAgentResearchSystem(resumeOptions).rerunPhase(projectId, "writing");
+    var rerunCalls = resumeMock.calls.length - callsBeforeResume - resumeCalls;
+    var listed = new MultiAgentResearchSystem(resumeOptions).listProjects();
+    resumeFake.server.close();
+    fs.rmSync(resumeWorkspace, { recursive: true, force: true });
+
+    if (firstError === "provider down" && resumeCalls === 1 && resumed.papers.length === 2 &&
+        resumed.papers[0].sections.title === "Paper 1" && resumed.papers[1].sections.title === "Paper 3" &&
+        rerunCalls === 2 && rerun.papers[0].sections.title === "Paper 4" &&
+        listed[0].progress.lastCompleted === "writing" && resumeFake.requests.length === 2) {
+      console.log("✓ PASS: Resume redid only the failed paper; rerun regenerated papers only\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: error=" + firstError + " resumeCalls=" + resumeCalls + " rerunCalls=" + rerunCalls + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 16: MLR review workflow (offline)
+  try {
+    console.log("[Test 16] Routing generated material through MLR review...");
+    var reviewRoot = fs.mkdtempSync(path.join(os.tmpdir(), "ma-review-"));
+    var draftPath = path.join(reviewRoot, "briefing.md");
+    fs.writeFileSync(draftPath, "# Briefing\n\nDrug X reduced HbA1c.\n");
+    var store = new ReviewStore(path.join(reviewRoot, "reviews"));
+
+    var item = store.create(draftPath, { title: "Briefing", kind: "kol-briefing" });
+    store.submit(item.id, ReviewStore.SYSTEM_AUTHOR);
+    var blockedEarly = null;
+    try {
+      store.exportItem(item.id, path.join(reviewRoot, "approved"));
+    } catch (e) {
+      blockedEarly = e.code;
+    }
+
+    store.approve(item.id, "dr.med", "medical");
+    store.approve(item.id, "counsel", "legal", "Add fair-balance statement");
+    fs.writeFileSync(draftPath, "# Briefing\n\nDrug X reduced HbA1c versus placebo.\n\nSee full prescribing information.\n");
+    store.revise(item.id, draftPath, "writer", "Fair balance added");
+    var afterRevise = store.load(item.id);
+    var diff = store.diff(item.id);
+
+    store.submit(item.id, "writer");
+    var selfReview = null;
+    try {
+      store.approve(item.id, "writer", "medical");
+    } catch (e) {
+      selfReview = e.code;
+    }
+    store.approve(item.id, "dr.med", "medical");
+    var duplicate = null;
+    try {
+      store.approve(item.id, "dr.med", "legal");
+    } catch (e) {
+      duplicate = e.code;
+    }
+    store.approve(item.id, "counsel", "legal");
+    var beforeLast = store.load(item.id).state;
+    var approved = store.approve(item.id, "ra.lead", "regulatory");
+    var exported = store.exportItem(item.id, path.join(reviewRoot, "approved"));
+    var exportedText = fs.readFileSync(exported, "utf8");
+    var approval = JSON.parse(fs.readFileSync(exported + ".approval.json", "utf8"));
+
+    // An unidentified author is still the author
+    var anonymous = store.create(draftPath, { title: "Anonymous draft" }, "unknown");
+    store.submit(anonymous.id, "unknown");
+    var anonymousSelfReview = null;
+    try {
+      store.approve(anonymous.id, "unknown", "medical");
+    } catch (e) {
+      anonymousSelfReview = e.code;
+    }
+    fs.rmSync(reviewRoot, { recursive: true, force: true });
+
+    if (blockedEarly === "NOT_APPROVED" && afterRevise.state === "draft" && afterRevise.revisions.length === 2 &&
+        diff.indexOf("- Drug X reduced HbA1c.") !== -1 && diff.indexOf("+ See full prescribing information.") !== -1 &&
+        selfReview === "SELF_REVIEW" && duplicate === "DUPLICATE_REVIEWER" && anonymousSelfReview === "SELF_REVIEW" &&
+        beforeLast === "in-review" && approved.state === "approved" &&
+        exportedText.indexOf("placebo") !== -1 && approval.revision === 2 && approval.approvals.length === 3) {
+      console.log("✓ PASS: Export blocked until medical, legal and regulatory approved the current revision\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: blocked=" + blockedEarly + " state=" + approved.state + " selfReview=" + selfReview + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 17: Hash-chained audit trail (offline)
+  try {
+    console.log("[Test 17] Recording a research run in the audit log...");
+    var auditFake = await startFakeEutils([]);
+    var auditOut = fs.mkdtempSync(path.join(os.tmpdir(), "ma-out-"));
+    var auditedAgent = new MAResearchAgent({
+      outputDir: auditOut,
+      cache: false,
+      operator: "qa.tester",
+      review: false,
+      provider: new MockProvider({ fallback: "Semaglutide reduced weight in adults with obesity [PMID:12345678]." })
+    });
+    auditedAgent.pubmed = new PubMedClient({ baseUrl: auditFake.baseUrl, limiter: new TokenBucket(100), audit: auditedAgent.audit });
+    var audited = await auditedAgent.research("obesity", "summary");
+    auditFake.server.close();
+
+    var auditDir = path.join(auditOut, "audit");
+    var events = AuditLog.read(auditDir, audited.auditRun);
+    var types = events.map(function(e) { return e.type; });
+    var search = events.find(function(e) { return e.type === "pubmed.search"; });
+    var llmCall = events.find(function(e) { return e.type === "llm.call"; });
+    var written = events.find(function(e) { return e.type === "file.write"; });
+    var checksum = require("crypto").createHash("sha256").update(fs.readFileSync(audited.outputPath)).digest("hex");
+    var intact = AuditLog.verify(auditDir, audited.auditRun);
+
+    // Tamper with one event: the chain must break at that line
+    var logFile = path.join(auditDir, audited.auditRun + ".jsonl");
+    fs.chmodSync(logFile, 0o644);
+    fs.writeFileSync(logFile, fs.readFileSync(logFile, "utf8").replace("qa.tester", "someone.else"));
+    var tampered = AuditLog.verify(auditDir, audited.auditRun);
+    var exported = fs.readFileSync(AuditLog.exportRun(auditDir, audited.auditRun, path.join(auditOut, "audit.md")), "utf8");
+
+    // Values JSON cannot hold are hashed as they are written, so the log still verifies
+    var oddLog = new AuditLog({ dir: auditDir, operator: "qa.tester" });
+    var oddRun = oddLog.start({ options: { confirmQuery: function() {}, since: new Date(0), list: [1, undefined] } });
+    oddLog.end("success");
+    var odd = AuditLog.verify(auditDir, oddRun);
+    fs.rmSync(auditOut, { recursive: true, force: true });
+
+    if (types[0] === "run.start" && types[types.length - 1] === "run.end" && events[0].operator === "qa.tester" &&
+        search && search.data.pmids.indexOf("12345678") !== -1 &&
+        llmCall && llmCall.data.provider === "mock" && llmCall.data.prompt.indexOf("[PMID:12345678]") !== -1 &&
+        typeof llmCall.data.latencyMs === "number" && written && written.data.sha256 === checksum &&
+        intact.valid && intact.complete && !tampered.valid && tampered.errors[0].line === 1 &&
+        exported.indexOf("CHAIN BROKEN") !== -1 && odd.valid) {
+      console.log("✓ PASS: Queries, PMIDs, prompts and file checksums chained; tampering detected\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: events=" + types.join(",") + " intact=" + JSON.stringify(intact) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 18: Promotional-compliance screening (offline)
+  try {
+    console.log("[Test 18] Screening generated content against compliance rules...");
+    var rules = loadRules();
+    var draft = "Ozempic is the best therapy for obesity and is safer than tirzepatide.\n" +
+      "Semaglutide also improved outcomes in heart failure in an observational cohort.\n" +
+      "Semaglutide was superior to placebo for weight loss in adults with obesity [PMID:12345678].";
+    var screened = checkText(draft, rules);
+    var ids = screened.findings.map(function(f) { return f.ruleId; });
+    var annotated = annotateText(draft, screened);
+
+    var balanced = checkText("Semaglutide reduced weight in obesity [PMID:12345678]. Gastrointestinal adverse events " +
+      "were the most common reason for discontinuation. For scientific exchange only; refer to the full prescribing information.", rules);
+
+    var rulesDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-rules-"));
+    fs.writeFileSync(path.join(rulesDir, "bad.json"), JSON.stringify({ rules: [{ id: "X", type: "pattern", severity: "urgent", message: "m" }] }));
+    var badRules = null;
+    try {
+      loadRules(path.join(rulesDir, "bad.json"));
+    } catch (e) {
+      badRules = e.code;
+    }
+    fs.rmSync(rulesDir, { recursive: true, force: true });
+
+    if (ids.indexOf("PROMO-SUPERLATIVE") !== -1 && ids.indexOf("COMPARATIVE-UNSUPPORTED") !== -1 &&
+        ids.indexOf("OFF-LABEL") !== -1 && ids.indexOf("FAIR-BALANCE") !== -1 && ids.indexOf("DISCLAIMER") !== -1 &&
+        screened.findings[0].severity === "critical" && !screened.passed &&
+        screened.findings.filter(function(f) { return f.ruleId === "COMPARATIVE-UNSUPPORTED"; }).length === 1 &&
+        annotated.indexOf("heart failure [COMPLIANCE CRITICAL: OFF-LABEL]") !== -1 &&
+        annotated.indexOf("best [COMPLIANCE HIGH: PROMO-SUPERLATIVE]") !== -1 &&
+        formatComplianceReport(screened).indexOf("REQUIRES REVISION") !== -1 &&
+        balanced.passed && balanced.findings.length === 0 && badRules === "INVALID_RULES") {
+      console.log("✓ PASS: Superlative, uncited comparative, off-label and missing fair balance flagged inline\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + ids.join(", ") + " | balanced=" + JSON.stringify(balanced.findings.map(function(f) { return f.ruleId; })) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 19: Declarative CLI parsing (offline)
+  try {
+    console.log("[Test 19] Parsing typed command-line options...");
+    var parsedCli = cliProgram.parse(["competitive", "type", "2", "diabetes", "--recent", "3", "--drugs", "semaglutide,tirzepatide",
+      "--max=all", "--focus", "safety,efficacy", "--phase", "3", "--no-cache"]);
+    var mapped = researchOptionsFrom(parsedCli.options, "competitive");
+
+    function usageCode(argv) {
+      try {
+        cliProgram.parse(argv);
+        return null;
+      } catch (e) {
+        return e.code + ":" + e.message;
+      }
+    }
+    var unknownOption = usageCode(["research", "obesity", "--recnt", "3"]);
+    var badInt = usageCode(["research", "obesity", "--recent", "three"]);
+    var missingQuery = usageCode(["search"]);
+    var noDrugs = null;
+    try {
+      researchOptionsFrom(cliProgram.parse(["competitive", "obesity"]).options, "competitive");
+    } catch (e) {
+      noDrugs = e.code;
+    }
+
+    var printed = [];
+    var tiny = new Program({ name: "tiny.js", options: [{ name: "json", type: "boolean" }] });
+    tiny.command("check", {
+      args: [{ name: "file", required: true }],
+      run: function(ctx) {
+        ctx.exitCode = EXIT.CHECK_FAILED;
+        return { file: ctx.args.file };
+      }
+    });
+    var originalLog = console.log;
+    var originalError = console.error;
+    console.log = function(line) { printed.push(line); };
+    console.error = function(line) { printed.push(line); };
+    var checkCode = await tiny.run(["check", "a.md", "--json"]);
+    var usageExit = await tiny.run(["check"]);
+    console.log = originalLog;
+    console.error = originalError;
+
+    if (parsedCli.command.name === "competitive" && parsedCli.args.query === "type 2 diabetes" &&
+        mapped.recentYears === 3 && mapped.drugs.join() === "semaglutide,tirzepatide" && mapped.maxResults === "all" &&
+        mapped.focusAreas.length === 2 && mapped.clinicalOnly && mapped.phase === "\"Clinical Trial, Phase III\"" &&
+        parsedCli.options.cache === false && unknownOption.indexOf("did you mean --recent") !== -1 &&
+        badInt.indexOf("USAGE") === 0 && missingQuery.indexOf("<query>") !== -1 && noDrugs === "USAGE" &&
+        checkCode === EXIT.CHECK_FAILED && JSON.parse(printed[0]).result.file === "a.md" && usageExit === EXIT.USAGE &&
+        cliProgram.help(cliProgram.commands.research).indexOf("--drugs <a,b,c>") !== -1) {
+      console.log("✓ PASS: Flag values kept out of the query; typed, validated options and exit codes\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: query=\"" + parsedCli.args.query + "\" " + JSON.stringify(mapped) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 20: JSON / NDJSON output with progress on stderr
+  try {
+    console.log("[Test 20] Structured output on stdout, progress on stderr...");
+    var streamFake = await startFakeEutils([]);
+    var streamAgent = new MAResearchAgent({ cache: false, audit: false, outputDir: fs.mkdtempSync(path.join(os.tmpdir(), "ma-stream-")) });
+    streamAgent.pubmed = new PubMedClient({ baseUrl: streamFake.baseUrl, limiter: new TokenBucket(100) });
+
+    var stdoutLines = [];
+    var stderrText = "";
+    var originalStdout = process.stdout.write;
+    var originalStderr = process.stderr.write;
+    process.stdout.write = function(chunk) {
+      stdoutLines = stdoutLines.concat(String(chunk).split("\n").filter(Boolean));
+      return true;
+    };
+    process.stderr.write = function(chunk) {
+      stderrText += String(chunk);
+      return true;
+    };
+
+    var streamer = new Program({ name: "stream.js" });
+    streamer.command("search", {
+      args: [{ name: "query", required: true, variadic: true }],
+      run: function(ctx) {
+        return streamAgent.quickSearch(ctx.args.query, 5, {
+          onArticles: function(articles) {
+            articles.forEach(function(article) { ctx.emit("article", article); });
+          }
+        });
+      }
+    });
+    streamer.command("fail", {
+      run: function() {
+        var error = new Error("boom");
+        error.code = "BOOM";
+        throw error;
+      }
+    });
+
+    var ndjsonExit = await streamer.run(["search", "semaglutide", "--ndjson"]);
+    var ndjsonLines = stdoutLines.splice(0);
+    var progressLogged = stderrText.indexOf("Searching PubMed for: semaglutide") !== -1;
+    stderrText = "";
+    var jsonExit = await streamer.run(["search", "semaglutide", "--json", "--quiet"]);
+    var jsonOut = JSON.parse(stdoutLines.splice(0).join("\n"));
+    var quietStderr = stderrText;
+    var failExit = await streamer.run(["fail", "--json"]);
+    var failOut = JSON.parse(stdoutLines.splice(0).join("\n"));
+
+    process.stdout.write = originalStdout;
+    process.stderr.write = originalStderr;
+    streamFake.server.close();
+
+    var records = ndjsonLines.map(function(line) { return JSON.parse(line); });
+    var last = records[records.length - 1];
+    if (ndjsonExit === 0 && records.length === 2 && records[0].type === "article" && records[0].pmid === "12345678" &&
+        last.type === "end" && last.records === 1 && typeof last.timing.durationMs === "number" && progressLogged &&
+        jsonExit === 0 && jsonOut.ok && jsonOut.result[0].abstract && quietStderr === "" && !log.isQuiet() &&
+        failExit === EXIT.ERROR && failOut.ok === false && failOut.error.code === "BOOM") {
+      console.log("✓ PASS: NDJSON article stream + end record, JSON envelope, errors structured, --quiet silences stderr\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + JSON.stringify({ ndjson: ndjsonLines, quietStderr: quietStderr, fail: failOut }) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 21: Layered configuration and profiles
+  try {
+    console.log("[Test 21] Resolving defaults < file < profile < env < flags...");
+    var configDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-config-"));
+    var configFile = path.join(configDir, "ma-research.config.json");
+    fs.writeFileSync(configFile, JSON.stringify({
+      llm: { provider: "mock", model: "file-model" },
+      filters: { maxResults: 25 },
+      profiles: {
+        "mi-desk": {
+          llm: { model: "profile-model" },
+          generation: { "medical-info": { temperature: 0.1 } },
+          filters: { recentYears: 10 },
+          output: { dir: path.join(configDir, "mi"), formats: { slides: "txt" } },
+          compliance: { products: ["semaglutide"] }
+        }
+      }
+    }));
+
+    var resolved = loadConfig({
+      file: configFile,
+      profile: "mi-desk",
+      env: { LLM_MODEL: "env-model", LLM_API_KEY: "sk-secret-1234", OUTPUT_DIR: path.join(configDir, "env-out") },
+      overrides: { filters: { recentYears: 2 }, cache: { enabled: false } }
+    });
+    var shown = {};
+    describeConfig(resolved).forEach(function(entry) { shown[entry.key] = entry; });
+
+    function configErrorCode(options) {
+      try {
+        loadConfig(Object.assign({ env: {} }, options));
+        return null;
+      } catch (e) {
+        return e.code;
+      }
+    }
+    fs.writeFileSync(path.join(configDir, "bad.json"), JSON.stringify({ filters: { maxResult: 5 } }));
+    var unknownProfile = configErrorCode({ file: configFile, profile: "nope" });
+    var invalidFile = configErrorCode({ file: path.join(configDir, "bad.json") });
+    var badMaxFile = path.join(configDir, "bad-max.json");
+    fs.writeFileSync(badMaxFile, JSON.stringify({ filters: { maxResults: "all" }, profiles: { wide: { filters: { maxResults: "lots" } } } }));
+    var badMax = null;
+    try {
+      loadConfig({ env: {}, file: badMaxFile });
+    } catch (e) {
+      badMax = e.message;
+    }
+
+    // No-argument construction used to crash on options.veniceApiKey
+    var bareAgent = new MAResearchAgent();
+    var configuredAgent = new MAResearchAgent({ config: resolved, provider: new MockProvider({ fallback: "ok" }) });
+    await configuredAgent.venice.generateMedicalInfoResponse("dose?", []);
+    var miCall = configuredAgent.venice.provider.calls[0].options;
+
+    if (resolved.llm.model === "env-model" && resolved.sources["llm.model"] === "env" &&
+        resolved.filters.maxResults === 25 && resolved.sources["filters.maxResults"] === "file" &&
+        resolved.filters.recentYears === 2 && resolved.sources["filters.recentYears"] === "cli" &&
+        resolved.output.dir === path.join(configDir, "env-out") && resolved.output.formats.slides === "txt" &&
+        resolved.sources["output.formats.slides"] === "profile:mi-desk" && resolved.cache.enabled === false &&
+        shown["llm.apiKey"].value === "****1234" && unknownProfile === "UNKNOWN_PROFILE" && invalidFile === "INVALID_CONFIG" &&
+        badMax !== null && badMax.indexOf(badMaxFile) !== -1 &&
+        badMax.indexOf("$.profiles.wide.filters.maxResults: must be an integer >= 1 or \"all\" (got \"lots\")") !== -1 &&
+        bareAgent.config.filters.maxResults === 15 && configuredAgent.output.outputDir === path.join(configDir, "env-out") &&
+        miCall.temperature === 0.1 && miCall.maxTokens === 1000) {
+      console.log("✓ PASS: Each layer overrides the previous, sources recorded, secrets masked, bad config rejected\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + JSON.stringify({ model: resolved.llm.model, sources: resolved.sources, unknownProfile: unknownProfile,
+        invalidFile: invalidFile, badMax: badMax, miCall: miCall }) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 22: DOCX export
+  try {
+    console.log("[Test 22] Rendering Markdown outputs as DOCX...");
+    var docxDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-docx-"));
+    var docxOutput = new OutputGenerator(docxDir, { docx: { company: "Acme Pharma", headingColor: "#123456" } });
+    var docxPath = await docxOutput.generateMedicalInfoResponse("Semaglutide & renal dosing", [
+      { pmid: "111", title: "Renal outcomes.", authors: ["Smith J", "Lee K"], journal: "N Engl J Med", pubDate: "2024 Mar" },
+      { pmid: "222", title: "Dose adjustment", authors: [], journal: "Lancet", pubDate: "2023" }
+    ], "1. No dose adjustment is needed [PMID:111].\n2. Monitor **renal function** [PMID:222].", null, {
+      findings: [{ ruleId: "DISCLAIMER", category: "disclaimer", severity: "medium", message: "Missing disclaimer", suggestion: "Add one",
+        match: null, excerpt: null }],
+      counts: { critical: 0, high: 0, medium: 1, low: 0 }, passed: true, rulesSource: null
+    }, { format: "docx", documentId: "MA-TEST-0001" });
+
+    var docxZip = await JSZip.loadAsync(fs.readFileSync(docxPath));
+    var documentPart = await docxZip.file("word/document.xml").async("string");
+    var headerPart = await docxZip.file("word/header1.xml").async("string");
+    var footerPart = await docxZip.file("word/footer1.xml").async("string");
+    var stylesPart = await docxZip.file("word/styles.xml").async("string");
+    var numberingPart = await docxZip.file("word/numbering.xml").async("string");
+
+    // A company template's styles replace the generated ones
+    var templateZip = new JSZip();
+    templateZip.file("word/styles.xml", "<w:styles xmlns:w=\"urn:test\"><!-- acme template --></w:styles>");
+    var templatePath = path.join(docxDir, "acme.dotx");
+    fs.writeFileSync(templatePath, await templateZip.generateAsync({ type: "nodebuffer" }));
+    var templated = await JSZip.loadAsync(await markdownToDocx("# Title\n\nBody", { template: templatePath }));
+    var templatedStyles = await templated.file("word/styles.xml").async("string");
+
+    if (/\.docx$/.test(docxPath) && documentPart.indexOf("<w:pStyle w:val=\"Title\"/>") !== -1 &&
+        documentPart.indexOf("<w:pStyle w:val=\"Heading2\"/>") !== -1 && documentPart.indexOf("<w:tbl>") !== -1 &&
+        documentPart.indexOf("Semaglutide &amp; renal dosing") !== -1 && documentPart.indexOf("<w:numId w:val=\"3\"/>") !== -1 &&
+        documentPart.indexOf("Smith J, Lee K. Renal outcomes. N Engl J Med. 2024. PMID: 111") !== -1 &&
+        /<w:b\/><\/w:rPr><w:t xml:space="preserve">renal function/.test(documentPart) &&
+        headerPart.indexOf("Acme Pharma") !== -1 && headerPart.indexOf("MA-TEST-0001") !== -1 &&
+        footerPart.indexOf("NUMPAGES") !== -1 && stylesPart.indexOf("123456") !== -1 &&
+        numberingPart.indexOf("<w:startOverride w:val=\"1\"/>") !== -1 && templatedStyles.indexOf("acme template") !== -1) {
+      console.log("✓ PASS: Headings, numbered references, tables, header/footer IDs and template styles in DOCX\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + documentPart.substring(0, 400) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 23: HTML and PDF export
+  try {
+    console.log("[Test 23] Rendering standalone HTML and printing PDF...");
+    var htmlDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-html-"));
+    var themePath = path.join(htmlDir, "acme.css");
+    fs.writeFileSync(themePath, ":root { --ma-accent: #00558c; }");
+    var pdfCalls = [];
+    var fakeLaunch = async function(launchOptions) {
+      var requests = [];
+      return {
+        newPage: async function() {
+          return {
+            setRequestInterception: async function() {},
+            on: function(event, handler) { requests.push(handler); },
+            setContent: async function(html) { pdfCalls.push({ launch: launchOptions, html: html }); },
+            pdf: async function(pdfOptions) {
+              pdfCalls[pdfCalls.length - 1].pdf = pdfOptions;
+              fs.writeFileSync(pdfOptions.path, "%PDF-1.4 fake");
+            }
+          };
+        },
+        close: async function() {}
+      };
+    };
+    var htmlOutput = new OutputGenerator(htmlDir, {
+      docx: { company: "Acme Pharma" },
+      html: { theme: themePath, confidentiality: "Acme confidential" },
+      pdf: { paperSize: "Letter", launch: fakeLaunch }
+    });
+    var htmlArticles = [
+      { pmid: "111", title: "Renal outcomes.", authors: ["Smith J"], journal: "N Engl J Med", pubDate: "2024", doi: "10.1056/NEJMoa2307563" }
+    ];
+    var htmlPath = await htmlOutput.generateKOLBriefing("Semaglutide <renal>", htmlArticles,
+      "## Background\n\nEfficacy was shown [PMID:111].\n\n## Gaps\n\n- Long-term data", null, null,
+      { format: "html", documentId: "MA-TEST-0002" });
+    var page = fs.readFileSync(htmlPath, "utf8");
+    var pdfPath = await htmlOutput.generateMedicalInfoResponse("Dosing", htmlArticles, "Answer [PMID:111].", null, null,
+      { format: "pdf", documentId: "MA-TEST-0003" });
+    var slidesPath = await htmlOutput.generateSlidesDocument("Dosing", htmlArticles, "Summary", { format: "pdf" });
+
+    // Without a working Chromium the PDF falls back to HTML
+    var brokenOutput = new OutputGenerator(htmlDir, {
+      pdf: { launch: async function() { throw new Error("Failed to launch the browser process!"); } }
+    });
+    log.setQuiet(true);
+    var fallbackPath;
+    try {
+      fallbackPath = await brokenOutput.generateReport("Dosing", htmlArticles, "Summary", "summary", null, null, { format: "pdf" });
+    } finally {
+      log.setQuiet(false);
+    }
+    var bareHtml = markdownToHtml("# Only\n\nText", {});
+
+    var firstPdf = pdfCalls[0] || { pdf: {} };
+    if (/\.html$/.test(htmlPath) && page.indexOf("<style>") !== -1 && !/<link|<script|@import|url\(/i.test(page) &&
+        page.indexOf("<title>Semaglutide &lt;renal&gt;</title>") !== -1 &&
+        page.indexOf("<a class=\"cite\" href=\"https://pubmed.ncbi.nlm.nih.gov/111/\">[PMID:111]</a>") !== -1 &&
+        page.indexOf("<a href=\"https://doi.org/10.1056/NEJMoa2307563\">") !== -1 &&
+        page.indexOf("<nav class=\"toc\">") !== -1 && page.indexOf("<a href=\"#background\">Background</a>") !== -1 &&
+        page.indexOf("id=\"background\"") !== -1 && page.indexOf("--ma-accent: #00558c") > page.indexOf("--ma-accent: #1f3864") &&
+        page.indexOf("Acme confidential") !== -1 && page.indexOf("Acme Pharma") !== -1 && page.indexOf("MA-TEST-0002") !== -1 &&
+        /\.pdf$/.test(pdfPath) && fs.existsSync(pdfPath) && firstPdf.pdf.displayHeaderFooter === true &&
+        firstPdf.pdf.format === "Letter" && /class="pageNumber"/.test(firstPdf.pdf.footerTemplate) &&
+        /class="totalPages"/.test(firstPdf.pdf.footerTemplate) && firstPdf.pdf.footerTemplate.indexOf("Acme confidential") !== -1 &&
+        firstPdf.pdf.headerTemplate.indexOf("MA-TEST-0003") !== -1 &&
+        /\.pdf$/.test(slidesPath) && pdfCalls[1].pdf.landscape === true && pdfCalls[1].html.indexOf("<section class=\"slide\">") !== -1 &&
+        /\.html$/.test(fallbackPath) && bareHtml.indexOf("<nav class=\"toc\">") === -1) {
+      console.log("✓ PASS: Self-contained HTML with linked citations, TOC and theme; PDF header/footer; HTML fallback\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + page.substring(page.indexOf("<body"), page.indexOf("<body") + 600) + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 24: Citation styles and reference exports
+  try {
+    console.log("[Test 24] Formatting references in Vancouver, AMA, APA and NLM and exporting .bib/.ris...");
+    var cited = parsePubmedArticleSet(SAMPLE_EFETCH_XML)[0];
+    var vancouverRef = formatCitation(cited);
+    var amaRef = formatCitation(cited, "ama");
+    var apaRef = formatCitation(cited, "apa");
+    var nlmRef = formatCitation(cited, "nlm");
+    var sevenAuthors = { pmid: "42", title: "Trial", authors: ["Ahn J", "Baker K", "Chen L", "Diaz M", "Evans N", "Fox O", "Gray P"],
+      journal: "Lancet", pubDate: "2020", volume: "395", pages: "1234-9" };
+    var isoOnly = Object.assign({}, cited, { journalAbbrev: "N. Engl. J. Med." });
+    var bib = toBibTeX([cited, { pmid: "7", title: "R&D 50% {costs}", authors: ["Smith J"] }]);
+    var ris = toRIS([cited]);
+
+    var refDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-refs-"));
+    var refOutput = new OutputGenerator(refDir, { citationStyle: "ama" });
+    var refPath = await refOutput.generateMedicalInfoResponse("Dosing", [cited, sevenAuthors], "Answer [PMID:12345678].", null, null);
+    var refBase = refPath.replace(/\.md$/, "");
+    var refDoc = fs.readFileSync(refPath, "utf8");
+
+    var styleError = null;
+    try {
+      new OutputGenerator(refDir, { citationStyle: "harvard" });
+    } catch (e) {
+      styleError = e;
+    }
+    fs.writeFileSync(path.join(refDir, "empty.json"), "{}");
+    var styleConfig = loadConfig({ file: path.join(refDir, "empty.json"), overrides: configOverrides({ citationStyle: "apa" }), env: {} });
+
+    if (vancouverRef === "Lincoff AM, SELECT Trial Investigators. Semaglutide and Cardiovascular Outcomes in Obesity without Diabetes. " +
+          "N Engl J Med. 2023;389(24):2221-2232. doi: 10.1056/NEJMoa2307563. PMID: 12345678." &&
+        amaRef.indexOf("*N Engl J Med*. 2023;389(24):2221-2232. PMID: 12345678. doi:10.1056/NEJMoa2307563") !== -1 &&
+        apaRef.indexOf("Lincoff, A. M., & SELECT Trial Investigators. (2023).") === 0 &&
+        apaRef.indexOf("*The New England journal of medicine*, *389*(24), 2221–2232.") !== -1 &&
+        /https:\/\/doi\.org\/10\.1056\/NEJMoa2307563$/.test(apaRef) &&
+        nlmRef.indexOf("N Engl J Med. 2023 Dec 14;389(24):2221-2232.") !== -1 && /PMCID: PMC1234567\.$/.test(nlmRef) &&
+        cited.source === "N. Engl. J. Med." && formatCitation(isoOnly).indexOf(" N Engl J Med. 2023;") !== -1 &&
+        formatCitation(isoOnly, "ama").indexOf("*N Engl J Med*. 2023") !== -1 &&
+        formatCitation(sevenAuthors).indexOf("Ahn J, Baker K, Chen L, Diaz M, Evans N, Fox O, et al. Trial.") === 0 &&
+        formatCitation(sevenAuthors, "ama").indexOf("Ahn J, Baker K, Chen L, et al. Trial. *Lancet*. 2020;395:1234-1239.") === 0 &&
+        bib.indexOf("@article{PMID12345678,") !== -1 && bib.indexOf("author = {Lincoff, A Michael and {SELECT Trial Investigators}}") !== -1 &&
+        bib.indexOf("pages = {2221--2232}") !== -1 && bib.indexOf("month = dec") !== -1 && bib.indexOf("{R\\&D 50\\% \\{costs\\}}") !== -1 &&
+        ris.indexOf("TY  - JOUR\r\nAU  - Lincoff, A Michael\r\n") === 0 && ris.indexOf("SP  - 2221\r\nEP  - 2232") !== -1 &&
+        ris.indexOf("DO  - 10.1056/NEJMoa2307563") !== -1 && /ER  - \r\n$/.test(ris) &&
+        refDoc.indexOf("2. Ahn J, Baker K, Chen L, et al. Trial. *Lancet*.") !== -1 &&
+        fs.existsSync(refBase + ".bib") && fs.existsSync(refBase + ".ris") &&
+        fs.readFileSync(refBase + ".ris", "utf8").split("ER  - ").length === 3 &&
+        styleError && styleError.code === "UNKNOWN_CITATION_STYLE" &&
+        styleConfig.citations.style === "apa" && styleConfig.sources["citations.style"] === "cli") {
+      console.log("✓ PASS: Author truncation, volume/issue/pages and DOI per style; .bib and .ris written with the deliverable\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + [vancouverRef, amaRef, apaRef, nlmRef].join("\n") + "\n");
+      failed++;
+    }
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 25: AI-written literature review paper
+  try {
+    console.log("[Test 25] Writing a full paper section by section from the actual search...");
+    var paperFake = await startFakeEutils([]);
+    var paperDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-paper-"));
+    var paperProvider = new MockProvider({
+      script: [
+        { match: "planning a medical literature review", response: JSON.stringify({
+          title: "Semaglutide and Cardiovascular Outcomes in Obesity: A Review",
+          keyTerms: [{ term: "major adverse cardiovascular events", abbreviation: "MACE" }],
+          keyMessages: ["Semaglutide lowered MACE in SELECT"]
+        }) },
+        { match: "Write the Introduction section", response: "Obesity raises cardiovascular risk in adults [PMID:12345678]." },
+        { match: "Write the Methods section", response: "We searched PubMed on the stated date." },
+        { match: "Write the Results section", response: "MACE fell by 20 percent with semaglutide [PMID:12345678]. " +
+          "Weight fell by 30 percent in one cohort [PMID:99999999]." },
+        { match: "Write the Discussion section", response: "These findings support semaglutide in obesity [PMID:12345678]." },
+        { match: "Write a short Conclusions section", response: "Semaglutide reduces MACE in obesity." },
+        { match: "Write a structured abstract", response: "Background: obesity. Results: MACE fell [PMID:12345678]." }
+      ]
+    });
+    var paperAgent = new MAResearchAgent({ outputDir: paperDir, cache: false, provider: paperProvider });
+    paperAgent.pubmed = new PubMedClient({ baseUrl: paperFake.baseUrl, limiter: new TokenBucket(100) });
+    var paperResult = await paperAgent.research("semaglutide obesity", "paper", { recentYears: 3, review: false });
+    paperFake.server.close();
+    var paperText = paperResult.success ? fs.readFileSync(paperResult.outputPath, "utf8") : "";
+    var abstractPart = paperText.substring(paperText.indexOf("## Abstract"), paperText.indexOf("## Introduction"));
+    var paperPrompts = paperProvider.calls.map(function(c) { return c.messages[0].content; });
+    var methodsPrompt = paperPrompts.filter(function(p) { return p.indexOf("Write the Methods section") !== -1; })[0] || "";
+    var year = new Date().getFullYear();
+
+    var numbered = numberCitations(["a [PMID:3][PMID:1] b [PMID:2].", "c [PMID:1] [PMID:2][PMID:3] d [PMID:9]"],
+      [{ pmid: "1" }, { pmid: "2" }, { pmid: "3" }]);
+
+    if (paperResult.success && paperPrompts.length === 7 &&
+        paperText.indexOf("# Semaglutide and Cardiovascular Outcomes in Obesity: A Review") === 0 &&
+        paperText.indexOf("**Abbreviations:** MACE, major adverse cardiovascular events") !== -1 &&
+        paperPrompts.slice(1).every(function(p) { return p.indexOf("major adverse cardiovascular events (MACE)") !== -1; }) &&
+        methodsPrompt.indexOf("Search string: (semaglutide obesity) AND (\"" + (year - 3) + "\"[dp] : \"" + year + "\"[dp])") !== -1 &&
+        methodsPrompt.indexOf("Records matching the search: 1") !== -1 && methodsPrompt.indexOf("EMBASE") === -1 &&
+        paperText.indexOf("### Search Details") !== -1 && paperText.indexOf("| Filters | publication years " + (year - 3) + "-" + year + " |") !== -1 &&
+        paperText.indexOf("| [1] | Lincoff AM et al. | 2023 | N Engl J Med | Clinical Trial, Randomized Controlled Trial |") !== -1 &&
+        paperText.indexOf("adults [1].") !== -1 && paperText.indexOf("[UNVERIFIED PMID:99999999]") !== -1 &&
+        paperText.indexOf("[PMID:12345678]") === -1 && abstractPart.indexOf("PMID") === -1 &&
+        paperText.indexOf("## Conclusions\n\nSemaglutide reduces MACE in obesity.") !== -1 &&
+        paperText.indexOf("1. Lincoff AM, SELECT Trial Investigators. Semaglutide and Cardiovascular Outcomes") !== -1 &&
+        paperResult.citationReport.invalidPmids[0].pmid === "99999999" &&
+        numbered.texts[0] === "a [1,2] b [3]." && numbered.texts[1] === "c [1-3] d [PMID:9]" &&
+        numbered.references.map(function(a) { return a.pmid; }).join() === "3,1,2") {
+      console.log("✓ PASS: Shared glossary, Methods from the real search, grounded Results, numbered references\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + (paperResult.error || paperText.substring(0, 1500)) + "\n");
+      failed++;
+    }
+    fs.rmSync(paperDir, { recursive: true, force: true });
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 26: Slide deck from an LLM storyline
+  try {
+    console.log("[Test 26] Building a branded slide deck with charts, evidence table and speaker notes...");
+    var deckFake = await startFakeEutils([]);
+    var deckDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-deck-"));
+    var keyData = [];
+    for (var k = 1; k <= 7; k++) {
+      keyData.push({ text: "Finding " + k + ": MACE reduced by 20 percent", pmids: k === 1 ? ["12345678", "999"] : [] });
+    }
+    var deckProvider = new MockProvider({
+      fallback: "Semaglutide reduced MACE by 20 percent [PMID:12345678].",
+      script: [
+        { match: "building a slide deck", response: JSON.stringify({
+          title: "Semaglutide in Obesity",
+          subtitle: "Cardiovascular evidence",
+          sections: [
+            { section: "takeaways", title: "Key Takeaways", bullets: [{ text: "Consider CV benefit", pmids: ["12345678"] }] },
+            { section: "background", title: "Background", bullets: [{ text: "Obesity raises CV risk", pmids: [] }],
+              notes: "Set the scene." },
+            { section: "key-data", title: "Key Data", bullets: keyData },
+            { section: "safety", title: "Safety", bullets: [{ text: "GI events most common", pmids: [12345678] }] }
+          ]
+        }) }
+      ]
+    });
+    var deckAgent = new MAResearchAgent({ outputDir: deckDir, cache: false, provider: deckProvider });
+    deckAgent.pubmed = new PubMedClient({ baseUrl: deckFake.baseUrl, limiter: new TokenBucket(100) });
+    var deckResult = await deckAgent.research("semaglutide obesity", "slides", { review: false });
+    deckFake.server.close();
+
+    var pptxZip = deckResult.success ? await JSZip.loadAsync(fs.readFileSync(deckResult.outputPath)) : new JSZip();
+    var zipText = async function(pattern) {
+      var names = Object.keys(pptxZip.files).filter(function(n) { return pattern.test(n); }).sort(function(a, b) {
+        return parseInt(a.replace(/\D/g, ""), 10) - parseInt(b.replace(/\D/g, ""), 10);
+      });
+      return Promise.all(names.map(function(n) { return pptxZip.file(n).async("string"); }));
+    };
+    var slideXml = await zipText(/^ppt\/slides\/slide\d+\.xml$/);
+    var notesXml = await zipText(/^ppt\/notesSlides\/notesSlide\d+\.xml$/);
+    var chartXml = await zipText(/^ppt\/charts\/chart\d+\.xml$/);
+    var layoutXml = (await zipText(/^ppt\/slideLayouts\/slideLayout\d+\.xml$/)).join("");
+    var titles = slideXml.map(function(xml) { return (/<a:t>([^<]*)<\/a:t>/.exec(xml) || [])[1]; });
+
+    var deckOutput = new OutputGenerator(deckDir, { pptx: { maxBullets: 3 }, referenceExports: false });
+    var plan = { title: "T", sections: [{ section: "key-data", title: "Key Data", bullets: keyData }] };
+    var textDeck = fs.readFileSync(await deckOutput.generateSlidesText("Deck", [], plan), "utf8");
+    var htmlDeck = fs.readFileSync(await deckOutput.generateSlidesDocument("Deck", [], plan, { format: "html" }), "utf8");
+
+    if (deckResult.success && fs.existsSync(deckResult.outputPath.replace(/\.pptx$/, ".bib")) &&
+        titles.join("|") === "Semaglutide in Obesity|Background|Key Data|Key Data (cont.)|Publications per Year|" +
+          "Publications by Study Type|Evidence Table|Safety|Key Takeaways" &&
+        slideXml[2].indexOf("PMID") === -1 && notesXml.length === slideXml.length &&
+        notesXml[2].indexOf("(PMID: 12345678)") !== -1 && notesXml[2].indexOf("999") === -1 &&
+        notesXml[1].indexOf("Set the scene.") !== -1 &&
+        chartXml.length === 2 && chartXml[0].indexOf("2023") !== -1 && chartXml[1].indexOf("RCT") !== -1 &&
+        slideXml[6].indexOf("<a:tbl>") !== -1 && slideXml[6].indexOf("N Engl J Med") !== -1 &&
+        layoutXml.indexOf("2E75B6") !== -1 && layoutXml.indexOf("Not for promotional use") !== -1 &&
+        (textDeck.match(/--- Slide \d+: Key Data/g) || []).length === 3 && textDeck.indexOf("Notes:") !== -1 &&
+        htmlDeck.indexOf("<section class=\"slide\">") !== -1 && htmlDeck.indexOf("Key Data (cont.)") !== -1) {
+      console.log("✓ PASS: Storyline order, split bullets, charts, evidence table, PMID speaker notes, branded masters\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + (deckResult.error || titles.join("|")) + "\n");
+      failed++;
+    }
+    fs.rmSync(deckDir, { recursive: true, force: true });
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 27: PICO evidence table
+  try {
+    console.log("[Test 27] Extracting PICO and effect sizes into CSV, XLSX and Markdown evidence tables...");
+    var picoFake = await startFakeEutils([]);
+    var picoDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-pico-"));
+    var picoProvider = new MockProvider({
+      fallback: "Semaglutide reduced MACE by 20 percent [PMID:12345678].",
+      script: [
+        { match: "extracting data for an evidence table", response: JSON.stringify({
+          population: { value: "Adults with BMI >= 27 without diabetes", source: "Patients with BMI >= 27 were randomized." },
+          intervention: { value: "Semaglutide 2.4 mg weekly", source: "Patients received semaglutide 2.4 mg weekly." },
+          comparator: { value: null, source: null },
+          design: { value: "Randomized controlled trial", source: "Patients with BMI >= 27 were randomized." },
+          followUp: { value: null, source: null },
+          sampleSize: { value: null, source: null },
+          outcomes: [{ name: "MACE", result: "reduced", source: "HR 0.80; 95% CI 0.72 to 0.90." }],
+          effects: []
+        }) }
+      ]
+    });
+    var picoAgent = new MAResearchAgent({ outputDir: picoDir, cache: false, provider: picoProvider });
+    picoAgent.pubmed = new PubMedClient({ baseUrl: picoFake.baseUrl, limiter: new TokenBucket(100) });
+    var picoResult = await picoAgent.research("semaglutide obesity", "evidence-table", { review: false });
+    var reportResult = await picoAgent.research("semaglutide obesity", "summary", { review: false, evidenceTable: true });
+    picoFake.server.close();
+
+    var picoRow = picoResult.success ? picoResult.evidence[0] : null;
+    var picoMd = picoResult.success ? fs.readFileSync(picoResult.outputPath, "utf8") : "";
+    var picoBase = picoResult.success ? picoResult.outputPath.replace(/\.md$/, "") : "";
+    var picoCsv = picoResult.success ? fs.readFileSync(picoBase + ".csv", "utf8") : "";
+    var picoXlsx = picoResult.success ? await JSZip.loadAsync(fs.readFileSync(picoBase + ".xlsx")) : new JSZip();
+    var effectSheet = picoXlsx.file("xl/worksheets/sheet2.xml") ? await picoXlsx.file("xl/worksheets/sheet2.xml").async("string") : "";
+    var reportMd = reportResult.success ? fs.readFileSync(reportResult.outputPath, "utf8") : "";
+
+    var hints = preExtract("METHODS: We randomized 17,604 patients (n = 8803 semaglutide). Patients received 1 or 2 doses.\n\n" +
+      "RESULTS: The hazard ratio (HR) for MACE was 0.80 (95% CI, 0.72 to 0.90; P<0.001). Odds ratio 1.5 [95% CI 1.1-2.0], p = .03.");
+    var picoEffectsOnly = preExtract("Patients received 1 OR 2 doses.").effects;
+
+    if (picoRow && picoRow.method === "llm" && picoRow.population.verified && !picoRow.intervention.verified &&
+        picoRow.unverified.join() === "intervention,effects" && picoRow.comparator.value === null &&
+        picoRow.effects.length === 1 && picoRow.effects[0].measure === "HR" && picoRow.effects[0].ciUpper === 0.9 &&
+        !picoRow.effects[0].verified && picoEffectsOnly.length === 0 &&
+        picoMd.indexOf("| Semaglutide 2.4 mg weekly † |") !== -1 && picoMd.indexOf("HR 0.8 (95% CI 0.72-0.9)") !== -1 &&
+        picoMd.indexOf("- **Population:** \"Patients with BMI >= 27 were randomized.\"") !== -1 &&
+        picoMd.indexOf("| [PMID:12345678] |") !== -1 &&
+        picoCsv.indexOf("Population,Population source") !== -1 && picoCsv.indexOf("\r\n12345678,") !== -1 &&
+        effectSheet.indexOf("<v>0.8</v>") !== -1 && effectSheet.indexOf("HR 0.80; 95% CI 0.72 to 0.90.") !== -1 &&
+        picoResult.citationReport === null && picoResult.complianceReport === null &&
+        reportMd.indexOf("## Evidence Table") !== -1 && reportMd.indexOf("| Study | Design | N | Intervention vs comparator |") !== -1 &&
+        hints.sampleSize.value === 17604 && hints.effects.length === 2 &&
+        hints.effects[0].measure === "HR" && hints.effects[0].pValue === "P<0.001" &&
+        hints.effects[1].measure === "OR" && hints.effects[1].ciLower === 1.1 && hints.effects[1].pValue === "P=0.03") {
+      console.log("✓ PASS: Regex hints, schema-validated PICO, source-sentence verification, CSV/XLSX/Markdown and report table\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + (picoResult.error || reportResult.error || JSON.stringify(picoRow)) + "\n");
+      failed++;
+    }
+    fs.rmSync(picoDir, { recursive: true, force: true });
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 28: Evidence grading and --min-evidence
+  try {
+    console.log("[Test 28] Grading study designs, flagging retractions and filtering by evidence level...");
+    var retractedXml = SAMPLE_EFETCH_XML.replace("</MeshHeadingList>", "</MeshHeadingList><CommentsCorrectionsList>" +
+      "<CommentsCorrections RefType=\"RetractionIn\"><RefSource>N Engl J Med. 2024</RefSource><PMID Version=\"1\">38000001</PMID></CommentsCorrections>" +
+      "<CommentsCorrections RefType=\"ErratumIn\"><RefSource>N Engl J Med. 2024</RefSource><PMID Version=\"1\">38000002</PMID></CommentsCorrections>" +
+      "</CommentsCorrectionsList>");
+    var retractedArticle = parsePubmedArticleSet(retractedXml)[0];
+    var graded = gradeArticles([
+      { pmid: "1", publicationTypes: ["Case Reports"], abstract: "We report a case of pancreatitis." },
+      { pmid: "2", publicationTypes: ["Journal Article", "Review"], abstract: "We conducted a systematic review of 12 trials." },
+      { pmid: "3", publicationTypes: ["Journal Article", "Observational Study"], meshTerms: ["Humans", "Case-Control Studies"] },
+      { pmid: "4", publicationTypes: ["Journal Article", "Clinical Trial"], abstract: "Adults were randomized to semaglutide or placebo." },
+      { pmid: "5", publicationTypes: ["Preprint"], abstract: "In this prospective cohort study of 300 adults" },
+      { pmid: "6", publicationTypes: ["Journal Article"], meshTerms: ["Animals", "Mice"] },
+      retractedArticle
+    ]);
+    var gradeOf = {};
+    graded.forEach(function(a) { gradeOf[a.pmid] = a.grade; });
+
+    var gradingFake = await startFakeEutils([]);
+    var gradingDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-grading-"));
+    var gradingProvider = new MockProvider({ fallback: "Semaglutide reduced MACE by 20 percent in adults with obesity [PMID:12345678]." });
+    var gradingAgent = new MAResearchAgent({ outputDir: gradingDir, cache: false, provider: gradingProvider });
+    gradingAgent.pubmed = new PubMedClient({ baseUrl: gradingFake.baseUrl, limiter: new TokenBucket(100) });
+    var tooStrict = await gradingAgent.research("semaglutide obesity", "summary", { review: false, minEvidence: 1 });
+    var gradedRun = await gradingAgent.research("semaglutide obesity", "summary", { review: false, minEvidence: 2, compliance: false });
+    gradingFake.server.close();
+    var gradedReport = gradedRun.success ? fs.readFileSync(gradedRun.outputPath, "utf8") : "";
+    var gradingPrompt = gradingProvider.calls.length > 0 ? gradingProvider.calls[0].messages[0].content : "";
+
+    if (graded.map(function(a) { return a.pmid; }).join() === "2,4,1,3,5,6,12345678" &&
+        gradeOf["2"].design === "systematic-review" && gradeOf["4"].design === "rct" && gradeOf["4"].basis.indexOf("randomized") !== -1 &&
+        gradeOf["3"].design === "case-control" && gradeOf["3"].basis === "MeSH: Case-Control Studies" &&
+        gradeOf["1"].level === 4 && gradeOf["5"].design === "cohort" && gradeOf["5"].level === 4 && gradeOf["5"].preprint &&
+        gradeOf["6"].design === "preclinical" &&
+        gradeOf["12345678"].retracted && gradeOf["12345678"].erratum && gradeOf["12345678"].level === 2 &&
+        retractedArticle.commentsCorrections[0].pmid === "38000001" &&
+        filterByEvidence(graded, 2).map(function(a) { return a.pmid; }).join() === "2,4" &&
+        !tooStrict.success && tooStrict.error === "No articles at evidence level 1 or higher (1 found)" &&
+        gradedRun.success && gradedRun.articles[0].grade.label === "RCT" &&
+        gradingPrompt.indexOf("Evidence: Level 2 (RCT).") !== -1 && gradingPrompt.indexOf("EVIDENCE WEIGHTING") !== -1 &&
+        gradedReport.indexOf("## Evidence Grading") !== -1 && gradedReport.indexOf("| 2 | Randomized controlled trials | 1 |") !== -1 &&
+        gradedReport.indexOf("- **Evidence:** Level 2 (RCT) - publication type: Randomized Controlled Trial") !== -1) {
+      console.log("✓ PASS: Designs from publication types, MeSH and abstract cues; CEBM levels, flags, ordering and filter\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + JSON.stringify(graded.map(function(a) { return [a.pmid, a.grade.design, a.grade.level]; })) +
+        " " + (tooStrict.error || "") + " " + (gradedRun.error || "") + "\n");
+      failed++;
+    }
+    fs.rmSync(gradingDir, { recursive: true, force: true });
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 29: Systematic review - protocol, dedupe, screening, overrides, PRISMA flow
+  try {
+    console.log("[Test 29] Systematic review with deduplication, screening overrides and PRISMA flow...");
+    var srRecord = function(pmid, title, extra) {
+      return Object.assign({
+        pmid: pmid, title: title, pubYear: "2021", doi: "", authors: ["Lee A", "Kim B"], journal: "Diabetes Care",
+        publicationTypes: ["Journal Article"], abstract: title + ". Adults were randomized to semaglutide or placebo."
+      }, extra);
+    };
+    var srByQuery = {
+      semaglutide: [
+        srRecord("101", "Semaglutide in adults with type 2 diabetes", { publicationTypes: ["Randomized Controlled Trial"] }),
+        srRecord("102", "Semaglutide in diabetic mice", { abstract: "Mice were treated with semaglutide." }),
+        srRecord("103", "Semaglutide and weight loss", { doi: "10.1000/ABC" })
+      ],
+      "GLP-1": [
+        srRecord("101", "Semaglutide in adults with type 2 diabetes"),
+        srRecord("104", "Semaglutide and weight loss (republished)", { doi: "10.1000/abc" }),
+        srRecord("105", "Semaglutide in Diabetic Mice.", { abstract: "Mice were treated with semaglutide." }),
+        srRecord("106", "Retracted semaglutide trial", { publicationTypes: ["Retracted Publication"] }),
+        srRecord("107", "Semaglutide in adolescents", { abstract: "Adolescents aged 12-17 received semaglutide." })
+      ]
+    };
+    var srSearches = [];
+    var srDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-sr-"));
+    var srProvider = new MockProvider({
+      script: [
+        { match: "screening records for a systematic review", response: JSON.stringify({ decisions: [
+          { pmid: "101", decision: "include", criterion: null, reason: "Adults with type 2 diabetes in an RCT." },
+          { pmid: "102", decision: "exclude", criterion: "animal or in vitro studies.", reason: "Mouse study." },
+          { pmid: "103", decision: "include", criterion: null, reason: "Unclear population; full text needed." }
+        ] }) },
+        { match: "planning a medical literature review", response: JSON.stringify({
+          title: "Semaglutide in type 2 diabetes: a systematic review", keyTerms: [], keyMessages: [] }) }
+      ],
+      fallback: "Semaglutide lowered HbA1c in adults with type 2 diabetes [PMID:101]."
+    });
+    var srAgent = new MAResearchAgent({ outputDir: srDir, cache: false, audit: false, provider: srProvider });
+    srAgent.pubmed = {
+      searchFull: async function(query, maxResults, options) {
+        srSearches.push({ query: query, maxResults: maxResults, cap: options.cap });
+        var found = srByQuery[/GLP-1/.test(query) ? "GLP-1" : "semaglutide"];
+        options.onSearch({ query: query, translation: null, total: found.length + 2, retrieved: found.length, truncated: false, date: "2026-10-18" });
+        return found;
+      }
+    };
+    var srProtocol = {
+      question: "Efficacy of semaglutide in adults with type 2 diabetes",
+      queries: ["semaglutide type 2 diabetes", "GLP-1 agonists"],
+      dateRange: { from: "2015-01-01" },
+      inclusion: ["Adults aged 18 years or older", "Randomized or observational studies"],
+      exclusion: ["Animal or in vitro studies", "Conference abstracts"],
+      maxRecords: 500
+    };
+    var srErrors = [];
+    [{ query: "x", exclusion: [] }, { query: "x", inclusion: ["a"], exclusion: [], dateRange: { from: "Jan 2015" } },
+      { query: "x", inclusion: ["a"], exclusion: [], dateRange: { to: "2015/13" } }].forEach(function(bad) {
+      try {
+        SystematicReviewStore.loadProtocol(bad);
+      } catch (e) {
+        srErrors.push(e.code);
+      }
+    });
+
+    var srRun = await srAgent.systematicReview(srProtocol, { reviewer: "Dr. Lee" });
+    var pendingWrite = await srAgent.writeSystematicReview(srRun.id, { review: false });
+    var store = srAgent.systematicReviews;
+    try {
+      store.override(srRun.id, "107", "maybe", "Dr. Lee", "x");
+    } catch (e) {
+      srErrors.push(e.code);
+    }
+    try {
+      store.override(srRun.id, "107", "exclude", "Dr. Lee", "");
+    } catch (e) {
+      srErrors.push(e.code);
+    }
+    store.override(srRun.id, "107", "exclude", "Dr. Lee", "Adolescent population");
+    store.override(srRun.id, "103", "exclude", "Dr. Kim", "Conference abstracts only");
+    var usageExit = await cliProgram.run(["systematic-review", "override", srRun.id, "101", "maybe", "--reason", "x",
+      "--output-dir", srDir, "--quiet"]);
+    var srWritten = await srAgent.writeSystematicReview(srRun.id, { reviewer: "Dr. Lee" });
+    var srSelfReview = null;
+    try {
+      srAgent.reviews.approve(srWritten.reviewItem.id, "Dr. Lee", "medical");
+    } catch (e) {
+      srSelfReview = e.code;
+    }
+    var srSaved = store.load(srRun.id);
+    var srOutput = srWritten.success ? fs.readFileSync(srWritten.outputPath, "utf8") : "";
+    var srSvgPath = srWritten.success ? srWritten.outputPath.replace(/\.md$/, "-prisma.svg") : "";
+    var srSvg = fs.existsSync(srSvgPath) ? fs.readFileSync(srSvgPath, "utf8") : "";
+    var screeningPrompt = srProvider.calls[0].messages[0].content;
+    var c = srWritten.counts || {};
+
+    if (srErrors.join() === "INVALID_PROTOCOL,INVALID_PROTOCOL,INVALID_PROTOCOL,INVALID_DECISION,REASON_REQUIRED" &&
+        srSearches.length === 2 && srSearches[0].maxResults === "all" && srSearches[0].cap === 500 &&
+        srSearches[0].query === "(semaglutide type 2 diabetes) AND (\"2015/01/01\"[dp] : \"3000\"[dp])" &&
+        srRun.success && srRun.counts.identified === 8 && srRun.counts.duplicates === 3 && srRun.counts.removed === 1 &&
+        srRun.counts.screened === 4 && srRun.counts.pending === 1 &&
+        screeningPrompt.indexOf("- Adults aged 18 years or older") !== -1 && screeningPrompt.indexOf("PMID: 106") === -1 &&
+        !pendingWrite.success && /1 records still await a screening decision/.test(pendingWrite.error) &&
+        usageExit === EXIT.USAGE && srSelfReview === "SELF_REVIEW" &&
+        srSaved.duplicates.map(function(d) { return d.pmid + ">" + d.duplicateOf + ":" + d.matchedOn; }).join() ===
+          "101>101:PMID,104>103:DOI,105>102:title and year" &&
+        srSaved.screening["102"].llm.criterion === "Animal or in vitro studies" &&
+        srSaved.screening["103"].llm.decision === "include" && srSaved.screening["103"].human.criterion === "Conference abstracts" &&
+        srSaved.history.filter(function(h) { return h.action === "override"; }).length === 2 &&
+        srWritten.success && srWritten.articles.map(function(a) { return a.pmid; }).join() === "101" &&
+        c.included === 1 && c.excluded === 3 && c.overridden === 2 &&
+        c.exclusionReasons.map(function(r) { return r.reason + "=" + r.count; }).join() ===
+          "Animal or in vitro studies=1,Conference abstracts=1,Excluded by reviewer=1" &&
+        srOutput.indexOf("**Review:** " + srRun.id) !== -1 && srOutput.indexOf("### Study Selection") !== -1 &&
+        srOutput.indexOf("| Screening | Records excluded | 3 |") !== -1 && srOutput.indexOf("| Included | Studies included in review | 1 |") !== -1 &&
+        srOutput.indexOf("| Inclusion criteria | Adults aged 18 years or older; Randomized or observational studies |") !== -1 &&
+        srOutput.indexOf("Semaglutide in diabetic mice") === -1 &&
+        srSvg.indexOf("<svg") !== -1 && srSvg.indexOf("Records screened") !== -1 && srSvg.indexOf("Duplicate records removed (n = 3)") !== -1 &&
+        fs.existsSync(path.join(srDir, "systematic-reviews", srRun.id, "prisma.md"))) {
+      console.log("✓ PASS: Dated searches, PMID/DOI/title dedupe, LLM screening with human overrides, PRISMA SVG/Markdown, included-only review\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + srErrors.join() + " " + JSON.stringify(srRun.counts) + " " + (pendingWrite.error || "") + " " +
+        (srWritten.error || JSON.stringify(c)) + " exit " + usageExit + "\n");
+      failed++;
+    }
+    fs.rmSync(srDir, { recursive: true, force: true });
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
+
+  // Test 30: Query builder - MeSH expansion, composable filters, confirmation, saved versions
+  try {
+    console.log("[Test 30] Query builder with MeSH expansion, composable filters and saved query versions...");
+    var meshIds = { "type 2 diabetes": "68003924", semaglutide: "67000001", "cardiovascular events": "68002318" };
+    var meshRecords = {
+      "68003924": { ds_meshui: "D003924", ds_meshterms: ["Diabetes Mellitus, Type 2", "Type 2 Diabetes", "NIDDM"] },
+      "67000001": { ds_meshui: "C000591245", ds_meshterms: ["semaglutide", "NN9535"] },
+      // a near miss: not the concept, so it must not be used
+      "68002318": { ds_meshui: "D002318", ds_meshterms: ["Cardiovascular Diseases"] }
+    };
+    var pubmedTerms = [];
+    var queryServer = http.createServer(function(req, res) {
+      var url = new URL(req.url, "http://localhost");
+      var params = url.searchParams;
+      res.writeHead(200, { "Content-Type": "application/json" });
+      if (url.pathname === "/esummary.fcgi") {
+        var result = {};
+        result[params.get("id")] = meshRecords[params.get("id")];
+        res.end(JSON.stringify({ result: result }));
+      } else if (params.get("db") === "mesh") {
+        var id = meshIds[params.get("term").toLowerCase()];
+        res.end(JSON.stringify({ esearchresult: { count: id ? "1" : "0", idlist: id ? [id] : [] } }));
+      } else {
+        // Hit counts only; searches themselves find nothing
+        if (params.get("retmax") !== "0") pubmedTerms.push(params.get("term"));
+        res.end(JSON.stringify({ esearchresult: { count: params.get("retmax") === "0" ? "42" : "0", idlist: [] } }));
+      }
+    });
+    await new Promise(function(resolve) { queryServer.listen(0, "127.0.0.1", resolve); });
+    var qbDir = fs.mkdtempSync(path.join(os.tmpdir(), "ma-query-"));
+    var qbProvider = new MockProvider({
+      script: [{ match: "medical librarian", response: JSON.stringify({ concepts: [
+        { name: "type 2 diabetes", role: "condition", synonyms: ["T2D"], drugNames: [] },
+        { name: "semaglutide", role: "intervention", synonyms: [], drugNames: ["Ozempic", "Wegovy"] },
+        { name: "cardiovascular events", role: "outcome", synonyms: ["MACE"], drugNames: [] }
+      ] }) }],
+      fallback: "ok"
+    });
+    var qbAgent = new MAResearchAgent({ outputDir: qbDir, cache: false, provider: qbProvider });
+    qbAgent.pubmed = new PubMedClient({ baseUrl: "http://127.0.0.1:" + queryServer.address().port, limiter: new TokenBucket(100) });
+
+    var year = new Date().getFullYear();
+    var recent = "(\"" + (year - 2) + "\"[dp] : \"" + year + "\"[dp])";
+    await qbAgent.pubmed.searchRecent("semaglutide OR liraglutide", 2, 5);
+    var combined = await qbAgent.research("semaglutide OR liraglutide", "summary", {
+      clinicalOnly: true, phase: "\"Clinical Trial, Phase III\"", recentYears: 2, review: false, compliance: false
+    });
+
+    var confirmed = null;
+    var declined = await qbAgent.research("semaglutide and cardiovascular events in type 2 diabetes", "summary", {
+      buildQuery: true, queryFilters: { species: "humans", articleTypes: ["rct"], languages: ["English"] }, saveQuery: "sema-cvot",
+      review: false, compliance: false,
+      confirmQuery: function(info) { confirmed = info; return false; }
+    });
+    var built = qbAgent.queries.get("sema-cvot");
+    var expected = "((\"Diabetes Mellitus, Type 2\"[MeSH] OR \"type 2 diabetes\"[tiab] OR \"T2D\"[tiab] OR \"NIDDM\"[tiab]) AND " +
+      "(\"semaglutide\"[nm] OR \"semaglutide\"[tiab] OR \"Ozempic\"[tiab] OR \"Wegovy\"[tiab] OR \"NN9535\"[tiab]) AND " +
+      "(\"cardiovascular events\"[tiab] OR \"MACE\"[tiab])) AND (randomized controlled trial[pt]) AND (english[la]) " +
+      "NOT (animals[mh] NOT humans[mh])";
+    var searchedBeforeSaved = pubmedTerms.length;
+    var qbAuditDir = path.join(qbDir, "audit");
+    var declinedStart = AuditLog.list(qbAuditDir).map(function(runId) {
+      return AuditLog.read(qbAuditDir, runId)[0];
+    }).find(function(start) { return start.data.options.buildQuery; });
+    var auditsValid = AuditLog.list(qbAuditDir).every(function(runId) { return AuditLog.verify(qbAuditDir, runId).valid; });
+    var fromSaved = await qbAgent.research("", "summary", { savedQuery: "sema-cvot@1", recentYears: 2, review: false, compliance: false });
+
+    var rebuilt = await qbAgent.buildSearchQuery("semaglutide and cardiovascular events in type 2 diabetes",
+      { species: "humans", articleTypes: ["rct"], languages: ["English"] }, { save: "sema-cvot", note: "Again", by: "Dr. Kim" });
+    var store = new QueryStore(path.join(qbDir, "queries"));
+    var unchanged = store.save("sema-cvot", { query: built.query }, "Dr. Lee");
+    var second = store.save("sema-cvot", { query: built.query + " AND cardiovascular[tiab]", note: "Narrower" }, "Dr. Lee");
+    var qbErrors = [];
+    ["sema-cvot@3", "missing"].forEach(function(ref) {
+      try {
+        store.get(ref);
+      } catch (e) {
+        qbErrors.push(e.code);
+      }
+    });
+    try {
+      store.save("bad name", { query: "x" }, "Dr. Lee");
+    } catch (e) {
+      qbErrors.push(e.code);
+    }
+    var saveWithoutBuild = await cliProgram.run(["research", "x", "--save-query", "y", "--quiet"]);
+    var badType = await cliProgram.run(["research", "x", "--type", "letters", "--quiet"]);
+    var noQuery = await cliProgram.run(["research", "--quiet"]);
+    var badMonth = await cliProgram.run(["research", "x", "--from", "2020/13", "--quiet"]);
+    var badDay = await cliProgram.run(["research", "x", "--to", "2021-02-29", "--quiet"]);
+    try {
+      applyFilters("x", { dateRange: { from: "2020/02/30" } });
+    } catch (e) {
+      qbErrors.push(e.code);
+    }
+    queryServer.close();
+
+    if (applyFilters("a OR b", { languages: ["English"] }) === "(a OR b) AND (english[la])" &&
+        applyFilters("a OR b", {}) === "a OR b" &&
+        pubmedTerms[0] === "(semaglutide OR liraglutide) AND " + recent &&
+        !combined.success && pubmedTerms[1] === "(semaglutide OR liraglutide) AND \"Clinical Trial, Phase III\"[pt] AND " +
+          "(clinical trial[pt] OR randomized controlled trial[pt]) AND " + recent &&
+        !declined.success && /Query not confirmed/.test(declined.error) && confirmed && confirmed.hits === 42 &&
+        confirmed.query === expected && searchedBeforeSaved === 2 &&
+        auditsValid && declinedStart && !("confirmQuery" in declinedStart.data.options) &&
+        built.version === 1 && built.query === expected && built.hits === 42 &&
+        built.question === "semaglutide and cardiovascular events in type 2 diabetes" &&
+        built.concepts[2].mesh === null && built.concepts[1].mesh.type === "supplementary" &&
+        !fromSaved.success && pubmedTerms[2] === "(" + expected + ") AND " + recent &&
+        rebuilt.saved.unchanged === true && rebuilt.saved.version === 1 && rebuilt.saved.note === null &&
+        unchanged.version === 1 && unchanged.unchanged === true && second.version === 2 && !second.unchanged &&
+        store.load("sema-cvot").versions[0].unchanged === undefined && store.get("sema-cvot").note === "Narrower" &&
+        store.get("sema-cvot@1").query === expected && store.list().length === 1 &&
+        qbErrors.join() === "NOT_FOUND,NOT_FOUND,INVALID_NAME,INVALID_FILTER" &&
+        applyFilters("x", { dateRange: { from: "2020-02-29" } }) === "(x) AND (\"2020/02/29\"[dp] : \"3000\"[dp])" &&
+        saveWithoutBuild === EXIT.USAGE && badType === EXIT.USAGE && noQuery === EXIT.USAGE &&
+        badMonth === EXIT.USAGE && badDay === EXIT.USAGE) {
+      console.log("✓ PASS: MeSH/[nm]/[tiab] expansion, filters compose with OR queries, clinical + recent together, confirmation, versions\n");
+      passed++;
+    } else {
+      console.log("✗ FAIL: " + JSON.stringify(pubmedTerms) + " " + (declined.error || "") + " " + (built && built.query) +
+        " " + qbErrors.join() + " exits " + [saveWithoutBuild, badType, noQuery, badMonth, badDay].join() + "\n");
+      failed++;
+    }
+    fs.rmSync(qbDir, { recursive: true, force: true });
+  } catch (e) {
+    console.log("✗ FAIL: " + e.message + "\n");
+    failed++;
+  }
 
   // Summary
   console.log("===========================================");
@@ -1,47 +1,265 @@
 /**
  * Venice API Client for Medical Affairs Research Assistant
  * Uses Venice AI for GenAI capabilities (summarization, synthesis, writing)
+ *
+ * The transport is a pluggable provider (see llm-provider.js): Venice by
+ * default, or any OpenAI-compatible server, or the scripted mock for tests.
  */
 
-const axios = require("axios");
+const { createProvider } = require("./llm-provider");
+const { contextWindowFor, estimateTokens, mapReduce } = require("./prompt-packer");
+const { CITATION_INSTRUCTIONS } = require("./citation-grounding");
+const { WEIGHTING_INSTRUCTIONS } = require("./evidence-grading");
+const { validate, extractJson } = require("./json-schema");
+const log = require("./logger");
+
+var JSON_INSTRUCTIONS = "Respond with a single JSON object only - no prose, no markdown fences. " +
+  "It must validate against this JSON Schema:\n";
+
+/**
+ * Shared preamble for paper sections: title, terminology and key messages
+ */
+function paperStyleGuide(topic, context) {
+  var guide = "You are writing one section of a medical literature review on: \"" + topic + "\"" +
+    (context.title ? " titled \"" + context.title + "\"" : "") + ". Use formal scientific English and Markdown " +
+    "(### for subheadings); do not repeat the section heading.\n";
+  if (context.glossary) {
+    guide += "Use exactly these terms and abbreviations throughout (define each abbreviation at first use only):\n" +
+      context.glossary + "\n";
+  }
+  if (context.keyMessages && context.keyMessages.length > 0) {
+    guide += "Key messages of the review:\n- " + context.keyMessages.join("\n- ") + "\n";
+  }
+  return guide + "\n";
+}
+
+function sectionsText(sections) {
+  sections = sections || {};
+  return Object.keys(sections).filter(function(key) { return sections[key]; }).map(function(key) {
+    return key.toUpperCase() + ":\n" + sections[key];
+  }).join("\n\n");
+}
 
 class VeniceClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || process.env.VENICE_INFERENCE_KEY;
-    this.baseUrl = "https://api.venice.ai/api/v1";
-    this.defaultModel = "venice/llama-3.3-70b";
+  /**
+   * options:
+   *   provider - provider instance to use (injected, shared across agents)
+   *   llm      - provider config ({ provider, model, baseUrl, apiKey }) when no instance is given
+   *   cache    - optional ResponseCache
+   *   contextWindow - model context size in tokens (default: known size for the model)
+   *   audit    - optional AuditLog; every completion is recorded with its prompt and latency
+   *   generation - per-task { temperature, maxTokens } overrides keyed by task
+   *              (summary, abstract, paper, slides, evidence-table, screening, query, kol-briefing,
+   *              competitive, medical-info)
+   */
+  constructor(apiKey, options) {
+    options = options || {};
+    this.provider = options.provider || createProvider(Object.assign({ apiKey: apiKey }, options.llm));
+    this.apiKey = this.provider.apiKey;
+    this.defaultModel = this.provider.model;
+    this.cache = options.cache || null; // optional ResponseCache
+    this.audit = options.audit || null; // optional AuditLog
+    this.generation = options.generation || {};
+    this.contextWindowOverride = options.contextWindow || parseInt(process.env.LLM_CONTEXT_WINDOW, 10) || null;
   }
 
   /**
-   * Generate text using Venice AI
+   * Generate text using the configured provider.
+   * Completions are cached (no expiry) by provider + model + prompt + temperature;
+   * with options.cacheIf(text) only replies it accepts are stored or replayed.
    */
   async generate(prompt, options = {}) {
     const model = options.model || this.defaultModel;
-    const maxTokens = options.maxTokens || 4000;
-    const temperature = options.temperature || 0.7;
-
-    try {
-      const response = await axios.post(
-        this.baseUrl + "/chat/completions",
-        {
-          model: model,
-          messages: [{ role: "user", content: prompt }],
-          max_tokens: maxTokens,
-          temperature: temperature
-        },
-        {
-          headers: {
-            Authorization: "Bearer " + this.apiKey,
-            "Content-Type": "application/json"
-          }
-        }
-      );
+    const temperature = options.temperature !== undefined ? options.temperature : 0.7;
+    var started = Date.now();
+    var cached = false;
+    var text;
+
+    if (this.cache && options.cache !== false) {
+      var key = { provider: this.provider.name, model: model, prompt: prompt, temperature: temperature };
+      var hit = this.cache.get("llm", key);
+      cached = hit !== undefined && (!options.cacheIf || options.cacheIf(hit));
+      if (cached) {
+        text = hit;
+      } else {
+        text = await this.complete(prompt, options);
+        if (!options.cacheIf || options.cacheIf(text)) this.cache.set("llm", key, text);
+      }
+    } else {
+      text = await this.complete(prompt, options);
+    }
 
-      return response.data.choices[0].message.content;
-    } catch (error) {
-      console.error("Venice API Error:", error.response ? error.response.data : error.message);
-      throw error;
+    if (this.audit) {
+      this.audit.record("llm.call", {
+        provider: this.provider.name,
+        model: model,
+        temperature: temperature,
+        maxTokens: options.maxTokens || null,
+        schema: options.jsonSchema ? options.jsonSchema.name : null,
+        cached: cached,
+        latencyMs: Date.now() - started,
+        prompt: prompt,
+        response: text
+      });
     }
+    return text;
+  }
+
+  /**
+   * Generation settings for a task: built-in defaults with configured overrides
+   */
+  settingsFor(task, defaults) {
+    return Object.assign({}, defaults, this.generation[task]);
+  }
+
+  /**
+   * Uncached completion call
+   */
+  async complete(prompt, options = {}) {
+    return this.provider.generate(prompt, options);
+  }
+
+  /**
+   * Multi-turn chat (uncached)
+   */
+  async chat(messages, options = {}) {
+    var started = Date.now();
+    var text = await this.provider.chat(messages, options);
+    if (this.audit) {
+      this.audit.record("llm.call", {
+        provider: this.provider.name,
+        model: options.model || this.defaultModel,
+        temperature: options.temperature !== undefined ? options.temperature : 0.7,
+        maxTokens: options.maxTokens || null,
+        cached: false,
+        latencyMs: Date.now() - started,
+        prompt: messages.map(function(m) { return m.role + ": " + m.content; }).join("\n\n"),
+        response: text
+      });
+    }
+    return text;
+  }
+
+  /**
+   * Stream completion text chunks, if the provider supports it
+   */
+  stream(messages, options = {}) {
+    if (!this.provider.stream) {
+      throw new Error("Provider " + this.provider.name + " does not support streaming");
+    }
+    return this.provider.stream(messages, options);
+  }
+
+  /**
+   * Embed texts, if the provider supports it
+   */
+  async embed(texts, options = {}) {
+    if (!this.provider.embed) {
+      throw new Error("Provider " + this.provider.name + " does not support embeddings");
+    }
+    return this.provider.embed(texts, options);
+  }
+
+  /**
+   * Generate JSON constrained by a schema.
+   * The schema is sent both in the prompt and as response_format (for providers
+   * that honour it); the reply is parsed and validated, and on malformed or
+   * invalid JSON the model is asked to repair its output.
+   *
+   * options: generate options plus schemaName and repairAttempts (default 2)
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    var repairAttempts = options.repairAttempts !== undefined ? options.repairAttempts : 2;
+    var schemaErrors = function(text) {
+      try {
+        return validate(extractJson(text), schema);
+      } catch (e) {
+        return ["not valid JSON: " + e.message];
+      }
+    };
+    var generateOptions = Object.assign({}, options, {
+      jsonSchema: { name: options.schemaName || "response", schema: schema },
+      // an invalid reply would otherwise be replayed from the cache on every run
+      cacheIf: function(text) { return schemaErrors(text).length === 0; }
+    });
+
+    var request = prompt + "\n\n" + JSON_INSTRUCTIONS + JSON.stringify(schema);
+    var raw = await this.generate(request, generateOptions);
+
+    for (var attempt = 0; ; attempt++) {
+      var errors = schemaErrors(raw);
+      if (errors.length === 0) return extractJson(raw);
+
+      if (attempt >= repairAttempts) {
+        throw new Error("LLM output failed schema " + (options.schemaName || "") + " after " +
+          (attempt + 1) + " attempts: " + errors.slice(0, 5).join("; "));
+      }
+
+      log.info("  Repairing malformed JSON (" + errors.length + " errors)...");
+      raw = await this.generate(
+        "Your previous reply did not satisfy the required JSON Schema.\n\nERRORS:\n- " + errors.slice(0, 10).join("\n- ") +
+        "\n\nPREVIOUS REPLY:\n" + raw +
+        "\n\nJSON SCHEMA:\n" + JSON.stringify(schema) +
+        "\n\nReturn the corrected JSON object only.",
+        Object.assign({}, generateOptions, { temperature: 0 })
+      );
+    }
+  }
+
+  /**
+   * Model context window in tokens (explicit config, else the known size for the model)
+   */
+  contextWindow(options) {
+    var model = (options && options.model) || this.defaultModel;
+    return this.contextWindowOverride || contextWindowFor(model);
+  }
+
+  /**
+   * Run a task prompt over an article set within the model's token budget.
+   * Articles are packed in compact [PMID:x] form; oversized corpora are map-reduced.
+   * Every task prompt requires inline [PMID:x] citations (see citation-grounding.js);
+   * graded articles (evidence-grading.js) add the evidence weighting rules.
+   */
+  async generateFromArticles(articles, buildPrompt, options, task, format) {
+    var self = this;
+    var graded = articles.length > 0 && !!articles[0].grade;
+    return mapReduce({
+      generate: function(prompt, generateOptions) {
+        return self.generate(prompt, generateOptions);
+      },
+      articles: articles,
+      buildPrompt: function(evidence) {
+        return buildPrompt(evidence) + "\n\n" + CITATION_INSTRUCTIONS + (graded ? "\n\n" + WEIGHTING_INSTRUCTIONS : "");
+      },
+      contextWindow: this.contextWindow(options),
+      options: options,
+      task: task,
+      format: format
+    });
+  }
+
+  /**
+   * generateStructured() over an article set within the model's token budget:
+   * buildPrompt(evidence) gets the packed articles, or [PMID:x]-tagged batch
+   * summaries when they do not fit (see generateFromArticles)
+   */
+  async generateStructuredFromArticles(articles, buildPrompt, schema, options, task, format) {
+    var self = this;
+    return mapReduce({
+      generate: function(prompt, generateOptions) {
+        return self.generate(prompt, generateOptions);
+      },
+      finish: function(prompt) {
+        return self.generateStructured(prompt, schema, options);
+      },
+      reserveTokens: estimateTokens("\n\n" + JSON_INSTRUCTIONS + JSON.stringify(schema)),
+      articles: articles,
+      buildPrompt: buildPrompt,
+      contextWindow: this.contextWindow(options),
+      options: options,
+      task: task,
+      format: format
+    });
   }
 
   /**
@@ -53,88 +271,106 @@ class VeniceClient {
       focusText = "\n\nFocus areas to emphasize: " + focusAreas.join(", ");
     }
 
-    var prompt = "You are a Medical Affairs expert specializing in synthesizing clinical research. " +
-      "Summarize the following PubMed search findings into a coherent scientific summary suitable for " +
-      "medical affairs purposes (KOL engagement, medical information, HEOR)." +
-      focusText + "\n\nFINDINGS:\n" + JSON.stringify(findings, null, 2) +
-      "\n\nProvide a structured summary with:\n1. Key findings overview\n2. Clinical implications\n3. Evidence gaps\n4. Potential stakeholder relevance";
-
-    return this.generate(prompt, { temperature: 0.5, maxTokens: 2000 });
+    return this.generateFromArticles(findings, function(evidence) {
+      return "You are a Medical Affairs expert specializing in synthesizing clinical research. " +
+        "Summarize the following PubMed search findings into a coherent scientific summary suitable for " +
+        "medical affairs purposes (KOL engagement, medical information, HEOR)." +
+        focusText + "\n\nFINDINGS:\n" + evidence +
+        "\n\nProvide a structured summary with:\n1. Key findings overview\n2. Clinical implications\n3. Evidence gaps\n4. Potential stakeholder relevance";
+    }, this.settingsFor("summary", { temperature: 0.5, maxTokens: 2000 }), "medical affairs summary");
   }
 
   /**
    * Generate a literature review abstract
    */
   async generateAbstract(searchResults, topic) {
-    var prompt = "Write a professional medical abstract for a literature review on: \"" + topic + "\"\n\nBased on the following research papers:\n";
-    prompt += searchResults.map(function(r, i) {
-      return (i+1) + ". " + r.title + " (PMID: " + r.pmid + ") - " + (r.authors ? r.authors.join(", ") : "Unknown");
-    }).join("\n");
-    prompt += "\n\nInclude: Background, Methods, Results summary, Conclusions. Use standard medical writing style.";
-
-    return this.generate(prompt, { temperature: 0.3, maxTokens: 1500 });
+    return this.generateFromArticles(searchResults, function(evidence) {
+      return "Write a professional medical abstract for a literature review on: \"" + topic + "\"\n\nBased on the following research papers:\n" +
+        evidence +
+        "\n\nInclude: Background, Methods, Results summary, Conclusions. Use standard medical writing style.";
+    }, this.settingsFor("abstract", { temperature: 0.3, maxTokens: 1500 }), "literature review abstract on " + topic);
   }
 
   /**
-   * Generate full research paper/section
+   * Generate one section of a literature review paper.
+   *
+   * sectionType: introduction, methods, results, discussion, conclusion or abstract
+   * context (optional):
+   *   title, glossary, keyMessages - the outline from paper-writer.js
+   *   search   - search facts for the Methods section (query, date, filters, counts)
+   *   sections - sections written so far ({ results, discussion, ... }) for conclusion/abstract
    */
-  async generatePaperSection(topic, findings, sectionType) {
+  async generatePaperSection(topic, findings, sectionType, context) {
     sectionType = sectionType || "introduction";
-    
-    var prompt;
+    context = context || {};
+    var options = this.settingsFor("paper", { temperature: 0.5, maxTokens: 2500 });
+    var guide = paperStyleGuide(topic, context);
+
     if (sectionType === "introduction") {
-      prompt = "Write an Introduction section for a medical literature review on: \"" + topic + "\". Based on: " + 
-        findings.map(function(f) { return f.title; }).join(", ") + 
-        ". Include background, rationale, and what this review addresses.";
+      return this.generateFromArticles(findings, function(evidence) {
+        return guide + "Write the Introduction section. Based on:\n" +
+          evidence + "\n\nInclude background, rationale, and what this review addresses.";
+      }, options, "introduction on " + topic, { abstract: false });
     } else if (sectionType === "methods") {
-      prompt = "Write a Methods section describing how a systematic literature review was conducted. Search terms: " + topic +
-        ". Databases: PubMed, EMBASE, Cochrane. Include search strategy, inclusion/exclusion criteria.";
+      return this.generate(guide + "Write the Methods section of this literature review in past tense, using ONLY the " +
+        "facts below. Quote the search string exactly. Do not mention any other database, screening step, " +
+        "risk-of-bias tool or date that is not listed.\n\nSEARCH FACTS:\n" +
+        (context.search || "Database: PubMed\nSearch string: " + topic), options);
     } else if (sectionType === "results") {
-      prompt = "Write a Results section summarizing these findings:\n" + 
-        findings.map(function(f) { return "- " + f.title + ": " + (f.abstract ? f.abstract.substring(0, 500) : "N/A"); }).join("\n") +
-        "\nPresent key findings, study characteristics, outcomes.";
+      return this.generateFromArticles(findings, function(evidence) {
+        return guide + "Write the Results section from the abstracts below only:\n" + evidence +
+          "\n\nPresent study characteristics, key findings and outcomes with their reported numbers. " +
+          "Do not report results that are not in these abstracts.";
+      }, options, "results section on " + topic);
     } else if (sectionType === "discussion") {
-      prompt = "Write a Discussion section for: \"" + topic + "\". Synthesize the findings, compare with existing literature, discuss clinical implications, limitations, and conclusions.";
+      return this.generateFromArticles(findings, function(evidence) {
+        return guide + "Write the Discussion section. Synthesize the findings, compare studies, " +
+          "discuss clinical implications and limitations of the evidence and of this review." +
+          (context.sections && context.sections.results ? "\n\nRESULTS SECTION:\n" + context.sections.results : "") +
+          "\n\nEVIDENCE:\n" + evidence;
+      }, options, "discussion section on " + topic);
+    } else if (sectionType === "conclusion") {
+      return this.generate(guide + "Write a short Conclusions section (one or two paragraphs) that follows from the " +
+        "results and discussion below. Do not introduce new findings or citations.\n\n" +
+        sectionsText(context.sections), options);
+    } else if (sectionType === "abstract") {
+      return this.generate(guide + "Write a structured abstract (Background, Methods, Results, Conclusions; " +
+        "at most 300 words) for the manuscript below. Report the search and counts exactly as in Methods. " +
+        "Do not include citations.\n\n" + sectionsText(context.sections),
+        this.settingsFor("abstract", { temperature: 0.3, maxTokens: 1500 }));
     }
 
-    return this.generate(prompt, { temperature: 0.5, maxTokens: 2500 });
+    throw new Error("Unknown paper section: " + sectionType);
   }
 
   /**
    * Generate KOL (Key Opinion Leader) briefing
    */
   async generateKOLBriefing(topic, findings) {
-    var prompt = "Create a Key Opinion Leader (KOL) briefing document on: \"" + topic + "\"\n\nFor each key finding:\n";
-    prompt += findings.map(function(f) { return "- " + f.title; }).join("\n");
-    prompt += "\n\nInclude:\n1. Executive summary (2-3 sentences)\n2. Key insights for HCPs\n3. Clinical practice implications\n4. Unmet needs / gaps\n5. Suggested discussion points\n\nWrite in a professional, concise manner suitable for medical affairs use.";
-
-    return this.generate(prompt, { temperature: 0.5, maxTokens: 1500 });
+    return this.generateFromArticles(findings, function(evidence) {
+      return "Create a Key Opinion Leader (KOL) briefing document on: \"" + topic + "\"\n\nKey findings:\n" + evidence +
+        "\n\nInclude:\n1. Executive summary (2-3 sentences)\n2. Key insights for HCPs\n3. Clinical practice implications\n4. Unmet needs / gaps\n5. Suggested discussion points\n\nWrite in a professional, concise manner suitable for medical affairs use.";
+    }, this.settingsFor("kol-briefing", { temperature: 0.5, maxTokens: 1500 }), "KOL briefing on " + topic);
   }
 
   /**
    * Generate competitive intelligence analysis
    */
   async generateCompetitiveAnalysis(drugs, findings) {
-    var prompt = "Create a competitive intelligence analysis comparing: " + drugs.join(", ") + "\n\nEvidence from literature:\n";
-    prompt += findings.map(function(f) { 
-      return "- " + f.title + ": " + (f.abstract ? f.abstract.substring(0, 300) : "N/A"); 
-    }).join("\n");
-    prompt += "\n\nInclude:\n1. Efficacy comparison\n2. Safety profile comparison\n3. Market positioning\n4. Research gaps by competitor\n5. Strategic implications";
-
-    return this.generate(prompt, { temperature: 0.5, maxTokens: 2000 });
+    return this.generateFromArticles(findings, function(evidence) {
+      return "Create a competitive intelligence analysis comparing: " + drugs.join(", ") + "\n\nEvidence from literature:\n" + evidence +
+        "\n\nInclude:\n1. Efficacy comparison\n2. Safety profile comparison\n3. Market positioning\n4. Research gaps by competitor\n5. Strategic implications";
+    }, this.settingsFor("competitive", { temperature: 0.5, maxTokens: 2000 }), "competitive analysis of " + drugs.join(", "));
   }
 
   /**
    * Generate medical information response draft
    */
   async generateMedicalInfoResponse(query, relevantPapers) {
-    var prompt = "Draft a medical information response to this inquiry: \"" + query + "\"\n\nRelevant published evidence:\n";
-    prompt += relevantPapers.map(function(p) { 
-      return "PMID " + p.pmid + ": " + p.title + ". " + (p.abstract || ""); 
-    }).join("\n\n");
-    prompt += "\n\nInclude:\n1. Brief response statement\n2. Summary of evidence\n3. Citations (PMID)\n4. Disclaimer\n\nWrite in compliant medical information style.";
-
-    return this.generate(prompt, { temperature: 0.3, maxTokens: 1000 });
+    return this.generateFromArticles(relevantPapers, function(evidence) {
+      return "Draft a medical information response to this inquiry: \"" + query + "\"\n\nRelevant published evidence:\n" + evidence +
+        "\n\nInclude:\n1. Brief response statement\n2. Summary of evidence\n3. Citations ([PMID:x])\n4. Disclaimer\n\nWrite in compliant medical information style.";
+    }, this.settingsFor("medical-info", { temperature: 0.3, maxTokens: 1000 }), "medical information response to: " + query);
   }
 }
 
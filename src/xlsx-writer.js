@@ -0,0 +1,132 @@
+/**
+ * XLSX Writer - minimal SpreadsheetML workbook (one or more sheets of rows)
+ *
+ * Strings are written inline, numbers as numeric cells. The first row of each
+ * sheet is a bold header with a frozen pane and an autofilter, so the sheet
+ * opens ready for sorting and filtering in Excel.
+ */
+
+const JSZip = require("jszip");
+
+var MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+var REL_NS = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+var PKG_REL_NS = "http://schemas.openxmlformats.org/package/2006/relationships";
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // characters XML 1.0 does not allow
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+/**
+ * 0 -> "A", 26 -> "AA"
+ */
+function columnName(index) {
+  var name = "";
+  for (index += 1; index > 0; index = Math.floor((index - 1) / 26)) {
+    name = String.fromCharCode(65 + (index - 1) % 26) + name;
+  }
+  return name;
+}
+
+function cell(value, ref, header) {
+  var style = header ? " s=\"1\"" : " s=\"2\"";
+  if (value === null || value === undefined || value === "") return "";
+  if (typeof value === "number" && isFinite(value)) return "<c r=\"" + ref + "\"" + style + "><v>" + value + "</v></c>";
+  return "<c r=\"" + ref + "\"" + style + " t=\"inlineStr\"><is><t xml:space=\"preserve\">" +
+    escapeXml(value) + "</t></is></c>";
+}
+
+function sheetXml(rows, widths) {
+  var columns = rows.reduce(function(max, row) { return Math.max(max, row.length); }, 0);
+  var last = columnName(Math.max(columns, 1) - 1) + Math.max(rows.length, 1);
+  var xml = "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+    "<worksheet xmlns=\"" + MAIN_NS + "\" xmlns:r=\"" + REL_NS + "\">" +
+    "<dimension ref=\"A1:" + last + "\"/>" +
+    "<sheetViews><sheetView workbookViewId=\"0\"><pane ySplit=\"1\" topLeftCell=\"A2\" activePane=\"bottomLeft\" state=\"frozen\"/>" +
+    "</sheetView></sheetViews><sheetFormatPr defaultRowHeight=\"15\"/>";
+  if (columns > 0) {
+    xml += "<cols>";
+    for (var c = 0; c < columns; c++) {
+      xml += "<col min=\"" + (c + 1) + "\" max=\"" + (c + 1) + "\" width=\"" + ((widths && widths[c]) || 18) + "\" customWidth=\"1\"/>";
+    }
+    xml += "</cols>";
+  }
+  xml += "<sheetData>" + rows.map(function(row, r) {
+    return "<row r=\"" + (r + 1) + "\">" + row.map(function(value, c) {
+      return cell(value, columnName(c) + (r + 1), r === 0);
+    }).join("") + "</row>";
+  }).join("") + "</sheetData>";
+  if (rows.length > 1) xml += "<autoFilter ref=\"A1:" + last + "\"/>";
+  return xml + "</worksheet>";
+}
+
+var STYLES_XML = "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+  "<styleSheet xmlns=\"" + MAIN_NS + "\">" +
+  "<fonts count=\"2\"><font><sz val=\"11\"/><name val=\"Calibri\"/></font><font><b/><sz val=\"11\"/><name val=\"Calibri\"/></font></fonts>" +
+  "<fills count=\"3\"><fill><patternFill patternType=\"none\"/></fill><fill><patternFill patternType=\"gray125\"/></fill>" +
+  "<fill><patternFill patternType=\"solid\"><fgColor rgb=\"FFD9E2F3\"/><bgColor indexed=\"64\"/></patternFill></fill></fills>" +
+  "<borders count=\"1\"><border><left/><right/><top/><bottom/><diagonal/></border></borders>" +
+  "<cellStyleXfs count=\"1\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\"/></cellStyleXfs>" +
+  "<cellXfs count=\"3\"><xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\"/>" +
+  "<xf numFmtId=\"0\" fontId=\"1\" fillId=\"2\" borderId=\"0\" xfId=\"0\" applyFont=\"1\" applyFill=\"1\"/>" +
+  "<xf numFmtId=\"0\" fontId=\"0\" fillId=\"0\" borderId=\"0\" xfId=\"0\" applyAlignment=\"1\"><alignment vertical=\"top\" wrapText=\"1\"/></xf></cellXfs>" +
+  "<cellStyles count=\"1\"><cellStyle name=\"Normal\" xfId=\"0\" builtinId=\"0\"/></cellStyles></styleSheet>";
+
+/**
+ * sheets: [{ name, rows: [[header...], [value...]], widths: [column widths] }]
+ * Returns a Promise of the .xlsx file as a Buffer.
+ */
+async function rowsToXlsx(sheets) {
+  var zip = new JSZip();
+  var names = sheets.map(function(sheet, i) {
+    // Excel sheet names: max 31 characters, no []:*?/\
+    return String(sheet.name || "Sheet" + (i + 1)).replace(/[\[\]:*?\/\\]/g, " ").substring(0, 31);
+  });
+
+  zip.file("[Content_Types].xml", "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+    "<Types xmlns=\"http://schemas.openxmlformats.org/package/2006/content-types\">" +
+    "<Default Extension=\"rels\" ContentType=\"application/vnd.openxmlformats-package.relationships+xml\"/>" +
+    "<Default Extension=\"xml\" ContentType=\"application/xml\"/>" +
+    "<Override PartName=\"/xl/workbook.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml\"/>" +
+    "<Override PartName=\"/xl/styles.xml\" ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml\"/>" +
+    sheets.map(function(sheet, i) {
+      return "<Override PartName=\"/xl/worksheets/sheet" + (i + 1) + ".xml\" " +
+        "ContentType=\"application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml\"/>";
+    }).join("") + "</Types>");
+  zip.file("_rels/.rels", "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+    "<Relationships xmlns=\"" + PKG_REL_NS + "\">" +
+    "<Relationship Id=\"rId1\" Type=\"" + REL_NS + "/officeDocument\" Target=\"xl/workbook.xml\"/></Relationships>");
+  zip.file("xl/workbook.xml", "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+    "<workbook xmlns=\"" + MAIN_NS + "\" xmlns:r=\"" + REL_NS + "\"><sheets>" +
+    names.map(function(name, i) {
+      return "<sheet name=\"" + escapeXml(name) + "\" sheetId=\"" + (i + 1) + "\" r:id=\"rId" + (i + 1) + "\"/>";
+    }).join("") + "</sheets>" +
+    "<definedNames>" + sheets.map(function(sheet, i) {
+      if (sheet.rows.length < 2) return "";
+      var columns = sheet.rows.reduce(function(max, row) { return Math.max(max, row.length); }, 1);
+      return "<definedName name=\"_xlnm._FilterDatabase\" localSheetId=\"" + i + "\" hidden=\"1\">'" +
+        escapeXml(names[i].replace(/'/g, "''")) + "'!$A$1:$" + columnName(columns - 1) + "$" + sheet.rows.length + "</definedName>";
+    }).join("") + "</definedNames></workbook>");
+  zip.file("xl/_rels/workbook.xml.rels", "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"yes\"?>" +
+    "<Relationships xmlns=\"" + PKG_REL_NS + "\">" +
+    sheets.map(function(sheet, i) {
+      return "<Relationship Id=\"rId" + (i + 1) + "\" Type=\"" + REL_NS + "/worksheet\" Target=\"worksheets/sheet" + (i + 1) + ".xml\"/>";
+    }).join("") +
+    "<Relationship Id=\"rId" + (sheets.length + 1) + "\" Type=\"" + REL_NS + "/styles\" Target=\"styles.xml\"/></Relationships>");
+  zip.file("xl/styles.xml", STYLES_XML);
+  sheets.forEach(function(sheet, i) {
+    zip.file("xl/worksheets/sheet" + (i + 1) + ".xml", sheetXml(sheet.rows, sheet.widths));
+  });
+
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = {
+  rowsToXlsx: rowsToXlsx,
+  columnName: columnName
+};